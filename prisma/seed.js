@@ -130,7 +130,7 @@ const DEVICE_TEMPLATES = [
       { tagName: 'efficiency', displayName: 'Efficiency', unit: '%', dataType: 'FLOAT', minValue: 0, maxValue: 100, displayOrder: 10, isMonitored: true },
       { tagName: 'temperature_internal', displayName: 'Internal Temperature', unit: '°C', dataType: 'FLOAT', minValue: -20, maxValue: 80, displayOrder: 11, isMonitored: true },
       { tagName: 'energy_today', displayName: 'Energy Today', unit: 'kWh', dataType: 'FLOAT', minValue: 0, maxValue: 1000, displayOrder: 12, isMonitored: false },
-      { tagName: 'energy_total', displayName: 'Total Energy', unit: 'kWh', dataType: 'FLOAT', minValue: 0, maxValue: 10000000, displayOrder: 13, isMonitored: false },
+      { tagName: 'energy_total', displayName: 'Total Energy', unit: 'kWh', dataType: 'FLOAT', minValue: 0, maxValue: 10000000, displayOrder: 13, isMonitored: false, isCumulative: true, counterMaxRate: 150 },
       { tagName: 'status', displayName: 'Operational Status', unit: '', dataType: 'INTEGER', minValue: 0, maxValue: 5, displayOrder: 14, isMonitored: true },
     ],
   },
@@ -15,13 +15,23 @@ import plantRoutes from './routes/plants.js';
 import deviceRoutes from './routes/devices.js';
 import templateRoutes from './routes/templates.js';
 import alarmRoutes from './routes/alarms.js';
+import alarmRuleRoutes from './routes/alarmRules.js';
+import alarmSuppressionRoutes from './routes/alarmSuppression.js';
+import notificationRoutes from './routes/notifications.js';
+import escalationRoutes from './routes/escalation.js';
 import hierarchyRoutes from './routes/hierarchy.js';
 import tagRoutes from './routes/tags.js';
+import calculatedTagRoutes from './routes/calculatedTags.js';
 import dataRoutes from './routes/data.js';
+import exportRoutes from './routes/exports.js';
+import dataCorrectionRoutes from './routes/dataCorrections.js';
+import retentionRoutes from './routes/retention.js';
 // AUDIT LOG - COMMENTED OUT (Enable when needed)
 // import auditRoutes from './routes/audit.js';
 import reportRoutes from './routes/reports.js';
 import userPlantMapRoutes from './routes/userPlantMapRoutes.js';
+import ingestRoutes from './routes/ingest.js';
+import streamRoutes from './routes/stream.js';
 import errorHandler from './middlewares/errorHandler.js';
 
 const app = express();
@@ -40,7 +50,8 @@ app.use(cors(config.cors));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// HTTP request logging
+// HTTP request logging (stream tickets and tokens in query strings are redacted)
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|token)=)[^&]*/g, '$1[REDACTED]'));
 if (config.server.nodeEnv === 'development') {
   app.use(morgan('dev'));
 } else {
@@ -86,14 +97,24 @@ app.use('/api/users', userRoutes);
 app.use('/api/plants', plantRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/alarms/rules', alarmRuleRoutes); // Before /api/alarms so "rules" is not taken as an alarm ID
+app.use('/api/alarms/suppression', alarmSuppressionRoutes);
 app.use('/api/alarms', alarmRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/escalation', escalationRoutes);
 app.use('/api/hierarchy', hierarchyRoutes);
 app.use('/api/tags', tagRoutes);
+app.use('/api/calculated-tags', calculatedTagRoutes);
+app.use('/api/data/exports', exportRoutes); // Before /api/data so its routes are not matched first
+app.use('/api/data/corrections', dataCorrectionRoutes);
 app.use('/api/data', dataRoutes);
+app.use('/api/retention', retentionRoutes);
 // AUDIT LOG - COMMENTED OUT (Enable when needed)
 // app.use('/api/audit', auditRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/user-plant-map', userPlantMapRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/stream', streamRoutes);
 
 // ============================================
 // ERROR HANDLING
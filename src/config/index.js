@@ -6,6 +6,15 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Parse a numeric setting, returning null when it is unset or not a number
+ * For settings where 0 is valid: `parseNumber(value) ?? default` keeps a 0 that `|| default` would replace.
+ */
+const parseNumber = (value, parse = parseInt) => {
+  const parsed = parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
 export default {
   // Server Configuration
   server: {
@@ -52,13 +61,177 @@ export default {
     sqs: {
       queueUrl: process.env.AWS_SQS_QUEUE_URL,
       queueArn: process.env.AWS_SQS_QUEUE_ARN,
+      endpoint: process.env.AWS_SQS_ENDPOINT, // e.g. http://localhost:9324 for ElasticMQ
+      waitTimeSeconds: parseInt(process.env.AWS_SQS_WAIT_TIME_SECONDS) || 20,
+      maxMessages: parseInt(process.env.AWS_SQS_MAX_MESSAGES) || 10,
+      visibilityTimeout: parseInt(process.env.AWS_SQS_VISIBILITY_TIMEOUT) || 60,
+      maxReceiveCount: parseInt(process.env.AWS_SQS_MAX_RECEIVE_COUNT) || 5,
+      errorBackoffMs: parseInt(process.env.AWS_SQS_ERROR_BACKOFF_MS) || 5000,
+    },
+  },
+
+  // Direct MQTT Broker Configuration (INGESTION_MODE=mqtt, e.g. a local Mosquitto)
+  mqtt: {
+    brokerUrl: process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883',
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD,
+    clientId: process.env.MQTT_CLIENT_ID || `solar-backend-${process.pid}`,
+    qos: [0, 1, 2].includes(parseInt(process.env.MQTT_QOS)) ? parseInt(process.env.MQTT_QOS) : 1, // 0 is a valid QoS
+    reconnectMinMs: parseInt(process.env.MQTT_RECONNECT_MIN_MS) || 1000,
+    reconnectMaxMs: parseInt(process.env.MQTT_RECONNECT_MAX_MS) || 60000,
+    subscriptionRefreshMs: parseInt(process.env.MQTT_SUBSCRIPTION_REFRESH_MS) || 30000,
+  },
+
+  // Data Ingestion Configuration
+  ingestion: {
+    // Where raw messages come from: 'aws' (IoT rule -> SQS), 'mqtt' (direct broker) or 'none' (HTTP ingestion only)
+    mode: process.env.INGESTION_MODE || 'aws',
+    processor: {
+      enabled: process.env.INGESTION_PROCESSOR_ENABLED !== 'false',
+      batchSize: parseInt(process.env.INGESTION_BATCH_SIZE) || 200,
+      pollIntervalMs: parseInt(process.env.INGESTION_POLL_INTERVAL_MS) || 2000,
+      claimTimeoutMs: parseInt(process.env.INGESTION_CLAIM_TIMEOUT_MS) || 300000, // 5 minutes
+    },
+    topicCacheTtlMs: parseInt(process.env.INGESTION_TOPIC_CACHE_TTL_MS) || 60000,
+    http: {
+      maxRecords: parseInt(process.env.INGESTION_HTTP_MAX_RECORDS) || 1000, // Records per POST /api/ingest batch
     },
   },
 
+  // Late data uploaded by gateways after an outage (store and forward)
+  backfill: {
+    thresholdMs: parseInt(process.env.BACKFILL_THRESHOLD_MS) || 900000, // 15 minutes - older messages are backfill: alarms recorded without notifications
+    maxAgeDays: parseInt(process.env.BACKFILL_MAX_AGE_DAYS) || 90, // Older messages are rejected
+    idleMs: parseInt(process.env.BACKFILL_IDLE_MS) || 600000, // A backfill run ends after 10 minutes without late messages
+  },
+
+  // Data quality checks on ingested samples (processed_data quality and flags)
+  dataQuality: {
+    enabled: process.env.DATA_QUALITY_ENABLED !== 'false',
+    badBelow: parseNumber(process.env.DATA_QUALITY_BAD_BELOW) ?? 50, // Samples below this quality are bad: left out of reports and counter deltas (0 keeps all)
+    frozenCount: parseInt(process.env.DATA_QUALITY_FROZEN_COUNT) || 10, // Equal readings in a row that make a value frozen
+    spikeSigma: parseFloat(process.env.DATA_QUALITY_SPIKE_SIGMA) || 4, // Standard deviations from recent readings that make a spike
+    spikeWindow: parseInt(process.env.DATA_QUALITY_SPIKE_WINDOW) || 30, // Recent readings the spike statistics use
+    spikeMinSamples: parseInt(process.env.DATA_QUALITY_SPIKE_MIN_SAMPLES) || 10,
+    historyHours: parseInt(process.env.DATA_QUALITY_HISTORY_HOURS) || 24, // How far back recent readings are looked up
+    futureToleranceMs: parseNumber(process.env.DATA_QUALITY_FUTURE_TOLERANCE_MS) ?? 300000, // 5 minutes of clock drift
+    maxPastDays: parseInt(process.env.DATA_QUALITY_MAX_PAST_DAYS) || 7, // Older timestamps are flagged
+  },
+
+  // Historical data rollups (5-minute, hourly, daily)
+  rollups: {
+    enabled: process.env.ROLLUPS_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.ROLLUP_INTERVAL_MS) || 15000, // How often queued buckets are refreshed
+    batchSize: parseInt(process.env.ROLLUP_BATCH_SIZE) || 2000, // Queued 5-minute buckets per refresh
+    maxBuckets: parseInt(process.env.ROLLUP_MAX_BUCKETS) || 5000, // Buckets per series in one query
+    rawMaxRangeDays: parseInt(process.env.ROLLUP_RAW_MAX_RANGE_DAYS) || 90, // Longest range served from raw data
+  },
+
+  // Gap detection and filling in historical data
+  gaps: {
+    defaultIntervalSec: parseInt(process.env.GAP_DEFAULT_INTERVAL_SEC) || 60, // Expected seconds between samples of tags without expectedInterval
+    toleranceFactor: parseFloat(process.env.GAP_TOLERANCE_FACTOR) || 2, // Pauses longer than this many expected intervals are gaps
+    maxFillPoints: parseInt(process.env.GAP_MAX_FILL_POINTS) || 10000, // Estimated points one query may add
+    maxGaps: parseInt(process.env.GAP_MAX_GAPS) || 5000, // Gaps listed by one gap report
+  },
+
+  // Calculated tags (formulas over other tags)
+  calculatedTags: {
+    maxAgeMs: parseInt(process.env.CALCULATED_TAG_MAX_AGE_MS) || 900000, // 15 minutes - older input values count as missing
+    maxQueryPoints: parseInt(process.env.CALCULATED_TAG_MAX_QUERY_POINTS) || 500000, // Input points read for one raw query
+  },
+
+  // Cumulative counters (energy registers)
+  counters: {
+    resetRatio: parseFloat(process.env.COUNTER_RESET_RATIO) || 0.1, // After a drop, readings below this share of the previous one are a reset, others a replacement
+    decreaseTolerance: parseFloat(process.env.COUNTER_DECREASE_TOLERANCE) || 0.001, // Relative drop ignored as read-out noise
+    batchSize: parseInt(process.env.COUNTER_BATCH_SIZE) || 5000, // Readings per query when rebuilding deltas
+    productionTags: (process.env.ENERGY_PRODUCTION_TAGS || 'energy_total').split(',').map((name) => name.trim()).filter(Boolean), // Counters summed as energy production
+  },
+
+  retention: {
+    enabled: process.env.RETENTION_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS) || 3600000, // 1 hour
+    batchSize: parseInt(process.env.RETENTION_BATCH_SIZE) || 5000, // Rows per DELETE statement
+    maxBatches: parseInt(process.env.RETENTION_MAX_BATCHES) || 20, // Batches per plant and target in one run
+  },
+
+  exports: {
+    enabled: process.env.EXPORTS_ENABLED !== 'false',
+    dir: process.env.EXPORT_DIR || 'uploads/exports',
+    intervalMs: parseInt(process.env.EXPORT_INTERVAL_MS) || 5000, // How often pending exports are picked up
+    leaseMs: parseInt(process.env.EXPORT_LEASE_MS) || 600000, // Running export without progress for this long is restarted
+    expiryHours: parseInt(process.env.EXPORT_EXPIRY_HOURS) || 24, // Files are deleted after this
+    rawChunkHours: parseInt(process.env.EXPORT_RAW_CHUNK_HOURS) || 6, // Time range read per query for raw exports
+    bucketsPerChunk: parseInt(process.env.EXPORT_BUCKETS_PER_CHUNK) || 2000, // Interval buckets read per query
+    maxTags: parseInt(process.env.EXPORT_MAX_TAGS) || 1000,
+  },
+
   // WebSocket Configuration
   websocket: {
     enabled: process.env.ENABLE_WEBSOCKET === 'true',
     port: process.env.WEBSOCKET_PORT || 3001,
+    path: process.env.WEBSOCKET_PATH || '/socket.io', // Socket.IO is served on the API HTTP server
+  },
+
+  // Server-Sent Events (GET /api/stream)
+  stream: {
+    heartbeatIntervalMs: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS) || 15000,
+    eventLogSize: parseInt(process.env.STREAM_EVENT_LOG_SIZE) || 1000, // Events kept for Last-Event-ID resume
+    ticketTtlSeconds: parseInt(process.env.STREAM_TICKET_TTL_SECONDS) || 60, // Lifetime of a ?ticket= for EventSource clients
+  },
+
+  // Alarm engine (alarms raised from ingested data)
+  alarmEngine: {
+    enabled: process.env.ALARM_ENGINE_ENABLED !== 'false',
+    systemUserId: parseInt(process.env.ALARM_SYSTEM_USER_ID) || null, // Creator of engine alarms (default: first active admin)
+    ruleCacheTtlMs: parseInt(process.env.ALARM_RULE_CACHE_TTL_MS) || 60000,
+    schedulerIntervalMs: parseInt(process.env.ALARM_SCHEDULER_INTERVAL_MS) || 30000, // Stale checks and elapsed delays
+    expressionMaxAgeMs: parseInt(process.env.ALARM_EXPRESSION_MAX_AGE_MS) || 900000, // 15 minutes - older values count as missing
+    dryRunMaxPoints: parseInt(process.env.ALARM_DRY_RUN_MAX_POINTS) || 500000,
+    dryRunMaxTargets: parseInt(process.env.ALARM_DRY_RUN_MAX_TARGETS) || 200,
+    dryRunMaxAlarms: parseInt(process.env.ALARM_DRY_RUN_MAX_ALARMS) || 1000, // Alarms listed in a dry run result
+    maxShelveMinutes: parseInt(process.env.ALARM_MAX_SHELVE_MINUTES) || 10080, // Longest shelving period (one week)
+    valueUpdateIntervalMs: parseInt(process.env.ALARM_VALUE_UPDATE_INTERVAL_MS) || 300000, // Min gap between VALUE_UPDATE events of an alarm
+    maxAttachmentBytes: parseInt(process.env.ALARM_MAX_ATTACHMENT_BYTES) || 5242880, // 5 MB per comment attachment
+  },
+
+  // Alarm notifications (email, webhooks, Slack)
+  notifications: {
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    appUrl: process.env.NOTIFICATIONS_APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173', // Base URL of alarm links
+    intervalMs: parseInt(process.env.NOTIFICATIONS_INTERVAL_MS) || 10000,
+    batchSize: parseInt(process.env.NOTIFICATIONS_BATCH_SIZE) || 20,
+    maxAttempts: parseInt(process.env.NOTIFICATIONS_MAX_ATTEMPTS) || 5,
+    retryBaseMs: parseInt(process.env.NOTIFICATIONS_RETRY_BASE_MS) || 30000, // Doubles after each failed attempt
+    claimTimeoutMs: parseInt(process.env.NOTIFICATIONS_CLAIM_TIMEOUT_MS) || 300000,
+    webhookTimeoutMs: parseInt(process.env.NOTIFICATIONS_WEBHOOK_TIMEOUT_MS) || 10000,
+    webhookAllowPrivate: process.env.NOTIFICATIONS_WEBHOOK_ALLOW_PRIVATE === 'true', // Allow loopback / private webhook hosts (local testing)
+    smtp: {
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'Solar Monitoring <alarms@localhost>',
+    },
+  },
+
+  // Alarm management KPIs (ISA-18.2 style)
+  alarmKpis: {
+    floodThreshold: parseInt(process.env.ALARM_KPI_FLOOD_THRESHOLD) || 10, // Alarms per operator in 10 minutes
+    chatterCount: parseInt(process.env.ALARM_KPI_CHATTER_COUNT) || 3, // Raised this often within the chatter window
+    chatterWindowSeconds: parseInt(process.env.ALARM_KPI_CHATTER_WINDOW_SECONDS) || 60,
+    staleHours: parseInt(process.env.ALARM_KPI_STALE_HOURS) || 24, // Open longer than this
+    topN: parseInt(process.env.ALARM_KPI_TOP_N) || 10, // Bad actors, chattering and stale alarms listed
+    defaultPeriodDays: parseInt(process.env.ALARM_KPI_DEFAULT_PERIOD_DAYS) || 30, // Without startDate
+  },
+
+  // Alarm escalation policies
+  escalation: {
+    enabled: process.env.ESCALATION_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.ESCALATION_INTERVAL_MS) || 30000, // How often due escalation steps are checked
+    batchSize: parseInt(process.env.ESCALATION_BATCH_SIZE) || 100,
   },
 
   // Rate Limiting
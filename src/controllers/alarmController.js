@@ -4,6 +4,7 @@
  */
 
 import * as alarmService from '../services/alarmService.js';
+import * as alarmKpiService from '../services/alarmKpiService.js';
 import asyncHandler from '../middlewares/asyncHandler.js';
 
 /**
@@ -18,6 +19,9 @@ const getAllAlarms = asyncHandler(async (req, res) => {
     deviceId: req.query.deviceId,
     severity: req.query.severity,
     status: req.query.status,
+    shelved: req.query.shelved,
+    grouped: req.query.grouped,
+    expand: req.query.expand,
     startDate: req.query.startDate,
     endDate: req.query.endDate,
   };
@@ -107,6 +111,123 @@ const resolveAlarm = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Shelve an alarm
+ * PUT /api/alarms/:id/shelve
+ */
+const shelveAlarm = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const alarm = await alarmService.shelveAlarm(id, userId, userRole, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: alarm,
+    message: 'Alarm shelved successfully',
+  });
+});
+
+/**
+ * Unshelve an alarm
+ * PUT /api/alarms/:id/unshelve
+ */
+const unshelveAlarm = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const alarm = await alarmService.unshelveAlarm(id, userId, userRole, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: alarm,
+    message: 'Alarm unshelved successfully',
+  });
+});
+
+/**
+ * Reopen a resolved alarm
+ * PUT /api/alarms/:id/reopen
+ */
+const reopenAlarm = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const alarm = await alarmService.reopenAlarm(id, userId, userRole, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: alarm,
+    message: 'Alarm reopened successfully',
+  });
+});
+
+/**
+ * Get the timeline of an alarm
+ * GET /api/alarms/:id/timeline
+ */
+const getAlarmTimeline = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const events = await alarmService.getAlarmTimeline(id, userId, userRole, { types: req.query.types });
+
+  res.status(200).json({
+    success: true,
+    data: events,
+    message: 'Alarm timeline retrieved successfully',
+  });
+});
+
+/**
+ * Get the comment threads of an alarm
+ * GET /api/alarms/:id/comments
+ */
+const getAlarmComments = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const comments = await alarmService.getAlarmComments(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: comments,
+    message: 'Alarm comments retrieved successfully',
+  });
+});
+
+/**
+ * Comment on an alarm
+ * POST /api/alarms/:id/comments
+ */
+const addAlarmComment = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const comment = await alarmService.addAlarmComment(id, userId, userRole, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: comment,
+    message: 'Comment added successfully',
+  });
+});
+
+/**
+ * Download a comment attachment
+ * GET /api/alarms/:id/comments/:commentId/attachments/:attachmentId
+ */
+const getCommentAttachment = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id, commentId, attachmentId } = req.params;
+
+  const attachment = await alarmService.getCommentAttachment(id, commentId, attachmentId, userId, userRole);
+
+  res.setHeader('Content-Type', attachment.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(attachment.fileName)}"`);
+  return res.send(Buffer.from(attachment.data));
+});
+
 /**
  * Get alarms for a specific plant
  * GET /api/plants/:plantId/alarms
@@ -118,6 +239,9 @@ const getPlantAlarms = asyncHandler(async (req, res) => {
   const filters = {
     severity: req.query.severity,
     status: req.query.status,
+    shelved: req.query.shelved,
+    grouped: req.query.grouped,
+    expand: req.query.expand,
     startDate: req.query.startDate,
     endDate: req.query.endDate,
   };
@@ -150,6 +274,9 @@ const getDeviceAlarms = asyncHandler(async (req, res) => {
   const filters = {
     severity: req.query.severity,
     status: req.query.status,
+    shelved: req.query.shelved,
+    grouped: req.query.grouped,
+    expand: req.query.expand,
     startDate: req.query.startDate,
     endDate: req.query.endDate,
   };
@@ -188,13 +315,44 @@ const getAlarmStatistics = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get alarm KPIs (MTTA, MTTR, floods, chattering, stale alarms, bad actors)
+ * GET /api/alarms/kpis
+ */
+const getAlarmKpis = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const filters = {
+    plantId: req.query.plantId,
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+    top: req.query.top,
+  };
+
+  const kpis = await alarmKpiService.getAlarmKpis(userId, userRole, filters);
+
+  res.status(200).json({
+    success: true,
+    data: kpis,
+    message: 'Alarm KPIs retrieved successfully',
+  });
+});
+
 export {
   getAllAlarms,
   getAlarmById,
   createAlarm,
   acknowledgeAlarm,
   resolveAlarm,
+  shelveAlarm,
+  unshelveAlarm,
+  reopenAlarm,
+  getAlarmTimeline,
+  getAlarmComments,
+  addAlarmComment,
+  getCommentAttachment,
   getPlantAlarms,
   getDeviceAlarms,
   getAlarmStatistics,
+  getAlarmKpis,
 };
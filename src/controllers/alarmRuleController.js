@@ -0,0 +1,148 @@
+/**
+ * Alarm Rule Controller
+ * Handles HTTP requests for alarm rule management
+ */
+
+import * as alarmRuleService from '../services/alarmRuleService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get all alarm rules with filters and pagination
+ * GET /api/alarms/rules
+ */
+const getAllAlarmRules = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const filters = {
+    plantId: req.query.plantId,
+    tagId: req.query.tagId,
+    templateTagId: req.query.templateTagId,
+    type: req.query.type,
+    isEnabled: req.query.isEnabled,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await alarmRuleService.getAllAlarmRules(userId, userRole, filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.rules,
+    pagination: result.pagination,
+    message: 'Alarm rules retrieved successfully',
+  });
+});
+
+/**
+ * Get alarm rule by ID
+ * GET /api/alarms/rules/:id
+ */
+const getAlarmRuleById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const rule = await alarmRuleService.getAlarmRuleById(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+    message: 'Alarm rule retrieved successfully',
+  });
+});
+
+/**
+ * Create a new alarm rule
+ * POST /api/alarms/rules
+ */
+const createAlarmRule = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const rule = await alarmRuleService.createAlarmRule(req.body, userId, userRole);
+
+  res.status(201).json({
+    success: true,
+    data: rule,
+    message: 'Alarm rule created successfully',
+  });
+});
+
+/**
+ * Update an alarm rule
+ * PUT /api/alarms/rules/:id
+ */
+const updateAlarmRule = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const rule = await alarmRuleService.updateAlarmRule(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+    message: 'Alarm rule updated successfully',
+  });
+});
+
+/**
+ * Dry run a draft alarm rule over historical data
+ * POST /api/alarms/rules/dry-run
+ */
+const dryRunAlarmRule = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { rule, ...options } = req.body;
+
+  const result = await alarmRuleService.dryRunAlarmRule(rule, options, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Alarm rule dry run completed',
+  });
+});
+
+/**
+ * Dry run a saved alarm rule over historical data
+ * POST /api/alarms/rules/:id/dry-run
+ */
+const dryRunAlarmRuleById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await alarmRuleService.dryRunAlarmRuleById(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Alarm rule dry run completed',
+  });
+});
+
+/**
+ * Delete an alarm rule
+ * DELETE /api/alarms/rules/:id
+ */
+const deleteAlarmRule = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await alarmRuleService.deleteAlarmRule(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+export {
+  getAllAlarmRules,
+  getAlarmRuleById,
+  createAlarmRule,
+  updateAlarmRule,
+  dryRunAlarmRule,
+  dryRunAlarmRuleById,
+  deleteAlarmRule,
+};
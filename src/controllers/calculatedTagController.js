@@ -0,0 +1,97 @@
+/**
+ * Calculated Tag Controller
+ * Handles HTTP requests for calculated and virtual tags
+ */
+
+import * as calculatedTagService from '../services/calculatedTagService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get calculated tags
+ * GET /api/calculated-tags
+ */
+const getCalculatedTags = asyncHandler(async (req, res) => {
+  const filters = {
+    plantId: req.query.plantId,
+    deviceId: req.query.deviceId,
+    calculationMode: req.query.calculationMode,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await calculatedTagService.getCalculatedTags(req.user.id, req.user.role, filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.tags,
+    pagination: result.pagination,
+    message: 'Calculated tags retrieved successfully',
+  });
+});
+
+/**
+ * Get calculated tag by ID
+ * GET /api/calculated-tags/:id
+ */
+const getCalculatedTagById = asyncHandler(async (req, res) => {
+  const tag = await calculatedTagService.getCalculatedTagById(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: tag,
+    message: 'Calculated tag retrieved successfully',
+  });
+});
+
+/**
+ * Create a calculated tag
+ * POST /api/calculated-tags
+ */
+const createCalculatedTag = asyncHandler(async (req, res) => {
+  const tag = await calculatedTagService.createCalculatedTag(req.body, req.user.id, req.user.role);
+
+  res.status(201).json({
+    success: true,
+    data: tag,
+    message: 'Calculated tag created successfully',
+  });
+});
+
+/**
+ * Update a calculated tag
+ * PUT /api/calculated-tags/:id
+ */
+const updateCalculatedTag = asyncHandler(async (req, res) => {
+  const tag = await calculatedTagService.updateCalculatedTag(req.params.id, req.body, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: tag,
+    message: 'Calculated tag updated successfully',
+  });
+});
+
+/**
+ * Delete a calculated tag
+ * DELETE /api/calculated-tags/:id
+ */
+const deleteCalculatedTag = asyncHandler(async (req, res) => {
+  const result = await calculatedTagService.deleteCalculatedTag(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+export {
+  getCalculatedTags,
+  getCalculatedTagById,
+  createCalculatedTag,
+  updateCalculatedTag,
+  deleteCalculatedTag,
+};
@@ -1,4 +1,5 @@
 import * as dataService from '../services/dataService.js';
+import * as energyService from '../services/energyService.js';
 import asyncHandler from '../middlewares/asyncHandler.js';
 
 /**
@@ -27,13 +28,13 @@ const getPlantRealtimeData = asyncHandler(async (req, res) => {
  */
 const getPlantHistoricalData = asyncHandler(async (req, res) => {
   const { plantId } = req.params;
-  const { startTime, endTime, tagIds, aggregation, interval } = req.query;
+  const { startTime, endTime, deviceIds, tagIds, aggregation, interval, minQuality, originalValues, fill } = req.query;
 
   const data = await dataService.getPlantHistoricalData(
     plantId,
     req.user.id,
     req.user.role,
-    { startTime, endTime, tagIds, aggregation, interval }
+    { startTime, endTime, deviceIds, tagIds, aggregation, interval, minQuality, originalValues, fill }
   );
 
   res.json({
@@ -68,13 +69,13 @@ const getDeviceRealtimeData = asyncHandler(async (req, res) => {
  */
 const getDeviceHistoricalData = asyncHandler(async (req, res) => {
   const { deviceId } = req.params;
-  const { startTime, endTime, tagIds, aggregation, interval } = req.query;
+  const { startTime, endTime, tagIds, aggregation, interval, minQuality, originalValues, fill } = req.query;
 
   const data = await dataService.getDeviceHistoricalData(
     deviceId,
     req.user.id,
     req.user.role,
-    { startTime, endTime, tagIds, aggregation, interval }
+    { startTime, endTime, tagIds, aggregation, interval, minQuality, originalValues, fill }
   );
 
   res.json({
@@ -90,13 +91,13 @@ const getDeviceHistoricalData = asyncHandler(async (req, res) => {
  */
 const getTagHistoricalData = asyncHandler(async (req, res) => {
   const { tagId } = req.params;
-  const { startTime, endTime, aggregation, interval } = req.query;
+  const { startTime, endTime, aggregation, interval, minQuality, originalValues, fill } = req.query;
 
   const data = await dataService.getTagHistoricalData(
     tagId,
     req.user.id,
     req.user.role,
-    { startTime, endTime, aggregation, interval }
+    { startTime, endTime, aggregation, interval, minQuality, originalValues, fill }
   );
 
   res.json({
@@ -124,6 +125,111 @@ const getPlantDataStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get the gaps in the data of a plant per tag
+ * @route   GET /api/data/plants/:plantId/gaps
+ * @access  Private
+ */
+const getPlantDataGaps = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+  const { startTime, endTime, deviceIds, tagIds } = req.query;
+
+  const data = await dataService.getPlantDataGaps(
+    plantId,
+    req.user.id,
+    req.user.role,
+    { startTime, endTime, deviceIds, tagIds }
+  );
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * @desc    Get the status of the late (backfilled) data of a plant
+ * @route   GET /api/data/plants/:plantId/backfill
+ * @access  Private
+ */
+const getPlantBackfillStatus = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+  const data = await dataService.getPlantBackfillStatus(plantId, req.user.id, req.user.role);
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * @desc    Rebuild the 5-minute, hourly and daily rollups of a plant
+ * @route   POST /api/data/plants/:plantId/rollups/rebuild
+ * @access  Private (Admin)
+ */
+const rebuildPlantRollups = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+  const { startTime, endTime } = req.body;
+
+  const result = await dataService.rebuildPlantRollups(
+    plantId,
+    req.user.id,
+    req.user.role,
+    { startTime, endTime }
+  );
+
+  res.status(202).json({
+    success: true,
+    data: result,
+    message: 'Rollup rebuild queued',
+  });
+});
+
+/**
+ * @desc    Get the energy of a plant per interval from its counter deltas
+ * @route   GET /api/data/plants/:plantId/energy
+ * @access  Private
+ */
+const getPlantEnergy = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+  const { startTime, endTime, interval, deviceIds, tagNames, includeSuspicious } = req.query;
+
+  const data = await energyService.getPlantEnergy(
+    plantId,
+    req.user.id,
+    req.user.role,
+    { startTime, endTime, interval, deviceIds, tagNames, includeSuspicious }
+  );
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * @desc    Recompute the counter deltas of a plant
+ * @route   POST /api/data/plants/:plantId/counters/rebuild
+ * @access  Private (Admin)
+ */
+const rebuildPlantCounterDeltas = asyncHandler(async (req, res) => {
+  const { plantId } = req.params;
+  const { startTime, endTime } = req.body;
+
+  const result = await energyService.rebuildPlantCounterDeltas(
+    plantId,
+    req.user.id,
+    req.user.role,
+    { startTime, endTime }
+  );
+
+  res.status(202).json({
+    success: true,
+    data: result,
+    message: 'Counter delta rebuild started',
+  });
+});
+
 export {
   getPlantRealtimeData,
   getPlantHistoricalData,
@@ -131,4 +237,9 @@ export {
   getDeviceHistoricalData,
   getTagHistoricalData,
   getPlantDataStats,
+  getPlantDataGaps,
+  getPlantBackfillStatus,
+  rebuildPlantRollups,
+  getPlantEnergy,
+  rebuildPlantCounterDeltas,
 };
@@ -0,0 +1,110 @@
+/**
+ * Data Correction Controller
+ * Handles manual data correction requests
+ */
+
+import * as dataCorrectionService from '../services/dataCorrectionService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get the corrections of a plant
+ * GET /api/data/corrections
+ */
+const getDataCorrections = asyncHandler(async (req, res) => {
+  const { plantId, status, action, tagId, startTime, endTime } = req.query;
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await dataCorrectionService.getDataCorrections(
+    plantId,
+    req.user.id,
+    req.user.role,
+    { status, action, tagId, startTime, endTime },
+    pagination
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result.corrections,
+    pagination: result.pagination,
+    message: 'Data corrections retrieved successfully',
+  });
+});
+
+/**
+ * Insert, override or invalidate a data point
+ * POST /api/data/corrections
+ */
+const createDataCorrection = asyncHandler(async (req, res) => {
+  const correction = await dataCorrectionService.createDataCorrection(req.body, req.user.id, req.user.role);
+  const applied = correction.status === 'APPLIED';
+
+  res.status(applied ? 201 : 202).json({
+    success: true,
+    data: correction,
+    message: applied ? 'Data correction applied' : 'Data correction waiting for approval',
+  });
+});
+
+/**
+ * Get a correction
+ * GET /api/data/corrections/:id
+ */
+const getDataCorrectionById = asyncHandler(async (req, res) => {
+  const correction = await dataCorrectionService.getDataCorrectionById(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: correction,
+    message: 'Data correction retrieved successfully',
+  });
+});
+
+/**
+ * Approve and apply a pending correction
+ * POST /api/data/corrections/:id/approve
+ */
+const approveDataCorrection = asyncHandler(async (req, res) => {
+  const correction = await dataCorrectionService.approveDataCorrection(
+    req.params.id,
+    req.user.id,
+    req.user.role,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    data: correction,
+    message: 'Data correction approved and applied',
+  });
+});
+
+/**
+ * Reject a pending correction
+ * POST /api/data/corrections/:id/reject
+ */
+const rejectDataCorrection = asyncHandler(async (req, res) => {
+  const correction = await dataCorrectionService.rejectDataCorrection(
+    req.params.id,
+    req.user.id,
+    req.user.role,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    data: correction,
+    message: 'Data correction rejected',
+  });
+});
+
+export {
+  getDataCorrections,
+  createDataCorrection,
+  getDataCorrectionById,
+  approveDataCorrection,
+  rejectDataCorrection,
+};
@@ -0,0 +1,207 @@
+/**
+ * Escalation Controller
+ * Handles HTTP requests for escalation policies and on-call rotations
+ */
+
+import * as escalationService from '../services/escalationService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get escalation policies
+ * GET /api/escalation/policies
+ */
+const getPolicies = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const policies = await escalationService.getPolicies(userId, userRole, { plantId: req.query.plantId });
+
+  res.status(200).json({
+    success: true,
+    data: policies,
+    message: 'Escalation policies retrieved successfully',
+  });
+});
+
+/**
+ * Get escalation policy by ID
+ * GET /api/escalation/policies/:id
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const policy = await escalationService.getPolicyById(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+    message: 'Escalation policy retrieved successfully',
+  });
+});
+
+/**
+ * Create an escalation policy
+ * POST /api/escalation/policies
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const policy = await escalationService.createPolicy(req.body, userId, userRole);
+
+  res.status(201).json({
+    success: true,
+    data: policy,
+    message: 'Escalation policy created successfully',
+  });
+});
+
+/**
+ * Update an escalation policy
+ * PUT /api/escalation/policies/:id
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const policy = await escalationService.updatePolicy(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+    message: 'Escalation policy updated successfully',
+  });
+});
+
+/**
+ * Delete an escalation policy
+ * DELETE /api/escalation/policies/:id
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await escalationService.deletePolicy(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Get on-call rotations
+ * GET /api/escalation/rotations
+ */
+const getRotations = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const rotations = await escalationService.getRotations(userId, userRole, { plantId: req.query.plantId });
+
+  res.status(200).json({
+    success: true,
+    data: rotations,
+    message: 'On-call rotations retrieved successfully',
+  });
+});
+
+/**
+ * Get on-call rotation by ID with upcoming shifts
+ * GET /api/escalation/rotations/:id
+ */
+const getRotationById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const rotation = await escalationService.getRotationById(id, userId, userRole, {
+    at: req.query.at,
+    shifts: req.query.shifts,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: rotation,
+    message: 'On-call rotation retrieved successfully',
+  });
+});
+
+/**
+ * Create an on-call rotation
+ * POST /api/escalation/rotations
+ */
+const createRotation = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const rotation = await escalationService.createRotation(req.body, userId, userRole);
+
+  res.status(201).json({
+    success: true,
+    data: rotation,
+    message: 'On-call rotation created successfully',
+  });
+});
+
+/**
+ * Update an on-call rotation
+ * PUT /api/escalation/rotations/:id
+ */
+const updateRotation = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const rotation = await escalationService.updateRotation(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: rotation,
+    message: 'On-call rotation updated successfully',
+  });
+});
+
+/**
+ * Delete an on-call rotation
+ * DELETE /api/escalation/rotations/:id
+ */
+const deleteRotation = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await escalationService.deleteRotation(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Get the escalations of an alarm
+ * GET /api/escalation/alarms/:alarmId
+ */
+const getAlarmEscalations = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { alarmId } = req.params;
+
+  const result = await escalationService.getAlarmEscalations(alarmId, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Alarm escalations retrieved successfully',
+  });
+});
+
+export {
+  getPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  getRotations,
+  getRotationById,
+  createRotation,
+  updateRotation,
+  deleteRotation,
+  getAlarmEscalations,
+};
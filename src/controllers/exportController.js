@@ -0,0 +1,93 @@
+/**
+ * Export Controller
+ * Handles HTTP requests for data exports
+ */
+
+import * as exportService from '../services/exportService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get exports
+ * GET /api/data/exports
+ */
+const getExports = asyncHandler(async (req, res) => {
+  const filters = {
+    plantId: req.query.plantId,
+    status: req.query.status,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await exportService.getExports(req.user.id, req.user.role, filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.exports,
+    pagination: result.pagination,
+    message: 'Exports retrieved successfully',
+  });
+});
+
+/**
+ * Request an export
+ * POST /api/data/exports
+ */
+const createExport = asyncHandler(async (req, res) => {
+  const dataExport = await exportService.createExport(req.body, req.user.id, req.user.role);
+
+  res.status(202).json({
+    success: true,
+    data: dataExport,
+    message: 'Export queued successfully',
+  });
+});
+
+/**
+ * Get export status and progress
+ * GET /api/data/exports/:id
+ */
+const getExportById = asyncHandler(async (req, res) => {
+  const dataExport = await exportService.getExportById(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: dataExport,
+    message: 'Export retrieved successfully',
+  });
+});
+
+/**
+ * Download the file of a completed export
+ * GET /api/data/exports/:id/download
+ */
+const downloadExport = asyncHandler(async (req, res) => {
+  const file = await exportService.getExportDownload(req.params.id, req.user.id, req.user.role);
+
+  res.setHeader('Content-Type', file.contentType);
+  res.download(file.filePath, file.fileName);
+});
+
+/**
+ * Delete an export
+ * DELETE /api/data/exports/:id
+ */
+const deleteExport = asyncHandler(async (req, res) => {
+  const result = await exportService.deleteExport(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+export {
+  getExports,
+  createExport,
+  getExportById,
+  downloadExport,
+  deleteExport,
+};
@@ -0,0 +1,54 @@
+/**
+ * Ingest Controller
+ * Handles HTTP data ingestion requests from gateways and ingestion key management
+ */
+
+import * as ingestService from '../services/ingestService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * @route   POST /api/ingest/:plantId
+ * @desc    Ingest a batch of device records from a gateway
+ * @access  Ingestion key (per plant)
+ */
+const ingestRecords = asyncHandler(async (req, res) => {
+  const result = await ingestService.ingestRecords(req.plant, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `${result.accepted} accepted, ${result.duplicates} duplicates, ${result.rejected} rejected`,
+  });
+});
+
+/**
+ * @route   POST /api/plants/:id/ingestion-key
+ * @desc    Generate or rotate the plant ingestion key (returned only once)
+ * @access  Private (Admin, Plant Manager)
+ */
+const createIngestionKey = asyncHandler(async (req, res) => {
+  const result = await ingestService.createIngestionKey(req.params.id, req.user.id, req.user.role);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: 'Ingestion key created successfully',
+  });
+});
+
+/**
+ * @route   DELETE /api/plants/:id/ingestion-key
+ * @desc    Revoke the plant ingestion key
+ * @access  Private (Admin, Plant Manager)
+ */
+const revokeIngestionKey = asyncHandler(async (req, res) => {
+  const result = await ingestService.revokeIngestionKey(req.params.id, req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Ingestion key revoked successfully',
+  });
+});
+
+export { ingestRecords, createIngestionKey, revokeIngestionKey };
@@ -0,0 +1,171 @@
+/**
+ * Notification Controller
+ * Handles HTTP requests for notification subscriptions and the delivery log
+ */
+
+import * as notificationService from '../services/notificationService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get notification subscriptions
+ * GET /api/notifications/subscriptions
+ */
+const getSubscriptions = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const filters = {
+    userId: req.query.userId,
+    plantId: req.query.plantId,
+    channel: req.query.channel,
+  };
+
+  const subscriptions = await notificationService.getSubscriptions(userId, userRole, filters);
+
+  res.status(200).json({
+    success: true,
+    data: subscriptions,
+    message: 'Notification subscriptions retrieved successfully',
+  });
+});
+
+/**
+ * Get notification subscription by ID
+ * GET /api/notifications/subscriptions/:id
+ */
+const getSubscriptionById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const subscription = await notificationService.getSubscriptionById(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: subscription,
+    message: 'Notification subscription retrieved successfully',
+  });
+});
+
+/**
+ * Create a notification subscription
+ * POST /api/notifications/subscriptions
+ */
+const createSubscription = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const subscription = await notificationService.createSubscription(req.body, userId, userRole);
+
+  res.status(201).json({
+    success: true,
+    data: subscription,
+    message: 'Notification subscription created successfully',
+  });
+});
+
+/**
+ * Update a notification subscription
+ * PUT /api/notifications/subscriptions/:id
+ */
+const updateSubscription = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const subscription = await notificationService.updateSubscription(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: subscription,
+    message: 'Notification subscription updated successfully',
+  });
+});
+
+/**
+ * Delete a notification subscription
+ * DELETE /api/notifications/subscriptions/:id
+ */
+const deleteSubscription = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await notificationService.deleteSubscription(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Send a test notification
+ * POST /api/notifications/subscriptions/:id/test
+ */
+const sendTestNotification = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await notificationService.sendTestNotification(id, userId, userRole);
+
+  res.status(202).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Get the notification delivery log
+ * GET /api/notifications/deliveries
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const filters = {
+    userId: req.query.userId,
+    subscriptionId: req.query.subscriptionId,
+    alarmId: req.query.alarmId,
+    channel: req.query.channel,
+    status: req.query.status,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await notificationService.getDeliveries(userId, userRole, filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.deliveries,
+    pagination: result.pagination,
+    message: 'Notification deliveries retrieved successfully',
+  });
+});
+
+/**
+ * Retry a failed delivery
+ * POST /api/notifications/deliveries/:id/retry
+ */
+const retryDelivery = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const delivery = await notificationService.retryDelivery(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: delivery,
+    message: 'Notification delivery queued for retry',
+  });
+});
+
+export {
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTestNotification,
+  getDeliveries,
+  retryDelivery,
+};
@@ -66,12 +66,13 @@ export const generatePlantPerformanceReport = asyncHandler(async (req, res) => {
  * @access Private (Authenticated users based on plant access)
  */
 export const generateDevicePerformanceReport = asyncHandler(async (req, res) => {
-  const { deviceId, startDate, endDate, format = 'json' } = req.body;
+  const { deviceId, startDate, endDate, minQuality, format = 'json' } = req.body;
 
   const options = {
     deviceId,
     startDate,
     endDate,
+    minQuality,
     userId: req.user.id,
     userRole: req.user.role,
   };
@@ -119,7 +120,7 @@ export const generateDevicePerformanceReport = asyncHandler(async (req, res) =>
  * @access Private (Authenticated users based on plant access)
  */
 export const generateAlarmReport = asyncHandler(async (req, res) => {
-  const { plantId, deviceId, severity, status, startDate, endDate, format = 'json' } = req.body;
+  const { plantId, deviceId, severity, status, startDate, endDate, includeTimeline, format = 'json' } = req.body;
 
   const options = {
     plantId,
@@ -128,6 +129,7 @@ export const generateAlarmReport = asyncHandler(async (req, res) => {
     status,
     startDate,
     endDate,
+    includeTimeline,
     userId: req.user.id,
     userRole: req.user.role,
   };
@@ -171,19 +173,76 @@ export const generateAlarmReport = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Generate Alarm KPI Report
+ * POST /api/reports/alarm-kpis
+ * @access Private (Authenticated users based on plant access)
+ */
+export const generateAlarmKpiReport = asyncHandler(async (req, res) => {
+  const { plantId, startDate, endDate, top, format = 'json' } = req.body;
+
+  const options = {
+    plantId,
+    startDate,
+    endDate,
+    top,
+    userId: req.user.id,
+    userRole: req.user.role,
+  };
+
+  // Generate PDF report
+  if (format === 'pdf') {
+    const pdfBuffer = await reportService.generateAlarmKpiReportPDF(options);
+
+    const filename = plantId
+      ? `alarm-kpis-plant-${plantId}-${startDate}-to-${endDate}.pdf`
+      : `alarm-kpis-${startDate}-to-${endDate}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    return res.send(pdfBuffer);
+  }
+
+  // Generate Excel report
+  if (format === 'excel') {
+    const excelBuffer = await reportService.generateAlarmKpiReportExcel(options);
+
+    const filename = plantId
+      ? `alarm-kpis-plant-${plantId}-${startDate}-to-${endDate}.xlsx`
+      : `alarm-kpis-${startDate}-to-${endDate}.xlsx`;
+
+    res.setHeader(
+      'Content-Type',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    );
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    return res.send(excelBuffer);
+  }
+
+  // Default: JSON format
+  const reportData = await reportService.getAlarmKpiReportData(options);
+
+  res.status(200).json({
+    success: true,
+    data: reportData,
+    message: 'Alarm KPI report generated successfully',
+  });
+});
+
 /**
  * Generate Energy Production Report
  * POST /api/reports/energy-production
  * @access Private (Authenticated users based on plant access)
  */
 export const generateEnergyProductionReport = asyncHandler(async (req, res) => {
-  const { plantId, deviceId, startDate, endDate, format = 'json' } = req.body;
+  const { plantId, deviceId, startDate, endDate, includeSuspicious, format = 'json' } = req.body;
 
   const options = {
     plantId,
     deviceId,
     startDate,
     endDate,
+    includeSuspicious,
     userId: req.user.id,
     userRole: req.user.role,
   };
@@ -0,0 +1,147 @@
+/**
+ * Retention Controller
+ * Handles HTTP requests for data retention policies
+ */
+
+import * as retentionService from '../services/retentionService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get retention policies
+ * GET /api/retention/policies
+ */
+const getPolicies = asyncHandler(async (req, res) => {
+  const policies = await retentionService.getPolicies({
+    plantId: req.query.plantId,
+    target: req.query.target,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: policies,
+    message: 'Retention policies retrieved successfully',
+  });
+});
+
+/**
+ * Get retention policy by ID
+ * GET /api/retention/policies/:id
+ */
+const getPolicyById = asyncHandler(async (req, res) => {
+  const policy = await retentionService.getPolicyById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+    message: 'Retention policy retrieved successfully',
+  });
+});
+
+/**
+ * Create a retention policy
+ * POST /api/retention/policies
+ */
+const createPolicy = asyncHandler(async (req, res) => {
+  const policy = await retentionService.createPolicy(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: policy,
+    message: 'Retention policy created successfully',
+  });
+});
+
+/**
+ * Update a retention policy
+ * PUT /api/retention/policies/:id
+ */
+const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await retentionService.updatePolicy(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+    message: 'Retention policy updated successfully',
+  });
+});
+
+/**
+ * Delete a retention policy
+ * DELETE /api/retention/policies/:id
+ */
+const deletePolicy = asyncHandler(async (req, res) => {
+  const result = await retentionService.deletePolicy(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Preview what a draft retention policy would remove
+ * POST /api/retention/policies/preview
+ */
+const previewPolicy = asyncHandler(async (req, res) => {
+  const preview = await retentionService.previewPolicy(req.body);
+
+  res.status(200).json({
+    success: true,
+    data: preview,
+    message: 'Retention preview generated successfully',
+  });
+});
+
+/**
+ * Preview what an existing retention policy would remove
+ * POST /api/retention/policies/:id/preview
+ */
+const previewPolicyById = asyncHandler(async (req, res) => {
+  const preview = await retentionService.previewPolicyById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: preview,
+    message: 'Retention preview generated successfully',
+  });
+});
+
+/**
+ * Get the log of what retention runs removed
+ * GET /api/retention/runs
+ */
+const getRetentionRuns = asyncHandler(async (req, res) => {
+  const filters = {
+    plantId: req.query.plantId,
+    policyId: req.query.policyId,
+    target: req.query.target,
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await retentionService.getRetentionRuns(filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.runs,
+    pagination: result.pagination,
+    message: 'Retention runs retrieved successfully',
+  });
+});
+
+export {
+  getPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicy,
+  previewPolicyById,
+  getRetentionRuns,
+};
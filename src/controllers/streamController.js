@@ -0,0 +1,60 @@
+/**
+ * Stream Controller
+ * Handles the Server-Sent Events feed of live data and alarms
+ */
+
+import asyncHandler from '../middlewares/asyncHandler.js';
+import * as authService from '../services/authService.js';
+import { BadRequestError } from '../utils/errors.js';
+import { checkPlantAccess, checkDeviceAccess } from '../services/dataService.js';
+import { getAccessiblePlantIds } from '../services/userPlantMapService.js';
+import { openEventStream } from '../modules/realtime/index.js';
+
+/**
+ * @route   GET /api/stream
+ * @desc    Open an SSE stream of data and alarm events (filters: plantId, deviceId, types, minSeverity)
+ * @access  Private
+ */
+const openStream = asyncHandler(async (req, res) => {
+  const { plantId, deviceId, types, minSeverity } = req.query;
+
+  // Resolve the plants this stream may see before any headers are sent
+  let plantIds;
+  if (deviceId) {
+    const device = await checkDeviceAccess(deviceId, req.user.id, req.user.role);
+    if (plantId && device.plantId !== plantId) {
+      throw new BadRequestError('Device does not belong to the specified plant');
+    }
+    plantIds = [device.plantId];
+  } else if (plantId) {
+    await checkPlantAccess(plantId, req.user.id, req.user.role);
+    plantIds = [plantId];
+  } else {
+    plantIds = await getAccessiblePlantIds(req.user.id, req.user.role);
+  }
+
+  openEventStream(req, res, {
+    plantIds,
+    deviceId,
+    types,
+    minSeverity,
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+  });
+});
+
+/**
+ * @route   POST /api/stream/ticket
+ * @desc    Issue a short-lived ticket for opening a stream with ?ticket= (EventSource)
+ * @access  Private
+ */
+const createStreamTicket = asyncHandler(async (req, res) => {
+  const result = authService.generateStreamTicket(req.user.id);
+
+  res.status(201).json({
+    success: true,
+    data: result,
+    message: 'Stream ticket created successfully',
+  });
+});
+
+export { openStream, createStreamTicket };
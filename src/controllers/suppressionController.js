@@ -0,0 +1,135 @@
+/**
+ * Suppression Controller
+ * Handles HTTP requests for alarm suppression windows
+ */
+
+import * as suppressionService from '../services/suppressionService.js';
+import asyncHandler from '../middlewares/asyncHandler.js';
+
+/**
+ * Get suppression windows
+ * GET /api/alarms/suppression/windows
+ */
+const getWindows = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const windows = await suppressionService.getWindows(userId, userRole, {
+    plantId: req.query.plantId,
+    deviceId: req.query.deviceId,
+    active: req.query.active,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: windows,
+    message: 'Suppression windows retrieved successfully',
+  });
+});
+
+/**
+ * Get suppression window by ID
+ * GET /api/alarms/suppression/windows/:id
+ */
+const getWindowById = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const window = await suppressionService.getWindowById(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: window,
+    message: 'Suppression window retrieved successfully',
+  });
+});
+
+/**
+ * Create a suppression window
+ * POST /api/alarms/suppression/windows
+ */
+const createWindow = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const window = await suppressionService.createWindow(req.body, userId, userRole);
+
+  res.status(201).json({
+    success: true,
+    data: window,
+    message: 'Suppression window created successfully',
+  });
+});
+
+/**
+ * Update a suppression window
+ * PUT /api/alarms/suppression/windows/:id
+ */
+const updateWindow = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const window = await suppressionService.updateWindow(id, req.body, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: window,
+    message: 'Suppression window updated successfully',
+  });
+});
+
+/**
+ * Delete a suppression window
+ * DELETE /api/alarms/suppression/windows/:id
+ */
+const deleteWindow = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+  const { id } = req.params;
+
+  const result = await suppressionService.deleteWindow(id, userId, userRole);
+
+  res.status(200).json({
+    success: true,
+    data: null,
+    message: result.message,
+  });
+});
+
+/**
+ * Get alarms held back by suppression windows
+ * GET /api/alarms/suppression/suppressed
+ */
+const getSuppressedAlarms = asyncHandler(async (req, res) => {
+  const { id: userId, role: userRole } = req.user;
+
+  const filters = {
+    plantId: req.query.plantId,
+    deviceId: req.query.deviceId,
+    windowId: req.query.windowId,
+    severity: req.query.severity,
+    open: req.query.open,
+    startDate: req.query.startDate,
+    endDate: req.query.endDate,
+  };
+
+  const pagination = {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await suppressionService.getSuppressedAlarms(userId, userRole, filters, pagination);
+
+  res.status(200).json({
+    success: true,
+    data: result.suppressed,
+    pagination: result.pagination,
+    message: 'Suppressed alarms retrieved successfully',
+  });
+});
+
+export {
+  getWindows,
+  getWindowById,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  getSuppressedAlarms,
+};
@@ -215,6 +215,20 @@ const deleteHierarchyRule = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/templates/:id/decoder/test
+ * @desc    Preview decoding of a sample payload with the template decoder
+ * @access  Private (ADMIN only)
+ */
+const testTemplateDecoder = asyncHandler(async (req, res) => {
+  const result = await templateService.testTemplateDecoder(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
+
 export {
   getAllTemplates,
   getTemplateById,
@@ -228,4 +242,5 @@ export {
   getHierarchyRules,
   createHierarchyRule,
   deleteHierarchyRule,
+  testTemplateDecoder,
 };
@@ -9,25 +9,29 @@ import config from '../config/index.js';
 import { prisma } from '../config/database.js';
 import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
 import asyncHandler from './asyncHandler.js';
+import { authenticateIngestionKey } from '../services/ingestService.js';
 
 /**
- * Verify JWT token and attach user to request
+ * Verify a JWT and load the active user it belongs to
+ * Shared by HTTP routes and the realtime (Socket.IO / SSE) channels.
+ * @param {string} token - JWT access token
+ * @param {string} [purpose] - Purpose of a single-purpose token (e.g. 'stream'); none for access tokens
+ * @returns {Promise<Object>} User { id, email, name, role, isActive }
  */
-const protect = asyncHandler(async (req, res, next) => {
-  // 1. Get token from header
-  let token;
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  }
-
+const authenticateToken = async (token, purpose = null) => {
   if (!token) {
     throw new UnauthorizedError('You are not logged in. Please log in to get access');
   }
 
-  // 2. Verify token
+  // Verify token
   const decoded = await promisify(jwt.verify)(token, config.jwt.secret);
 
-  // 3. Check if user still exists
+  // Stream tickets are not access tokens, and access tokens are not tickets
+  if ((decoded.purpose || null) !== purpose) {
+    throw new UnauthorizedError('Invalid token for this request');
+  }
+
+  // Check if user still exists
   const user = await prisma.user.findUnique({
     where: { id: decoded.id },
     select: {
@@ -43,16 +47,45 @@ const protect = asyncHandler(async (req, res, next) => {
     throw new UnauthorizedError('The user belonging to this token no longer exists');
   }
 
-  // 4. Check if user is active
+  // Check if user is active
   if (!user.isActive) {
     throw new UnauthorizedError('Your account has been deactivated. Please contact support');
   }
 
-  // 5. Grant access to protected route
+  return user;
+};
+
+/**
+ * Verify JWT token and attach user to request
+ */
+const protect = asyncHandler(async (req, res, next) => {
+  // 1. Get token from header
+  let token;
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  // 2. Verify token and check the user is still active
+  const user = await authenticateToken(token);
+
+  // 3. Grant access to protected route
   req.user = user;
   next();
 });
 
+/**
+ * Verify a stream ticket (?ticket=) or the JWT header and attach user to request
+ * EventSource cannot send headers; the ticket only opens event streams.
+ */
+const protectStream = asyncHandler(async (req, res, next) => {
+  if (typeof req.query.ticket === 'string') {
+    req.user = await authenticateToken(req.query.ticket, 'stream');
+    return next();
+  }
+
+  return protect(req, res, next);
+});
+
 /**
  * Restrict access to specific roles
  * @param {...string} roles - Allowed roles
@@ -101,4 +134,19 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
-export { protect, restrictTo, optionalAuth };
+/**
+ * Verify a plant ingestion key and attach the plant to request
+ * Used by gateways instead of a user JWT. The key is sent as `X-Ingestion-Key`
+ * or `Authorization: Bearer <key>`.
+ */
+const protectIngestion = asyncHandler(async (req, res, next) => {
+  let key = req.headers['x-ingestion-key'];
+  if (!key && req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    key = req.headers.authorization.split(' ')[1];
+  }
+
+  req.plant = await authenticateIngestionKey(req.params.plantId, key);
+  next();
+});
+
+export { authenticateToken, protect, protectStream, restrictTo, optionalAuth, protectIngestion };
@@ -0,0 +1,80 @@
+/**
+ * Alarm Engine Module
+ * Main entry point for alarms raised automatically from ingested data
+ *
+ * The raw data processor hands every written message to the engine, which checks
+ * monitored tags against their min/max limits and configured alarm rules, opens at
+ * most one alarm per device and condition, and auto-resolves it once the condition
+ * clears. EXPRESSION rules combine tags across the device hierarchy, and rules can
+ * be replayed over historical data. Alarms of devices below a device with an open
+ * alarm are grouped under that root-cause alarm. Suppression windows hold back
+ * selected alarm classes during maintenance or night-time, and shelved alarms are
+ * hidden for a limited time. A scheduler handles stale-value rules, elapsed on/off
+ * delays, ended suppression windows and expired shelving.
+ *
+ * @module alarm-engine
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startRuleScheduler, stopRuleScheduler } from './services/ruleScheduler.js';
+
+// Condition handling and limit evaluation of ingested values
+export {
+  applyConditions,
+  applyDeviceConditions,
+  releaseSuppressedAlarms,
+  buildLimitConditions,
+  evaluateIngestedValues,
+} from './services/alarmEngine.js';
+
+export { evaluateLimits, hasLimits } from './services/limitEvaluator.js';
+export { getSystemUserId } from './services/systemUser.js';
+
+// Alarm rules
+export { getPlantRules, invalidateRuleCache, evaluateRulePoints } from './services/ruleEngine.js';
+export { RULE_LABELS, isLimitRule, evaluateRuleCondition } from './services/ruleEvaluator.js';
+export {
+  checkStaleRules,
+  processPendingRuleStates,
+  resolveRuleAlarms,
+} from './services/ruleScheduler.js';
+export {
+  getExpressionTargets,
+  fetchLatestValues,
+  evaluateExpressionRules,
+} from './services/expressionRules.js';
+export { replayAlarmRule } from './services/ruleReplay.js';
+
+// Suppression windows and shelving
+export {
+  getPlantSuppressionWindows,
+  invalidateSuppressionCache,
+  isWindowActive,
+  findSuppressingWindow,
+} from './services/suppression.js';
+export { unshelveAlarm, unshelveExpiredAlarms } from './services/shelving.js';
+
+// Root-cause grouping
+export { findRootCauseAlarm, recordGroupedAlarm } from './services/alarmGrouping.js';
+
+/**
+ * Start the background jobs of the alarm engine
+ */
+const startAlarmEngine = () => {
+  if (!config.alarmEngine.enabled) {
+    logger.info('Alarm engine disabled (ALARM_ENGINE_ENABLED=false)');
+    return;
+  }
+
+  startRuleScheduler();
+};
+
+/**
+ * Stop the background jobs of the alarm engine
+ */
+const stopAlarmEngine = async () => {
+  await stopRuleScheduler();
+};
+
+export { startAlarmEngine, stopAlarmEngine };
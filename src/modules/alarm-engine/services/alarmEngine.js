@@ -0,0 +1,457 @@
+/**
+ * Alarm Engine
+ * Opens and auto-resolves alarms from conditions evaluated on ingested data
+ *
+ * Evaluators (tag limits, alarm rules) turn values into conditions:
+ *   { sourceKey, tagId, active, timestamp, alarm: { severity, message, value, threshold, metadata } }
+ * The engine keeps at most one ACTIVE/ACKNOWLEDGED alarm per device and sourceKey:
+ * a condition that becomes active opens an alarm, one that clears resolves it.
+ * Inside a suppression window the condition is recorded as a suppressed alarm instead;
+ * if the window ends while it is still active, the alarm is raised then. Alarms raised
+ * while an ancestor device has an open alarm are grouped under it as consequential.
+ * Raising, resolving and value changes of open alarms are recorded as alarm events.
+ * In historical mode (backfilled data) alarms are recorded without publishing events, so
+ * nobody is notified and nothing escalates; suppressed conditions are skipped.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { recordAlarmEvent } from '../../../services/alarmTimelineService.js';
+// Event bus imported directly: the realtime index pulls in the socket server and HTTP auth
+import { publishAlarmEvent } from '../../realtime/services/eventBus.js';
+import { evaluateLimits, hasLimits } from './limitEvaluator.js';
+import { getSystemUserId } from './systemUser.js';
+import { getPlantRules, evaluateRulePoints } from './ruleEngine.js';
+import { evaluateExpressionRules } from './expressionRules.js';
+import { getPlantSuppressionWindows, findSuppressingWindow } from './suppression.js';
+import { findRootCauseAlarm, recordGroupedAlarm } from './alarmGrouping.js';
+
+// Namespace for pg_advisory_xact_lock so engine locks do not collide with other advisory locks
+const ALARM_LOCK_NAMESPACE = 8001;
+
+const OPEN_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+// Suppressed alarms whose condition is still active
+const OPEN_SUPPRESSION = { clearedAt: null, releasedAt: null };
+
+// Last recorded value update per open alarm: alarmId -> { at, value }
+const valueUpdates = new Map();
+const MAX_TRACKED_VALUE_UPDATES = 10000;
+
+/**
+ * Serialize alarm changes for one device condition across workers
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} deviceId - Device database ID
+ * @param {string} sourceKey - Condition key
+ */
+const lockCondition = (tx, deviceId, sourceKey) =>
+  tx.$executeRaw`SELECT pg_advisory_xact_lock(${ALARM_LOCK_NAMESPACE}::int, hashtext(${`${deviceId}:${sourceKey}`}))`;
+
+/**
+ * Open an alarm for a condition unless one is already open
+ * @returns {Promise<Object|null>} Created alarm or null if one was already open
+ */
+const openConditionAlarm = async ({ plantId, deviceId, condition, historical = false }) => {
+  const createdBy = await getSystemUserId();
+  const parentAlarmId = await findRootCauseAlarm(deviceId);
+
+  const alarm = await prisma.$transaction(async (tx) => {
+    await lockCondition(tx, deviceId, condition.sourceKey);
+
+    const existing = await tx.alarm.findFirst({
+      where: { deviceId, sourceKey: condition.sourceKey, status: { in: OPEN_STATUSES } },
+      select: { id: true },
+    });
+    if (existing) return null;
+
+    const created = await tx.alarm.create({
+      data: {
+        plantId,
+        deviceId,
+        tagId: condition.tagId || null,
+        severity: condition.alarm.severity,
+        message: condition.alarm.message,
+        description: condition.alarm.description || null,
+        value: condition.alarm.value ?? null,
+        threshold: condition.alarm.threshold ?? null,
+        triggeredAt: condition.timestamp,
+        metadata: historical
+          ? { ...condition.alarm.metadata, historical: true }
+          : condition.alarm.metadata || undefined,
+        sourceKey: condition.sourceKey,
+        parentAlarmId,
+        createdBy,
+        status: 'ACTIVE',
+      },
+    });
+
+    await recordAlarmEvent(
+      created.id,
+      'RAISED',
+      {
+        details: {
+          value: created.value,
+          threshold: created.threshold,
+          sourceKey: created.sourceKey,
+          suppressedAt: condition.alarm.metadata?.suppressedAt,
+          historical: historical || undefined,
+        },
+        at: created.triggeredAt,
+      },
+      tx
+    );
+
+    return created;
+  });
+
+  if (alarm && alarm.value !== null) {
+    valueUpdates.set(alarm.id, { at: alarm.triggeredAt, value: alarm.value });
+  }
+
+  if (alarm?.parentAlarmId) {
+    await recordGroupedAlarm(alarm);
+  }
+
+  return alarm;
+};
+
+/**
+ * Resolve the open alarm of a condition
+ * @returns {Promise<Object|null>} Resolved alarm or null if none was open
+ */
+const resolveConditionAlarm = async ({ deviceId, condition }) =>
+  prisma.$transaction(async (tx) => {
+    await lockCondition(tx, deviceId, condition.sourceKey);
+
+    const alarm = await tx.alarm.findFirst({
+      where: { deviceId, sourceKey: condition.sourceKey, status: { in: OPEN_STATUSES } },
+    });
+
+    // Values older than the alarm itself (late data) must not clear it
+    if (!alarm || condition.timestamp < alarm.triggeredAt) return null;
+
+    const resolved = await tx.alarm.update({
+      where: { id: alarm.id },
+      data: {
+        status: 'RESOLVED',
+        resolvedAt: condition.timestamp,
+        metadata: {
+          ...(alarm.metadata || {}),
+          autoResolved: true,
+          resolvedValue: condition.alarm?.value ?? null,
+        },
+      },
+    });
+
+    await recordAlarmEvent(
+      alarm.id,
+      'RESOLVED',
+      { details: { value: condition.alarm?.value ?? null, autoResolved: true }, at: condition.timestamp },
+      tx
+    );
+    valueUpdates.delete(alarm.id);
+
+    return resolved;
+  });
+
+/**
+ * Record the current value of a condition whose alarm is still open
+ * At most one event per alarm every valueUpdateIntervalMs, and only when the value changed.
+ * @param {number} alarmId - Open alarm ID
+ * @param {Object} condition - Active condition
+ * @returns {Promise<boolean>} Whether an event was recorded
+ */
+const recordValueUpdate = async (alarmId, condition) => {
+  const value = condition.alarm?.value ?? null;
+  const at = condition.timestamp;
+  const last = valueUpdates.get(alarmId);
+
+  if (value === null || (last && (last.value === value || at - last.at < config.alarmEngine.valueUpdateIntervalMs))) {
+    return false;
+  }
+
+  if (valueUpdates.size >= MAX_TRACKED_VALUE_UPDATES) valueUpdates.clear();
+  valueUpdates.set(alarmId, { at, value });
+
+  // Alarms opened before a restart have no baseline yet
+  if (!last) return false;
+
+  await recordAlarmEvent(alarmId, 'VALUE_UPDATE', { details: { value, previousValue: last.value }, at });
+  return true;
+};
+
+/**
+ * Record a condition held back by a suppression window unless one is already recorded
+ * @returns {Promise<Object|null>} Suppressed alarm or null if one was already open
+ */
+const suppressCondition = async ({ plantId, deviceId, condition, window }) =>
+  prisma.$transaction(async (tx) => {
+    await lockCondition(tx, deviceId, condition.sourceKey);
+
+    const existing = await tx.suppressedAlarm.findFirst({
+      where: { deviceId, sourceKey: condition.sourceKey, ...OPEN_SUPPRESSION },
+      select: { id: true },
+    });
+    if (existing) return null;
+
+    return tx.suppressedAlarm.create({
+      data: {
+        windowId: window.id,
+        plantId,
+        deviceId,
+        tagId: condition.tagId || null,
+        sourceKey: condition.sourceKey,
+        severity: condition.alarm.severity,
+        message: condition.alarm.message,
+        value: condition.alarm.value ?? null,
+        threshold: condition.alarm.threshold ?? null,
+        metadata: condition.alarm.metadata || undefined,
+        suppressedAt: condition.timestamp,
+      },
+    });
+  });
+
+/**
+ * Close the open suppressed alarm of a condition
+ * @param {Object} data - { clearedAt } when the condition cleared, { releasedAt, alarmId } when it was raised
+ */
+const closeSuppressedCondition = ({ deviceId, condition }, data) =>
+  prisma.suppressedAlarm.updateMany({
+    where: {
+      deviceId,
+      sourceKey: condition.sourceKey,
+      ...OPEN_SUPPRESSION,
+      suppressedAt: { lte: condition.timestamp },
+    },
+    data,
+  });
+
+/**
+ * Apply evaluated conditions of one device
+ * Only conditions whose state differs from the open (or suppressed) alarms cause writes.
+ * @param {Object} context - { plantId, deviceId }
+ * @param {Array<Object>} conditions - Evaluated conditions
+ * @param {Object} [options] - { historical } (record alarms without events)
+ * @returns {Promise<Object>} { opened, resolved, suppressed } alarms
+ */
+const applyConditions = async ({ plantId, deviceId }, conditions, { historical = false } = {}) => {
+  const result = { opened: [], resolved: [], suppressed: [] };
+  if (conditions.length === 0) return result;
+
+  const sourceKeys = conditions.map((condition) => condition.sourceKey);
+  const [openAlarms, openSuppressed, windows] = await Promise.all([
+    prisma.alarm.findMany({
+      where: { deviceId, sourceKey: { in: sourceKeys }, status: { in: OPEN_STATUSES } },
+      select: { id: true, sourceKey: true },
+    }),
+    prisma.suppressedAlarm.findMany({
+      where: { deviceId, sourceKey: { in: sourceKeys }, ...OPEN_SUPPRESSION },
+      select: { sourceKey: true },
+    }),
+    getPlantSuppressionWindows(plantId),
+  ]);
+  const openKeys = new Map(openAlarms.map((alarm) => [alarm.sourceKey, alarm.id]));
+  const suppressedKeys = new Set(openSuppressed.map((suppressed) => suppressed.sourceKey));
+
+  for (const condition of conditions) {
+    if (condition.active && openKeys.has(condition.sourceKey)) {
+      await recordValueUpdate(openKeys.get(condition.sourceKey), condition);
+    } else if (condition.active) {
+      const window = findSuppressingWindow(windows, { deviceId, condition });
+      // Releasing a suppressed condition later would notify about old data
+      if (window && historical) continue;
+      if (window) {
+        if (!suppressedKeys.has(condition.sourceKey)) {
+          const suppressed = await suppressCondition({ plantId, deviceId, condition, window });
+          if (suppressed) result.suppressed.push(suppressed);
+        }
+        continue;
+      }
+
+      const alarm = await openConditionAlarm({ plantId, deviceId, condition, historical });
+      if (alarm) {
+        result.opened.push(alarm);
+        if (!historical) publishAlarmEvent('created', alarm);
+      }
+      if (suppressedKeys.has(condition.sourceKey)) {
+        await closeSuppressedCondition(
+          { deviceId, condition },
+          { releasedAt: condition.timestamp, alarmId: alarm?.id ?? null }
+        );
+      }
+    } else if (!condition.active) {
+      if (openKeys.has(condition.sourceKey)) {
+        const alarm = await resolveConditionAlarm({ deviceId, condition });
+        if (alarm) {
+          result.resolved.push(alarm);
+          if (!historical) publishAlarmEvent('resolved', alarm);
+        }
+      }
+      if (suppressedKeys.has(condition.sourceKey)) {
+        await closeSuppressedCondition({ deviceId, condition }, { clearedAt: condition.timestamp });
+      }
+    }
+  }
+
+  if (result.opened.length > 0 || result.resolved.length > 0 || result.suppressed.length > 0) {
+    logger.info('Alarm engine updated alarms', {
+      deviceId,
+      historical,
+      opened: result.opened.map((alarm) => alarm.id),
+      resolved: result.resolved.map((alarm) => alarm.id),
+      suppressed: result.suppressed.map((suppressed) => suppressed.sourceKey),
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Apply conditions that may belong to several devices
+ * @param {Array<Object>} entries - { device: { id, plantId }, condition }
+ * @param {Object} [options] - { historical } (record alarms without events)
+ * @returns {Promise<Object>} { opened, resolved, suppressed } alarms
+ */
+const applyDeviceConditions = async (entries, options = {}) => {
+  const byDevice = new Map();
+  entries.forEach(({ device, condition }) => {
+    if (!byDevice.has(device.id)) byDevice.set(device.id, { device, conditions: [] });
+    byDevice.get(device.id).conditions.push(condition);
+  });
+
+  const result = { opened: [], resolved: [], suppressed: [] };
+  for (const { device, conditions } of byDevice.values()) {
+    const { opened, resolved, suppressed } = await applyConditions(
+      { plantId: device.plantId, deviceId: device.id },
+      conditions,
+      options
+    );
+    result.opened.push(...opened);
+    result.resolved.push(...resolved);
+    result.suppressed.push(...suppressed);
+  }
+  return result;
+};
+
+/**
+ * Raise the alarms of suppressed conditions whose window has ended
+ * Conditions still covered by another active window move to that window.
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Number of alarms opened
+ */
+const releaseSuppressedAlarms = async (now = new Date()) => {
+  const records = await prisma.suppressedAlarm.findMany({
+    where: OPEN_SUPPRESSION,
+    orderBy: { suppressedAt: 'asc' },
+  });
+
+  let opened = 0;
+  for (const record of records) {
+    const condition = {
+      sourceKey: record.sourceKey,
+      tagId: record.tagId,
+      active: true,
+      timestamp: now,
+      alarm: {
+        severity: record.severity,
+        message: record.message,
+        value: record.value,
+        threshold: record.threshold,
+        metadata: { ...(record.metadata || {}), suppressedAt: record.suppressedAt.toISOString() },
+      },
+    };
+
+    const windows = await getPlantSuppressionWindows(record.plantId);
+    const window = findSuppressingWindow(windows, { deviceId: record.deviceId, condition });
+    if (window) {
+      if (window.id !== record.windowId) {
+        await prisma.suppressedAlarm.update({ where: { id: record.id }, data: { windowId: window.id } });
+      }
+      continue;
+    }
+
+    const alarm = await openConditionAlarm({ plantId: record.plantId, deviceId: record.deviceId, condition });
+    await prisma.suppressedAlarm.updateMany({
+      where: { id: record.id, ...OPEN_SUPPRESSION },
+      data: { releasedAt: now, alarmId: alarm?.id ?? null },
+    });
+
+    if (alarm) {
+      opened++;
+      publishAlarmEvent('created', alarm);
+      logger.info('Alarm raised after suppression window ended', { alarmId: alarm.id, suppressedAlarmId: record.id });
+    }
+  }
+
+  return opened;
+};
+
+/**
+ * Build limit conditions for the values written for a device
+ * @param {Object} device - Device with tags (minValue, maxValue, isMonitored, alarmSeverity)
+ * @param {Array<Object>} points - Written points { tagId, timestamp, value }
+ * @returns {Array<Object>} Conditions
+ */
+const buildLimitConditions = (device, points) => {
+  const tagsById = new Map(device.tags.map((tag) => [tag.id, tag]));
+  const label = device.deviceId || device.name;
+
+  return points
+    .map((point) => {
+      const tag = tagsById.get(point.tagId);
+      if (!tag || !tag.isMonitored || !hasLimits(tag)) return null;
+
+      const { breached, limit, threshold } = evaluateLimits(point.value, tag);
+      const unit = tag.unit ? ` ${tag.unit}` : '';
+
+      return {
+        sourceKey: `limit:${tag.id}`,
+        tagId: tag.id,
+        active: breached,
+        timestamp: point.timestamp,
+        alarm: {
+          severity: tag.alarmSeverity,
+          message: breached
+            ? `${label} ${tag.name} ${limit === 'HIGH' ? 'above maximum' : 'below minimum'} limit ` +
+              `(${point.value}${unit} ${limit === 'HIGH' ? '>' : '<'} ${threshold}${unit})`
+            : null,
+          value: point.value,
+          threshold,
+          metadata: breached ? { source: 'limit', limit, unit: tag.unit || null } : null,
+        },
+      };
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Evaluate alarm rules and tag limits for the values of one ingested message
+ * A limit rule (HIGH/LOW/HIGH_HIGH/LOW_LOW) on a tag replaces its plain min/max check.
+ * Expression rules may raise alarms on other devices that reference these values.
+ * @param {Object} context - { plant, device, points, historical } (historical: backfilled values, no alarm events)
+ * @returns {Promise<Object>} { opened, resolved } alarms
+ */
+const evaluateIngestedValues = async ({ plant, device, points, historical = false }) => {
+  const rules = await getPlantRules(plant.id);
+  const { conditions, coveredTagIds } = await evaluateRulePoints({ device, points, rules });
+  const expressionEntries = await evaluateExpressionRules({ plant, device, points, rules });
+
+  const limitConditions = buildLimitConditions(
+    device,
+    points.filter((point) => !coveredTagIds.has(point.tagId))
+  );
+
+  return applyDeviceConditions(
+    [...[...limitConditions, ...conditions].map((condition) => ({ device, condition })), ...expressionEntries],
+    { historical }
+  );
+};
+
+export {
+  applyConditions,
+  applyDeviceConditions,
+  releaseSuppressedAlarms,
+  buildLimitConditions,
+  evaluateIngestedValues,
+};
@@ -0,0 +1,56 @@
+/**
+ * Alarm Grouping
+ * Groups the alarms of child devices under the open alarm of an ancestor device
+ *
+ * When a transformer trips, every inverter below it raises its own alarm. An alarm
+ * raised while an ancestor in the parentDeviceId tree has an open alarm becomes a
+ * consequential alarm of that root-cause alarm: alarm lists show the root only, and
+ * resolving the root can resolve the whole group. Groups are one level deep.
+ */
+
+import { prisma } from '../../../config/database.js';
+import { getAncestors } from '../../../services/hierarchyService.js';
+import { recordAlarmEvent } from '../../../services/alarmTimelineService.js';
+
+const OPEN_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+/**
+ * Find the root-cause alarm a new alarm of a device belongs to
+ * The open alarm of the top-most ancestor wins (oldest first on the same device).
+ * @param {number} deviceId - Device database ID
+ * @returns {Promise<number|null>} Root alarm ID or null
+ */
+const findRootCauseAlarm = async (deviceId) => {
+  if (!deviceId) return null;
+
+  const ancestors = await getAncestors(deviceId);
+  if (ancestors.length === 0) return null;
+
+  const alarms = await prisma.alarm.findMany({
+    where: { deviceId: { in: ancestors.map((ancestor) => ancestor.id) }, status: { in: OPEN_STATUSES } },
+    select: { id: true, deviceId: true, parentAlarmId: true },
+    orderBy: { triggeredAt: 'asc' },
+  });
+  if (alarms.length === 0) return null;
+
+  const depth = new Map(ancestors.map((ancestor, index) => [ancestor.id, index]));
+  const root = alarms.reduce((best, alarm) => (depth.get(alarm.deviceId) > depth.get(best.deviceId) ? alarm : best));
+
+  return root.parentAlarmId ?? root.id;
+};
+
+/**
+ * Record a new consequential alarm in the timeline of its root-cause alarm
+ * @param {Object} alarm - Consequential alarm (id, parentAlarmId, deviceId)
+ */
+const recordGroupedAlarm = (alarm) =>
+  recordAlarmEvent(alarm.parentAlarmId, 'GROUPED', {
+    details: {
+      alarmId: alarm.id,
+      deviceId: alarm.deviceId,
+      severity: alarm.severity,
+      message: alarm.message,
+    },
+  });
+
+export { findRootCauseAlarm, recordGroupedAlarm };
@@ -0,0 +1,232 @@
+/**
+ * Expression Rules
+ * Evaluates EXPRESSION alarm rules that combine tags of several devices
+ *
+ * A rule is evaluated for its target devices (deviceId, or every device of templateId
+ * in the plant) whenever one of the tags it references receives a value. References
+ * use the latest value of each tag no older than config.alarmEngine.expressionMaxAgeMs;
+ * a rule over a missing value is left unchanged. Alarms list every contributing tag
+ * in metadata.contributingTags.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { compileExpression, evaluateCondition, ExpressionError } from '../../../utils/expressionEvaluator.js';
+// Ingestion services imported directly: the ingestion index loads the raw data processor, which loads this module
+import { getPlantDevices } from '../../ingestion/services/topicResolver.js';
+import { bindExpression, createBindingResolver, getBindingRefs } from '../../ingestion/services/tagReferences.js';
+import { stepRuleState } from './ruleEngine.js';
+
+// Compiled expressions per rule: ruleId -> { source, compiled }
+const compiledRules = new Map();
+
+/**
+ * Compile the expression of a rule (cached until the expression changes)
+ * @param {Object} rule - EXPRESSION alarm rule
+ * @returns {Object} Compiled expression
+ */
+const getCompiledExpression = (rule) => {
+  const cached = compiledRules.get(rule.id);
+  if (cached && cached.source === rule.expression) return cached.compiled;
+
+  const compiled = compileExpression(rule.expression);
+  compiledRules.set(rule.id, { source: rule.expression, compiled });
+  return compiled;
+};
+
+/**
+ * Get the devices an expression rule is evaluated for
+ * @param {Object} rule - EXPRESSION alarm rule (deviceId or templateId)
+ * @param {Array<Object>} devices - Devices of the rule's plant
+ * @returns {Array<Object>} Target devices
+ */
+const getExpressionTargets = (rule, devices) =>
+  devices.filter((device) => (rule.deviceId ? device.id === rule.deviceId : device.templateId === rule.templateId));
+
+/**
+ * Get the latest value of each tag at a point in time
+ * @param {Array<number>} tagIds - Tag IDs
+ * @param {Date} at - Evaluation time
+ * @param {number} maxAgeMs - Older values count as missing
+ * @returns {Promise<Map<number, Object>>} tagId -> { value, timestamp }
+ */
+const fetchLatestValues = async (tagIds, at, maxAgeMs = config.alarmEngine.expressionMaxAgeMs) => {
+  if (tagIds.length === 0) return new Map();
+
+  const rows = await prisma.$queryRaw`
+    SELECT DISTINCT ON ("tagId") "tagId", "timestamp", "value"
+    FROM processed_data
+    WHERE "tagId" IN (${Prisma.join(tagIds)})
+      AND "timestamp" <= ${at}
+      AND "timestamp" >= ${new Date(at.getTime() - maxAgeMs)}
+    ORDER BY "tagId", "timestamp" DESC
+  `;
+
+  return new Map(rows.map((row) => [row.tagId, { value: row.value, timestamp: row.timestamp }]));
+};
+
+/**
+ * Snapshot the contributing tags of a binding
+ * @param {Map<string, Object>} binding - Result of bindExpression()
+ * @param {Map<number, Object>} values - tagId -> { value, timestamp }
+ * @returns {Array<Object>} { deviceId, deviceCode, tagId, tagName, unit, value, timestamp }
+ */
+const getContributingTags = (binding, values) =>
+  getBindingRefs(binding).map((ref) => ({
+    ...ref,
+    value: values.get(ref.tagId)?.value ?? null,
+    timestamp: values.get(ref.tagId)?.timestamp ?? null,
+  }));
+
+/**
+ * Build the alarm engine condition of an expression rule
+ * @param {Object} rule - EXPRESSION alarm rule
+ * @param {Object} context - { device, active, timestamp, contributingTags }
+ * @returns {Object} Condition
+ */
+const buildExpressionCondition = (rule, { device, active, timestamp, contributingTags }) => ({
+  sourceKey: `rule:${rule.id}`,
+  tagId: null,
+  active,
+  timestamp,
+  alarm: {
+    severity: rule.severity,
+    message: active ? `${rule.name}: ${device.deviceId || device.name} (${rule.expression})` : null,
+    description: rule.description,
+    value: null,
+    threshold: null,
+    metadata: active
+      ? {
+          source: 'rule',
+          ruleId: rule.id,
+          ruleName: rule.name,
+          ruleType: rule.type,
+          expression: rule.expression,
+          contributingTags: contributingTags || [],
+        }
+      : null,
+  },
+});
+
+/**
+ * Evaluate expression rules affected by the values of one ingested message
+ * @param {Object} context - { plant, points, rules }
+ * @returns {Promise<Array<Object>>} Due conditions { device, condition } of the target devices
+ */
+const evaluateExpressionRules = async ({ plant, points, rules }) => {
+  const expressionRules = rules.filter((rule) => rule.type === 'EXPRESSION');
+  if (expressionRules.length === 0 || points.length === 0) return [];
+
+  const devices = await getPlantDevices(plant.id);
+  const changedTagIds = new Set(points.map((point) => point.tagId));
+  const timestamp = points[0].timestamp;
+  const work = [];
+
+  expressionRules.forEach((rule) => {
+    let compiled;
+    try {
+      compiled = getCompiledExpression(rule);
+    } catch (error) {
+      logger.warn('Alarm rule expression is invalid', { ruleId: rule.id, error: error.message });
+      return;
+    }
+
+    getExpressionTargets(rule, devices).forEach((target) => {
+      let binding;
+      try {
+        binding = bindExpression(compiled, target, devices);
+      } catch (error) {
+        logger.warn('Alarm rule references cannot be resolved', {
+          ruleId: rule.id,
+          deviceId: target.deviceId,
+          error: error.message,
+        });
+        return;
+      }
+
+      if (getBindingRefs(binding).some((ref) => changedTagIds.has(ref.tagId))) {
+        work.push({ rule, compiled, target, binding });
+      }
+    });
+  });
+
+  if (work.length === 0) return [];
+
+  const tagIds = [...new Set(work.flatMap(({ binding }) => getBindingRefs(binding).map((ref) => ref.tagId)))];
+  const [values, states] = await Promise.all([
+    fetchLatestValues(tagIds, timestamp),
+    prisma.alarmRuleState.findMany({
+      where: { OR: work.map(({ rule, target }) => ({ ruleId: rule.id, deviceId: target.id })) },
+    }),
+  ]);
+  const stateByKey = new Map(states.map((state) => [`${state.ruleId}:${state.deviceId}`, state]));
+
+  const entries = [];
+  const writes = [];
+
+  work.forEach(({ rule, compiled, target, binding }) => {
+    const state = stateByKey.get(`${rule.id}:${target.id}`) || null;
+
+    // Values older than the last evaluation would corrupt delays
+    if (state?.lastTimestamp && timestamp < state.lastTimestamp) return;
+
+    let active;
+    try {
+      active = evaluateCondition(compiled, createBindingResolver(binding, (tagId) => values.get(tagId)?.value ?? null));
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      logger.warn('Alarm rule expression failed', { ruleId: rule.id, deviceId: target.deviceId, error: error.message });
+      return;
+    }
+
+    // Missing values: keep the current state
+    if (active === null) return;
+
+    const contributingTags = getContributingTags(binding, values);
+    const step = stepRuleState(rule, state, active, timestamp);
+    const data = {
+      conditionActive: step.conditionActive,
+      conditionSince: step.conditionSince,
+      pending: step.pending,
+      lastTimestamp: timestamp,
+      context: contributingTags,
+    };
+
+    writes.push(
+      prisma.alarmRuleState.upsert({
+        where: { ruleId_deviceId: { ruleId: rule.id, deviceId: target.id } },
+        update: data,
+        create: { ruleId: rule.id, deviceId: target.id, ...data },
+      })
+    );
+
+    if (step.due) {
+      entries.push({
+        device: target,
+        condition: buildExpressionCondition(rule, {
+          device: target,
+          active: step.conditionActive,
+          timestamp: step.dueAt,
+          contributingTags,
+        }),
+      });
+    }
+  });
+
+  if (writes.length > 0) {
+    await prisma.$transaction(writes);
+  }
+
+  return entries;
+};
+
+export {
+  getCompiledExpression,
+  getExpressionTargets,
+  fetchLatestValues,
+  getContributingTags,
+  buildExpressionCondition,
+  evaluateExpressionRules,
+};
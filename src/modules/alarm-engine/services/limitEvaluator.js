@@ -0,0 +1,32 @@
+/**
+ * Limit Evaluator
+ * Checks a value against the min/max limits of a tag
+ */
+
+/**
+ * Evaluate a value against tag limits
+ * @param {number} value - Measured value
+ * @param {Object} limits - { minValue, maxValue } (null = no limit)
+ * @returns {Object} { breached, limit: 'HIGH'|'LOW'|null, threshold }
+ */
+const evaluateLimits = (value, { minValue, maxValue }) => {
+  if (maxValue !== null && maxValue !== undefined && value > maxValue) {
+    return { breached: true, limit: 'HIGH', threshold: maxValue };
+  }
+
+  if (minValue !== null && minValue !== undefined && value < minValue) {
+    return { breached: true, limit: 'LOW', threshold: minValue };
+  }
+
+  return { breached: false, limit: null, threshold: null };
+};
+
+/**
+ * Check whether a tag has any limit configured
+ * @param {Object} tag - Tag with minValue/maxValue
+ * @returns {boolean} True if at least one limit is set
+ */
+const hasLimits = (tag) =>
+  (tag.minValue !== null && tag.minValue !== undefined) || (tag.maxValue !== null && tag.maxValue !== undefined);
+
+export { evaluateLimits, hasLimits };
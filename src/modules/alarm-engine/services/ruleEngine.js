@@ -0,0 +1,184 @@
+/**
+ * Rule Engine
+ * Applies configured alarm rules to ingested values and keeps their evaluation state
+ *
+ * Rules produce conditions with sourceKey "rule:<ruleId>", so the alarm engine keeps
+ * one open alarm per rule and device. Alarms record the rule in metadata.ruleId.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import {
+  evaluateRuleCondition,
+  resolveRuleDelay,
+  describeRuleAlarm,
+  ruleMatchesTag,
+  isLimitRule,
+} from './ruleEvaluator.js';
+
+// Enabled rules per plant: plantId -> { loadedAt, rules }
+const ruleCache = new Map();
+
+/**
+ * Get the enabled rules that can apply to devices of a plant (cached)
+ * @param {number} plantId - Plant database ID
+ * @returns {Promise<Array<Object>>} Alarm rules
+ */
+const getPlantRules = async (plantId) => {
+  const cached = ruleCache.get(plantId);
+  if (cached && Date.now() - cached.loadedAt < config.alarmEngine.ruleCacheTtlMs) {
+    return cached.rules;
+  }
+
+  const rules = await prisma.alarmRule.findMany({
+    where: {
+      isEnabled: true,
+      OR: [
+        { plantId },
+        { tag: { device: { plantId } } },
+        { templateTag: { template: { devices: { some: { plantId } } } } },
+      ],
+    },
+    orderBy: { id: 'asc' },
+  });
+
+  ruleCache.set(plantId, { loadedAt: Date.now(), rules });
+  return rules;
+};
+
+/**
+ * Drop cached rules (after rules are created, changed or deleted)
+ * Template-scoped rules span plants, so the whole cache is cleared.
+ */
+const invalidateRuleCache = () => {
+  ruleCache.clear();
+};
+
+/**
+ * Advance the state of a rule on one device
+ * @param {Object} rule - Alarm rule
+ * @param {Object|null} state - Current AlarmRuleState
+ * @param {boolean} conditionActive - Evaluated condition
+ * @param {Date} at - Time of the evaluation
+ * @returns {Object} { conditionActive, conditionSince, pending, due, dueAt }
+ */
+const stepRuleState = (rule, state, conditionActive, at) => {
+  const changed = state ? state.conditionActive !== conditionActive : conditionActive;
+  const conditionSince = changed ? at : state?.conditionSince || null;
+  const { due, dueAt } = resolveRuleDelay(rule, { conditionActive, conditionSince }, at);
+
+  return { conditionActive, conditionSince, pending: !due, due, dueAt };
+};
+
+/**
+ * Build the alarm engine condition of a rule
+ * @param {Object} rule - Alarm rule
+ * @param {Object} context - { device, tag, active, timestamp, measured, metadata }
+ * @returns {Object} Condition
+ */
+const buildRuleCondition = (rule, { device, tag, active, timestamp, measured, metadata = {} }) => ({
+  sourceKey: `rule:${rule.id}`,
+  tagId: tag.id,
+  active,
+  timestamp,
+  alarm: {
+    severity: rule.severity,
+    message: active
+      ? describeRuleAlarm(rule, { label: device.deviceId || device.name, tag, measured })
+      : null,
+    description: rule.description,
+    value: measured ?? null,
+    threshold: rule.setpoint,
+    metadata: active
+      ? { source: 'rule', ruleId: rule.id, ruleName: rule.name, ruleType: rule.type, unit: tag.unit || null, ...metadata }
+      : null,
+  },
+});
+
+/**
+ * Evaluate rules for the values written for a device
+ * Persists rule states and returns the conditions whose delays have elapsed.
+ * @param {Object} context - { device, points, rules }
+ * @returns {Promise<Object>} { conditions, coveredTagIds } (tags with an applicable limit rule)
+ */
+const evaluateRulePoints = async ({ device, points, rules }) => {
+  const tagsById = new Map(device.tags.map((tag) => [tag.id, tag]));
+  const matches = [];
+
+  points.forEach((point) => {
+    const tag = tagsById.get(point.tagId);
+    if (!tag) return;
+    rules
+      .filter((rule) => ruleMatchesTag(rule, tag))
+      .forEach((rule) => matches.push({ rule, tag, point }));
+  });
+
+  const coveredTagIds = new Set(matches.filter(({ rule }) => isLimitRule(rule)).map(({ tag }) => tag.id));
+
+  if (matches.length === 0) {
+    return { conditions: [], coveredTagIds };
+  }
+
+  const states = await prisma.alarmRuleState.findMany({
+    where: { deviceId: device.id, ruleId: { in: matches.map(({ rule }) => rule.id) } },
+  });
+  const stateByRule = new Map(states.map((state) => [state.ruleId, state]));
+
+  const conditions = [];
+  const writes = [];
+
+  matches.forEach(({ rule, tag, point }) => {
+    const state = stateByRule.get(rule.id) || null;
+
+    // Values older than the last evaluation (late data) would corrupt delays and rates
+    if (state?.lastTimestamp && point.timestamp < state.lastTimestamp) return;
+
+    const evaluation = evaluateRuleCondition(rule, state, point);
+    if (!evaluation) return;
+
+    const step = stepRuleState(rule, state, evaluation.conditionActive, point.timestamp);
+    const data = {
+      tagId: tag.id,
+      conditionActive: step.conditionActive,
+      conditionSince: step.conditionSince,
+      pending: step.pending,
+      lastValue: point.value,
+      lastTimestamp: point.timestamp,
+      lastEvaluatedValue: evaluation.lastEvaluatedValue,
+    };
+
+    writes.push(
+      prisma.alarmRuleState.upsert({
+        where: { ruleId_deviceId: { ruleId: rule.id, deviceId: device.id } },
+        update: data,
+        create: { ruleId: rule.id, deviceId: device.id, ...data },
+      })
+    );
+
+    if (step.due) {
+      conditions.push(
+        buildRuleCondition(rule, {
+          device,
+          tag,
+          active: step.conditionActive,
+          timestamp: step.dueAt,
+          measured: evaluation.measured,
+        })
+      );
+    }
+  });
+
+  if (writes.length > 0) {
+    await prisma.$transaction(writes);
+  }
+
+  return { conditions, coveredTagIds };
+};
+
+export {
+  getPlantRules,
+  invalidateRuleCache,
+  stepRuleState,
+  buildRuleCondition,
+  evaluateRulePoints,
+};
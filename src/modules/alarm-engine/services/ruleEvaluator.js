@@ -0,0 +1,171 @@
+/**
+ * Rule Evaluator
+ * Evaluates alarm rule conditions and their on/off delays for one tag value
+ *
+ * Evaluation keeps a small state per rule and device (AlarmRuleState):
+ * - deadband: changes of the measured value (value, or rate for RATE_OF_CHANGE)
+ *   up to the deadband since the last evaluated value keep the previous condition
+ * - hysteresis: an active limit condition clears only once the measured value is
+ *   back past the setpoint by the hysteresis
+ * - on/off delay: the condition must hold (or stay clear) that long before the
+ *   alarm opens (or resolves)
+ */
+
+// Limit rule types and the side of the setpoint that raises them
+const LIMIT_RULES = {
+  HIGH: 'above',
+  HIGH_HIGH: 'above',
+  LOW: 'below',
+  LOW_LOW: 'below',
+};
+
+const RULE_LABELS = {
+  HIGH: 'high',
+  HIGH_HIGH: 'high-high',
+  LOW: 'low',
+  LOW_LOW: 'low-low',
+  RATE_OF_CHANGE: 'rate of change',
+  STALE: 'stale value',
+  BOOLEAN: 'state',
+};
+
+/**
+ * Check whether a rule compares values against its setpoint
+ * @param {Object} rule - Alarm rule
+ * @returns {boolean} True for HIGH, HIGH_HIGH, LOW and LOW_LOW rules
+ */
+const isLimitRule = (rule) => Boolean(LIMIT_RULES[rule.type]);
+
+/**
+ * Check whether a rule applies to a device tag
+ * @param {Object} rule - Alarm rule
+ * @param {Object} tag - Device tag { id, name, templateTagId }
+ * @returns {boolean} True if the tag is in the rule scope
+ */
+const ruleMatchesTag = (rule, tag) =>
+  rule.tagId === tag.id ||
+  (rule.templateTagId !== null && rule.templateTagId === tag.templateTagId) ||
+  (rule.plantId !== null && rule.tagName === tag.name);
+
+/**
+ * Compare a measured value with a setpoint, applying hysteresis while active
+ */
+const compareWithSetpoint = (measured, setpoint, direction, wasActive, hysteresis) => {
+  if (direction === 'above') {
+    return wasActive ? measured > setpoint - hysteresis : measured > setpoint;
+  }
+  return wasActive ? measured < setpoint + hysteresis : measured < setpoint;
+};
+
+/**
+ * Evaluate the condition of a rule for a new tag value
+ * @param {Object} rule - Alarm rule
+ * @param {Object|null} state - Current AlarmRuleState (null on first value)
+ * @param {Object} point - { value, timestamp }
+ * @returns {Object|null} { conditionActive, measured, lastEvaluatedValue } or null for out-of-order values
+ */
+const evaluateRuleCondition = (rule, state, point) => {
+  // Values older than the last one seen would corrupt delays and rates
+  if (state?.lastTimestamp && point.timestamp < state.lastTimestamp) {
+    return null;
+  }
+
+  const wasActive = state?.conditionActive || false;
+  const keep = { conditionActive: wasActive, measured: null, lastEvaluatedValue: state?.lastEvaluatedValue ?? null };
+
+  // Fresh data always clears a stale-value condition
+  if (rule.type === 'STALE') {
+    return { ...keep, conditionActive: false, measured: point.value };
+  }
+
+  if (rule.type === 'BOOLEAN') {
+    return { ...keep, conditionActive: (point.value !== 0) === rule.triggerState, measured: point.value };
+  }
+
+  let measured = point.value;
+  let direction = LIMIT_RULES[rule.type];
+
+  if (rule.type === 'RATE_OF_CHANGE') {
+    const hasPrevious = state?.lastValue !== null && state?.lastValue !== undefined && state?.lastTimestamp;
+    const minutes = hasPrevious ? (point.timestamp - state.lastTimestamp) / 60000 : 0;
+    if (minutes <= 0) return keep;
+
+    measured = Math.abs(point.value - state.lastValue) / minutes;
+    direction = 'above';
+  }
+
+  if (
+    rule.deadband > 0 &&
+    keep.lastEvaluatedValue !== null &&
+    Math.abs(measured - keep.lastEvaluatedValue) <= rule.deadband
+  ) {
+    return { ...keep, measured };
+  }
+
+  return {
+    conditionActive: compareWithSetpoint(measured, rule.setpoint, direction, wasActive, rule.hysteresis),
+    measured,
+    lastEvaluatedValue: measured,
+  };
+};
+
+/**
+ * Work out whether the delayed alarm state of a rule is due
+ * @param {Object} rule - Alarm rule with onDelaySeconds/offDelaySeconds
+ * @param {Object} state - { conditionActive, conditionSince }
+ * @param {Date} now - Evaluation time
+ * @returns {Object} { due, dueAt }
+ */
+const resolveRuleDelay = (rule, { conditionActive, conditionSince }, now) => {
+  const delaySeconds = conditionActive ? rule.onDelaySeconds : rule.offDelaySeconds;
+  if (!conditionSince || delaySeconds <= 0) {
+    return { due: true, dueAt: now };
+  }
+
+  const dueAt = new Date(conditionSince.getTime() + delaySeconds * 1000);
+  return { due: now >= dueAt, dueAt };
+};
+
+/**
+ * Format a number for alarm messages
+ */
+const formatNumber = (value) => (Number.isInteger(value) ? String(value) : String(Number(value.toFixed(3))));
+
+/**
+ * Build the alarm message of a rule condition
+ * @param {Object} rule - Alarm rule
+ * @param {Object} context - { label, tag, measured }
+ * @returns {string} Message
+ */
+const describeRuleAlarm = (rule, { label, tag, measured }) => {
+  const unit = tag.unit ? ` ${tag.unit}` : '';
+  const subject = `${label} ${tag.name}`;
+
+  switch (rule.type) {
+    case 'STALE':
+      return `${rule.name}: ${subject} not updated for ${rule.staleMinutes} min`;
+    case 'BOOLEAN':
+      return `${rule.name}: ${subject} is ${rule.triggerState ? 'ON' : 'OFF'}`;
+    case 'RATE_OF_CHANGE':
+      return (
+        `${rule.name}: ${subject} rate of change ${formatNumber(measured)}${unit}/min ` +
+        `> ${formatNumber(rule.setpoint)}${unit}/min`
+      );
+    default:
+      return (
+        `${rule.name}: ${subject} ${RULE_LABELS[rule.type]} ` +
+        `(${formatNumber(measured)}${unit} ${LIMIT_RULES[rule.type] === 'above' ? '>' : '<'} ` +
+        `${formatNumber(rule.setpoint)}${unit})`
+      );
+  }
+};
+
+export {
+  LIMIT_RULES,
+  RULE_LABELS,
+  isLimitRule,
+  ruleMatchesTag,
+  evaluateRuleCondition,
+  resolveRuleDelay,
+  describeRuleAlarm,
+};
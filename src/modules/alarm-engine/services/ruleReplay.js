@@ -0,0 +1,245 @@
+/**
+ * Rule Replay
+ * Dry run of an alarm rule over historical ProcessedData
+ *
+ * The rule is evaluated point by point with the same condition, deadband, hysteresis
+ * and delay logic as live evaluation, but nothing is written: the result lists the
+ * alarms the rule would have raised.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import { BadRequestError } from '../../../utils/errors.js';
+import { compileExpression, evaluateCondition } from '../../../utils/expressionEvaluator.js';
+// Ingestion services imported directly: the ingestion index loads the raw data processor, which loads this module
+import { getPlantDevices } from '../../ingestion/services/topicResolver.js';
+import { bindExpression, createBindingResolver, getBindingRefs } from '../../ingestion/services/tagReferences.js';
+import { evaluateRuleCondition, resolveRuleDelay } from './ruleEvaluator.js';
+import { stepRuleState } from './ruleEngine.js';
+import { getRuleTags } from './ruleScheduler.js';
+import { getExpressionTargets } from './expressionRules.js';
+
+/**
+ * Simulate the alarm of one rule on one target
+ * @param {Object} rule - Alarm rule (delays)
+ * @returns {Object} { apply(active, timestamp, snapshot), finish(endDate), alarms }
+ */
+const createSimulation = (rule) => {
+  let state = null;
+  let open = null;
+  const alarms = [];
+
+  const fire = (active, at, snapshot) => {
+    if (active && !open) {
+      open = { triggeredAt: at, resolvedAt: null, ...snapshot };
+      alarms.push(open);
+    } else if (!active && open) {
+      open.resolvedAt = at;
+      open = null;
+    }
+  };
+
+  // A delay that elapsed before `time` fires at its due time
+  const advanceTo = (time) => {
+    if (!state?.pending) return;
+    const { due, dueAt } = resolveRuleDelay(rule, state, time);
+    if (due) {
+      fire(state.conditionActive, dueAt, state.snapshot);
+      state.pending = false;
+    }
+  };
+
+  return {
+    alarms,
+    state: () => state,
+    apply: (active, timestamp, snapshot = {}) => {
+      advanceTo(timestamp);
+      const step = stepRuleState(rule, state, active, timestamp);
+      state = { ...state, ...step, snapshot: step.conditionActive ? snapshot : state?.snapshot };
+      if (step.due) fire(step.conditionActive, step.dueAt, snapshot);
+    },
+    finish: (endDate) => advanceTo(endDate),
+  };
+};
+
+/**
+ * Fail early when a replay would read too many points
+ */
+const checkPointBudget = async (tagIds, startDate, endDate) => {
+  const points = await prisma.processedData.count({
+    where: { tagId: { in: tagIds }, timestamp: { gte: startDate, lte: endDate } },
+  });
+
+  if (points > config.alarmEngine.dryRunMaxPoints) {
+    throw new BadRequestError(
+      `Dry run would replay ${points} points (limit ${config.alarmEngine.dryRunMaxPoints}), narrow the date range or device`
+    );
+  }
+  return points;
+};
+
+/**
+ * Replay a tag rule (limit, rate of change, boolean, stale) for each matching tag
+ */
+const replayTagRule = async (rule, { startDate, endDate, plantId, deviceId }) => {
+  const tags = (await getRuleTags(rule)).filter(
+    (tag) => (!plantId || tag.device.plantId === plantId) && (!deviceId || tag.device.id === deviceId)
+  );
+  if (tags.length > config.alarmEngine.dryRunMaxTargets) {
+    throw new BadRequestError(`Rule matches ${tags.length} tags (limit ${config.alarmEngine.dryRunMaxTargets}), filter by plant or device`);
+  }
+
+  const points = await checkPointBudget(tags.map((tag) => tag.id), startDate, endDate);
+  const alarms = [];
+  let evaluations = 0;
+
+  for (const tag of tags) {
+    const rows = await prisma.processedData.findMany({
+      where: { tagId: tag.id, timestamp: { gte: startDate, lte: endDate } },
+      select: { timestamp: true, value: true },
+      orderBy: { timestamp: 'asc' },
+    });
+
+    const simulation = createSimulation(rule);
+    const target = { deviceId: tag.device.id, deviceCode: tag.device.deviceId, tagId: tag.id, tagName: tag.name };
+
+    if (rule.type === 'STALE') {
+      const staleMs = rule.staleMinutes * 60000;
+      let previous = startDate;
+      rows.forEach((row) => {
+        if (row.timestamp - previous > staleMs) {
+          simulation.apply(true, new Date(previous.getTime() + staleMs), { value: null });
+        }
+        simulation.apply(false, row.timestamp);
+        previous = row.timestamp;
+        evaluations += 1;
+      });
+      if (endDate - previous > staleMs) {
+        simulation.apply(true, new Date(previous.getTime() + staleMs), { value: null });
+      }
+    } else {
+      let ruleState = null;
+      rows.forEach((row) => {
+        const evaluation = evaluateRuleCondition(rule, ruleState, row);
+        evaluations += 1;
+        if (!evaluation) return;
+
+        simulation.apply(evaluation.conditionActive, row.timestamp, { value: evaluation.measured });
+        ruleState = {
+          conditionActive: simulation.state().conditionActive,
+          lastValue: row.value,
+          lastTimestamp: row.timestamp,
+          lastEvaluatedValue: evaluation.lastEvaluatedValue,
+        };
+      });
+    }
+
+    simulation.finish(endDate);
+    simulation.alarms.forEach((alarm) => alarms.push({ ...target, ...alarm }));
+  }
+
+  return { targets: tags.length, points, evaluations, alarms };
+};
+
+/**
+ * Replay an EXPRESSION rule for each target device
+ * Every timestamp at which a referenced tag has a value is one evaluation.
+ */
+const replayExpressionRule = async (rule, { startDate, endDate, deviceId }) => {
+  const compiled = compileExpression(rule.expression);
+  const devices = await getPlantDevices(rule.plantId);
+  const targets = getExpressionTargets(rule, devices).filter((device) => !deviceId || device.id === deviceId);
+
+  if (targets.length > config.alarmEngine.dryRunMaxTargets) {
+    throw new BadRequestError(`Rule matches ${targets.length} devices (limit ${config.alarmEngine.dryRunMaxTargets}), filter by device`);
+  }
+
+  const maxAgeMs = config.alarmEngine.expressionMaxAgeMs;
+  const bindings = targets.map((target) => ({ target, binding: bindExpression(compiled, target, devices) }));
+  const allTagIds = [...new Set(bindings.flatMap(({ binding }) => getBindingRefs(binding).map((ref) => ref.tagId)))];
+  const points = await checkPointBudget(allTagIds, new Date(startDate.getTime() - maxAgeMs), endDate);
+
+  const alarms = [];
+  let evaluations = 0;
+
+  for (const { target, binding } of bindings) {
+    const refs = getBindingRefs(binding);
+    if (refs.length === 0) continue;
+
+    const rows = await prisma.processedData.findMany({
+      where: {
+        tagId: { in: refs.map((ref) => ref.tagId) },
+        timestamp: { gte: new Date(startDate.getTime() - maxAgeMs), lte: endDate },
+      },
+      select: { tagId: true, timestamp: true, value: true },
+      orderBy: { timestamp: 'asc' },
+    });
+
+    const latest = new Map();
+    const simulation = createSimulation(rule);
+    let index = 0;
+
+    while (index < rows.length) {
+      const timestamp = rows[index].timestamp;
+      while (index < rows.length && rows[index].timestamp.getTime() === timestamp.getTime()) {
+        latest.set(rows[index].tagId, rows[index]);
+        index += 1;
+      }
+      if (timestamp < startDate) continue;
+
+      const getValue = (tagId) => {
+        const row = latest.get(tagId);
+        return row && timestamp - row.timestamp <= maxAgeMs ? row.value : null;
+      };
+
+      evaluations += 1;
+      const active = evaluateCondition(compiled, createBindingResolver(binding, getValue));
+      if (active === null) continue;
+
+      simulation.apply(active, timestamp, {
+        contributingTags: refs.map((ref) => ({ ...ref, value: getValue(ref.tagId) })),
+      });
+    }
+
+    simulation.finish(endDate);
+    simulation.alarms.forEach((alarm) =>
+      alarms.push({ deviceId: target.id, deviceCode: target.deviceId, tagId: null, tagName: null, ...alarm })
+    );
+  }
+
+  return { targets: targets.length, points, evaluations, alarms };
+};
+
+/**
+ * Replay an alarm rule over historical data without raising alarms
+ * @param {Object} rule - Saved or draft alarm rule
+ * @param {Object} options - { startDate, endDate, plantId, deviceId } (plantId/deviceId narrow the targets)
+ * @returns {Promise<Object>} Summary and the alarms the rule would have raised
+ */
+const replayAlarmRule = async (rule, options) => {
+  const { startDate, endDate } = options;
+  const result =
+    rule.type === 'EXPRESSION' ? await replayExpressionRule(rule, options) : await replayTagRule(rule, options);
+
+  const alarms = result.alarms
+    .map((alarm) => {
+      const until = alarm.resolvedAt || endDate;
+      return { ...alarm, durationSeconds: Math.round((until - alarm.triggeredAt) / 1000) };
+    })
+    .sort((a, b) => a.triggeredAt - b.triggeredAt);
+
+  return {
+    rule: { id: rule.id ?? null, name: rule.name, type: rule.type },
+    range: { startDate, endDate },
+    targets: result.targets,
+    points: result.points,
+    evaluations: result.evaluations,
+    alarmCount: alarms.length,
+    stillActive: alarms.filter((alarm) => !alarm.resolvedAt).length,
+    totalActiveSeconds: alarms.reduce((total, alarm) => total + alarm.durationSeconds, 0),
+    alarms: alarms.slice(0, config.alarmEngine.dryRunMaxAlarms),
+    truncated: alarms.length > config.alarmEngine.dryRunMaxAlarms,
+  };
+};
+
+export { replayAlarmRule };
@@ -0,0 +1,251 @@
+/**
+ * Rule Scheduler
+ * Time-driven part of rule evaluation: stale-value checks and elapsed on/off delays
+ *
+ * Values drive most rules, but a stale tag sends nothing and a delay may elapse
+ * after the last value arrived, so this job re-checks both on an interval. The same
+ * job raises alarms held back by suppression windows that have ended and unshelves
+ * alarms whose shelving period is over.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { recordAlarmEvent } from '../../../services/alarmTimelineService.js';
+// Event bus imported directly: the realtime index pulls in the socket server and HTTP auth
+import { publishAlarmEvent } from '../../realtime/services/eventBus.js';
+import { applyDeviceConditions, releaseSuppressedAlarms } from './alarmEngine.js';
+import { stepRuleState, buildRuleCondition } from './ruleEngine.js';
+import { resolveRuleDelay } from './ruleEvaluator.js';
+import { buildExpressionCondition } from './expressionRules.js';
+import { unshelveExpiredAlarms } from './shelving.js';
+
+const TAG_SELECT = {
+  id: true,
+  name: true,
+  unit: true,
+  templateTagId: true,
+  device: {
+    select: { id: true, deviceId: true, name: true, plantId: true },
+  },
+};
+
+let job = null;
+
+/**
+ * Find the device tags a rule applies to
+ * @param {Object} rule - Alarm rule
+ * @returns {Promise<Array<Object>>} Tags with their device
+ */
+const getRuleTags = (rule) => {
+  const where = { device: { plant: { status: 'ACTIVE' } } };
+
+  if (rule.tagId) where.id = rule.tagId;
+  else if (rule.templateTagId) where.templateTagId = rule.templateTagId;
+  else {
+    where.name = rule.tagName;
+    where.device.plantId = rule.plantId;
+  }
+
+  return prisma.tag.findMany({ where, select: TAG_SELECT });
+};
+
+/**
+ * Raise or clear STALE rules from the age of the latest value of each tag
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Number of alarms opened or resolved
+ */
+const checkStaleRules = async (now = new Date()) => {
+  const rules = await prisma.alarmRule.findMany({
+    where: { isEnabled: true, type: 'STALE' },
+  });
+
+  const entries = [];
+
+  for (const rule of rules) {
+    const cutoff = new Date(now.getTime() - rule.staleMinutes * 60000);
+
+    // A rule created or changed recently has not been watching for long enough
+    if (rule.updatedAt > cutoff) continue;
+
+    const tags = await getRuleTags(rule);
+    if (tags.length === 0) continue;
+
+    const [fresh, states] = await Promise.all([
+      prisma.processedData.groupBy({
+        by: ['tagId'],
+        where: { tagId: { in: tags.map((tag) => tag.id) }, timestamp: { gte: cutoff } },
+      }),
+      prisma.alarmRuleState.findMany({
+        where: { ruleId: rule.id, deviceId: { in: tags.map((tag) => tag.device.id) } },
+      }),
+    ]);
+    const freshTagIds = new Set(fresh.map((row) => row.tagId));
+    const stateByDevice = new Map(states.map((state) => [state.deviceId, state]));
+
+    for (const tag of tags) {
+      const state = stateByDevice.get(tag.device.id) || null;
+      const step = stepRuleState(rule, state, !freshTagIds.has(tag.id), now);
+
+      if (!state || state.conditionActive !== step.conditionActive || state.pending !== step.pending) {
+        await prisma.alarmRuleState.upsert({
+          where: { ruleId_deviceId: { ruleId: rule.id, deviceId: tag.device.id } },
+          update: {
+            conditionActive: step.conditionActive,
+            conditionSince: step.conditionSince,
+            pending: step.pending,
+          },
+          create: {
+            ruleId: rule.id,
+            deviceId: tag.device.id,
+            tagId: tag.id,
+            conditionActive: step.conditionActive,
+            conditionSince: step.conditionSince,
+            pending: step.pending,
+          },
+        });
+      }
+
+      // Tags that are and were fresh have nothing to open or resolve
+      if (step.due && (step.conditionActive || state?.conditionActive)) {
+        entries.push({
+          device: tag.device,
+          condition: buildRuleCondition(rule, {
+            device: tag.device,
+            tag,
+            active: step.conditionActive,
+            timestamp: step.dueAt,
+            measured: null,
+            metadata: { staleMinutes: rule.staleMinutes, lastUpdate: state?.lastTimestamp || null },
+          }),
+        });
+      }
+    }
+  }
+
+  const { opened, resolved } = await applyDeviceConditions(entries);
+  return opened.length + resolved.length;
+};
+
+/**
+ * Open or resolve alarms whose on/off delay elapsed without a new value
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Number of alarms opened or resolved
+ */
+const processPendingRuleStates = async (now = new Date()) => {
+  const states = await prisma.alarmRuleState.findMany({
+    where: { pending: true, rule: { isEnabled: true } },
+    include: {
+      rule: true,
+      tag: { select: TAG_SELECT },
+      device: { select: TAG_SELECT.device.select },
+    },
+  });
+
+  const entries = [];
+
+  for (const state of states) {
+    const { due, dueAt } = resolveRuleDelay(state.rule, state, now);
+    if (!due) continue;
+
+    await prisma.alarmRuleState.update({
+      where: { id: state.id },
+      data: { pending: false },
+    });
+
+    const condition =
+      state.rule.type === 'EXPRESSION'
+        ? buildExpressionCondition(state.rule, {
+            device: state.device,
+            active: state.conditionActive,
+            timestamp: dueAt,
+            contributingTags: state.context,
+          })
+        : buildRuleCondition(state.rule, {
+            device: state.device,
+            tag: state.tag,
+            active: state.conditionActive,
+            timestamp: dueAt,
+            measured: state.rule.type === 'STALE' ? null : state.lastEvaluatedValue ?? state.lastValue,
+          });
+
+    entries.push({ device: state.device, condition });
+  }
+
+  const { opened, resolved } = await applyDeviceConditions(entries);
+  return opened.length + resolved.length;
+};
+
+/**
+ * Resolve the open alarms of a rule (rule deleted or disabled)
+ * @param {number} ruleId - Alarm rule ID
+ * @param {string} reason - Recorded as the note of the resolved event
+ * @returns {Promise<number>} Number of alarms resolved
+ */
+const resolveRuleAlarms = async (ruleId, reason) => {
+  const alarms = await prisma.alarm.findMany({
+    where: { sourceKey: `rule:${ruleId}`, status: { in: ['ACTIVE', 'ACKNOWLEDGED'] } },
+  });
+
+  const resolvedAt = new Date();
+  for (const alarm of alarms) {
+    const resolved = await prisma.alarm.update({
+      where: { id: alarm.id },
+      data: {
+        status: 'RESOLVED',
+        resolvedAt,
+        metadata: { ...(alarm.metadata || {}), autoResolved: true },
+      },
+    });
+    await recordAlarmEvent(alarm.id, 'RESOLVED', { note: reason, details: { autoResolved: true }, at: resolvedAt });
+    publishAlarmEvent('resolved', resolved);
+  }
+
+  await prisma.alarmRuleState.deleteMany({ where: { ruleId } });
+
+  return alarms.length;
+};
+
+/**
+ * Start the rule scheduler
+ */
+const startRuleScheduler = () => {
+  if (job) return;
+
+  job = createIntervalJob({
+    name: 'alarm-rule-scheduler',
+    intervalMs: config.alarmEngine.schedulerIntervalMs,
+    run: async () => {
+      const now = new Date();
+      const changed =
+        (await processPendingRuleStates(now)) +
+        (await checkStaleRules(now)) +
+        (await releaseSuppressedAlarms(now)) +
+        (await unshelveExpiredAlarms(now));
+      if (changed > 0) {
+        logger.debug('Alarm rule scheduler updated alarms', { changed });
+      }
+    },
+  });
+
+  job.start();
+};
+
+/**
+ * Stop the rule scheduler
+ */
+const stopRuleScheduler = async () => {
+  if (!job) return;
+  await job.stop();
+  job = null;
+};
+
+export {
+  getRuleTags,
+  checkStaleRules,
+  processPendingRuleStates,
+  resolveRuleAlarms,
+  startRuleScheduler,
+  stopRuleScheduler,
+};
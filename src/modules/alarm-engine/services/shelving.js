@@ -0,0 +1,61 @@
+/**
+ * Alarm Shelving
+ * Unshelves alarms when their shelving period ends or they are resolved
+ *
+ * Operators shelve a nuisance alarm for a limited time with a reason; it stays out of
+ * the default alarm list and its escalations pause. Unshelving is recorded in the
+ * alarm timeline and published as an "unshelved" alarm event. The shelving fields
+ * keep the last shelving for reports.
+ */
+
+import { prisma } from '../../../config/database.js';
+import { recordAlarmEvent } from '../../../services/alarmTimelineService.js';
+// Event bus imported directly: the realtime index pulls in the socket server and HTTP auth
+import { publishAlarmEvent } from '../../realtime/services/eventBus.js';
+
+/**
+ * Unshelve an alarm
+ * @param {number} alarmId - Alarm ID
+ * @param {Object} options - { userId (null: automatic), reason }
+ * @returns {Promise<Object|null>} Updated alarm or null if it was not shelved
+ */
+const unshelveAlarm = async (alarmId, { userId = null, reason }) => {
+  const { count } = await prisma.alarm.updateMany({
+    where: { id: alarmId, isShelved: true },
+    data: { isShelved: false },
+  });
+  if (count === 0) return null;
+
+  await recordAlarmEvent(alarmId, 'UNSHELVED', { userId, note: reason });
+
+  const alarm = await prisma.alarm.findUnique({ where: { id: alarmId } });
+  publishAlarmEvent('unshelved', alarm);
+
+  return alarm;
+};
+
+/**
+ * Unshelve alarms whose shelving period ended or that are no longer open
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Number of alarms unshelved
+ */
+const unshelveExpiredAlarms = async (now = new Date()) => {
+  const alarms = await prisma.alarm.findMany({
+    where: {
+      isShelved: true,
+      OR: [{ shelvedUntil: { lte: now } }, { status: { notIn: ['ACTIVE', 'ACKNOWLEDGED'] } }],
+    },
+    select: { id: true, status: true, shelvedUntil: true },
+  });
+
+  let unshelved = 0;
+  for (const alarm of alarms) {
+    const reason =
+      alarm.shelvedUntil && alarm.shelvedUntil <= now ? 'Shelving period ended' : `Alarm ${alarm.status.toLowerCase()}`;
+    if (await unshelveAlarm(alarm.id, { reason })) unshelved++;
+  }
+
+  return unshelved;
+};
+
+export { unshelveAlarm, unshelveExpiredAlarms };
@@ -0,0 +1,147 @@
+/**
+ * Suppression Windows
+ * Decides whether a condition falls into a plant's suppression window
+ *
+ * A window covers a plant or one of its devices, either once (a maintenance period
+ * from startsAt to endsAt) or daily between startTime and endTime in the plant
+ * timezone (e.g. night-time), optionally limited to some days of the week. It only
+ * suppresses the alarm classes it selects: severities, sources ("limit", "rule")
+ * and rule IDs, where an empty list matches everything.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+// Enabled windows per plant: plantId -> { loadedAt, windows }
+const windowCache = new Map();
+
+// Intl formatters per timezone (creating one is comparatively slow)
+const formatters = new Map();
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Get the enabled suppression windows of a plant (cached)
+ * @param {number} plantId - Plant database ID
+ * @returns {Promise<Array<Object>>} Windows with the plant timezone
+ */
+const getPlantSuppressionWindows = async (plantId) => {
+  const cached = windowCache.get(plantId);
+  if (cached && Date.now() - cached.loadedAt < config.alarmEngine.ruleCacheTtlMs) {
+    return cached.windows;
+  }
+
+  const windows = await prisma.suppressionWindow.findMany({
+    where: { plantId, isEnabled: true },
+    include: { plant: { select: { timezone: true } } },
+    orderBy: { id: 'asc' },
+  });
+
+  windowCache.set(plantId, { loadedAt: Date.now(), windows });
+  return windows;
+};
+
+/**
+ * Drop cached windows (after windows are created, changed or deleted)
+ */
+const invalidateSuppressionCache = () => {
+  windowCache.clear();
+};
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      });
+    } catch {
+      // Unknown timezone: fall back to UTC rather than never suppressing
+      formatter = getFormatter('UTC');
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Get the local weekday and minute of the day
+ * @param {Date} at - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { day (0 = Sunday), minutes }
+ */
+const getLocalTime = (at, timeZone = 'UTC') => {
+  const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(at).map((part) => [part.type, part.value]));
+  return { day: WEEKDAYS[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a window is active at a point in time
+ * A recurring window whose endTime is not after its startTime runs past midnight;
+ * its early-morning part belongs to the day the window started.
+ * @param {Object} window - Suppression window
+ * @param {Date} at - Instant
+ * @param {string} timeZone - Plant timezone
+ * @returns {boolean}
+ */
+const isWindowActive = (window, at, timeZone = 'UTC') => {
+  if (!window.isEnabled) return false;
+  if (window.startsAt && at < window.startsAt) return false;
+  if (window.endsAt && at >= window.endsAt) return false;
+  if (window.type === 'ONCE') return true;
+
+  const { day, minutes } = getLocalTime(at, timeZone);
+  const start = parseTime(window.startTime);
+  const end = parseTime(window.endTime);
+  const onDay = (weekday) => window.daysOfWeek.length === 0 || window.daysOfWeek.includes(weekday);
+
+  if (start < end) return minutes >= start && minutes < end && onDay(day);
+  if (minutes >= start) return onDay(day);
+  return minutes < end && onDay((day + 6) % 7);
+};
+
+/**
+ * Check whether a window selects a condition of a device
+ * @param {Object} window - Suppression window
+ * @param {number} deviceId - Device database ID
+ * @param {Object} condition - Engine condition
+ * @returns {boolean}
+ */
+const windowCovers = (window, deviceId, condition) => {
+  const metadata = condition.alarm.metadata || {};
+
+  if (window.deviceId && window.deviceId !== deviceId) return false;
+  if (window.severities.length > 0 && !window.severities.includes(condition.alarm.severity)) return false;
+  if (window.sources.length > 0 && !window.sources.includes(metadata.source)) return false;
+  if (window.ruleIds.length > 0 && !window.ruleIds.includes(metadata.ruleId)) return false;
+  return true;
+};
+
+/**
+ * Find the window that suppresses an active condition
+ * @param {Array<Object>} windows - Windows of the plant (with plant timezone)
+ * @param {Object} context - { deviceId, condition, at } (at defaults to the condition timestamp)
+ * @returns {Object|null} First suppressing window
+ */
+const findSuppressingWindow = (windows, { deviceId, condition, at = condition.timestamp }) =>
+  windows.find(
+    (window) => windowCovers(window, deviceId, condition) && isWindowActive(window, at, window.plant?.timezone)
+  ) || null;
+
+export {
+  getPlantSuppressionWindows,
+  invalidateSuppressionCache,
+  getLocalTime,
+  isWindowActive,
+  windowCovers,
+  findSuppressingWindow,
+};
@@ -0,0 +1,38 @@
+/**
+ * System User
+ * Resolves the user recorded as creator of alarms raised automatically
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+let cachedUserId = null;
+
+/**
+ * Get the ID of the user that owns engine-generated alarms
+ * Uses ALARM_SYSTEM_USER_ID when set, otherwise the first active admin.
+ * @returns {Promise<number>} User ID
+ */
+const getSystemUserId = async () => {
+  if (cachedUserId) return cachedUserId;
+
+  if (config.alarmEngine.systemUserId) {
+    cachedUserId = config.alarmEngine.systemUserId;
+    return cachedUserId;
+  }
+
+  const admin = await prisma.user.findFirst({
+    where: { role: 'ADMIN', isActive: true },
+    orderBy: { id: 'asc' },
+    select: { id: true },
+  });
+
+  if (!admin) {
+    throw new Error('No active admin user found to own system alarms (set ALARM_SYSTEM_USER_ID)');
+  }
+
+  cachedUserId = admin.id;
+  return cachedUserId;
+};
+
+export { getSystemUserId };
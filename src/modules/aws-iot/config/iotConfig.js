@@ -62,6 +62,7 @@ const getConfig = () => {
     },
     iotEndpoint: process.env.AWS_IOT_ENDPOINT,
     sqsQueueUrl: process.env.AWS_SQS_QUEUE_URL,
+    sqsEndpoint: process.env.AWS_SQS_ENDPOINT, // Custom endpoint, e.g. ElasticMQ for local testing
     iotRoleArn: process.env.AWS_IOT_ROLE_ARN,
     accountId: process.env.AWS_ACCOUNT_ID,
 
@@ -150,6 +151,18 @@ const createIoTDataClient = () => {
 const createSQSClient = () => {
   const config = getConfig();
 
+  // A custom endpoint (local SQS stand-in) works without the rest of the AWS IoT setup
+  if (config.sqsEndpoint) {
+    const hasCredentials = config.credentials.accessKeyId && config.credentials.secretAccessKey;
+    return new SQSClient({
+      region: config.region,
+      endpoint: config.sqsEndpoint,
+      credentials: hasCredentials
+        ? config.credentials
+        : { accessKeyId: 'local', secretAccessKey: 'local' },
+    });
+  }
+
   if (!isAwsIotEnabled()) {
     return null;
   }
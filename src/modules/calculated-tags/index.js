@@ -0,0 +1,32 @@
+/**
+ * Calculated Tags Module
+ * Main entry point for tags computed from a formula over other tags
+ *
+ * A calculated tag is a regular tag with a formula, defined on a device or (through the
+ * plant's VIRTUAL device) on the plant. INGESTION tags are computed by the raw data
+ * processor and stored like measured values; QUERY tags (virtual tags) are computed
+ * when the /api/data endpoints and exports read them.
+ *
+ * @module calculated-tags
+ */
+
+// Formulas
+export {
+  getCalculatedTags,
+  bindCalculatedTag,
+  orderByDependency,
+  evaluateCalculations,
+  checkCalculatedTag,
+  findDependentTags,
+} from './services/tagFormulas.js';
+
+// Ingestion-time calculation
+export { calculateIngestedValues } from './services/ingestionCalculations.js';
+
+// Query-time calculation
+export {
+  getVirtualTags,
+  queryVirtualPoints,
+  queryVirtualBuckets,
+  getVirtualLatestValues,
+} from './services/virtualTagQuery.js';
@@ -0,0 +1,88 @@
+/**
+ * Ingestion Calculations
+ * Computes INGESTION calculated tags when values they reference are ingested
+ *
+ * A formula is evaluated at the timestamp of the ingested message with the latest value
+ * of each input no older than CALCULATED_TAG_MAX_AGE_MS, and the result is stored in
+ * processed_data like a measured value (rollups, alarms and exports included). When
+ * devices report the same timestamp in separate messages, the value is recomputed with
+ * each of them, so it is complete once the last one has arrived.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+// Ingestion services imported directly: the ingestion index loads the raw data processor, which loads this module
+import { getPlantDevices } from '../../ingestion/services/topicResolver.js';
+import { fetchLatestValues } from '../../alarm-engine/index.js';
+import { queueRollups } from '../../rollups/index.js';
+import { getCalculatedTags, bindCalculatedTags, orderByDependency, evaluateCalculations } from './tagFormulas.js';
+
+/**
+ * Compute and store the calculated tags affected by the values of one ingested message
+ * @param {Object} context - { plant, points } (points share one timestamp)
+ * @returns {Promise<Array<Object>>} Stored values per device { device, points, tagNames }
+ */
+const calculateIngestedValues = async ({ plant, points }) => {
+  if (points.length === 0) return [];
+
+  const devices = await getPlantDevices(plant.id);
+  const calculated = getCalculatedTags(devices, 'INGESTION');
+  if (calculated.length === 0) return [];
+
+  const { order } = orderByDependency(bindCalculatedTags(calculated, devices));
+
+  // Tags over the ingested values, directly or through other calculated tags (order is
+  // by dependency, so one pass reaches them all)
+  const changed = new Set(points.map((point) => point.tagId));
+  const due = order.filter((entry) => {
+    if (!entry.refs.some((ref) => changed.has(ref.tagId))) return false;
+    changed.add(entry.tag.id);
+    return true;
+  });
+  if (due.length === 0) return [];
+
+  const timestamp = points[0].timestamp;
+  const inputTagIds = [...new Set(due.flatMap((entry) => entry.refs.map((ref) => ref.tagId)))];
+  const latest = await fetchLatestValues(inputTagIds, timestamp, config.calculatedTags.maxAgeMs);
+  const results = evaluateCalculations(due, new Map([...latest].map(([tagId, { value }]) => [tagId, value])));
+
+  const byDevice = new Map();
+  due
+    .filter((entry) => results.has(entry.tag.id))
+    .forEach(({ tag, device }) => {
+      if (!byDevice.has(device.id)) byDevice.set(device.id, { device, points: [], tagNames: new Map() });
+      const group = byDevice.get(device.id);
+      group.tagNames.set(tag.id, tag.name);
+      group.points.push({
+        plantId: plant.id,
+        deviceId: device.id,
+        tagId: tag.id,
+        timestamp,
+        value: results.get(tag.id),
+      });
+    });
+
+  const calculatedPoints = [...byDevice.values()].flatMap((group) => group.points);
+  if (calculatedPoints.length === 0) return [];
+
+  await prisma.$transaction([
+    ...calculatedPoints.map((point) =>
+      prisma.processedData.upsert({
+        where: {
+          deviceId_tagId_timestamp: {
+            deviceId: point.deviceId,
+            tagId: point.tagId,
+            timestamp: point.timestamp,
+          },
+        },
+        update: { value: point.value },
+        create: point,
+      })
+    ),
+    ...(config.rollups.enabled ? [queueRollups(calculatedPoints)] : []),
+  ]);
+
+  return [...byDevice.values()];
+};
+
+export { calculateIngestedValues };
@@ -0,0 +1,243 @@
+/**
+ * Tag Formulas
+ * Binds the formulas of calculated tags to the device hierarchy and evaluates them in
+ * dependency order
+ *
+ * A formula is bound to the device of its tag (see tagReferences for the reference
+ * forms), so children.INV.power_ac_output follows the current hierarchy. A calculated
+ * tag may reference other calculated tags; those are evaluated first, and tags that
+ * reference each other in a cycle are never evaluated.
+ */
+
+import logger from '../../../config/logger.js';
+import { compileExpression, ExpressionError } from '../../../utils/expressionEvaluator.js';
+// Ingestion services imported directly: the ingestion index loads the raw data processor, which loads this module
+import { bindExpression, createBindingResolver, getBindingRefs } from '../../ingestion/services/tagReferences.js';
+
+// Compiled formulas per tag: tagId -> { source, compiled }
+const compiledFormulas = new Map();
+
+/**
+ * Label of a tag in messages (e.g. INV_1.efficiency)
+ */
+const tagLabel = ({ tag, device }) => `${device.deviceId || device.id}.${tag.name}`;
+
+/**
+ * Compile the formula of a tag (cached until the formula changes)
+ * @param {Object} tag - Calculated tag (id, formula)
+ * @returns {Object} Compiled expression
+ */
+const getCompiledFormula = (tag) => {
+  const cached = compiledFormulas.get(tag.id);
+  if (cached && cached.source === tag.formula) return cached.compiled;
+
+  const compiled = compileExpression(tag.formula);
+  compiledFormulas.set(tag.id, { source: tag.formula, compiled });
+  return compiled;
+};
+
+/**
+ * List the calculated tags of a plant
+ * @param {Array<Object>} devices - Devices of the plant (getPlantDevices)
+ * @param {string} mode - Only tags of this calculation mode (INGESTION or QUERY, optional)
+ * @returns {Array<Object>} { tag, device }
+ */
+const getCalculatedTags = (devices, mode = null) =>
+  devices.flatMap((device) =>
+    device.tags
+      .filter((tag) => tag.formula && (!mode || tag.calculationMode === mode))
+      .map((tag) => ({ tag, device }))
+  );
+
+/**
+ * Bind the formula of a calculated tag to the devices of its plant
+ * @param {Object} entry - { tag, device }
+ * @param {Array<Object>} devices - Devices of the plant
+ * @returns {Object} { tag, device, compiled, binding, refs }
+ * @throws {ExpressionError} If the formula is invalid or a reference cannot be resolved
+ */
+const bindCalculatedTag = ({ tag, device }, devices) => {
+  const compiled = getCompiledFormula(tag);
+  const binding = bindExpression(compiled, device, devices);
+  return { tag, device, compiled, binding, refs: getBindingRefs(binding) };
+};
+
+/**
+ * Bind several calculated tags, leaving out (and logging) the ones that cannot be bound
+ * @param {Array<Object>} entries - { tag, device }
+ * @param {Array<Object>} devices - Devices of the plant
+ * @returns {Array<Object>} Bound calculated tags
+ */
+const bindCalculatedTags = (entries, devices) =>
+  entries.flatMap((entry) => {
+    try {
+      return [bindCalculatedTag(entry, devices)];
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      logger.warn('Calculated tag formula cannot be bound', { tag: tagLabel(entry), error: error.message });
+      return [];
+    }
+  });
+
+/**
+ * Order bound calculated tags so each comes after the calculated tags it references
+ * @param {Array<Object>} bound - Bound calculated tags
+ * @returns {Object} { order, cyclic } - cyclic: tags in (or depending on) a reference cycle
+ */
+const orderByDependency = (bound) => {
+  const byTagId = new Map(bound.map((entry) => [entry.tag.id, entry]));
+  const state = new Map(); // tagId -> 'visiting' | 'done' | 'cyclic'
+  const order = [];
+  const cyclic = [];
+
+  // Tags still being visited are on the current path: reaching one again closes a cycle
+  const visit = (entry) => {
+    const current = state.get(entry.tag.id);
+    if (current) return current === 'done';
+
+    state.set(entry.tag.id, 'visiting');
+    const resolved = entry.refs
+      .map((ref) => byTagId.get(ref.tagId))
+      .filter(Boolean)
+      .map(visit);
+
+    const ok = resolved.every(Boolean);
+    state.set(entry.tag.id, ok ? 'done' : 'cyclic');
+    (ok ? order : cyclic).push(entry);
+    return ok;
+  };
+
+  bound.forEach(visit);
+  return { order, cyclic };
+};
+
+/**
+ * Evaluate the formula of a bound calculated tag
+ * @param {Object} entry - Bound calculated tag
+ * @param {Function} getValue - (tagId) => number | null
+ * @returns {number|null} Value, or null when inputs are missing
+ * @throws {ExpressionError} If the formula does not give a single value
+ */
+const evaluateFormula = (entry, getValue) => {
+  const result = entry.compiled.evaluate(createBindingResolver(entry.binding, getValue));
+
+  if (Array.isArray(result)) {
+    throw new ExpressionError('Formula gives a list, use sum/avg/min/max/count');
+  }
+  if (result === null || result === undefined) return null;
+
+  const value = typeof result === 'boolean' ? Number(result) : result;
+  if (!Number.isFinite(value)) return null;
+  return entry.tag.dataType === 'INTEGER' ? Math.round(value) : value;
+};
+
+/**
+ * Evaluate calculated tags in dependency order
+ * Results are added to `values`, so later tags see the values of earlier ones; a tag
+ * without a result is removed from it. Tags whose formula fails are logged once and
+ * added to `failed`, which callers can share across calls to skip them from then on.
+ * @param {Array<Object>} order - Bound calculated tags in dependency order
+ * @param {Map<number, number>} values - tagId -> input value
+ * @param {Set<number>} failed - Tag IDs to skip
+ * @returns {Map<number, number>} tagId -> value of the calculated tags with a result
+ */
+const evaluateCalculations = (order, values, failed = new Set()) => {
+  const results = new Map();
+
+  order.forEach((entry) => {
+    values.delete(entry.tag.id);
+    if (failed.has(entry.tag.id)) return;
+
+    let value;
+    try {
+      value = evaluateFormula(entry, (tagId) => values.get(tagId) ?? null);
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      failed.add(entry.tag.id);
+      logger.warn('Calculated tag formula failed', { tag: tagLabel(entry), error: error.message });
+      return;
+    }
+
+    if (value !== null) {
+      values.set(entry.tag.id, value);
+      results.set(entry.tag.id, value);
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Check the formula of a new or changed calculated tag against its plant
+ * Every reference must resolve to at least one tag, INGESTION tags may only reference
+ * stored tags (measured or INGESTION), the formula must give a single value and it must
+ * not close a reference cycle.
+ * @param {Object} candidate - { tag: { id (0 for a new tag), name, formula, calculationMode, dataType }, device }
+ * @param {Array<Object>} devices - Devices of the plant (freshly loaded)
+ * @throws {ExpressionError} If the formula cannot be used
+ */
+const checkCalculatedTag = (candidate, devices) => {
+  // Devices as they will be once the candidate is saved
+  const withCandidate = devices.map((device) => {
+    const tags = device.tags.filter((tag) => tag.id !== candidate.tag.id);
+    if (device.id === candidate.device.id) tags.push(candidate.tag);
+    return { ...device, tags, tagsByName: new Map(tags.map((tag) => [tag.name, tag])) };
+  });
+  const device = withCandidate.find((d) => d.id === candidate.device.id);
+  const entry = { tag: candidate.tag, device };
+
+  const compiled = compileExpression(candidate.tag.formula);
+  const bound = { ...entry, compiled, binding: bindExpression(compiled, device, withCandidate) };
+  bound.refs = getBindingRefs(bound.binding);
+
+  const unresolved = compiled.references.filter(({ path }) => bound.binding.get(path).refs.length === 0);
+  if (unresolved.length > 0) {
+    throw new ExpressionError(`No tags found for ${unresolved.map(({ path }) => `"${path}"`).join(', ')}`);
+  }
+
+  if (candidate.tag.calculationMode === 'INGESTION') {
+    const tagsById = new Map(withCandidate.flatMap((d) => d.tags.map((tag) => [tag.id, tag])));
+    const virtual = bound.refs.filter((ref) => tagsById.get(ref.tagId)?.calculationMode === 'QUERY');
+    if (virtual.length > 0) {
+      throw new ExpressionError(
+        `INGESTION tags cannot reference QUERY tags (${virtual.map((ref) => `${ref.deviceCode}.${ref.tagName}`).join(', ')})`
+      );
+    }
+  }
+
+  // Trial run with placeholder values catches type errors (e.g. a list outside an aggregate)
+  evaluateFormula(bound, () => 1);
+
+  const others = bindCalculatedTags(
+    getCalculatedTags(withCandidate).filter(({ tag }) => tag.id !== candidate.tag.id),
+    withCandidate
+  );
+  const { cyclic } = orderByDependency([bound, ...others]);
+  if (cyclic.some(({ tag }) => tag.id === candidate.tag.id)) {
+    throw new ExpressionError(`Formula is part of, or depends on, a reference cycle (${cyclic.map(tagLabel).join(', ')})`);
+  }
+};
+
+/**
+ * Find the calculated tags whose formula references a tag
+ * @param {number} tagId - Referenced tag
+ * @param {Array<Object>} devices - Devices of the plant
+ * @returns {Array<string>} Labels of the referencing tags
+ */
+const findDependentTags = (tagId, devices) =>
+  bindCalculatedTags(getCalculatedTags(devices), devices)
+    .filter((entry) => entry.tag.id !== tagId && entry.refs.some((ref) => ref.tagId === tagId))
+    .map(tagLabel);
+
+export {
+  tagLabel,
+  getCompiledFormula,
+  getCalculatedTags,
+  bindCalculatedTag,
+  bindCalculatedTags,
+  orderByDependency,
+  evaluateFormula,
+  evaluateCalculations,
+  checkCalculatedTag,
+  findDependentTags,
+};
@@ -0,0 +1,247 @@
+/**
+ * Virtual Tag Query
+ * Computes QUERY calculated tags (virtual tags) when data is read
+ *
+ * Raw reads evaluate the formula at every timestamp where an input has a value, with the
+ * latest value of each input no older than CALCULATED_TAG_MAX_AGE_MS. Aggregated reads
+ * evaluate it on each aggregate of the inputs per interval bucket (the hourly avg of
+ * sum(children.INV.power_ac_output) is the sum of the hourly inverter averages); count is
+ * the number of input points. Virtual tags over other virtual tags are computed in
+ * dependency order.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import { BadRequestError } from '../../../utils/errors.js';
+// Ingestion services imported directly: the ingestion index loads the raw data processor, which loads this module
+import { getPlantDevices } from '../../ingestion/services/topicResolver.js';
+import { fetchLatestValues } from '../../alarm-engine/index.js';
+import { queryAggregatedSeries } from '../../rollups/index.js';
+import { getCalculatedTags, bindCalculatedTags, orderByDependency, evaluateCalculations } from './tagFormulas.js';
+
+const AGGREGATES = ['min', 'max', 'avg', 'sum', 'first', 'last'];
+
+/**
+ * Get the virtual tags of a query scope
+ * @param {Object} scope - { plantId, deviceIds, tagIds } (null lists mean all)
+ * @returns {Promise<Array<Object>>} { tag, device }
+ */
+const getVirtualTags = async ({ plantId, deviceIds, tagIds }) => {
+  if (deviceIds?.length === 0 || tagIds?.length === 0) return [];
+
+  const devices = await getPlantDevices(plantId);
+  return getCalculatedTags(devices, 'QUERY').filter(
+    ({ tag, device }) => (!deviceIds || deviceIds.includes(device.id)) && (!tagIds || tagIds.includes(tag.id))
+  );
+};
+
+/**
+ * Bind virtual tags and the virtual tags they reference
+ * @param {number} plantId - Plant ID
+ * @param {Array<Object>} targets - Virtual tags { tag, device }
+ * @returns {Promise<Object>} { order, targets, inputTagIds } - inputTagIds: stored tags read
+ */
+const planVirtualTags = async (plantId, targets) => {
+  const devices = await getPlantDevices(plantId);
+  const virtual = new Map(getCalculatedTags(devices, 'QUERY').map((entry) => [entry.tag.id, entry]));
+  const bound = new Map();
+
+  const add = (entry) => {
+    if (bound.has(entry.tag.id)) return;
+    const [entryBound] = bindCalculatedTags([entry], devices);
+    if (!entryBound) return;
+
+    bound.set(entry.tag.id, entryBound);
+    entryBound.refs.forEach((ref) => virtual.has(ref.tagId) && add(virtual.get(ref.tagId)));
+  };
+  targets.forEach(add);
+
+  const { order } = orderByDependency([...bound.values()]);
+  const ordered = new Set(order.map((entry) => entry.tag.id));
+
+  return {
+    order,
+    targets: targets.filter(({ tag }) => ordered.has(tag.id)),
+    inputTagIds: [...new Set(order.flatMap((entry) => entry.refs.map((ref) => ref.tagId)))].filter(
+      (tagId) => !virtual.has(tagId)
+    ),
+  };
+};
+
+/**
+ * Fold a per-input figure through the plan: each virtual tag gets `combine` over its references
+ * @param {Array<Object>} order - Bound virtual tags in dependency order
+ * @param {Map<number, number>} inputs - tagId -> figure of stored inputs
+ * @param {Function} combine - (figures) => figure
+ * @returns {Map<number, number>} tagId -> figure, inputs included
+ */
+const foldInputs = (order, inputs, combine) => {
+  const figures = new Map(inputs);
+  order.forEach((entry) => {
+    const known = entry.refs.filter((ref) => figures.has(ref.tagId)).map((ref) => figures.get(ref.tagId));
+    if (known.length > 0) figures.set(entry.tag.id, combine(known));
+  });
+  return figures;
+};
+
+/**
+ * Compute raw points of virtual tags
+ * @param {number} plantId - Plant ID
+ * @param {Array<Object>} targets - Virtual tags { tag, device }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} limit - Most points returned
+ * @param {Object} [options] - { minQuality } (inputs of lower quality are ignored)
+ * @returns {Promise<Array<Object>>} { timestamp, tagId, deviceId, value } in time order
+ * @throws {BadRequestError} If more than CALCULATED_TAG_MAX_QUERY_POINTS inputs would be read
+ */
+const queryVirtualPoints = async (plantId, targets, start, end, limit = Infinity, { minQuality } = {}) => {
+  if (targets.length === 0) return [];
+
+  const plan = await planVirtualTags(plantId, targets);
+  if (plan.targets.length === 0 || plan.inputTagIds.length === 0) return [];
+
+  const { maxAgeMs, maxQueryPoints } = config.calculatedTags;
+  const inputs = await prisma.processedData.findMany({
+    where: {
+      tagId: { in: plan.inputTagIds },
+      // Values from before the range still count until they are too old
+      timestamp: { gte: new Date(start.getTime() - maxAgeMs), lte: end },
+      ...(minQuality && { quality: { gte: minQuality } }),
+    },
+    select: { tagId: true, timestamp: true, value: true },
+    orderBy: [{ timestamp: 'asc' }, { tagId: 'asc' }],
+    take: maxQueryPoints + 1,
+  });
+
+  if (inputs.length > maxQueryPoints) {
+    throw new BadRequestError(
+      `Calculated tags need more than ${maxQueryPoints} input values for this time range. Use a shorter range or an aggregation`
+    );
+  }
+
+  const latest = new Map(); // tagId -> { value, timestamp }
+  const failed = new Set();
+  const points = [];
+  let index = 0;
+
+  while (index < inputs.length && points.length < limit) {
+    const { timestamp } = inputs[index];
+    while (index < inputs.length && inputs[index].timestamp.getTime() === timestamp.getTime()) {
+      latest.set(inputs[index].tagId, inputs[index]);
+      index += 1;
+    }
+    if (timestamp < start) continue;
+
+    const values = new Map();
+    latest.forEach((input, tagId) => {
+      if (timestamp - input.timestamp <= maxAgeMs) values.set(tagId, input.value);
+    });
+
+    const results = evaluateCalculations(plan.order, values, failed);
+    plan.targets.forEach(({ tag, device }) => {
+      if (results.has(tag.id)) {
+        points.push({ timestamp, tagId: tag.id, deviceId: device.id, value: results.get(tag.id) });
+      }
+    });
+  }
+
+  return points.slice(0, limit);
+};
+
+/**
+ * Compute interval buckets of virtual tags
+ * @param {number} plantId - Plant ID
+ * @param {Array<Object>} targets - Virtual tags { tag, device }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {Object} [options] - { minQuality } (inputs of lower quality are ignored)
+ * @returns {Promise<Array<Object>>} Buckets { tagId, timestamp, min, max, avg, sum, count, first, last }
+ */
+const queryVirtualBuckets = async (plantId, targets, start, end, intervalMs, { minQuality } = {}) => {
+  if (targets.length === 0) return [];
+
+  const plan = await planVirtualTags(plantId, targets);
+  if (plan.targets.length === 0 || plan.inputTagIds.length === 0) return [];
+
+  const { buckets } = await queryAggregatedSeries(
+    { plantId, deviceIds: null, tagIds: plan.inputTagIds, minQuality },
+    start,
+    end,
+    intervalMs
+  );
+
+  const byTime = new Map(); // timestamp ms -> input buckets
+  buckets.forEach((bucket) => {
+    const at = bucket.timestamp.getTime();
+    if (!byTime.has(at)) byTime.set(at, []);
+    byTime.get(at).push(bucket);
+  });
+
+  const failed = new Set();
+  const results = [];
+
+  [...byTime.keys()]
+    .sort((a, b) => a - b)
+    .forEach((at) => {
+      const inputs = byTime.get(at);
+      const aggregates = Object.fromEntries(
+        AGGREGATES.map((field) => [
+          field,
+          evaluateCalculations(plan.order, new Map(inputs.map((bucket) => [bucket.tagId, bucket[field]])), failed),
+        ])
+      );
+      const counts = foldInputs(
+        plan.order,
+        new Map(inputs.map((bucket) => [bucket.tagId, bucket.count])),
+        (figures) => figures.reduce((total, count) => total + count, 0)
+      );
+
+      plan.targets.forEach(({ tag }) => {
+        if (AGGREGATES.every((field) => !aggregates[field].has(tag.id))) return;
+
+        results.push({
+          tagId: tag.id,
+          timestamp: new Date(at),
+          ...Object.fromEntries(AGGREGATES.map((field) => [field, aggregates[field].get(tag.id) ?? null])),
+          count: counts.get(tag.id) ?? 0,
+        });
+      });
+    });
+
+  return results;
+};
+
+/**
+ * Compute the current values of virtual tags
+ * @param {number} plantId - Plant ID
+ * @param {Array<Object>} targets - Virtual tags { tag, device }
+ * @param {Date} at - Evaluation time
+ * @returns {Promise<Array<Object>>} { tag, device, value, timestamp } (timestamp: newest input)
+ */
+const getVirtualLatestValues = async (plantId, targets, at = new Date()) => {
+  if (targets.length === 0) return [];
+
+  const plan = await planVirtualTags(plantId, targets);
+  if (plan.targets.length === 0 || plan.inputTagIds.length === 0) return [];
+
+  const latest = await fetchLatestValues(plan.inputTagIds, at, config.calculatedTags.maxAgeMs);
+  const results = evaluateCalculations(plan.order, new Map([...latest].map(([tagId, { value }]) => [tagId, value])));
+  const timestamps = foldInputs(
+    plan.order,
+    new Map([...latest].map(([tagId, { timestamp }]) => [tagId, timestamp.getTime()])),
+    (figures) => Math.max(...figures)
+  );
+
+  return plan.targets
+    .filter(({ tag }) => results.has(tag.id))
+    .map(({ tag, device }) => ({
+      tag,
+      device,
+      value: results.get(tag.id),
+      timestamp: new Date(timestamps.get(tag.id)),
+    }));
+};
+
+export { getVirtualTags, queryVirtualPoints, queryVirtualBuckets, getVirtualLatestValues };
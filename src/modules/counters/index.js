@@ -0,0 +1,23 @@
+/**
+ * Counters Module
+ * Main entry point for cumulative counter tags (energy registers)
+ *
+ * Template tags marked isCumulative (e.g. energy_total, meter import/export registers)
+ * only ever count up. Ingestion derives the increase between consecutive readings and
+ * stores it in counter_deltas, with resets, rollovers, replacements and suspicious jumps
+ * classified; energy reports and charts sum these deltas instead of the raw readings.
+ *
+ * @module counters
+ */
+
+// Deltas
+export {
+  classifyCounterStep,
+  recomputeCounterDeltas,
+  updateCounterDeltas,
+  getPlantCounters,
+  rebuildCounterDeltas,
+} from './services/counterDeltas.js';
+
+// Energy queries
+export { queryEnergySeries, queryEnergyTotals, queryCounterEvents } from './services/energyQuery.js';
@@ -0,0 +1,209 @@
+/**
+ * Counter Deltas
+ * Derives per-interval increases from cumulative counter tags (e.g. energy_total)
+ *
+ * Each reading of a counter closes the interval opened by the previous reading. The
+ * step between the two is classified:
+ *   NORMAL       value - previous (drops within COUNTER_DECREASE_TOLERANCE count as 0)
+ *   ROLLOVER     the register wrapped around at counterRollover: rollover - previous + value
+ *   RESET        the counter restarted near zero: value
+ *   REPLACEMENT  the counter dropped to an unrelated reading (e.g. a replaced inverter): 0
+ *   SUSPICIOUS   an increase above counterMaxRate per hour: stored, left out of energy totals
+ * Late and out-of-order readings recompute the intervals around them. Bad readings
+ * (quality below DATA_QUALITY_BAD_BELOW) are skipped.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const READING_SELECT = { timestamp: true, value: true };
+
+/**
+ * Classify the step between two consecutive readings of a counter
+ * @param {Object} previous - Earlier reading { timestamp, value }
+ * @param {Object} current - Later reading { timestamp, value }
+ * @param {Object} counter - Counter settings { counterRollover, counterMaxRate }
+ * @returns {Object} { delta, status }
+ */
+const classifyCounterStep = (previous, current, { counterRollover, counterMaxRate }) => {
+  const { resetRatio, decreaseTolerance } = config.counters;
+  const hours = (current.timestamp - previous.timestamp) / HOUR_MS;
+  const maxIncrease = counterMaxRate ? counterMaxRate * hours : Infinity;
+  const diff = current.value - previous.value;
+
+  if (diff >= 0) {
+    return { delta: diff, status: diff > maxIncrease ? 'SUSPICIOUS' : 'NORMAL' };
+  }
+
+  if (-diff <= Math.abs(previous.value) * decreaseTolerance) {
+    return { delta: 0, status: 'NORMAL' };
+  }
+
+  // A wrap-around only explains a drop from the upper half of the register to its lower half
+  if (counterRollover && previous.value > counterRollover / 2 && current.value >= 0) {
+    const wrapped = counterRollover - previous.value + current.value;
+    if (wrapped < counterRollover / 2 && wrapped <= maxIncrease) {
+      return { delta: wrapped, status: 'ROLLOVER' };
+    }
+  }
+
+  if (current.value >= 0 && current.value <= previous.value * resetRatio && current.value <= maxIncrease) {
+    return { delta: current.value, status: 'RESET' };
+  }
+
+  return { delta: 0, status: 'REPLACEMENT' };
+};
+
+/**
+ * Recompute the deltas of a counter tag for its readings between start and end
+ * The interval closed by the first reading after end is recomputed too, since the
+ * reading that opens it may have changed.
+ * @param {Object} counter - { tagId, plantId, deviceId, counterRollover, counterMaxRate }
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (inclusive)
+ * @returns {Promise<number>} Deltas written
+ */
+const recomputeCounterDeltas = async (counter, start, end) => {
+  const { tagId, plantId, deviceId } = counter;
+  const { batchSize } = config.counters;
+  const quality = { gte: config.dataQuality.badBelow };
+
+  let previous = await prisma.processedData.findFirst({
+    where: { tagId, quality, timestamp: { lt: start } },
+    orderBy: { timestamp: 'desc' },
+    select: READING_SELECT,
+  });
+  let from = { gte: start };
+  let written = 0;
+
+  for (;;) {
+    const readings = await prisma.processedData.findMany({
+      where: { tagId, quality, timestamp: { ...from, lte: end } },
+      orderBy: { timestamp: 'asc' },
+      take: batchSize,
+      select: READING_SELECT,
+    });
+
+    const complete = readings.length < batchSize;
+    if (complete) {
+      const next = await prisma.processedData.findFirst({
+        where: { tagId, quality, timestamp: { gt: end } },
+        orderBy: { timestamp: 'asc' },
+        select: READING_SELECT,
+      });
+      if (next) readings.push(next);
+    }
+
+    const deltas = [];
+    readings.forEach((reading) => {
+      if (previous) {
+        deltas.push({
+          plantId,
+          deviceId,
+          tagId,
+          timestamp: reading.timestamp,
+          previousAt: previous.timestamp,
+          previousValue: previous.value,
+          value: reading.value,
+          ...classifyCounterStep(previous, reading, counter),
+        });
+      }
+      previous = reading;
+    });
+
+    // Replacing the whole stretch also drops deltas of readings that no longer exist
+    const upTo = readings.length > 0 ? readings[readings.length - 1].timestamp : end;
+    await prisma.$transaction([
+      prisma.counterDelta.deleteMany({ where: { tagId, timestamp: { ...from, lte: upTo } } }),
+      prisma.counterDelta.createMany({ data: deltas }),
+    ]);
+    written += deltas.length;
+
+    if (complete) return written;
+    from = { gt: upTo };
+  }
+};
+
+/**
+ * Update the deltas of the counter tags among the points of one ingested message
+ * @param {Object} context - { device, points } (device with flattened counter settings)
+ * @returns {Promise<number>} Deltas written
+ */
+const updateCounterDeltas = async ({ device, points }) => {
+  const counters = new Map(device.tags.filter((tag) => tag.isCumulative).map((tag) => [tag.id, tag]));
+  let written = 0;
+
+  for (const point of points) {
+    const tag = counters.get(point.tagId);
+    if (!tag) continue;
+
+    written += await recomputeCounterDeltas(
+      {
+        tagId: tag.id,
+        plantId: point.plantId,
+        deviceId: point.deviceId,
+        counterRollover: tag.counterRollover,
+        counterMaxRate: tag.counterMaxRate,
+      },
+      point.timestamp,
+      point.timestamp
+    );
+  }
+
+  return written;
+};
+
+/**
+ * Get the counter tags of a plant (template tags marked isCumulative)
+ * @param {number} plantId - Plant ID
+ * @param {Array<number>} [tagIds] - Only these tags
+ * @returns {Promise<Array<Object>>} Counters { tagId, plantId, deviceId, counterRollover, counterMaxRate }
+ */
+const getPlantCounters = async (plantId, tagIds = null) => {
+  const tags = await prisma.tag.findMany({
+    where: {
+      device: { plantId },
+      templateTag: { isCumulative: true },
+      ...(tagIds && { id: { in: tagIds } }),
+    },
+    select: {
+      id: true,
+      deviceId: true,
+      templateTag: { select: { counterRollover: true, counterMaxRate: true } },
+    },
+  });
+
+  return tags.map(({ id, deviceId, templateTag }) => ({
+    tagId: id,
+    plantId,
+    deviceId,
+    counterRollover: templateTag.counterRollover,
+    counterMaxRate: templateTag.counterMaxRate,
+  }));
+};
+
+/**
+ * Recompute the deltas of all counter tags of a plant in a time range
+ * @param {Object} options - { plantId, start, end, tagIds }
+ * @returns {Promise<Object>} { counters, deltas }
+ */
+const rebuildCounterDeltas = async ({ plantId, start, end, tagIds = null }) => {
+  const counters = await getPlantCounters(plantId, tagIds);
+
+  let deltas = 0;
+  for (const counter of counters) {
+    deltas += await recomputeCounterDeltas(counter, start, end);
+  }
+
+  return { counters: counters.length, deltas };
+};
+
+export {
+  classifyCounterStep,
+  recomputeCounterDeltas,
+  updateCounterDeltas,
+  getPlantCounters,
+  rebuildCounterDeltas,
+};
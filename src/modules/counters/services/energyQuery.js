@@ -0,0 +1,140 @@
+/**
+ * Energy Query
+ * Sums counter deltas into energy per interval, device and tag
+ *
+ * A delta counts in the interval of the reading that closes it. Intervals are counted in
+ * plant local time from local midnight of the range start day, so hours and days follow
+ * the plant timezone. SUSPICIOUS deltas are left out unless asked for.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+
+/**
+ * Build the WHERE conditions selecting the deltas of a query (counter_deltas "d", tags "t")
+ * @param {Object} scope - { plantId, deviceIds, tagNames } (null lists mean all)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {boolean} includeSuspicious - Include SUSPICIOUS deltas
+ * @returns {Prisma.Sql} SQL condition
+ */
+const buildDeltaScope = ({ plantId, deviceIds, tagNames }, start, end, includeSuspicious) => {
+  const conditions = [
+    Prisma.sql`d."plantId" = ${plantId}`,
+    Prisma.sql`d."timestamp" >= ${start}`,
+    Prisma.sql`d."timestamp" <= ${end}`,
+  ];
+  if (deviceIds) conditions.push(Prisma.sql`d."deviceId" IN (${Prisma.join(deviceIds)})`);
+  if (tagNames) conditions.push(Prisma.sql`t.name IN (${Prisma.join(tagNames)})`);
+  if (!includeSuspicious) conditions.push(Prisma.sql`d.status <> 'SUSPICIOUS'`);
+  return Prisma.join(conditions, ' AND ');
+};
+
+const isEmpty = ({ deviceIds, tagNames }) => deviceIds?.length === 0 || tagNames?.length === 0;
+
+/**
+ * Sum the energy of a plant per interval
+ * @param {Object} scope - { plantId, deviceIds, tagNames }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {Object} [options] - { includeSuspicious }
+ * @returns {Promise<Array<Object>>} [{ timestamp, localTime, energy, intervals }] (buckets with deltas only)
+ */
+const queryEnergySeries = async (scope, start, end, intervalMs, { includeSuspicious = false } = {}) => {
+  if (isEmpty(scope)) return [];
+  const seconds = intervalMs / 1000;
+  const bucket = Prisma.sql`o.origin + x.g * make_interval(secs => ${seconds}::float8)`;
+
+  const rows = await prisma.$queryRaw`
+    WITH zone AS (
+      SELECT COALESCE(
+        (SELECT z.name FROM plants p JOIN pg_timezone_names z ON z.name = p.timezone WHERE p.id = ${scope.plantId}),
+        'UTC'
+      ) AS tz
+    ),
+    o AS (
+      SELECT date_trunc('day', ${start}::timestamptz AT TIME ZONE zone.tz) AS origin, zone.tz FROM zone
+    ),
+    x AS (
+      SELECT
+        d.delta,
+        floor(EXTRACT(EPOCH FROM ((d."timestamp" AT TIME ZONE 'UTC') AT TIME ZONE o.tz) - o.origin) / ${seconds})::int AS g
+      FROM counter_deltas d
+      JOIN tags t ON t.id = d."tagId"
+      CROSS JOIN o
+      WHERE ${buildDeltaScope(scope, start, end, includeSuspicious)}
+    )
+    SELECT
+      (${bucket}) AT TIME ZONE o.tz AS "timestamp",
+      to_char(${bucket}, 'YYYY-MM-DD"T"HH24:MI:SS') AS "localTime",
+      SUM(x.delta)::float8 AS energy,
+      COUNT(*)::int AS intervals
+    FROM x
+    CROSS JOIN o
+    GROUP BY x.g, o.origin, o.tz
+    ORDER BY x.g
+  `;
+  return rows;
+};
+
+/**
+ * Sum the energy of a plant per device, tag and delta status (SUSPICIOUS included)
+ * @param {Object} scope - { plantId, deviceIds, tagNames }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Array<Object>>} [{ deviceId, tagName, unit, status, energy, count }]
+ */
+const queryEnergyTotals = async (scope, start, end) => {
+  if (isEmpty(scope)) return [];
+
+  return prisma.$queryRaw`
+    SELECT
+      d."deviceId",
+      t.name AS "tagName",
+      t.unit,
+      d.status::text AS status,
+      SUM(d.delta)::float8 AS energy,
+      COUNT(*)::int AS count
+    FROM counter_deltas d
+    JOIN tags t ON t.id = d."tagId"
+    WHERE ${buildDeltaScope(scope, start, end, true)}
+    GROUP BY 1, 2, 3, 4
+    ORDER BY 1, 2, 4
+  `;
+};
+
+/**
+ * Get the latest deltas of a plant that are not NORMAL (resets, rollovers, replacements, suspicious jumps)
+ * @param {Object} scope - { plantId, deviceIds, tagNames }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} limit - Most events returned
+ * @returns {Promise<Array<Object>>} Deltas with tag (name, unit) and device (deviceId, name)
+ */
+const queryCounterEvents = (scope, start, end, limit) => {
+  if (isEmpty(scope)) return Promise.resolve([]);
+
+  return prisma.counterDelta.findMany({
+    where: {
+      plantId: scope.plantId,
+      timestamp: { gte: start, lte: end },
+      status: { not: 'NORMAL' },
+      ...(scope.deviceIds && { deviceId: { in: scope.deviceIds } }),
+      ...(scope.tagNames && { tag: { name: { in: scope.tagNames } } }),
+    },
+    include: {
+      tag: {
+        select: {
+          name: true,
+          unit: true,
+          device: { select: { deviceId: true, name: true } },
+        },
+      },
+    },
+    orderBy: { timestamp: 'desc' },
+    take: limit,
+  });
+};
+
+export { queryEnergySeries, queryEnergyTotals, queryCounterEvents };
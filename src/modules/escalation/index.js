@@ -0,0 +1,48 @@
+/**
+ * Escalation Module
+ * Main entry point for alarm escalation policies and on-call rotations
+ *
+ * Plants define escalation policies whose steps notify users, roles or the member of
+ * an on-call rotation on duty, one after another, until the alarm is acknowledged or
+ * resolved; shelving an alarm pauses them. Notifications go through the notifications
+ * module; steps are recorded in the alarm timeline.
+ *
+ * @module escalation
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startEscalationEngine, stopEscalationEngine } from './services/escalationEngine.js';
+
+// Escalation engine
+export {
+  resolveStepRecipients,
+  startAlarmEscalations,
+  stopAlarmEscalations,
+  resumeAlarmEscalations,
+  processDueEscalations,
+} from './services/escalationEngine.js';
+
+// On-call schedule
+export { getOnCallMember, getOnCallShifts } from './services/onCallSchedule.js';
+
+/**
+ * Start running escalation policies
+ */
+const startEscalation = () => {
+  if (!config.escalation.enabled) {
+    logger.info('Alarm escalation disabled (ESCALATION_ENABLED=false)');
+    return;
+  }
+
+  startEscalationEngine();
+};
+
+/**
+ * Stop running escalation policies
+ */
+const stopEscalation = async () => {
+  await stopEscalationEngine();
+};
+
+export { startEscalation, stopEscalation };
@@ -0,0 +1,313 @@
+/**
+ * Escalation Engine
+ * Runs plant escalation policies on alarms until they are acknowledged or resolved
+ *
+ * A new ACTIVE root-cause alarm starts every enabled policy of its plant that covers
+ * its severity; consequential alarms do not escalate on their own. Each policy step
+ * waits delayMinutes after the previous one, then notifies its targets (a user, the
+ * users of a role, or whoever is on call in a rotation). An acknowledge or resolve
+ * event stops the alarm's escalations immediately; the job re-checks the alarm status
+ * before every step as well. Steps of a shelved alarm wait until it is unshelved.
+ * Every step and stop is recorded in the alarm timeline.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { hasPlantAccess } from '../../../services/userPlantMapService.js';
+import { recordAlarmEvent } from '../../../services/alarmTimelineService.js';
+import { subscribeEvents, publishAlarmEvent } from '../../realtime/services/eventBus.js';
+import { notifyUsers } from '../../notifications/index.js';
+import { getOnCallMember } from './onCallSchedule.js';
+
+const USER_SELECT = { id: true, name: true, role: true, isActive: true };
+
+const POLICY_INCLUDE = {
+  steps: {
+    orderBy: { position: 'asc' },
+    include: {
+      user: { select: USER_SELECT },
+      rotation: {
+        include: {
+          members: { include: { user: { select: USER_SELECT } } },
+        },
+      },
+    },
+  },
+};
+
+let unsubscribe = null;
+
+/**
+ * Find the users an escalation step notifies
+ * @param {Object} step - Escalation step (with user and rotation members)
+ * @param {number} plantId - Plant of the alarm
+ * @param {Date} at - Time of the step (on-call lookup)
+ * @returns {Promise<Array<Object>>} Users { id, name }
+ */
+const resolveStepRecipients = async (step, plantId, at = new Date()) => {
+  let candidates = [];
+
+  if (step.targetType === 'USER') {
+    candidates = step.user ? [step.user] : [];
+  } else if (step.targetType === 'ON_CALL') {
+    const member = step.rotation ? getOnCallMember(step.rotation, at) : null;
+    candidates = member ? [member.user] : [];
+  } else if (step.targetType === 'ROLE') {
+    candidates = await prisma.user.findMany({
+      where: {
+        role: step.role,
+        isActive: true,
+        // Admins see every plant, other roles need a plant assignment
+        ...(step.role === 'ADMIN' ? {} : { plantMaps: { some: { plantId } } }),
+      },
+      select: USER_SELECT,
+    });
+  }
+
+  const recipients = [];
+  for (const user of candidates) {
+    if (user.isActive && (await hasPlantAccess(user.id, user.role, plantId))) {
+      recipients.push({ id: user.id, name: user.name });
+    }
+  }
+  return recipients;
+};
+
+/**
+ * Start the escalation policies that apply to a new alarm
+ * @param {Object} alarm - Alarm (id, plantId, severity, status, triggeredAt)
+ * @returns {Promise<number>} Number of escalations started
+ */
+const startAlarmEscalations = async (alarm) => {
+  // Consequential alarms are covered by the escalation of their root-cause alarm
+  if (alarm.status !== 'ACTIVE' || alarm.parentAlarmId) return 0;
+
+  const policies = await prisma.escalationPolicy.findMany({
+    where: { plantId: alarm.plantId, isEnabled: true },
+    include: { steps: { orderBy: { position: 'asc' }, take: 1 } },
+  });
+
+  const applicable = policies.filter(
+    (policy) =>
+      policy.steps.length > 0 && (policy.severities.length === 0 || policy.severities.includes(alarm.severity))
+  );
+  if (applicable.length === 0) return 0;
+
+  const triggeredAt = new Date(alarm.triggeredAt || Date.now());
+  const { count } = await prisma.alarmEscalation.createMany({
+    data: applicable.map((policy) => ({
+      alarmId: alarm.id,
+      policyId: policy.id,
+      nextStep: 0,
+      nextStepAt: new Date(triggeredAt.getTime() + policy.steps[0].delayMinutes * 60000),
+    })),
+    skipDuplicates: true,
+  });
+
+  escalationJob.runNow();
+
+  return count;
+};
+
+/**
+ * Stop the active escalations of an alarm
+ * @param {number} alarmId - Alarm ID
+ * @param {string} reason - Why escalation stopped (recorded in the timeline)
+ * @returns {Promise<number>} Number of escalations stopped
+ */
+const stopAlarmEscalations = async (alarmId, reason) => {
+  const active = await prisma.alarmEscalation.findMany({
+    where: { alarmId, status: 'ACTIVE' },
+    include: { policy: { select: { id: true, name: true } } },
+  });
+  if (active.length === 0) return 0;
+
+  const { count } = await prisma.alarmEscalation.updateMany({
+    where: { id: { in: active.map((escalation) => escalation.id) }, status: 'ACTIVE' },
+    data: { status: 'STOPPED', stoppedAt: new Date(), stopReason: reason, nextStepAt: null },
+  });
+
+  if (count > 0) {
+    await recordAlarmEvent(alarmId, 'ESCALATION_STOPPED', {
+      note: reason,
+      details: { policies: active.map(({ policy }) => ({ id: policy.id, name: policy.name })) },
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Run the steps held back while an alarm was shelved
+ * @param {Object} alarm - Unshelved alarm (id, shelvedUntil)
+ * @returns {Promise<number>} Number of escalations resumed
+ */
+const resumeAlarmEscalations = async (alarm) => {
+  if (!alarm.shelvedUntil) return 0;
+
+  const { count } = await prisma.alarmEscalation.updateMany({
+    where: { alarmId: alarm.id, status: 'ACTIVE', nextStepAt: new Date(alarm.shelvedUntil) },
+    data: { nextStepAt: new Date() },
+  });
+
+  if (count > 0) escalationJob.runNow();
+
+  return count;
+};
+
+/**
+ * Run the next step of one escalation
+ * The step is claimed by advancing nextStep conditionally, so a step runs once even
+ * when several instances process the table.
+ */
+const runEscalationStep = async (escalation, now) => {
+  const { alarm, policy } = escalation;
+
+  if (alarm.status !== 'ACTIVE') {
+    await stopAlarmEscalations(alarm.id, `Alarm ${alarm.status.toLowerCase()}`);
+    return false;
+  }
+
+  // Paused while shelved: the step is due again when the shelving period ends
+  if (alarm.isShelved && alarm.shelvedUntil > now) {
+    await prisma.alarmEscalation.updateMany({
+      where: { id: escalation.id, status: 'ACTIVE', nextStep: escalation.nextStep },
+      data: { nextStepAt: alarm.shelvedUntil },
+    });
+    return false;
+  }
+
+  const step = policy.steps[escalation.nextStep];
+  const following = policy.steps[escalation.nextStep + 1];
+
+  const { count } = await prisma.alarmEscalation.updateMany({
+    where: { id: escalation.id, status: 'ACTIVE', nextStep: escalation.nextStep },
+    data: step
+      ? {
+          nextStep: escalation.nextStep + 1,
+          nextStepAt: following ? new Date(now.getTime() + following.delayMinutes * 60000) : null,
+          status: following ? 'ACTIVE' : 'COMPLETED',
+        }
+      : { nextStepAt: null, status: 'COMPLETED' }, // Policy lost steps since the escalation started
+  });
+  if (count === 0 || !step) return false;
+
+  const position = escalation.nextStep + 1;
+  const recipients = await resolveStepRecipients(step, alarm.plantId, now);
+  const notifications = await notifyUsers(
+    recipients.map((recipient) => recipient.id),
+    { event: 'escalated', alarmId: alarm.id, note: `Escalation "${policy.name}", step ${position} of ${policy.steps.length}` }
+  );
+
+  await recordAlarmEvent(alarm.id, 'ESCALATED', {
+    details: {
+      policyId: policy.id,
+      policyName: policy.name,
+      step: position,
+      totalSteps: policy.steps.length,
+      targetType: step.targetType,
+      role: step.role || undefined,
+      rotationId: step.rotationId || undefined,
+      recipients,
+      notifications,
+    },
+  });
+
+  if (recipients.length === 0) {
+    logger.warn('Escalation step has no recipients', { alarmId: alarm.id, policyId: policy.id, step: position });
+  }
+
+  publishAlarmEvent('escalated', alarm);
+
+  return true;
+};
+
+/**
+ * Run every escalation step that is due
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} { due, ran }
+ */
+const processDueEscalations = async (now = new Date()) => {
+  const due = await prisma.alarmEscalation.findMany({
+    where: { status: 'ACTIVE', nextStepAt: { lte: now } },
+    include: { alarm: true, policy: { include: POLICY_INCLUDE } },
+    orderBy: { nextStepAt: 'asc' },
+    take: config.escalation.batchSize,
+  });
+
+  let ran = 0;
+  for (const escalation of due) {
+    try {
+      if (await runEscalationStep(escalation, now)) ran++;
+    } catch (error) {
+      logger.error('Escalation step failed', { escalationId: escalation.id, error: error.message });
+    }
+  }
+
+  return { due: due.length, ran };
+};
+
+const escalationJob = createIntervalJob({
+  name: 'alarm-escalation',
+  intervalMs: config.escalation.intervalMs,
+  run: async () => {
+    const { due } = await processDueEscalations();
+    return due >= config.escalation.batchSize;
+  },
+});
+
+/**
+ * Start escalations for new alarms, stop them on acknowledge / resolve and resume
+ * them on unshelve
+ */
+const handleEvent = (event) => {
+  if (event.type !== 'alarm') return;
+
+  const { action, alarm } = event.payload;
+  let work = null;
+
+  if (action === 'created') {
+    work = startAlarmEscalations(alarm);
+  } else if (action === 'acknowledged' || action === 'resolved') {
+    work = stopAlarmEscalations(alarm.id, `Alarm ${action}`);
+  } else if (action === 'unshelved') {
+    work = resumeAlarmEscalations(alarm);
+  }
+
+  work?.catch((error) => {
+    logger.error('Failed to update alarm escalations', { alarmId: alarm.id, action, error: error.message });
+  });
+};
+
+/**
+ * Start listening for alarm events and running due steps
+ */
+const startEscalationEngine = () => {
+  if (!unsubscribe) {
+    unsubscribe = subscribeEvents(handleEvent);
+  }
+  escalationJob.start();
+};
+
+/**
+ * Stop listening and wait for an in-flight run
+ */
+const stopEscalationEngine = async () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  await escalationJob.stop();
+};
+
+export {
+  resolveStepRecipients,
+  startAlarmEscalations,
+  stopAlarmEscalations,
+  resumeAlarmEscalations,
+  processDueEscalations,
+  startEscalationEngine,
+  stopEscalationEngine,
+};
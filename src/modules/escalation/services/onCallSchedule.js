@@ -0,0 +1,54 @@
+/**
+ * On-Call Schedule
+ * Works out who is on call in a rotation at a point in time
+ *
+ * Shifts of rotation.shiftHours start at rotation.startsAt and go through the members
+ * by position, wrapping around; times before startsAt count backwards the same way.
+ */
+
+const HOUR_MS = 3600000;
+
+/**
+ * Get the shift index at a point in time
+ */
+const getShiftIndex = (rotation, at) =>
+  Math.floor((at.getTime() - new Date(rotation.startsAt).getTime()) / (rotation.shiftHours * HOUR_MS));
+
+/**
+ * Get the member on call at a point in time
+ * @param {Object} rotation - Rotation with members (any order)
+ * @param {Date} at - Point in time
+ * @returns {Object|null} Member { userId, position, user? } or null if the rotation is empty
+ */
+const getOnCallMember = (rotation, at = new Date()) => {
+  const members = [...rotation.members].sort((a, b) => a.position - b.position);
+  if (members.length === 0) return null;
+
+  const index = getShiftIndex(rotation, at);
+  return members[((index % members.length) + members.length) % members.length];
+};
+
+/**
+ * List the shifts of a rotation from a point in time
+ * @param {Object} rotation - Rotation with members
+ * @param {Date} from - First shift is the one running at this time
+ * @param {number} count - Number of shifts
+ * @returns {Array<Object>} { startsAt, endsAt, member }
+ */
+const getOnCallShifts = (rotation, from = new Date(), count = 5) => {
+  if (rotation.members.length === 0) return [];
+
+  const shiftMs = rotation.shiftHours * HOUR_MS;
+  const first = getShiftIndex(rotation, from);
+
+  return Array.from({ length: count }, (_, offset) => {
+    const startsAt = new Date(new Date(rotation.startsAt).getTime() + (first + offset) * shiftMs);
+    return {
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + shiftMs),
+      member: getOnCallMember(rotation, startsAt),
+    };
+  });
+};
+
+export { getOnCallMember, getOnCallShifts };
@@ -0,0 +1,46 @@
+/**
+ * Exports Module
+ * Main entry point for asynchronous time-series exports
+ *
+ * Export requests are stored as DataExport rows; the worker writes them to CSV (one
+ * column per tag), JSON Lines or Parquet files in EXPORT_DIR chunk by chunk, reporting
+ * progress, and deletes the files once they expire.
+ *
+ * @module exports
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startExportWorker, stopExportWorker } from './services/exportWorker.js';
+
+// Worker
+export {
+  getExportFilePath,
+  removeExportFile,
+  processNextExport,
+  triggerExportWorker,
+} from './services/exportWorker.js';
+
+// File formats
+export { FILE_EXTENSIONS, CONTENT_TYPES } from './services/exportWriters.js';
+
+/**
+ * Start running exports
+ */
+const startExports = () => {
+  if (!config.exports.enabled) {
+    logger.info('Data export worker disabled (EXPORTS_ENABLED=false)');
+    return;
+  }
+
+  startExportWorker();
+};
+
+/**
+ * Stop running exports
+ */
+const stopExports = async () => {
+  await stopExportWorker();
+};
+
+export { startExports, stopExports };
@@ -0,0 +1,318 @@
+/**
+ * Export Worker
+ * Runs pending data exports one at a time and deletes expired export files
+ *
+ * An export is claimed with FOR UPDATE SKIP LOCKED, so several API instances can run
+ * the worker. The time range is read in chunks (EXPORT_RAW_CHUNK_HOURS of raw points,
+ * or EXPORT_BUCKETS_PER_CHUNK interval buckets from the rollups), so memory stays flat
+ * and any range can be exported. Progress is stored after every chunk; that update is
+ * also the heartbeat: an export running without progress for EXPORT_LEASE_MS (e.g. the
+ * instance died) is picked up again. A deleted export stops at its next chunk.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { parseInterval, queryAggregatedSeries, getIntervalBoundaries } from '../../rollups/index.js';
+import { getVirtualTags, queryVirtualPoints, queryVirtualBuckets } from '../../calculated-tags/index.js';
+import { FILE_EXTENSIONS, createExportWriter } from './exportWriters.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+class ExportCancelledError extends Error {}
+
+/**
+ * Path of the file of an export
+ * @param {Object} dataExport - Export (id, format)
+ * @returns {string} Absolute file path
+ */
+const getExportFilePath = (dataExport) =>
+  path.resolve(config.exports.dir, `export-${dataExport.id}.${FILE_EXTENSIONS[dataExport.format]}`);
+
+/**
+ * Delete the file of an export if it exists
+ * @param {Object} dataExport - Export (id, format)
+ */
+const removeExportFile = async (dataExport) => {
+  const filePath = getExportFilePath(dataExport);
+  await Promise.all([fs.rm(filePath, { force: true }), fs.rm(`${filePath}.part`, { force: true })]);
+};
+
+/**
+ * Get the tags of an export in column order
+ */
+const getExportColumns = async (dataExport) => {
+  const tags = await prisma.tag.findMany({
+    where: {
+      device: { plantId: dataExport.plantId },
+      ...(dataExport.deviceIds.length > 0 && { deviceId: { in: dataExport.deviceIds } }),
+      ...(dataExport.tagIds.length > 0 && { id: { in: dataExport.tagIds } }),
+    },
+    include: { device: { select: { id: true, deviceId: true, name: true } } },
+    orderBy: [{ device: { name: 'asc' } }, { name: 'asc' }],
+  });
+
+  return tags.map((tag) => ({
+    tagId: tag.id,
+    tagName: tag.name,
+    unit: tag.unit,
+    deviceId: tag.device.id,
+    deviceCode: tag.device.deviceId,
+    name: `${tag.device.deviceId || tag.device.id}.${tag.name}`,
+  }));
+};
+
+/**
+ * Split the export range into chunks [from, to) in time order
+ */
+const getExportChunks = async (dataExport) => {
+  const { startTime: start, endTime: end } = dataExport;
+  let boundaries;
+
+  if (dataExport.aggregation === 'raw') {
+    const chunkMs = config.exports.rawChunkHours * HOUR_MS;
+    boundaries = [];
+    for (let at = start.getTime(); at < end.getTime(); at += chunkMs) boundaries.push(new Date(at));
+    boundaries.push(new Date(end.getTime() + 1)); // End is inclusive
+  } else {
+    const intervalMs = parseInterval(dataExport.interval);
+    boundaries = await getIntervalBoundaries(dataExport.plantId, start, end, intervalMs, config.exports.bucketsPerChunk);
+  }
+
+  return boundaries
+    .slice(0, -1)
+    .map((from, i) => ({ from, to: boundaries[i + 1] }))
+    .filter(({ from }) => from <= end);
+};
+
+/**
+ * Read the records of one chunk (stored and virtual tags), ordered by timestamp then column
+ */
+const readChunk = async (dataExport, columns, { from, to }) => {
+  const tagIds = columns.map((column) => column.tagId);
+  const order = new Map(tagIds.map((id, i) => [id, i]));
+  const byTimeAndColumn = (a, b) => a.timestamp - b.timestamp || order.get(a.tagId) - order.get(b.tagId);
+  const scope = { plantId: dataExport.plantId, deviceIds: null, tagIds };
+  const virtualTags = await getVirtualTags(scope);
+
+  // The first chunk starts at the interval bucket containing startTime: rollup buckets
+  // are counted from there, raw points before startTime are left out
+  const first = from < dataExport.startTime ? dataExport.startTime : from;
+  const last = new Date(Math.min(to.getTime() - 1, dataExport.endTime.getTime()));
+
+  if (dataExport.aggregation === 'raw') {
+    const [stored, virtual] = await Promise.all([
+      prisma.processedData.findMany({
+        where: {
+          tagId: { in: tagIds },
+          timestamp: { gte: first, lte: last },
+        },
+        select: { timestamp: true, tagId: true, value: true, quality: true },
+        orderBy: [{ timestamp: 'asc' }, { tagId: 'asc' }],
+      }),
+      queryVirtualPoints(dataExport.plantId, virtualTags, first, last),
+    ]);
+
+    return virtual.length === 0
+      ? stored
+      : [
+          ...stored,
+          ...virtual.map(({ timestamp, tagId, value }) => ({ timestamp, tagId, value, quality: 100 })),
+        ].sort(byTimeAndColumn);
+  }
+
+  const intervalMs = parseInterval(dataExport.interval);
+  const [{ buckets }, virtual] = await Promise.all([
+    queryAggregatedSeries(scope, first, last, intervalMs),
+    queryVirtualBuckets(dataExport.plantId, virtualTags, first, last, intervalMs),
+  ]);
+
+  return [...buckets, ...virtual]
+    .map((bucket) => ({
+      timestamp: bucket.timestamp,
+      tagId: bucket.tagId,
+      value: bucket[dataExport.aggregation],
+      count: bucket.count,
+    }))
+    .sort(byTimeAndColumn);
+};
+
+/**
+ * Store progress; stops the export if it was deleted meanwhile
+ */
+const saveProgress = async (exportId, data) => {
+  const { count } = await prisma.dataExport.updateMany({
+    where: { id: exportId, status: 'RUNNING' },
+    data,
+  });
+  if (count === 0) {
+    throw new ExportCancelledError('Export was deleted');
+  }
+};
+
+/**
+ * Write the file of a claimed export
+ * @param {Object} dataExport - Export in RUNNING state
+ */
+const runExport = async (dataExport) => {
+  const filePath = getExportFilePath(dataExport);
+  const partPath = `${filePath}.part`;
+  let writer = null;
+
+  try {
+    const columns = await getExportColumns(dataExport);
+    if (columns.length === 0) {
+      throw new Error('No tags match the export selection');
+    }
+    if (columns.length > config.exports.maxTags) {
+      throw new Error(`Export selects ${columns.length} tags; at most ${config.exports.maxTags} are allowed`);
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    writer = await createExportWriter(dataExport.format, partPath, columns);
+
+    const chunks = await getExportChunks(dataExport);
+    const rangeMs = dataExport.endTime - dataExport.startTime;
+    let rowCount = 0;
+
+    for (const chunk of chunks) {
+      const records = await readChunk(dataExport, columns, chunk);
+      await writer.write(records);
+      rowCount += records.length;
+
+      const done = Math.min(chunk.to, dataExport.endTime) - dataExport.startTime;
+      await saveProgress(dataExport.id, {
+        progress: Math.min(99, Math.max(0, Math.floor((done / rangeMs) * 100))),
+        rowCount,
+      });
+    }
+
+    await writer.close();
+    writer = null;
+    await fs.rename(partPath, filePath);
+    const { size } = await fs.stat(filePath);
+
+    const completedAt = new Date();
+    await saveProgress(dataExport.id, {
+      status: 'COMPLETED',
+      progress: 100,
+      rowCount,
+      fileSize: size,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + config.exports.expiryHours * HOUR_MS),
+    });
+
+    logger.info('Data export completed', { exportId: dataExport.id, format: dataExport.format, rowCount, size });
+  } catch (error) {
+    if (writer) await writer.abort();
+    await removeExportFile(dataExport);
+
+    if (error instanceof ExportCancelledError) {
+      logger.info('Data export cancelled', { exportId: dataExport.id });
+      return;
+    }
+
+    logger.error('Data export failed', { exportId: dataExport.id, error: error.message });
+    await prisma.dataExport.updateMany({
+      where: { id: dataExport.id, status: 'RUNNING' },
+      data: { status: 'FAILED', error: error.message.slice(0, MAX_ERROR_LENGTH), completedAt: new Date() },
+    });
+  }
+};
+
+/**
+ * Claim the oldest pending export (or one whose worker stopped reporting progress)
+ * @returns {Promise<Object|null>} Claimed export
+ */
+const claimExport = async () => {
+  const leaseCutoff = new Date(Date.now() - config.exports.leaseMs);
+
+  const [claimed] = await prisma.$queryRaw`
+    UPDATE data_exports
+    SET status = 'RUNNING', "startedAt" = NOW() AT TIME ZONE 'UTC', "updatedAt" = NOW() AT TIME ZONE 'UTC', progress = 0, "rowCount" = 0
+    WHERE id = (
+      SELECT id FROM data_exports
+      WHERE status = 'PENDING' OR (status = 'RUNNING' AND "updatedAt" < ${leaseCutoff})
+      ORDER BY id
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `;
+
+  return claimed ? prisma.dataExport.findUnique({ where: { id: claimed.id } }) : null;
+};
+
+/**
+ * Delete expired exports and their files
+ * @returns {Promise<number>} Exports deleted
+ */
+const deleteExpiredExports = async () => {
+  const expired = await prisma.dataExport.findMany({
+    where: { expiresAt: { lt: new Date() } },
+    select: { id: true, format: true },
+  });
+
+  for (const dataExport of expired) {
+    await removeExportFile(dataExport);
+  }
+  if (expired.length > 0) {
+    await prisma.dataExport.deleteMany({ where: { id: { in: expired.map((e) => e.id) } } });
+  }
+
+  return expired.length;
+};
+
+/**
+ * Run the next pending export
+ * @returns {Promise<boolean>} True if an export ran (more may be waiting)
+ */
+const processNextExport = async () => {
+  await deleteExpiredExports();
+
+  const dataExport = await claimExport();
+  if (!dataExport) return false;
+
+  await runExport(dataExport);
+  return true;
+};
+
+const exportJob = createIntervalJob({
+  name: 'data-export',
+  intervalMs: config.exports.intervalMs,
+  run: processNextExport,
+});
+
+/**
+ * Start running exports
+ */
+const startExportWorker = () => {
+  exportJob.start();
+};
+
+/**
+ * Stop running exports and wait for an in-flight export
+ */
+const stopExportWorker = async () => {
+  await exportJob.stop();
+};
+
+/**
+ * Pick up a new export now instead of waiting for the next run
+ */
+const triggerExportWorker = () => {
+  exportJob.runNow();
+};
+
+export {
+  getExportFilePath,
+  removeExportFile,
+  processNextExport,
+  startExportWorker,
+  stopExportWorker,
+  triggerExportWorker,
+};
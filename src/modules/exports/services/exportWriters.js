@@ -0,0 +1,182 @@
+/**
+ * Export Writers
+ * Write export records to CSV (wide), JSON Lines or Parquet files
+ *
+ * Records arrive in time order, one chunk at a time: { timestamp, tagId, value, count, quality }.
+ * CSV has one row per timestamp and one column per tag ("<device code>.<tag name>");
+ * JSON Lines and Parquet have one row per tag value with device and tag names.
+ */
+
+import fs from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import parquet from '@dsnp/parquetjs';
+
+const { ParquetSchema, ParquetWriter } = parquet;
+
+const FILE_EXTENSIONS = {
+  CSV: 'csv',
+  JSONL: 'jsonl',
+  PARQUET: 'parquet',
+};
+
+const CONTENT_TYPES = {
+  CSV: 'text/csv; charset=utf-8',
+  JSONL: 'application/x-ndjson',
+  PARQUET: 'application/vnd.apache.parquet',
+};
+
+/**
+ * Quote a CSV cell when needed
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Open a text file stream that respects backpressure
+ */
+const openTextStream = (filePath) => {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+
+  return {
+    write: async (text) => {
+      if (!stream.write(text)) await once(stream, 'drain');
+    },
+    close: async () => {
+      stream.end();
+      await finished(stream);
+    },
+    abort: () => stream.destroy(),
+  };
+};
+
+/**
+ * Wide CSV: timestamp column, then one column per tag
+ */
+const createCsvWriter = async (filePath, columns) => {
+  const file = openTextStream(filePath);
+  const index = new Map(columns.map((column, i) => [column.tagId, i]));
+
+  await file.write(['timestamp', ...columns.map((column) => column.name)].map(csvCell).join(',') + '\n');
+
+  return {
+    write: async (records) => {
+      let lines = '';
+      let row = null;
+      let rowTime = null;
+
+      const flush = () => {
+        if (row) lines += [rowTime.toISOString(), ...row].map(csvCell).join(',') + '\n';
+      };
+
+      records.forEach((record) => {
+        if (!rowTime || record.timestamp.getTime() !== rowTime.getTime()) {
+          flush();
+          rowTime = record.timestamp;
+          row = new Array(columns.length).fill(null);
+        }
+        row[index.get(record.tagId)] = record.value;
+      });
+      flush();
+
+      if (lines) await file.write(lines);
+    },
+    close: file.close,
+    abort: file.abort,
+  };
+};
+
+/**
+ * JSON Lines: one object per tag value
+ */
+const createJsonlWriter = async (filePath, columns) => {
+  const file = openTextStream(filePath);
+  const byTag = new Map(columns.map((column) => [column.tagId, column]));
+
+  return {
+    write: async (records) => {
+      const lines = records
+        .map((record) => {
+          const column = byTag.get(record.tagId);
+          return JSON.stringify({
+            timestamp: record.timestamp.toISOString(),
+            deviceId: column.deviceId,
+            device: column.deviceCode,
+            tagId: column.tagId,
+            tag: column.tagName,
+            unit: column.unit,
+            value: record.value,
+            ...(record.count !== undefined && { count: record.count }),
+            ...(record.quality !== undefined && { quality: record.quality }),
+          });
+        })
+        .join('\n');
+
+      if (lines) await file.write(lines + '\n');
+    },
+    close: file.close,
+    abort: file.abort,
+  };
+};
+
+/**
+ * Parquet: one row per tag value
+ */
+const createParquetWriter = async (filePath, columns) => {
+  const byTag = new Map(columns.map((column) => [column.tagId, column]));
+  const writer = await ParquetWriter.openFile(
+    new ParquetSchema({
+      timestamp: { type: 'TIMESTAMP_MILLIS' },
+      deviceId: { type: 'INT32' },
+      device: { type: 'UTF8', optional: true },
+      tagId: { type: 'INT32' },
+      tag: { type: 'UTF8' },
+      unit: { type: 'UTF8', optional: true },
+      value: { type: 'DOUBLE', optional: true },
+      count: { type: 'INT32', optional: true },
+      quality: { type: 'INT32', optional: true },
+    }),
+    filePath
+  );
+
+  return {
+    write: async (records) => {
+      for (const record of records) {
+        const column = byTag.get(record.tagId);
+        await writer.appendRow({
+          timestamp: record.timestamp,
+          deviceId: column.deviceId,
+          device: column.deviceCode,
+          tagId: column.tagId,
+          tag: column.tagName,
+          unit: column.unit,
+          value: record.value,
+          count: record.count,
+          quality: record.quality,
+        });
+      }
+    },
+    close: () => writer.close(),
+    abort: () => writer.close().catch(() => {}),
+  };
+};
+
+const WRITERS = {
+  CSV: createCsvWriter,
+  JSONL: createJsonlWriter,
+  PARQUET: createParquetWriter,
+};
+
+/**
+ * Open an export file
+ * @param {string} format - ExportFormat
+ * @param {string} filePath - File to write
+ * @param {Array<Object>} columns - Tags in column order { tagId, tagName, unit, deviceId, deviceCode, name }
+ * @returns {Promise<Object>} Writer { write(records), close(), abort() }
+ */
+const createExportWriter = (format, filePath, columns) => WRITERS[format](filePath, columns);
+
+export { FILE_EXTENSIONS, CONTENT_TYPES, createExportWriter };
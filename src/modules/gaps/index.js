@@ -0,0 +1,16 @@
+/**
+ * Gaps Module
+ * Main entry point for gap detection and gap filling in historical data
+ *
+ * Tags are expected to report at their template tag's expectedInterval; longer pauses
+ * (e.g. a datalogger going offline) are gaps. The gap report lists them per tag, and
+ * historical queries can fill them with estimated points marked as interpolated.
+ *
+ * @module gaps
+ */
+
+// Detection
+export { getExpectedIntervals, detectGaps } from './services/gapDetection.js';
+
+// Filling
+export { fillGaps } from './services/gapFill.js';
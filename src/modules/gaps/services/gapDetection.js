@@ -0,0 +1,144 @@
+/**
+ * Gap Detection
+ * Finds the stretches in which tags reported no samples
+ *
+ * Each tag is expected to report every expectedInterval seconds (template tag setting,
+ * default GAP_DEFAULT_INTERVAL_SEC). A pause longer than GAP_TOLERANCE_FACTOR expected
+ * intervals between two samples, or between the range edges and the first or last
+ * sample, is a gap. Only tags with stored data are checked (query-time calculated tags
+ * are computed from their inputs).
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+/**
+ * Get the expected sample interval of tags
+ * @param {Array<number>} tagIds - Tag IDs
+ * @returns {Promise<Map<number, number>>} tagId -> interval in milliseconds
+ */
+const getExpectedIntervals = async (tagIds) => {
+  const tags = await prisma.tag.findMany({
+    where: { id: { in: tagIds } },
+    select: { id: true, templateTag: { select: { expectedInterval: true } } },
+  });
+
+  const { defaultIntervalSec } = config.gaps;
+  return new Map(tags.map(({ id, templateTag }) => [id, (templateTag?.expectedInterval || defaultIntervalSec) * 1000]));
+};
+
+/**
+ * Build a gap
+ * @param {Date} start - Last sample before the gap (or range start)
+ * @param {Date} end - First sample after the gap (or range end)
+ * @param {number} stepMs - Expected interval in milliseconds
+ * @param {number} samplesAtEdges - Samples bounding the gap (2 between samples, 1 at a range edge, 0 without samples)
+ * @returns {Object} { start, end, durationMs, missingSamples }
+ */
+const buildGap = (start, end, stepMs, samplesAtEdges) => {
+  const durationMs = end - start;
+  return {
+    start,
+    end,
+    durationMs,
+    missingSamples: Math.max(Math.round(durationMs / stepMs) + 1 - samplesAtEdges, 0),
+  };
+};
+
+/**
+ * Find the gaps of the stored tags of a plant in a time range
+ * @param {Object} scope - { plantId, deviceIds, tagIds } (null lists mean all)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end (the current time at most)
+ * @returns {Promise<Object>} { tags: [{ tag, expectedInterval, samples, firstSample, lastSample, gaps }], truncated }
+ */
+const detectGaps = async ({ plantId, deviceIds, tagIds }, start, end) => {
+  const { defaultIntervalSec, toleranceFactor, maxGaps } = config.gaps;
+
+  const tags = await prisma.tag.findMany({
+    where: {
+      device: { plantId },
+      ...(deviceIds && { deviceId: { in: deviceIds } }),
+      ...(tagIds && { id: { in: tagIds } }),
+      OR: [{ formula: null }, { calculationMode: 'INGESTION' }],
+    },
+    select: {
+      id: true,
+      name: true,
+      unit: true,
+      deviceId: true,
+      device: { select: { name: true } },
+      templateTag: { select: { expectedInterval: true } },
+    },
+    orderBy: [{ deviceId: 'asc' }, { name: 'asc' }],
+  });
+  if (tags.length === 0) return { tags: [], truncated: false };
+
+  const ids = tags.map((tag) => tag.id);
+  const [stats, between] = await Promise.all([
+    prisma.processedData.groupBy({
+      by: ['tagId'],
+      where: { tagId: { in: ids }, timestamp: { gte: start, lte: end } },
+      _count: { _all: true },
+      _min: { timestamp: true },
+      _max: { timestamp: true },
+    }),
+    prisma.$queryRaw`
+      SELECT s."tagId", s.previous AS "start", s."timestamp" AS "end"
+      FROM (
+        SELECT "tagId", "timestamp", LAG("timestamp") OVER (PARTITION BY "tagId" ORDER BY "timestamp") AS previous
+        FROM processed_data
+        WHERE "tagId" IN (${Prisma.join(ids)})
+          AND "timestamp" >= ${start}
+          AND "timestamp" <= ${end}
+      ) s
+      JOIN tags t ON t.id = s."tagId"
+      LEFT JOIN device_template_tags tt ON tt.id = t."templateTagId"
+      WHERE s."timestamp" - s.previous
+        > make_interval(secs => COALESCE(tt."expectedInterval", ${defaultIntervalSec}) * ${toleranceFactor}::float8)
+      ORDER BY s."tagId", s.previous
+      LIMIT ${maxGaps + 1}
+    `,
+  ]);
+
+  const truncated = between.length > maxGaps;
+  const gapsByTag = new Map();
+  between.slice(0, maxGaps).forEach((row) => {
+    if (!gapsByTag.has(row.tagId)) gapsByTag.set(row.tagId, []);
+    gapsByTag.get(row.tagId).push(row);
+  });
+  const statsByTag = new Map(stats.map((row) => [row.tagId, row]));
+
+  return {
+    truncated,
+    tags: tags.map(({ templateTag, ...tag }) => {
+      const expectedInterval = templateTag?.expectedInterval || defaultIntervalSec;
+      const stepMs = expectedInterval * 1000;
+      const thresholdMs = stepMs * toleranceFactor;
+      const row = statsByTag.get(tag.id);
+      const firstSample = row?._min.timestamp || null;
+      const lastSample = row?._max.timestamp || null;
+
+      let gaps;
+      if (!row) {
+        gaps = end - start > thresholdMs ? [buildGap(start, end, stepMs, 0)] : [];
+      } else {
+        gaps = (gapsByTag.get(tag.id) || []).map((gap) => buildGap(gap.start, gap.end, stepMs, 2));
+        if (firstSample - start > thresholdMs) gaps.unshift(buildGap(start, firstSample, stepMs, 1));
+        if (end - lastSample > thresholdMs) gaps.push(buildGap(lastSample, end, stepMs, 1));
+      }
+
+      return {
+        tag,
+        expectedInterval,
+        samples: row?._count._all || 0,
+        firstSample,
+        lastSample,
+        gaps,
+      };
+    }),
+  };
+};
+
+export { getExpectedIntervals, detectGaps };
@@ -0,0 +1,98 @@
+/**
+ * Gap Fill
+ * Adds estimated points to the gaps of time series
+ *
+ * Fill modes:
+ *   none      no points added
+ *   null      null values (charts break the line instead of drawing across the gap)
+ *   previous  the last value before the gap
+ *   linear    interpolated between the values around the gap
+ *   zero      0
+ * Points are added every step between the two points around a gap; gaps before the
+ * first or after the last point are not filled. Estimated points carry interpolated: true.
+ */
+
+import config from '../../../config/index.js';
+import { BadRequestError } from '../../../utils/errors.js';
+
+/**
+ * Estimate the value of a point in a gap
+ * @param {string} fill - Fill mode
+ * @param {Object} previous - Point before the gap { timestamp, value }
+ * @param {Object} next - Point after the gap { timestamp, value }
+ * @param {Date} timestamp - Time of the estimated point
+ * @returns {number|null} Value
+ */
+const estimateValue = (fill, previous, next, timestamp) => {
+  switch (fill) {
+    case 'previous':
+      return previous.value;
+    case 'linear':
+      if (previous.value === null || next.value === null) return null;
+      return (
+        previous.value +
+        ((next.value - previous.value) * (timestamp - previous.timestamp)) / (next.timestamp - previous.timestamp)
+      );
+    case 'zero':
+      return 0;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Fill the gaps of one or more time series
+ * Estimated points are inserted before the point that ends their gap, so the order of
+ * the input (e.g. by tag, then time) is kept.
+ * @param {Array<Object>} points - Points { tagId, timestamp, value }, each series (by tagId) in time order
+ * @param {Object} options - { fill, stepFor: tagId -> step in ms, thresholdFor: tagId -> shortest gap in ms }
+ * @param {Function} [createPoint] - (previous, timestamp, value) -> estimated point (default: tag, device,
+ *   time and value only; no ID, quality or flags of the previous point)
+ * @returns {Object} { data: points with the estimated points, filledPoints }
+ */
+const fillGaps = (
+  points,
+  { fill, stepFor, thresholdFor = stepFor },
+  createPoint = (previous, timestamp, value) => ({
+    tagId: previous.tagId,
+    deviceId: previous.deviceId,
+    timestamp,
+    value,
+    quality: null,
+    interpolated: true,
+  })
+) => {
+  if (!fill || fill === 'none') return { data: points, filledPoints: 0 };
+
+  const { maxFillPoints } = config.gaps;
+  const lastByTag = new Map();
+  const data = [];
+  let filledPoints = 0;
+
+  points.forEach((point) => {
+    const previous = lastByTag.get(point.tagId);
+    lastByTag.set(point.tagId, point);
+
+    if (previous && point.timestamp - previous.timestamp > thresholdFor(point.tagId)) {
+      const stepMs = stepFor(point.tagId);
+      const missing = Math.round((point.timestamp - previous.timestamp) / stepMs) - 1;
+      if (filledPoints + missing > maxFillPoints) {
+        throw new BadRequestError(
+          `Filling gaps would add more than ${maxFillPoints} points. Use a shorter time range or a larger interval`
+        );
+      }
+
+      for (let i = 1; i <= missing; i++) {
+        const timestamp = new Date(previous.timestamp.getTime() + i * stepMs);
+        data.push(createPoint(previous, timestamp, estimateValue(fill, previous, point, timestamp)));
+      }
+      filledPoints += missing;
+    }
+
+    data.push(point);
+  });
+
+  return { data, filledPoints };
+};
+
+export { fillGaps };
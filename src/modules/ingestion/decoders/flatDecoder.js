@@ -0,0 +1,70 @@
+/**
+ * Flat Decoder
+ * Key/value payloads: { values: { tag: value } } or { tag: value, timestamp }
+ */
+
+// Payload keys that carry message metadata rather than tag values
+const RESERVED_PAYLOAD_KEYS = new Set([
+  'timestamp',
+  'ts',
+  'time',
+  'deviceId',
+  'device_id',
+  'plantId',
+  'topic',
+  'aws_timestamp',
+  'messageId',
+  'decoder',
+  'values',
+]);
+
+/**
+ * Validate flat decoder configuration
+ * @param {Object} config - { keyMap?: { payloadKey: tagName }, exclude?: string[] }
+ * @returns {Array<string>} Validation errors
+ */
+const validateConfig = (config = {}) => {
+  const errors = [];
+
+  if (config.keyMap !== undefined) {
+    const valid =
+      config.keyMap &&
+      typeof config.keyMap === 'object' &&
+      !Array.isArray(config.keyMap) &&
+      Object.values(config.keyMap).every((tag) => typeof tag === 'string' && tag);
+    if (!valid) errors.push('keyMap must be an object of payload key to tag name');
+  }
+
+  if (config.exclude !== undefined && !(Array.isArray(config.exclude) && config.exclude.every((k) => typeof k === 'string'))) {
+    errors.push('exclude must be an array of payload keys');
+  }
+
+  return errors;
+};
+
+/**
+ * Decode a flat payload
+ * Supports both { values: { tag: value } } and flat { tag: value } payloads.
+ * @param {Object} payload - Message payload
+ * @param {Object} config - Decoder configuration
+ * @returns {Object} { values, timestamp }
+ */
+const decode = (payload, config = {}) => {
+  const source =
+    payload.values && typeof payload.values === 'object' && !Array.isArray(payload.values)
+      ? payload.values
+      : Object.fromEntries(Object.entries(payload).filter(([key]) => !RESERVED_PAYLOAD_KEYS.has(key)));
+
+  const exclude = new Set(config.exclude || []);
+  const keyMap = config.keyMap || {};
+  const values = {};
+
+  Object.entries(source).forEach(([key, raw]) => {
+    if (exclude.has(key)) return;
+    values[keyMap[key] || key] = raw;
+  });
+
+  return { values, timestamp: payload.timestamp ?? payload.ts ?? payload.time };
+};
+
+export { validateConfig, decode };
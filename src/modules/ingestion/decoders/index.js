@@ -0,0 +1,83 @@
+/**
+ * Payload Decoders
+ * Registry of decoders that turn a device payload into tag values
+ *
+ * A DeviceTemplate selects its decoder with the `decoder` field:
+ *   { "type": "flat" | "jsonpath" | "registers", "config": { ... } }
+ * Templates without a decoder use the flat decoder.
+ *
+ * Additional decoders can be added with registerDecoder(type, { validateConfig, decode }).
+ */
+
+import * as flatDecoder from './flatDecoder.js';
+import * as jsonPathDecoder from './jsonPathDecoder.js';
+import * as registerMapDecoder from './registerMapDecoder.js';
+
+const DEFAULT_DECODER = { type: 'flat', config: {} };
+
+const decoders = new Map([
+  ['flat', flatDecoder],
+  ['jsonpath', jsonPathDecoder],
+  ['registers', registerMapDecoder],
+]);
+
+/**
+ * Register a custom decoder
+ * @param {string} type - Decoder type referenced by DeviceTemplate.decoder.type
+ * @param {Object} decoder - { validateConfig(config) => string[], decode(payload, config) => { values, timestamp } }
+ */
+const registerDecoder = (type, decoder) => {
+  if (typeof decoder?.decode !== 'function' || typeof decoder?.validateConfig !== 'function') {
+    throw new Error(`Decoder "${type}" must implement validateConfig() and decode()`);
+  }
+  decoders.set(type, decoder);
+};
+
+/**
+ * List available decoder types
+ * @returns {Array<string>} Decoder types
+ */
+const getDecoderTypes = () => [...decoders.keys()];
+
+/**
+ * Validate a template decoder definition
+ * @param {Object|null} decoder - { type, config }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+const validateDecoder = (decoder) => {
+  if (decoder === null || decoder === undefined) return [];
+
+  if (typeof decoder !== 'object' || Array.isArray(decoder)) {
+    return ['decoder must be an object { type, config }'];
+  }
+
+  const implementation = decoders.get(decoder.type);
+  if (!implementation) {
+    return [`Unknown decoder type "${decoder.type}". Available: ${getDecoderTypes().join(', ')}`];
+  }
+
+  if (decoder.config !== undefined && (typeof decoder.config !== 'object' || decoder.config === null || Array.isArray(decoder.config))) {
+    return ['decoder.config must be an object'];
+  }
+
+  return implementation.validateConfig(decoder.config || {});
+};
+
+/**
+ * Decode a payload with a template decoder
+ * @param {Object|null} decoder - Template decoder { type, config } (null = flat)
+ * @param {Object} payload - Message payload
+ * @returns {Object} { values: { tagName: rawValue }, timestamp: rawTimestamp }
+ */
+const decodePayload = (decoder, payload) => {
+  const { type, config = {} } = decoder || DEFAULT_DECODER;
+  const implementation = decoders.get(type);
+
+  if (!implementation) {
+    throw new Error(`Unknown decoder type "${type}"`);
+  }
+
+  return implementation.decode(payload, config);
+};
+
+export { registerDecoder, getDecoderTypes, validateDecoder, decodePayload };
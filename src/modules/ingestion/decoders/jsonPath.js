@@ -0,0 +1,161 @@
+/**
+ * JSONPath
+ * Small JSONPath subset used by the JSONPath decoder
+ *
+ * Supported: `$`, `.name`, `['name']`, `[0]`, `[-1]`, `[*]`, `.*` and filters
+ * such as `[?(@.type == 'temp')]` (==, !=, <, <=, >, >= against a literal).
+ */
+
+const FILTER_PATTERN = /^\?\(\s*@((?:\.[A-Za-z_$][\w$]*)*)\s*(==|!=|<=|>=|<|>)\s*(.+?)\s*\)$/;
+
+/**
+ * Parse a filter literal ('text', "text", number, true, false, null)
+ * @param {string} literal - Literal source
+ * @returns {*} Parsed value
+ */
+const parseLiteral = (literal) => {
+  const quoted = literal.match(/^(['"])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (literal === 'true') return true;
+  if (literal === 'false') return false;
+  if (literal === 'null') return null;
+
+  const numeric = Number(literal);
+  if (Number.isFinite(numeric)) return numeric;
+
+  throw new Error(`Invalid filter literal: ${literal}`);
+};
+
+/**
+ * Split a path into segments
+ * @param {string} path - JSONPath expression
+ * @returns {Array<Object>} Segments { type: 'key'|'index'|'wildcard'|'filter', ... }
+ */
+const parsePath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error('JSONPath must start with "$"');
+  }
+
+  const segments = [];
+  let i = 1;
+
+  while (i < path.length) {
+    const char = path[i];
+
+    if (char === '.') {
+      if (path[i + 1] === '.') {
+        throw new Error('Recursive descent ("..") is not supported');
+      }
+      const match = path.slice(i + 1).match(/^(\*|[A-Za-z_$][\w$-]*)/);
+      if (!match) throw new Error(`Invalid JSONPath near position ${i}: ${path}`);
+      segments.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'key', key: match[1] });
+      i += 1 + match[1].length;
+      continue;
+    }
+
+    if (char === '[') {
+      const end = path.indexOf(']', i);
+      if (end === -1) throw new Error(`Unclosed "[" in JSONPath: ${path}`);
+      const inner = path.slice(i + 1, end).trim();
+
+      if (inner === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        segments.push({ type: 'index', index: Number(inner) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        segments.push({ type: 'key', key: inner.slice(1, -1) });
+      } else {
+        const filter = inner.match(FILTER_PATTERN);
+        if (!filter) throw new Error(`Unsupported JSONPath selector: [${inner}]`);
+        segments.push({
+          type: 'filter',
+          field: filter[1] ? filter[1].slice(1).split('.') : [],
+          operator: filter[2],
+          value: parseLiteral(filter[3]),
+        });
+      }
+
+      i = end + 1;
+      continue;
+    }
+
+    throw new Error(`Invalid JSONPath near position ${i}: ${path}`);
+  }
+
+  return segments;
+};
+
+/**
+ * Compare a value against a filter literal
+ */
+const compare = (left, operator, right) => {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Children of a node (array items or object values)
+ */
+const childrenOf = (node) => {
+  if (Array.isArray(node)) return node;
+  if (node && typeof node === 'object') return Object.values(node);
+  return [];
+};
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {*} data - Document to query
+ * @param {string|Array} path - JSONPath expression or pre-parsed segments
+ * @returns {Array} All matching values (empty if nothing matches)
+ */
+const queryJsonPath = (data, path) => {
+  const segments = Array.isArray(path) ? path : parsePath(path);
+  let nodes = [data];
+
+  segments.forEach((segment) => {
+    const next = [];
+
+    nodes.forEach((node) => {
+      if (segment.type === 'key') {
+        if (node && typeof node === 'object' && !Array.isArray(node) && segment.key in node) {
+          next.push(node[segment.key]);
+        }
+      } else if (segment.type === 'index') {
+        if (Array.isArray(node)) {
+          const index = segment.index < 0 ? node.length + segment.index : segment.index;
+          if (index >= 0 && index < node.length) next.push(node[index]);
+        }
+      } else if (segment.type === 'wildcard') {
+        next.push(...childrenOf(node));
+      } else if (segment.type === 'filter') {
+        childrenOf(node).forEach((child) => {
+          const value = segment.field.reduce(
+            (current, key) => (current && typeof current === 'object' ? current[key] : undefined),
+            child
+          );
+          if (compare(value, segment.operator, segment.value)) next.push(child);
+        });
+      }
+    });
+
+    nodes = next;
+  });
+
+  return nodes;
+};
+
+export { parsePath, queryJsonPath };
@@ -0,0 +1,92 @@
+/**
+ * JSONPath Decoder
+ * Nested payloads (objects and arrays) mapped to tags with JSONPath expressions
+ *
+ * Config example (weather station):
+ * {
+ *   "timestampPath": "$.meta.ts",
+ *   "mappings": [
+ *     { "tag": "ambient_temp", "path": "$.sensors[?(@.type == 'temp')].value" },
+ *     { "tag": "irradiance", "path": "$.readings.ghi", "scale": 0.1 }
+ *   ]
+ * }
+ */
+
+import { parsePath, queryJsonPath } from './jsonPath.js';
+
+/**
+ * Apply scale and offset to numeric values
+ */
+const applyScaling = (raw, { scale, offset }) => {
+  if ((scale === undefined && offset === undefined) || raw === null || raw === '' || typeof raw === 'boolean') {
+    return raw;
+  }
+
+  const numeric = Number(raw);
+  if (!Number.isFinite(numeric)) return raw;
+  return numeric * (scale ?? 1) + (offset ?? 0);
+};
+
+/**
+ * Validate JSONPath decoder configuration
+ * @param {Object} config - { timestampPath?, mappings: [{ tag, path, scale?, offset? }] }
+ * @returns {Array<string>} Validation errors
+ */
+const validateConfig = (config = {}) => {
+  const errors = [];
+
+  if (!Array.isArray(config.mappings) || config.mappings.length === 0) {
+    return ['mappings must be a non-empty array of { tag, path }'];
+  }
+
+  config.mappings.forEach((mapping, index) => {
+    if (!mapping || typeof mapping.tag !== 'string' || !mapping.tag) {
+      errors.push(`mappings[${index}].tag is required`);
+    }
+    try {
+      parsePath(mapping?.path);
+    } catch (error) {
+      errors.push(`mappings[${index}].path: ${error.message}`);
+    }
+    ['scale', 'offset'].forEach((key) => {
+      if (mapping && mapping[key] !== undefined && !Number.isFinite(mapping[key])) {
+        errors.push(`mappings[${index}].${key} must be a number`);
+      }
+    });
+  });
+
+  if (config.timestampPath !== undefined) {
+    try {
+      parsePath(config.timestampPath);
+    } catch (error) {
+      errors.push(`timestampPath: ${error.message}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Decode a nested payload
+ * When a path matches several values the first match is used.
+ * @param {Object} payload - Message payload
+ * @param {Object} config - Decoder configuration
+ * @returns {Object} { values, timestamp }
+ */
+const decode = (payload, config) => {
+  const values = {};
+
+  config.mappings.forEach((mapping) => {
+    const [match] = queryJsonPath(payload, mapping.path);
+    if (match === undefined) return;
+    values[mapping.tag] = applyScaling(match, mapping);
+  });
+
+  const timestamp = config.timestampPath
+    ? queryJsonPath(payload, config.timestampPath)[0]
+    : payload.timestamp ?? payload.ts ?? payload.time;
+
+  return { values, timestamp };
+};
+
+export { validateConfig, decode };
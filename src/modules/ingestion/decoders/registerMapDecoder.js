@@ -0,0 +1,173 @@
+/**
+ * Register Map Decoder
+ * SunSpec/Modbus-style register dumps decoded with a scaled register map
+ *
+ * The payload carries 16-bit register words either as an array starting at
+ * `baseAddress` or as an object keyed by address:
+ *   { "registers": [16502, 0, 2300, ...] }   or   { "registers": { "40072": 2300 } }
+ *
+ * Config example:
+ * {
+ *   "registersPath": "registers",
+ *   "baseAddress": 40000,
+ *   "registers": [
+ *     { "tag": "power_ac_output", "address": 40083, "type": "int16", "scaleFactorAddress": 40084 },
+ *     { "tag": "energy_total", "address": 40093, "type": "acc32", "scale": 0.001 }
+ *   ]
+ * }
+ *
+ * `scale` multiplies the value, `scaleFactorAddress` points to a SunSpec int16 scale
+ * factor (value * 10^sf). SunSpec "not implemented" values decode to null.
+ */
+
+const REGISTER_TYPES = {
+  uint16: { words: 1, notImplemented: 0xffff },
+  int16: { words: 1, notImplemented: -0x8000 },
+  uint32: { words: 2, notImplemented: 0xffffffff },
+  acc32: { words: 2, notImplemented: 0 },
+  int32: { words: 2, notImplemented: -0x80000000 },
+  float32: { words: 2, notImplemented: null },
+};
+
+/**
+ * Read a value from an object by dot path ("data.registers")
+ */
+const getByPath = (data, path) =>
+  path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), data);
+
+/**
+ * Get a 16-bit register word
+ * @returns {number|undefined} Word value or undefined if missing
+ */
+const readWord = (registers, address, baseAddress) => {
+  const raw = Array.isArray(registers) ? registers[address - baseAddress] : registers[String(address)];
+  if (raw === undefined || raw === null || raw === '') return undefined;
+
+  const word = Number(raw);
+  if (!Number.isInteger(word) || word < -0x8000 || word > 0xffff) return undefined;
+  return word & 0xffff;
+};
+
+/**
+ * Decode one register entry
+ * @returns {number|null|undefined} Value, null if not implemented, undefined if missing
+ */
+const readRegister = (registers, entry, config) => {
+  const baseAddress = config.baseAddress || 0;
+  const type = REGISTER_TYPES[entry.type || 'uint16'];
+  const wordOrder = entry.wordOrder || config.wordOrder || 'big';
+
+  const words = [];
+  for (let i = 0; i < type.words; i++) {
+    const word = readWord(registers, entry.address + i, baseAddress);
+    if (word === undefined) return undefined;
+    words.push(word);
+  }
+  if (wordOrder === 'little') words.reverse();
+
+  const buffer = Buffer.alloc(type.words * 2);
+  words.forEach((word, i) => buffer.writeUInt16BE(word, i * 2));
+
+  let value;
+  switch (entry.type || 'uint16') {
+    case 'int16':
+      value = buffer.readInt16BE(0);
+      break;
+    case 'uint32':
+    case 'acc32':
+      value = buffer.readUInt32BE(0);
+      break;
+    case 'int32':
+      value = buffer.readInt32BE(0);
+      break;
+    case 'float32':
+      value = buffer.readFloatBE(0);
+      if (!Number.isFinite(value)) return null;
+      break;
+    default:
+      value = buffer.readUInt16BE(0);
+  }
+
+  if (type.notImplemented !== null && value === type.notImplemented) return null;
+
+  let scaled = value * (entry.scale ?? 1);
+
+  if (entry.scaleFactorAddress !== undefined) {
+    const sf = readRegister(registers, { address: entry.scaleFactorAddress, type: 'int16' }, config);
+    if (sf === undefined || sf === null) return null;
+    scaled *= 10 ** sf;
+  }
+
+  // Avoid float noise such as 230.00000000000003 after scaling
+  return Number(scaled.toPrecision(12));
+};
+
+/**
+ * Validate register map configuration
+ * @param {Object} config - { registersPath?, baseAddress?, wordOrder?, registers: [...] }
+ * @returns {Array<string>} Validation errors
+ */
+const validateConfig = (config = {}) => {
+  const errors = [];
+
+  if (config.registersPath !== undefined && (typeof config.registersPath !== 'string' || !config.registersPath)) {
+    errors.push('registersPath must be a non-empty string');
+  }
+  if (config.baseAddress !== undefined && !Number.isInteger(config.baseAddress)) {
+    errors.push('baseAddress must be an integer');
+  }
+  if (config.wordOrder !== undefined && !['big', 'little'].includes(config.wordOrder)) {
+    errors.push('wordOrder must be "big" or "little"');
+  }
+
+  if (!Array.isArray(config.registers) || config.registers.length === 0) {
+    errors.push('registers must be a non-empty array of { tag, address, type }');
+    return errors;
+  }
+
+  config.registers.forEach((entry, index) => {
+    if (!entry || typeof entry.tag !== 'string' || !entry.tag) {
+      errors.push(`registers[${index}].tag is required`);
+    }
+    if (!Number.isInteger(entry?.address) || entry.address < 0) {
+      errors.push(`registers[${index}].address must be a non-negative integer`);
+    }
+    if (entry?.type !== undefined && !REGISTER_TYPES[entry.type]) {
+      errors.push(`registers[${index}].type must be one of: ${Object.keys(REGISTER_TYPES).join(', ')}`);
+    }
+    if (entry?.wordOrder !== undefined && !['big', 'little'].includes(entry.wordOrder)) {
+      errors.push(`registers[${index}].wordOrder must be "big" or "little"`);
+    }
+    if (entry?.scale !== undefined && !Number.isFinite(entry.scale)) {
+      errors.push(`registers[${index}].scale must be a number`);
+    }
+    if (entry?.scaleFactorAddress !== undefined && !Number.isInteger(entry.scaleFactorAddress)) {
+      errors.push(`registers[${index}].scaleFactorAddress must be an integer`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Decode a register dump
+ * @param {Object} payload - Message payload
+ * @param {Object} config - Decoder configuration
+ * @returns {Object} { values, timestamp }
+ */
+const decode = (payload, config) => {
+  const registers = getByPath(payload, config.registersPath || 'registers');
+  if (!registers || typeof registers !== 'object') {
+    throw new Error(`Payload has no register block at "${config.registersPath || 'registers'}"`);
+  }
+
+  const values = {};
+  config.registers.forEach((entry) => {
+    const value = readRegister(registers, entry, config);
+    if (value !== undefined) values[entry.tag] = value;
+  });
+
+  return { values, timestamp: payload.timestamp ?? payload.ts ?? payload.time };
+};
+
+export { REGISTER_TYPES, validateConfig, decode };
@@ -0,0 +1,104 @@
+/**
+ * Data Ingestion Module
+ * Main entry point for the MQTT data ingestion pipeline
+ *
+ * Raw messages are stored in RawMqttData by the ingestion sources (AWS IoT -> SQS,
+ * or a direct MQTT broker subscription) and turned into ProcessedData by the raw data processor running in the background.
+ * Messages that keep failing at the source are kept in the dead-letter table. Late messages
+ * (backfill after an outage) are tracked per plant and raise alarms without notifications.
+ *
+ * @module ingestion
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startRawDataProcessor, stopRawDataProcessor } from './services/rawDataProcessor.js';
+import { startSqsConsumer, stopSqsConsumer } from './services/sqsConsumer.js';
+import { startMqttSubscriber, stopMqttSubscriber } from './services/mqttSubscriber.js';
+
+// Raw message processing
+export {
+  processRawMessage,
+  processPendingMessages,
+  retryFailedMessages,
+  triggerRawDataProcessor,
+  parseTimestamp,
+  coerceValue,
+} from './services/rawDataProcessor.js';
+
+// Sample quality checks
+export { QUALITY_FLAGS, qualityFromFlags, assessPointQuality } from './services/qualityChecks.js';
+
+// Late data (backfill)
+export { isBackfill, checkBackfillAge, recordBackfill, getBackfillStatus } from './services/backfillTracker.js';
+
+// Points corrected by hand (not overwritten by re-delivered values)
+export { dropCorrectedPoints } from './services/correctedPoints.js';
+
+// Raw message storage (shared write path for all sources)
+export { computeMessageHash, storeRawMessage } from './services/rawMessageStore.js';
+export { recordDeadLetter } from './services/deadLetterStore.js';
+
+// Payload decoders (per device template)
+export {
+  registerDecoder,
+  getDecoderTypes,
+  validateDecoder,
+  decodePayload,
+} from './decoders/index.js';
+
+// Direct MQTT broker subscription
+export { refreshSubscriptions, getMqttSubscriberStatus } from './services/mqttSubscriber.js';
+
+// Topic resolution
+export {
+  resolvePlantByTopic,
+  resolvePlantByIdentifier,
+  resolveDevice,
+  getDeviceByCode,
+  getPlantDevices,
+  topicMatches,
+  invalidateTopicCache,
+} from './services/topicResolver.js';
+
+// Tag references in expressions (device hierarchy)
+export {
+  resolveTagReference,
+  bindExpression,
+  createBindingResolver,
+  getBindingRefs,
+} from './services/tagReferences.js';
+
+/**
+ * Start all enabled ingestion workers
+ */
+const startIngestion = () => {
+  logger.info('Starting data ingestion', { mode: config.ingestion.mode });
+
+  if (config.ingestion.mode === 'aws') {
+    startSqsConsumer();
+  } else if (config.ingestion.mode === 'mqtt') {
+    startMqttSubscriber();
+  } else if (config.ingestion.mode !== 'none') {
+    logger.warn('Unknown INGESTION_MODE - no message source started (use aws, mqtt or none)', {
+      mode: config.ingestion.mode,
+    });
+  }
+
+  if (config.ingestion.processor.enabled) {
+    startRawDataProcessor();
+  } else {
+    logger.info('Raw data processor is disabled via INGESTION_PROCESSOR_ENABLED=false');
+  }
+};
+
+/**
+ * Stop all ingestion workers (waits for in-flight batches)
+ */
+const stopIngestion = async () => {
+  await stopSqsConsumer();
+  await stopMqttSubscriber();
+  await stopRawDataProcessor();
+};
+
+export { startIngestion, stopIngestion };
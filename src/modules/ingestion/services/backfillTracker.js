@@ -0,0 +1,119 @@
+/**
+ * Backfill Tracker
+ * Recognizes late (backfilled) messages and keeps the backfill status of each plant
+ *
+ * A message is backfill when its timestamp is more than BACKFILL_THRESHOLD_MS older than
+ * the time it is processed, e.g. a gateway uploading its store-and-forward buffer after
+ * a connectivity outage. Messages older than BACKFILL_MAX_AGE_DAYS are rejected. Each
+ * plant has one plant_backfills row for its current or last run of late messages.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import { toRollupBucket } from '../../rollups/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a message timestamp is backfill
+ * @param {Date} timestamp - Message timestamp
+ * @param {Date} [now] - Processing time
+ * @returns {boolean} Whether the message is older than BACKFILL_THRESHOLD_MS
+ */
+const isBackfill = (timestamp, now = new Date()) => now - timestamp > config.backfill.thresholdMs;
+
+/**
+ * Reject message timestamps too old to be backfilled
+ * @param {Date} timestamp - Message timestamp
+ * @param {Date} [now] - Processing time
+ * @throws {Error} If the timestamp is older than BACKFILL_MAX_AGE_DAYS
+ */
+const checkBackfillAge = (timestamp, now = new Date()) => {
+  const { maxAgeDays } = config.backfill;
+  if (now - timestamp > maxAgeDays * DAY_MS) {
+    throw new Error(`Timestamp ${timestamp.toISOString()} is older than the ${maxAgeDays} days accepted for backfill`);
+  }
+};
+
+/**
+ * Count one processed backfill message in the status of its plant
+ * A message arriving after BACKFILL_IDLE_MS without late messages starts a new run.
+ * @param {Object} message - { plantId, timestamp, points, alarms } (points written, alarms recorded)
+ * @param {Date} [now] - Processing time
+ * @returns {Promise<number>} Rows written
+ */
+const recordBackfill = ({ plantId, timestamp, points, alarms = 0 }, now = new Date()) => {
+  const idleCutoff = new Date(now.getTime() - config.backfill.idleMs);
+  const restart = Prisma.sql`plant_backfills."lastMessageAt" < ${idleCutoff}`;
+
+  return prisma.$executeRaw`
+    INSERT INTO plant_backfills ("plantId", "startedAt", "lastMessageAt", messages, points, alarms, "dataFrom", "dataTo", "updatedAt")
+    VALUES (${plantId}, ${now}, ${now}, 1, ${points}, ${alarms}, ${timestamp}, ${timestamp}, ${now})
+    ON CONFLICT ("plantId") DO UPDATE SET
+      "startedAt" = CASE WHEN ${restart} THEN EXCLUDED."startedAt" ELSE plant_backfills."startedAt" END,
+      "lastMessageAt" = EXCLUDED."lastMessageAt",
+      messages = CASE WHEN ${restart} THEN 1 ELSE plant_backfills.messages + 1 END,
+      points = CASE WHEN ${restart} THEN EXCLUDED.points ELSE plant_backfills.points + EXCLUDED.points END,
+      alarms = CASE WHEN ${restart} THEN EXCLUDED.alarms ELSE plant_backfills.alarms + EXCLUDED.alarms END,
+      "dataFrom" = CASE WHEN ${restart} THEN EXCLUDED."dataFrom" ELSE LEAST(plant_backfills."dataFrom", EXCLUDED."dataFrom") END,
+      "dataTo" = CASE WHEN ${restart} THEN EXCLUDED."dataTo" ELSE GREATEST(plant_backfills."dataTo", EXCLUDED."dataTo") END,
+      "updatedAt" = EXCLUDED."updatedAt"
+  `;
+};
+
+/**
+ * Get the backfill status of a plant
+ *   RECEIVING    late messages arrived within BACKFILL_IDLE_MS
+ *   RECOMPUTING  rollups of the backfilled range are still queued
+ *   COMPLETED    the last run is fully processed
+ *   NONE         the plant never received late data
+ * @param {number} plantId - Plant ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { status, pendingMessages, oldestPendingAt, queuedRollupBuckets, run }
+ */
+const getBackfillStatus = async (plantId, now = new Date()) => {
+  const run = await prisma.plantBackfill.findUnique({ where: { plantId } });
+
+  const [pending, queuedRollupBuckets] = await Promise.all([
+    prisma.rawMqttData.aggregate({
+      where: { plantId, isProcessed: false, processingError: null },
+      _count: { _all: true },
+      _min: { receivedAt: true },
+    }),
+    run
+      ? prisma.dataRollupQueue.count({
+          where: { plantId, bucket: { gte: toRollupBucket(run.dataFrom), lte: run.dataTo } },
+        })
+      : 0,
+  ]);
+
+  let status = 'NONE';
+  if (run) {
+    if (now - run.lastMessageAt < config.backfill.idleMs) {
+      status = 'RECEIVING';
+    } else if (queuedRollupBuckets > 0) {
+      status = 'RECOMPUTING';
+    } else {
+      status = 'COMPLETED';
+    }
+  }
+
+  return {
+    status,
+    pendingMessages: pending._count._all,
+    oldestPendingAt: pending._min.receivedAt,
+    queuedRollupBuckets,
+    run: run && {
+      startedAt: run.startedAt,
+      lastMessageAt: run.lastMessageAt,
+      messages: run.messages,
+      points: run.points,
+      alarms: run.alarms,
+      dataFrom: run.dataFrom,
+      dataTo: run.dataTo,
+    },
+  };
+};
+
+export { isBackfill, checkBackfillAge, recordBackfill, getBackfillStatus };
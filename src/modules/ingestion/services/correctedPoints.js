@@ -0,0 +1,40 @@
+/**
+ * Corrected Points
+ * Keeps manual data corrections from being overwritten by ingestion
+ *
+ * A point corrected by hand (inserted, overridden or invalidated through an applied
+ * data_corrections row) keeps its corrected state: device values re-delivered for the
+ * same tag and timestamp, e.g. a gateway resending its buffer, are dropped.
+ */
+
+import { prisma } from '../../../config/database.js';
+
+/**
+ * Drop the points of one message whose tag and timestamp were corrected by hand
+ * @param {Array<Object>} points - { deviceId, tagId, timestamp } (one device and timestamp)
+ * @returns {Promise<Object>} { points: points to store, corrected: tag IDs dropped }
+ */
+const dropCorrectedPoints = async (points) => {
+  if (points.length === 0) return { points, corrected: [] };
+
+  const { deviceId, timestamp } = points[0];
+  const corrections = await prisma.dataCorrection.findMany({
+    where: {
+      deviceId,
+      timestamp,
+      tagId: { in: points.map((point) => point.tagId) },
+      status: 'APPLIED',
+    },
+    select: { tagId: true },
+    distinct: ['tagId'],
+  });
+  if (corrections.length === 0) return { points, corrected: [] };
+
+  const corrected = new Set(corrections.map((correction) => correction.tagId));
+  return {
+    points: points.filter((point) => !corrected.has(point.tagId)),
+    corrected: [...corrected],
+  };
+};
+
+export { dropCorrectedPoints };
@@ -0,0 +1,48 @@
+/**
+ * Dead Letter Store
+ * Keeps messages that repeatedly failed ingestion so they can be inspected and replayed
+ */
+
+import { prisma } from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * Record a poison message in the dead-letter table
+ * @param {Object} entry - Dead letter entry
+ * @param {string} entry.source - Ingestion source (sqs, mqtt, http)
+ * @param {string} entry.body - Raw message body as received
+ * @param {string} entry.error - Last error message
+ * @param {string} entry.messageId - Source message ID (optional)
+ * @param {string} entry.topic - MQTT topic if known (optional)
+ * @param {number} entry.plantId - Plant database ID if known (optional)
+ * @param {number} entry.attempts - Number of delivery attempts (optional)
+ * @returns {Promise<Object>} Created dead letter record
+ */
+const recordDeadLetter = async ({ source, body, error, messageId = null, topic = null, plantId = null, attempts = 1 }) => {
+  const deadLetter = await prisma.deadLetterMessage.create({
+    data: {
+      source,
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+      error: String(error).slice(0, MAX_ERROR_LENGTH),
+      messageId,
+      topic,
+      plantId,
+      attempts,
+    },
+  });
+
+  logger.warn('Message moved to dead-letter table', {
+    deadLetterId: deadLetter.id,
+    source,
+    messageId,
+    topic,
+    attempts,
+    error,
+  });
+
+  return deadLetter;
+};
+
+export { recordDeadLetter };
@@ -0,0 +1,266 @@
+/**
+ * MQTT Subscriber
+ * Subscribes directly to an MQTT broker (e.g. a local Mosquitto) and stores messages in RawMqttData
+ *
+ * One subscription `{mqttBaseTopic}/#` is kept per ACTIVE plant. The plant list is
+ * re-read every config.mqtt.subscriptionRefreshMs so new, re-activated or deactivated
+ * plants are picked up without a restart.
+ */
+
+import mqtt from 'mqtt';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { getActivePlantTopics } from '../../../services/plantService.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { normalizeTopic, topicMatches } from './topicResolver.js';
+import { storeRawMessage } from './rawMessageStore.js';
+import { recordDeadLetter } from './deadLetterStore.js';
+import { triggerRawDataProcessor } from './rawDataProcessor.js';
+
+let client = null;
+let stopping = false;
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+
+// Active subscriptions: topic filter -> plant { id, plantId, mqttBaseTopic }
+let subscriptions = new Map();
+
+/**
+ * Build the subscription filter for a plant base topic
+ * @param {string} baseTopic - Plant MQTT base topic
+ * @returns {string} Topic filter (e.g. "solar/plant1/#")
+ */
+const toTopicFilter = (baseTopic) => `${normalizeTopic(baseTopic)}/#`;
+
+/**
+ * Delay before the next reconnect attempt (exponential backoff with jitter)
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+const getReconnectDelay = (attempt) => {
+  const { reconnectMinMs, reconnectMaxMs } = config.mqtt;
+  const delay = Math.min(reconnectMaxMs, reconnectMinMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Find the subscribed plant a topic belongs to (longest base topic wins)
+ * @param {string} topic - Message topic
+ * @returns {Object|null} Plant or null
+ */
+const findPlantForTopic = (topic) => {
+  let match = null;
+  subscriptions.forEach((plant) => {
+    if (!topicMatches(topic, plant.mqttBaseTopic)) return;
+    if (!match || normalizeTopic(plant.mqttBaseTopic).length > normalizeTopic(match.mqttBaseTopic).length) {
+      match = plant;
+    }
+  });
+  return match;
+};
+
+/**
+ * Bring broker subscriptions in line with the ACTIVE plants
+ * @returns {Promise<Object>} { subscribed, unsubscribed, total }
+ */
+const refreshSubscriptions = async () => {
+  if (!client || !client.connected) {
+    return { subscribed: 0, unsubscribed: 0, total: subscriptions.size };
+  }
+
+  const plants = await getActivePlantTopics();
+  const desired = new Map(plants.map((plant) => [toTopicFilter(plant.mqttBaseTopic), plant]));
+
+  const toAdd = [...desired.keys()].filter((filter) => !subscriptions.has(filter));
+  const toRemove = [...subscriptions.keys()].filter((filter) => !desired.has(filter));
+
+  if (toAdd.length > 0) {
+    const granted = await client.subscribeAsync(toAdd, { qos: config.mqtt.qos });
+    granted.forEach((grant) => {
+      // 128 = subscription refused by the broker (e.g. ACL)
+      if (grant.qos === 128) {
+        logger.error('MQTT broker refused subscription', { topic: grant.topic });
+        return;
+      }
+      subscriptions.set(grant.topic, desired.get(grant.topic));
+    });
+  }
+
+  if (toRemove.length > 0) {
+    await client.unsubscribeAsync(toRemove);
+    toRemove.forEach((filter) => subscriptions.delete(filter));
+  }
+
+  // Pick up changed plant metadata for filters that stay subscribed
+  desired.forEach((plant, filter) => {
+    if (subscriptions.has(filter)) subscriptions.set(filter, plant);
+  });
+
+  if (toAdd.length > 0 || toRemove.length > 0) {
+    logger.info('MQTT subscriptions updated', {
+      subscribed: toAdd,
+      unsubscribed: toRemove,
+      total: subscriptions.size,
+    });
+  }
+
+  return { subscribed: toAdd.length, unsubscribed: toRemove.length, total: subscriptions.size };
+};
+
+const subscriptionJob = createIntervalJob({
+  name: 'mqtt-subscriptions',
+  intervalMs: config.mqtt.subscriptionRefreshMs,
+  run: refreshSubscriptions,
+});
+
+/**
+ * Store one broker message in RawMqttData
+ * Messages that are not valid JSON objects cannot be processed and go to the
+ * dead-letter table; they are never redelivered by the broker.
+ * @param {string} topic - Message topic
+ * @param {Buffer} message - Message payload
+ * @param {Object} packet - MQTT publish packet
+ */
+const handleMessage = async (topic, message, packet) => {
+  const plant = findPlantForTopic(topic);
+  if (!plant) {
+    logger.debug('MQTT message on unsubscribed topic ignored', { topic });
+    return;
+  }
+
+  const body = message.toString('utf8');
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('Message body must be a JSON object');
+    }
+  } catch (error) {
+    await recordDeadLetter({ source: 'mqtt', body, error: error.message, topic, plantId: plant.id });
+    return;
+  }
+
+  try {
+    const result = await storeRawMessage({
+      plantId: plant.id,
+      topic,
+      payload,
+      source: 'mqtt',
+      qos: packet.qos,
+    });
+
+    if (!result.duplicate) {
+      triggerRawDataProcessor();
+    }
+  } catch (error) {
+    // The broker already considers the message delivered, so keep it for replay
+    logger.error('Failed to store MQTT message', { topic, error: error.message });
+    await recordDeadLetter({ source: 'mqtt', body, error: error.message, topic, plantId: plant.id });
+  }
+};
+
+/**
+ * Schedule a reconnect attempt with exponential backoff
+ */
+const scheduleReconnect = () => {
+  if (stopping || reconnectTimer || !client) return;
+
+  const delay = getReconnectDelay(reconnectAttempt);
+  reconnectAttempt++;
+
+  logger.warn('MQTT connection lost, reconnecting', { attempt: reconnectAttempt, delayMs: delay });
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    if (!stopping && client) client.reconnect();
+  }, delay);
+};
+
+/**
+ * Connect to the broker and start subscribing to ACTIVE plants
+ * @returns {boolean} True if the subscriber was started
+ */
+const startMqttSubscriber = () => {
+  if (client) return true;
+
+  stopping = false;
+  reconnectAttempt = 0;
+
+  logger.info('Connecting to MQTT broker', {
+    brokerUrl: config.mqtt.brokerUrl,
+    clientId: config.mqtt.clientId,
+  });
+
+  client = mqtt.connect(config.mqtt.brokerUrl, {
+    clientId: config.mqtt.clientId,
+    username: config.mqtt.username,
+    password: config.mqtt.password,
+    clean: true,
+    // Reconnects are scheduled here with backoff instead of mqtt.js's fixed period
+    reconnectPeriod: 0,
+  });
+
+  client.on('connect', () => {
+    logger.info('Connected to MQTT broker', { brokerUrl: config.mqtt.brokerUrl });
+    reconnectAttempt = 0;
+
+    // Clean session: the broker has forgotten previous subscriptions
+    subscriptions = new Map();
+    subscriptionJob.runNow();
+  });
+
+  client.on('message', (topic, message, packet) => {
+    handleMessage(topic, message, packet).catch((error) => {
+      logger.error('Failed to handle MQTT message', { topic, error: error.message });
+    });
+  });
+
+  client.on('error', (error) => {
+    logger.error('MQTT client error', { error: error.message });
+  });
+
+  client.on('close', scheduleReconnect);
+
+  subscriptionJob.start();
+  return true;
+};
+
+/**
+ * Disconnect from the broker
+ */
+const stopMqttSubscriber = async () => {
+  if (!client) return;
+
+  stopping = true;
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+
+  await subscriptionJob.stop();
+  await client.endAsync();
+
+  client = null;
+  subscriptions = new Map();
+  logger.info('Disconnected from MQTT broker');
+};
+
+/**
+ * Get the current subscriber state
+ * @returns {Object} { connected, subscriptions }
+ */
+const getMqttSubscriberStatus = () => ({
+  connected: Boolean(client && client.connected),
+  subscriptions: [...subscriptions.entries()].map(([filter, plant]) => ({
+    topic: filter,
+    plantId: plant.plantId,
+  })),
+});
+
+export {
+  refreshSubscriptions,
+  startMqttSubscriber,
+  stopMqttSubscriber,
+  getMqttSubscriberStatus,
+};
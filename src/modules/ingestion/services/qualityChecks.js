@@ -0,0 +1,144 @@
+/**
+ * Quality Checks
+ * Scores ingested points and flags the problems found (processed_data quality and flags)
+ *
+ * Flag codes, with the quality a flagged point keeps at most:
+ *   OUT_OF_RANGE       0   value outside the tag minValue/maxValue
+ *   FUTURE_TIMESTAMP   20  timestamp more than DATA_QUALITY_FUTURE_TOLERANCE_MS ahead of now
+ *   SPIKE              30  more than DATA_QUALITY_SPIKE_SIGMA standard deviations from recent good readings
+ *   FROZEN             40  the same value DATA_QUALITY_FROZEN_COUNT times in a row
+ *   PAST_TIMESTAMP     70  timestamp older than DATA_QUALITY_MAX_PAST_DAYS
+ *   OUT_OF_ORDER       90  older than a reading already stored for the tag
+ * Frozen and spike checks only apply to FLOAT tags that are not cumulative counters, and
+ * repeated zeros are not frozen (idle equipment legitimately reports 0).
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+const QUALITY_FLAGS = {
+  OUT_OF_RANGE: 0,
+  FUTURE_TIMESTAMP: 20,
+  SPIKE: 30,
+  FROZEN: 40,
+  PAST_TIMESTAMP: 70,
+  OUT_OF_ORDER: 90,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quality of a point from its flags (lowest cap of the flags raised)
+ * @param {Array<string>} flags - Flag codes
+ * @returns {number} Quality 0-100
+ */
+const qualityFromFlags = (flags) => Math.min(100, ...flags.map((flag) => QUALITY_FLAGS[flag]));
+
+/**
+ * Load the readings of a device's tags just before a time, and which tags already have later ones
+ * @returns {Promise<Object>} { recent: Map tagId -> [{ value, quality }] newest first, later: Set of tagIds }
+ */
+const getTagHistory = async (deviceId, tagIds, timestamp) => {
+  const { frozenCount, spikeWindow, historyHours } = config.dataQuality;
+  const since = new Date(timestamp.getTime() - historyHours * 60 * 60 * 1000);
+
+  const [rows, later] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT "tagId", value, quality
+      FROM (
+        SELECT "tagId", value, quality, ROW_NUMBER() OVER (PARTITION BY "tagId" ORDER BY "timestamp" DESC) AS rn
+        FROM processed_data
+        WHERE "deviceId" = ${deviceId}
+          AND "tagId" IN (${Prisma.join(tagIds)})
+          AND "timestamp" < ${timestamp}
+          AND "timestamp" >= ${since}
+      ) r
+      WHERE rn <= ${Math.max(frozenCount - 1, spikeWindow)}
+      ORDER BY "tagId", rn
+    `,
+    prisma.$queryRaw`
+      SELECT DISTINCT "tagId"
+      FROM processed_data
+      WHERE "deviceId" = ${deviceId}
+        AND "tagId" IN (${Prisma.join(tagIds)})
+        AND "timestamp" > ${timestamp}
+    `,
+  ]);
+
+  const recent = new Map();
+  rows.forEach(({ tagId, value, quality }) => {
+    if (!recent.has(tagId)) recent.set(tagId, []);
+    recent.get(tagId).push({ value, quality });
+  });
+
+  return { recent, later: new Set(later.map((row) => row.tagId)) };
+};
+
+/**
+ * Check one value against its tag and recent readings
+ * @param {number} value - Ingested value
+ * @param {Object} tag - Tag (dataType, minValue, maxValue, isCumulative)
+ * @param {Array<Object>} recent - Previous readings { value, quality }, newest first
+ * @returns {Array<string>} Flag codes
+ */
+const checkValue = (value, tag, recent) => {
+  const { frozenCount, spikeSigma, spikeWindow, spikeMinSamples, badBelow } = config.dataQuality;
+  const flags = [];
+
+  if ((tag.minValue !== null && value < tag.minValue) || (tag.maxValue !== null && value > tag.maxValue)) {
+    flags.push('OUT_OF_RANGE');
+  }
+
+  if (tag.dataType !== 'FLOAT' || tag.isCumulative) return flags;
+
+  const previous = recent.slice(0, frozenCount - 1);
+  if (value !== 0 && previous.length === frozenCount - 1 && previous.every((reading) => reading.value === value)) {
+    flags.push('FROZEN');
+  }
+
+  const good = recent.filter((reading) => reading.quality >= badBelow).slice(0, spikeWindow);
+  if (good.length >= spikeMinSamples) {
+    const mean = good.reduce((sum, reading) => sum + reading.value, 0) / good.length;
+    const sd = Math.sqrt(good.reduce((sum, reading) => sum + (reading.value - mean) ** 2, 0) / good.length);
+    if (sd > 0 && Math.abs(value - mean) > spikeSigma * sd) {
+      flags.push('SPIKE');
+    }
+  }
+
+  return flags;
+};
+
+/**
+ * Score the points of one ingested message
+ * @param {Object} context - { device, points, now } (device with flattened tags, points share one timestamp)
+ * @returns {Promise<Array<Object>>} Points with quality and flags (null when clean)
+ */
+const assessPointQuality = async ({ device, points, now = new Date() }) => {
+  if (!config.dataQuality.enabled || points.length === 0) return points;
+
+  const { futureToleranceMs, maxPastDays } = config.dataQuality;
+  const { timestamp } = points[0];
+  const timeFlags = [];
+  if (timestamp.getTime() > now.getTime() + futureToleranceMs) timeFlags.push('FUTURE_TIMESTAMP');
+  if (timestamp.getTime() < now.getTime() - maxPastDays * DAY_MS) timeFlags.push('PAST_TIMESTAMP');
+
+  const tagsById = new Map(device.tags.map((tag) => [tag.id, tag]));
+  const { recent, later } = await getTagHistory(device.id, points.map((point) => point.tagId), timestamp);
+
+  return points.map((point) => {
+    const flags = [
+      ...checkValue(point.value, tagsById.get(point.tagId), recent.get(point.tagId) || []),
+      ...timeFlags,
+      ...(later.has(point.tagId) ? ['OUT_OF_ORDER'] : []),
+    ];
+
+    return {
+      ...point,
+      quality: qualityFromFlags(flags),
+      flags: flags.length > 0 ? flags : null,
+    };
+  });
+};
+
+export { QUALITY_FLAGS, qualityFromFlags, assessPointQuality };
@@ -0,0 +1,439 @@
+/**
+ * Raw Data Processor
+ * Background worker that turns RawMqttData rows into ProcessedData points
+ *
+ * Late messages (backfill) are stored and recomputed like live ones, but their values are
+ * not pushed to realtime subscribers and their alarms are recorded without notifications.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { getPlant, resolveDevice, topicMatches } from './topicResolver.js';
+import { assessPointQuality } from './qualityChecks.js';
+import { isBackfill, checkBackfillAge, recordBackfill } from './backfillTracker.js';
+import { dropCorrectedPoints } from './correctedPoints.js';
+import { decodePayload } from '../decoders/index.js';
+// Event bus imported directly: the realtime index pulls in the socket server and HTTP auth
+import { publishEvent } from '../../realtime/services/eventBus.js';
+import { evaluateIngestedValues } from '../../alarm-engine/index.js';
+import { queueRollups } from '../../rollups/index.js';
+import { calculateIngestedValues } from '../../calculated-tags/index.js';
+import { updateCounterDeltas } from '../../counters/index.js';
+
+const MAX_ERROR_LENGTH = 1000;
+
+/**
+ * Parse a payload timestamp (ISO string, epoch seconds or epoch milliseconds)
+ * @param {string|number} value - Raw timestamp
+ * @returns {Date|null} Parsed date or null if missing/invalid
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+    const numeric = Number(value);
+    // Values below 1e12 are epoch seconds, anything larger is milliseconds
+    date = new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Coerce a raw payload value according to the tag data type
+ * ProcessedData stores floats, so booleans become 1/0.
+ * @param {*} raw - Raw payload value
+ * @param {string} dataType - Tag data type (INTEGER, FLOAT, BOOLEAN, STRING)
+ * @returns {number|null} Numeric value or null if it cannot be coerced
+ */
+const coerceValue = (raw, dataType) => {
+  if (raw === null || raw === undefined || raw === '' || typeof raw === 'object') {
+    return null;
+  }
+
+  if (dataType === 'BOOLEAN') {
+    const normalized = String(raw).trim().toLowerCase();
+    if (['true', '1', 'on', 'yes'].includes(normalized)) return 1;
+    if (['false', '0', 'off', 'no'].includes(normalized)) return 0;
+    return null;
+  }
+
+  const numeric = typeof raw === 'boolean' ? Number(raw) : Number(String(raw).trim());
+  if (!Number.isFinite(numeric)) {
+    return null;
+  }
+
+  return dataType === 'INTEGER' ? Math.round(numeric) : numeric;
+};
+
+/**
+ * Push stored values of a device to realtime subscribers
+ * @param {Object} plant - Plant
+ * @param {Object} device - Device the values belong to
+ * @param {Array<Object>} points - Stored points (one timestamp)
+ * @param {Map<number, string>} tagNames - tagId -> tag name
+ */
+const publishPoints = (plant, device, points, tagNames) => {
+  publishEvent('data', {
+    plantId: plant.id,
+    deviceId: device.id,
+    deviceCode: device.deviceId,
+    timestamp: points[0].timestamp,
+    values: points.map((point) => ({
+      tagId: point.tagId,
+      tagName: tagNames.get(point.tagId),
+      value: point.value,
+      quality: point.quality ?? 100,
+    })),
+  });
+};
+
+/**
+ * Claim a batch of unprocessed raw messages
+ * Rows are leased by setting processingStartedAt; a lease older than
+ * config.ingestion.processor.claimTimeoutMs is considered abandoned and reclaimed.
+ * FOR UPDATE SKIP LOCKED lets several workers share the table safely.
+ * @param {number} batchSize - Maximum number of rows to claim
+ * @returns {Promise<Array>} Claimed rows ordered by arrival
+ */
+const claimBatch = async (batchSize) => {
+  const leaseCutoff = new Date(Date.now() - config.ingestion.processor.claimTimeoutMs);
+
+  const rows = await prisma.$queryRaw`
+    UPDATE raw_mqtt_data
+    SET "processingStartedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM raw_mqtt_data
+      WHERE "isProcessed" = false
+        AND "processingError" IS NULL
+        AND ("processingStartedAt" IS NULL OR "processingStartedAt" < ${leaseCutoff})
+      ORDER BY "receivedAt" ASC, id ASC
+      LIMIT ${batchSize}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, "plantId", topic, payload, source, "receivedAt"
+  `;
+
+  return rows.sort((a, b) => a.receivedAt - b.receivedAt || a.id - b.id);
+};
+
+/**
+ * Convert one raw message into ProcessedData points and upsert them
+ * @param {Object} row - RawMqttData row (id, plantId, topic, payload, source, receivedAt)
+ * @returns {Promise<Object>} Written points, whether they were backfill, and unmapped and invalid payload keys
+ */
+const processRawMessage = async (row) => {
+  const plant = await getPlant(row.plantId);
+  if (!plant) {
+    throw new Error(`Plant ${row.plantId} not found`);
+  }
+
+  if (plant.mqttBaseTopic && !topicMatches(row.topic, plant.mqttBaseTopic)) {
+    throw new Error(`Topic "${row.topic}" is outside plant base topic "${plant.mqttBaseTopic}"`);
+  }
+
+  const payload = row.payload;
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    throw new Error('Payload must be a JSON object');
+  }
+
+  const device = await resolveDevice(plant.id, row.topic, payload);
+  if (!device) {
+    throw new Error(`No device of plant ${plant.plantId || plant.id} matches topic "${row.topic}"`);
+  }
+
+  // HTTP ingestion stores values already keyed by tag name; device messages use the device decoder
+  const decoder = row.source === 'http' ? { type: 'flat' } : device.decoder;
+
+  let decoded;
+  try {
+    decoded = decodePayload(decoder, payload);
+  } catch (error) {
+    throw new Error(`Decoder "${decoder?.type || 'flat'}" failed: ${error.message}`);
+  }
+
+  const timestamp =
+    parseTimestamp(decoded.timestamp) ||
+    parseTimestamp(payload.aws_timestamp) ||
+    new Date(row.receivedAt);
+  checkBackfillAge(timestamp);
+  const historical = isBackfill(timestamp);
+
+  const values = [];
+  const unmapped = [];
+  const invalid = [];
+  const tagNames = new Map();
+
+  Object.entries(decoded.values).forEach(([key, raw]) => {
+    const tag = device.tagsByName.get(key);
+    // Calculated tags only take values from their formula
+    if (!tag || tag.formula) {
+      unmapped.push(key);
+      return;
+    }
+
+    const value = coerceValue(raw, tag.dataType);
+    if (value === null) {
+      invalid.push(key);
+      return;
+    }
+
+    tagNames.set(tag.id, tag.name);
+    values.push({
+      plantId: plant.id,
+      deviceId: device.id,
+      tagId: tag.id,
+      timestamp,
+      value,
+    });
+  });
+
+  if (values.length === 0) {
+    const details = [
+      unmapped.length > 0 && `unmapped keys: ${unmapped.join(', ')}`,
+      invalid.length > 0 && `invalid values: ${invalid.join(', ')}`,
+    ].filter(Boolean).join('; ');
+
+    throw new Error(
+      `No payload values could be mapped to tags of device ${device.deviceId || device.id}` +
+        (details ? ` (${details})` : '')
+    );
+  }
+
+  // Points corrected by hand keep their corrected value
+  const { points: uncorrected, corrected } = await dropCorrectedPoints(values);
+
+  // A re-sent message whose values were all corrected has nothing left to store
+  if (uncorrected.length === 0) {
+    logger.info('Raw message ignored, all its values were corrected by hand', {
+      rawMessageId: row.id,
+      deviceId: device.deviceId,
+      corrected,
+    });
+    return { plant, device, points: [], historical, unmapped, invalid };
+  }
+
+  // Quality and flags are set before storing, so a rewritten point is scored again
+  const points = await assessPointQuality({ device, points: uncorrected });
+
+  // One transaction per message: either all points of the message land or none do,
+  // together with the rollup buckets they touch
+  await prisma.$transaction([
+    ...points.map(({ flags, ...point }) =>
+      prisma.processedData.upsert({
+        where: {
+          deviceId_tagId_timestamp: {
+            deviceId: point.deviceId,
+            tagId: point.tagId,
+            timestamp: point.timestamp,
+          },
+        },
+        update: { value: point.value, quality: point.quality, flags: flags || Prisma.DbNull },
+        create: { ...point, flags: flags || Prisma.DbNull },
+      })
+    ),
+    ...(config.rollups.enabled ? [queueRollups(points)] : []),
+    prisma.device.updateMany({
+      where: {
+        id: device.id,
+        OR: [{ lastCommunication: null }, { lastCommunication: { lt: timestamp } }],
+      },
+      data: { lastCommunication: timestamp },
+    }),
+  ]);
+
+  if (!historical) publishPoints(plant, device, points, tagNames);
+
+  // Counter deltas, calculated tags and alarm evaluation must not fail a message whose values are already stored
+  try {
+    await updateCounterDeltas({ device, points });
+  } catch (error) {
+    logger.error('Counter delta update failed', {
+      rawMessageId: row.id,
+      deviceId: device.deviceId,
+      error: error.message,
+    });
+  }
+
+  let calculated = [];
+  try {
+    calculated = await calculateIngestedValues({ plant, points });
+    if (!historical) {
+      calculated.forEach((group) => publishPoints(plant, group.device, group.points, group.tagNames));
+    }
+  } catch (error) {
+    logger.error('Tag calculation failed', {
+      rawMessageId: row.id,
+      deviceId: device.deviceId,
+      error: error.message,
+    });
+  }
+
+  let alarms = 0;
+  if (config.alarmEngine.enabled) {
+    for (const group of [{ device, points }, ...calculated]) {
+      try {
+        const { opened } = await evaluateIngestedValues({
+          plant,
+          device: group.device,
+          points: group.points,
+          historical,
+        });
+        alarms += opened.length;
+      } catch (error) {
+        logger.error('Alarm evaluation failed', {
+          rawMessageId: row.id,
+          deviceId: group.device.deviceId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  if (historical) {
+    try {
+      await recordBackfill({ plantId: plant.id, timestamp, points: points.length, alarms });
+    } catch (error) {
+      logger.error('Backfill status update failed', {
+        rawMessageId: row.id,
+        plantId: plant.id,
+        error: error.message,
+      });
+    }
+  }
+
+  if (unmapped.length > 0 || invalid.length > 0 || corrected.length > 0) {
+    logger.debug('Raw message processed with skipped keys', {
+      rawMessageId: row.id,
+      deviceId: device.deviceId,
+      unmapped,
+      invalid,
+      corrected,
+    });
+  }
+
+  return { plant, device, points, historical, unmapped, invalid };
+};
+
+/**
+ * Claim and process one batch of raw messages
+ * Each message is processed independently; failures are stored in processingError.
+ * @param {number} batchSize - Maximum number of messages to process
+ * @returns {Promise<Object>} Batch summary { claimed, processed, failed, points }
+ */
+const processPendingMessages = async (batchSize = config.ingestion.processor.batchSize) => {
+  const rows = await claimBatch(batchSize);
+  const summary = { claimed: rows.length, processed: 0, failed: 0, points: 0 };
+
+  for (const row of rows) {
+    try {
+      const result = await processRawMessage(row);
+
+      await prisma.rawMqttData.update({
+        where: { id: row.id },
+        data: {
+          isProcessed: true,
+          processedAt: new Date(),
+          processingError: null,
+        },
+      });
+
+      summary.processed++;
+      summary.points += result.points.length;
+    } catch (error) {
+      summary.failed++;
+
+      logger.warn('Failed to process raw MQTT message', {
+        rawMessageId: row.id,
+        topic: row.topic,
+        error: error.message,
+      });
+
+      await prisma.rawMqttData.update({
+        where: { id: row.id },
+        data: {
+          processedAt: new Date(),
+          processingError: error.message.slice(0, MAX_ERROR_LENGTH),
+        },
+      });
+    }
+  }
+
+  if (summary.claimed > 0) {
+    logger.info('Raw MQTT batch processed', summary);
+  }
+
+  return summary;
+};
+
+/**
+ * Reset failed messages so the processor picks them up again
+ * Useful after fixing the cause (e.g. creating a missing device or tag).
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.plantId - Only retry messages of this plant
+ * @param {Date} filters.since - Only retry messages received after this date
+ * @returns {Promise<number>} Number of messages queued for retry
+ */
+const retryFailedMessages = async ({ plantId, since } = {}) => {
+  const where = {
+    isProcessed: false,
+    processingError: { not: null },
+  };
+
+  if (plantId) where.plantId = plantId;
+  if (since) where.receivedAt = { gte: new Date(since) };
+
+  const result = await prisma.rawMqttData.updateMany({
+    where,
+    data: {
+      processingError: null,
+      processedAt: null,
+      processingStartedAt: null,
+    },
+  });
+
+  logger.info('Failed raw MQTT messages queued for retry', { count: result.count, plantId });
+  return result.count;
+};
+
+const processorJob = createIntervalJob({
+  name: 'raw-data-processor',
+  intervalMs: config.ingestion.processor.pollIntervalMs,
+  run: async () => {
+    const { claimed } = await processPendingMessages();
+    // Keep draining while full batches come back
+    return claimed >= config.ingestion.processor.batchSize;
+  },
+});
+
+/**
+ * Start the background processor
+ */
+const startRawDataProcessor = () => processorJob.start();
+
+/**
+ * Stop the background processor
+ */
+const stopRawDataProcessor = () => processorJob.stop();
+
+/**
+ * Wake the processor up immediately (e.g. right after new raw rows were stored)
+ */
+const triggerRawDataProcessor = () => processorJob.runNow();
+
+export {
+  parseTimestamp,
+  coerceValue,
+  processRawMessage,
+  processPendingMessages,
+  retryFailedMessages,
+  startRawDataProcessor,
+  stopRawDataProcessor,
+  triggerRawDataProcessor,
+};
@@ -0,0 +1,109 @@
+/**
+ * Raw Message Store
+ * Single write path into RawMqttData shared by all ingestion sources
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../../../config/database.js';
+import logger from '../../../config/logger.js';
+
+// Keys added by the transport (not the device) - excluded from the content hash
+// so a re-delivered message hashes the same as the original.
+const TRANSPORT_KEYS = new Set(['topic', 'aws_timestamp']);
+
+// Payload keys the decoders read the device timestamp from by default
+const TIMESTAMP_KEYS = ['timestamp', 'ts', 'time'];
+
+/**
+ * Serialize a value with object keys in sorted order
+ * @param {*} value - Any JSON-compatible value
+ * @returns {string} Canonical JSON string
+ */
+const canonicalStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Compute the content hash used for deduplication (DEDUP Layer 3)
+ * Payloads with their own timestamp hash without the transport keys. Without one, the
+ * message is timed by the transport, so the transport timestamp (aws_timestamp) or else
+ * the receive time is part of the hash: identical readings sent at different times (e.g.
+ * 0 W all night) are not duplicates.
+ * @param {string} topic - MQTT topic
+ * @param {Object} payload - Message payload
+ * @param {Date} [receivedAt] - Receive time (payloads without any timestamp)
+ * @returns {string} SHA-256 hex digest
+ */
+const computeMessageHash = (topic, payload, receivedAt = null) => {
+  let content = payload;
+
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    const hasDeviceTimestamp = TIMESTAMP_KEYS.some((key) => payload[key] !== undefined && payload[key] !== null);
+    if (hasDeviceTimestamp) {
+      content = Object.fromEntries(Object.entries(payload).filter(([key]) => !TRANSPORT_KEYS.has(key)));
+    } else if (payload.aws_timestamp !== undefined && payload.aws_timestamp !== null) {
+      content = Object.fromEntries(Object.entries(payload).filter(([key]) => key !== 'topic'));
+    } else if (receivedAt) {
+      content = { ...payload, receivedAt: receivedAt.toISOString() };
+    }
+  }
+
+  return crypto
+    .createHash('sha256')
+    .update(`${topic}\n${canonicalStringify(content)}`)
+    .digest('hex');
+};
+
+/**
+ * Store a raw message in RawMqttData
+ * Duplicates (same messageId or same content hash) are detected through the unique
+ * constraints and reported instead of throwing.
+ * @param {Object} message - Message to store
+ * @param {number} message.plantId - Plant database ID
+ * @param {string} message.topic - MQTT topic
+ * @param {Object} message.payload - Parsed JSON payload
+ * @param {string} message.source - Ingestion source (sqs, mqtt, http)
+ * @param {string} message.messageId - Source message ID (defaults to source + hash)
+ * @param {number} message.qos - MQTT QoS level (optional)
+ * @param {Date} message.receivedAt - Receive time (optional, default: now)
+ * @returns {Promise<Object>} { duplicate, messageHash, record }
+ */
+const storeRawMessage = async ({ plantId, topic, payload, source, messageId = null, qos = 0, receivedAt = null }) => {
+  const receiveTime = receivedAt || new Date();
+  const messageHash = computeMessageHash(topic, payload, receiveTime);
+
+  try {
+    const record = await prisma.rawMqttData.create({
+      data: {
+        plantId,
+        topic,
+        payload,
+        qos,
+        messageHash,
+        messageId: messageId || `${source}:${messageHash}`,
+        source,
+        receivedAt: receiveTime,
+      },
+    });
+
+    return { duplicate: false, messageHash, record };
+  } catch (error) {
+    // Unique constraint on messageId or messageHash: message was already stored
+    if (error.code === 'P2002') {
+      logger.debug('Duplicate raw message ignored', { source, topic, messageId, messageHash });
+      return { duplicate: true, messageHash, record: null };
+    }
+    throw error;
+  }
+};
+
+export { canonicalStringify, computeMessageHash, storeRawMessage };
@@ -0,0 +1,213 @@
+/**
+ * SQS Consumer
+ * Long-polls the queue fed by the AWS IoT data ingestion rule and stores messages in RawMqttData
+ */
+
+import { ReceiveMessageCommand, DeleteMessageBatchCommand } from '@aws-sdk/client-sqs';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { getAwsClients } from '../../aws-iot/config/iotConfig.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { resolvePlantByTopic, resolvePlantByIdentifier } from './topicResolver.js';
+import { storeRawMessage } from './rawMessageStore.js';
+import { recordDeadLetter } from './deadLetterStore.js';
+import { triggerRawDataProcessor } from './rawDataProcessor.js';
+
+let abortController = null;
+
+/**
+ * Parse an SQS message body produced by the IoT rule
+ * The rule selects the device payload and adds `topic` and `aws_timestamp`.
+ * @param {string} body - Raw SQS message body
+ * @returns {Object} Parsed JSON object
+ */
+const parseMessageBody = (body) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch (error) {
+    throw new Error(`Message body is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Message body must be a JSON object');
+  }
+
+  return parsed;
+};
+
+/**
+ * Store one SQS message in RawMqttData
+ * @param {Object} message - SQS message
+ * @returns {Promise<Object>} Store result { duplicate, record }
+ */
+const ingestMessage = async (message) => {
+  const payload = parseMessageBody(message.Body);
+  const topic = payload.topic || message.MessageAttributes?.topic?.StringValue;
+
+  if (!topic) {
+    throw new Error('Message has no topic');
+  }
+
+  const plant = (await resolvePlantByTopic(topic)) || (await resolvePlantByIdentifier(payload.plantId));
+  if (!plant) {
+    throw new Error(`No plant matches topic "${topic}"`);
+  }
+
+  return storeRawMessage({
+    plantId: plant.id,
+    topic,
+    payload,
+    source: 'sqs',
+    messageId: message.MessageId,
+    receivedAt: message.Attributes?.SentTimestamp
+      ? new Date(Number(message.Attributes.SentTimestamp))
+      : null,
+  });
+};
+
+/**
+ * Delete successfully handled messages from the queue
+ * @param {Object} sqs - SQS client
+ * @param {Array} messages - Messages to delete
+ */
+const deleteMessages = async (sqs, messages) => {
+  if (messages.length === 0) return;
+
+  const response = await sqs.send(
+    new DeleteMessageBatchCommand({
+      QueueUrl: config.aws.sqs.queueUrl,
+      Entries: messages.map((message, index) => ({
+        Id: String(index),
+        ReceiptHandle: message.ReceiptHandle,
+      })),
+    })
+  );
+
+  if (response.Failed && response.Failed.length > 0) {
+    // Undeleted messages come back after the visibility timeout and dedup as duplicates
+    logger.warn('Some SQS messages could not be deleted', {
+      failed: response.Failed.map((f) => ({ id: f.Id, code: f.Code, message: f.Message })),
+    });
+  }
+};
+
+/**
+ * Receive and handle one batch of SQS messages
+ * A message is deleted only after it was written to RawMqttData (or recognized as a
+ * duplicate). Failing messages are left in the queue to be redelivered until they
+ * reach config.aws.sqs.maxReceiveCount attempts, then moved to the dead-letter table.
+ * @param {Object} sqs - SQS client
+ * @returns {Promise<number>} Number of messages received
+ */
+const pollOnce = async (sqs) => {
+  abortController = new AbortController();
+
+  const response = await sqs.send(
+    new ReceiveMessageCommand({
+      QueueUrl: config.aws.sqs.queueUrl,
+      MaxNumberOfMessages: config.aws.sqs.maxMessages,
+      WaitTimeSeconds: config.aws.sqs.waitTimeSeconds,
+      VisibilityTimeout: config.aws.sqs.visibilityTimeout,
+      AttributeNames: ['ApproximateReceiveCount', 'SentTimestamp'],
+      MessageAttributeNames: ['All'],
+    }),
+    { abortSignal: abortController.signal }
+  );
+
+  const messages = response.Messages || [];
+  const handled = [];
+  let stored = 0;
+
+  for (const message of messages) {
+    const attempts = parseInt(message.Attributes?.ApproximateReceiveCount) || 1;
+
+    try {
+      const result = await ingestMessage(message);
+      if (!result.duplicate) stored++;
+      handled.push(message);
+    } catch (error) {
+      if (attempts >= config.aws.sqs.maxReceiveCount) {
+        try {
+          await recordDeadLetter({
+            source: 'sqs',
+            body: message.Body,
+            error: error.message,
+            messageId: message.MessageId,
+            attempts,
+          });
+          handled.push(message);
+        } catch (deadLetterError) {
+          logger.error('Failed to dead-letter SQS message', {
+            messageId: message.MessageId,
+            error: deadLetterError.message,
+          });
+        }
+      } else {
+        logger.warn('Failed to ingest SQS message, leaving it for redelivery', {
+          messageId: message.MessageId,
+          attempts,
+          maxReceiveCount: config.aws.sqs.maxReceiveCount,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  await deleteMessages(sqs, handled);
+
+  if (stored > 0) {
+    triggerRawDataProcessor();
+  }
+
+  return messages.length;
+};
+
+const consumerJob = createIntervalJob({
+  name: 'sqs-consumer',
+  intervalMs: config.aws.sqs.errorBackoffMs,
+  run: async () => {
+    const { sqs } = getAwsClients();
+    await pollOnce(sqs);
+    // Long polling already waits for messages, so poll again right away
+    return true;
+  },
+});
+
+/**
+ * Start consuming the ingestion queue
+ * @returns {boolean} True if the consumer was started
+ */
+const startSqsConsumer = () => {
+  const { sqs } = getAwsClients();
+
+  if (!config.aws.sqs.queueUrl) {
+    logger.warn('SQS consumer not started - AWS_SQS_QUEUE_URL is not configured');
+    return false;
+  }
+
+  if (!sqs) {
+    logger.warn('SQS consumer not started - SQS client is not available (check AWS configuration or AWS_SQS_ENDPOINT)');
+    return false;
+  }
+
+  logger.info('Starting SQS consumer', {
+    queueUrl: config.aws.sqs.queueUrl,
+    endpoint: config.aws.sqs.endpoint || 'aws',
+  });
+  consumerJob.start();
+  return true;
+};
+
+/**
+ * Stop the consumer, aborting an in-flight long poll
+ */
+const stopSqsConsumer = async () => {
+  const job = consumerJob.stop();
+  if (abortController) {
+    abortController.abort();
+  }
+  await job;
+};
+
+export { parseMessageBody, pollOnce, startSqsConsumer, stopSqsConsumer };
@@ -0,0 +1,124 @@
+/**
+ * Tag References
+ * Resolves tag references used in expressions against the device hierarchy of a plant
+ *
+ * Reference forms (relative to the device the expression is evaluated for):
+ *   power_ac_output                   tag of the device itself (also self.power_ac_output)
+ *   parent.irradiance                 tag of the parent device
+ *   children.power_ac_output          tag on every child device (list)
+ *   children.INV.power_ac_output      tag on child devices of template shortform INV (list)
+ *   siblings.current                  tag on devices with the same parent (list)
+ *   WS_1.irradiance                   tag of the device with device ID WS_1 in the plant
+ *
+ * For the plant device of plant-level calculated tags (deviceType VIRTUAL), children are
+ * all other devices of the plant, so children.INV.power_ac_output lists every inverter.
+ */
+
+import { ExpressionError } from '../../../utils/expressionEvaluator.js';
+
+const RELATIONS = ['self', 'parent', 'children', 'siblings'];
+
+/**
+ * Find the tags a reference points to
+ * @param {Array<string>} segments - Reference path segments
+ * @param {Object|null} device - Device the expression is evaluated for (null = none)
+ * @param {Array<Object>} devices - All devices of the plant (id, deviceId, deviceType, parentDeviceId, templateShortform, tagsByName)
+ * @returns {Object} { multiple, refs: [{ deviceId, deviceCode, tagId, tagName, unit }] }
+ * @throws {ExpressionError} If the reference form or device is unknown
+ */
+const resolveTagReference = (segments, device, devices) => {
+  const toRefs = (candidates, tagName) =>
+    candidates
+      .map((candidate) => ({ candidate, tag: candidate.tagsByName.get(tagName) }))
+      .filter(({ tag }) => tag)
+      .map(({ candidate, tag }) => ({
+        deviceId: candidate.id,
+        deviceCode: candidate.deviceId,
+        tagId: tag.id,
+        tagName: tag.name,
+        unit: tag.unit || null,
+      }));
+
+  const [first] = segments;
+  const path = segments.join('.');
+  const isRelation = segments.length === 1 || RELATIONS.includes(first);
+
+  if (isRelation && !device) {
+    throw new ExpressionError(`"${path}" is relative to a device, use DEVICE_ID.tag instead`);
+  }
+
+  if (segments.length === 1) {
+    return { multiple: false, refs: toRefs([device], first) };
+  }
+
+  if (first === 'self' || first === 'parent') {
+    if (segments.length !== 2) throw new ExpressionError(`Use ${first}.<tag> in "${path}"`);
+    const target = first === 'self' ? device : devices.find((d) => d.id === device.parentDeviceId);
+    return { multiple: false, refs: target ? toRefs([target], segments[1]) : [] };
+  }
+
+  if (first === 'children' || first === 'siblings') {
+    if (segments.length > 3) throw new ExpressionError(`Use ${first}.<tag> or ${first}.<SHORTFORM>.<tag> in "${path}"`);
+
+    let candidates;
+    if (first === 'siblings') {
+      candidates = devices.filter((d) => device.parentDeviceId && d.parentDeviceId === device.parentDeviceId && d.id !== device.id);
+    } else if (device.deviceType === 'VIRTUAL') {
+      candidates = devices.filter((d) => d.id !== device.id);
+    } else {
+      candidates = devices.filter((d) => d.parentDeviceId === device.id);
+    }
+
+    if (segments.length === 3) {
+      candidates = candidates.filter((d) => d.templateShortform === segments[1]);
+    }
+    return { multiple: true, refs: toRefs(candidates, segments[segments.length - 1]) };
+  }
+
+  if (segments.length !== 2) {
+    throw new ExpressionError(`Use DEVICE_ID.<tag> in "${path}"`);
+  }
+
+  const target = devices.find((d) => d.deviceId === first);
+  if (!target) {
+    throw new ExpressionError(`Unknown device "${first}" in "${path}"`);
+  }
+  return { multiple: false, refs: toRefs([target], segments[1]) };
+};
+
+/**
+ * Resolve every reference of a compiled expression for one device
+ * @param {Object} compiled - Result of compileExpression()
+ * @param {Object|null} device - Device the expression is evaluated for
+ * @param {Array<Object>} devices - All devices of the plant
+ * @returns {Map<string, Object>} Reference path -> { multiple, refs }
+ */
+const bindExpression = (compiled, device, devices) =>
+  new Map(
+    compiled.references.map(({ path, segments }) => [path, resolveTagReference(segments, device, devices)])
+  );
+
+/**
+ * Build a resolver for compiled.evaluate() from a binding and tag values
+ * @param {Map<string, Object>} binding - Result of bindExpression()
+ * @param {Function} getValue - (tagId) => number | null
+ * @returns {Function} Reference resolver
+ */
+const createBindingResolver = (binding, getValue) => (path) => {
+  const { multiple, refs } = binding.get(path);
+  if (multiple) return refs.map((ref) => getValue(ref.tagId));
+  return refs.length > 0 ? getValue(refs[0].tagId) : null;
+};
+
+/**
+ * List the distinct tags of a binding
+ * @param {Map<string, Object>} binding - Result of bindExpression()
+ * @returns {Array<Object>} Refs { deviceId, deviceCode, tagId, tagName, unit }
+ */
+const getBindingRefs = (binding) => {
+  const byTag = new Map();
+  binding.forEach(({ refs }) => refs.forEach((ref) => byTag.set(ref.tagId, ref)));
+  return [...byTag.values()];
+};
+
+export { resolveTagReference, bindExpression, createBindingResolver, getBindingRefs };
@@ -0,0 +1,267 @@
+/**
+ * Topic Resolver
+ * Maps MQTT topics to plants and devices using Plant.mqttBaseTopic and Device.mqttTopic
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+
+// Cached lookups, refreshed after config.ingestion.topicCacheTtlMs
+let plantCache = { loadedAt: 0, plants: [] };
+const deviceCache = new Map(); // plant.id -> { loadedAt, devices }
+
+const isExpired = (loadedAt) => Date.now() - loadedAt > config.ingestion.topicCacheTtlMs;
+
+/**
+ * Normalize a topic for comparison (no leading/trailing slashes)
+ * @param {string} topic - MQTT topic
+ * @returns {string} Normalized topic
+ */
+const normalizeTopic = (topic) => (topic || '').trim().replace(/^\/+|\/+$/g, '');
+
+/**
+ * Check whether a topic is equal to, or nested below, a base topic
+ * @param {string} topic - Full topic of the message
+ * @param {string} baseTopic - Base topic to match against
+ * @returns {boolean} True if the topic belongs to the base topic
+ */
+const topicMatches = (topic, baseTopic) => {
+  const normalizedTopic = normalizeTopic(topic);
+  const normalizedBase = normalizeTopic(baseTopic);
+
+  if (!normalizedBase) return false;
+  return normalizedTopic === normalizedBase || normalizedTopic.startsWith(`${normalizedBase}/`);
+};
+
+/**
+ * Load plants that have an MQTT base topic configured
+ * @returns {Promise<Array>} Plants with id, plantId, name, mqttBaseTopic and status
+ */
+const loadPlants = async () => {
+  if (!isExpired(plantCache.loadedAt)) {
+    return plantCache.plants;
+  }
+
+  const plants = await prisma.plant.findMany({
+    where: { mqttBaseTopic: { not: null } },
+    select: {
+      id: true,
+      plantId: true,
+      name: true,
+      mqttBaseTopic: true,
+      status: true,
+      timezone: true,
+    },
+  });
+
+  plantCache = { loadedAt: Date.now(), plants };
+  return plants;
+};
+
+/**
+ * Load devices of a plant with their tags indexed by name
+ * @param {number} plantId - Plant database ID
+ * @returns {Promise<Array>} Devices with a tagsByName map and their template decoder
+ */
+const loadDevices = async (plantId) => {
+  const cached = deviceCache.get(plantId);
+  if (cached && !isExpired(cached.loadedAt)) {
+    return cached.devices;
+  }
+
+  const devices = await prisma.device.findMany({
+    where: { plantId },
+    select: {
+      id: true,
+      deviceId: true,
+      name: true,
+      deviceType: true,
+      mqttTopic: true,
+      plantId: true,
+      templateId: true,
+      parentDeviceId: true,
+      template: {
+        select: { decoder: true, shortform: true },
+      },
+      tags: {
+        select: {
+          id: true,
+          name: true,
+          unit: true,
+          dataType: true,
+          minValue: true,
+          maxValue: true,
+          formula: true,
+          calculationMode: true,
+          templateTagId: true,
+          templateTag: {
+            select: {
+              isMonitored: true,
+              alarmSeverity: true,
+              isCumulative: true,
+              counterRollover: true,
+              counterMaxRate: true,
+            },
+          },
+        },
+      },
+    },
+  });
+
+  const indexed = devices.map(({ template, tags, ...device }) => {
+    // Flatten alarm and counter settings of the template tag (tags without a template are monitored)
+    const flatTags = tags.map(({ templateTag, ...tag }) => ({
+      ...tag,
+      isMonitored: templateTag ? templateTag.isMonitored : true,
+      alarmSeverity: templateTag?.alarmSeverity || 'MEDIUM',
+      isCumulative: templateTag?.isCumulative || false,
+      counterRollover: templateTag?.counterRollover ?? null,
+      counterMaxRate: templateTag?.counterMaxRate ?? null,
+    }));
+
+    return {
+      ...device,
+      tags: flatTags,
+      decoder: template?.decoder || null,
+      templateShortform: template?.shortform || null,
+      tagsByName: new Map(flatTags.map((tag) => [tag.name, tag])),
+    };
+  });
+
+  deviceCache.set(plantId, { loadedAt: Date.now(), devices: indexed });
+  return indexed;
+};
+
+/**
+ * Find the plant a topic belongs to (longest matching base topic wins)
+ * @param {string} topic - MQTT topic
+ * @returns {Promise<Object|null>} Plant or null if no base topic matches
+ */
+const resolvePlantByTopic = async (topic) => {
+  const plants = await loadPlants();
+
+  let match = null;
+  plants.forEach((plant) => {
+    if (!topicMatches(topic, plant.mqttBaseTopic)) return;
+    if (!match || normalizeTopic(plant.mqttBaseTopic).length > normalizeTopic(match.mqttBaseTopic).length) {
+      match = plant;
+    }
+  });
+
+  return match;
+};
+
+/**
+ * Get a plant by database ID from the cache
+ * @param {number} plantId - Plant database ID
+ * @returns {Promise<Object|null>} Plant or null
+ */
+const getPlant = async (plantId) => {
+  const plants = await loadPlants();
+  const plant = plants.find((p) => p.id === plantId);
+  if (plant) return plant;
+
+  // Plant may have been created after the last refresh
+  return prisma.plant.findUnique({
+    where: { id: plantId },
+    select: {
+      id: true,
+      plantId: true,
+      name: true,
+      mqttBaseTopic: true,
+      status: true,
+      timezone: true,
+    },
+  });
+};
+
+/**
+ * Find a plant by database ID or user-defined plant ID (e.g. "RAJASTHAN_PLANT_1")
+ * Used as a fallback when the topic itself does not identify the plant.
+ * @param {string|number} identifier - Plant database ID or plantId
+ * @returns {Promise<Object|null>} Plant or null
+ */
+const resolvePlantByIdentifier = async (identifier) => {
+  if (identifier === undefined || identifier === null || identifier === '') return null;
+
+  const plants = await loadPlants();
+  const value = String(identifier);
+
+  return plants.find((plant) => plant.plantId === value || String(plant.id) === value) || null;
+};
+
+/**
+ * Find the device a message belongs to
+ * Matches the longest Device.mqttTopic that prefixes the topic, then falls back
+ * to the deviceId carried in the payload (e.g. "INV_1").
+ * @param {number} plantId - Plant database ID
+ * @param {string} topic - MQTT topic
+ * @param {Object} payload - Decoded message payload (optional)
+ * @returns {Promise<Object|null>} Device with tagsByName or null
+ */
+const resolveDevice = async (plantId, topic, payload = null) => {
+  const devices = await loadDevices(plantId);
+
+  let match = null;
+  devices.forEach((device) => {
+    if (!device.mqttTopic || !topicMatches(topic, device.mqttTopic)) return;
+    if (!match || normalizeTopic(device.mqttTopic).length > normalizeTopic(match.mqttTopic).length) {
+      match = device;
+    }
+  });
+
+  if (match) return match;
+
+  // The plant device of calculated tags never sends data
+  const payloadDeviceId = payload && (payload.deviceId || payload.device_id);
+  if (payloadDeviceId) {
+    return (
+      devices.find((device) => device.deviceId === String(payloadDeviceId) && device.deviceType !== 'VIRTUAL') || null
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Get all devices of a plant (cached), e.g. to walk the device hierarchy
+ * @param {number} plantId - Plant database ID
+ * @returns {Promise<Array>} Devices with tags, tagsByName and parentDeviceId
+ */
+const getPlantDevices = (plantId) => loadDevices(plantId);
+
+/**
+ * Find a device of a plant by its user-facing device ID (e.g. "INV_1")
+ * @param {number} plantId - Plant database ID
+ * @param {string} deviceId - Device identifier
+ * @returns {Promise<Object|null>} Device with tagsByName or null
+ */
+const getDeviceByCode = async (plantId, deviceId) => {
+  const devices = await loadDevices(plantId);
+  return devices.find((device) => device.deviceId === deviceId) || null;
+};
+
+/**
+ * Drop cached plants and devices (call after topology changes)
+ * @param {number} plantId - Only drop devices of this plant (optional)
+ */
+const invalidateTopicCache = (plantId = null) => {
+  if (plantId) {
+    deviceCache.delete(plantId);
+    return;
+  }
+  plantCache = { loadedAt: 0, plants: [] };
+  deviceCache.clear();
+};
+
+export {
+  normalizeTopic,
+  topicMatches,
+  resolvePlantByTopic,
+  resolvePlantByIdentifier,
+  getPlant,
+  resolveDevice,
+  getDeviceByCode,
+  getPlantDevices,
+  invalidateTopicCache,
+};
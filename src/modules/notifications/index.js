@@ -0,0 +1,50 @@
+/**
+ * Notifications Module
+ * Main entry point for alarm notifications by email, webhook and Slack
+ *
+ * Alarm events on the realtime event bus are matched against per-user subscriptions
+ * (plant, severity, device type, alarm action). Each match becomes a delivery row that
+ * a background job sends and retries; the rows double as the delivery log.
+ *
+ * @module notifications
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startNotificationDispatcher, stopNotificationDispatcher } from './services/dispatcher.js';
+
+// Dispatching
+export {
+  findMatchingSubscriptions,
+  createDeliveries,
+  queueAlarmNotifications,
+  notifyUsers,
+  queueTestNotification,
+  processPendingDeliveries,
+  triggerNotificationDispatcher,
+} from './services/dispatcher.js';
+
+// Channels and templates
+export { DeliveryError, signWebhookPayload, sendNotification } from './services/channels.js';
+export { getAlarmLink, renderAlarmNotification, renderTestNotification } from './services/templates.js';
+
+/**
+ * Start sending notifications
+ */
+const startNotifications = () => {
+  if (!config.notifications.enabled) {
+    logger.info('Notifications disabled (NOTIFICATIONS_ENABLED=false)');
+    return;
+  }
+
+  startNotificationDispatcher();
+};
+
+/**
+ * Stop sending notifications (waits for in-flight sends)
+ */
+const stopNotifications = async () => {
+  await stopNotificationDispatcher();
+};
+
+export { startNotifications, stopNotifications };
@@ -0,0 +1,250 @@
+/**
+ * Notification Channels
+ * Sends rendered notifications by email (SMTP), signed webhook or Slack-style webhook
+ *
+ * Generic webhooks are signed: X-Signature is "sha256=" + HMAC-SHA256 (subscription
+ * secret) of "<X-Signature-Timestamp>.<raw body>", so receivers can verify the sender
+ * and reject replays.
+ *
+ * Webhooks only reach public addresses: loopback, link-local (e.g. cloud metadata) and
+ * private addresses are refused after DNS resolution, at connect time, unless
+ * NOTIFICATIONS_WEBHOOK_ALLOW_PRIVATE is set. Only the response status is recorded.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import nodemailer from 'nodemailer';
+import config from '../../../config/index.js';
+
+let transport = null;
+
+// Addresses webhooks may not connect to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // Link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4], // Multicast and reserved
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Error of a failed send
+ * permanent: retrying cannot succeed (e.g. a 4xx webhook response)
+ */
+class DeliveryError extends Error {
+  constructor(message, { permanent = false, responseStatus = null } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.permanent = permanent;
+    this.responseStatus = responseStatus;
+  }
+}
+
+/**
+ * Get the SMTP transport (created on first use)
+ */
+const getTransport = () => {
+  if (!transport) {
+    const { host, port, secure, user, pass } = config.notifications.smtp;
+    transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+  return transport;
+};
+
+/**
+ * Close the SMTP transport
+ */
+const closeTransport = () => {
+  if (transport) {
+    transport.close();
+    transport = null;
+  }
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Send an email
+ */
+const sendEmail = async (delivery) => {
+  const { subject, text, html } = delivery.payload;
+
+  try {
+    const info = await getTransport().sendMail({
+      from: config.notifications.smtp.from,
+      to: delivery.target,
+      subject,
+      text,
+      html,
+    });
+    return { responseStatus: null, info: info.messageId };
+  } catch (error) {
+    // 5xx SMTP replies (e.g. unknown mailbox) will not succeed on retry
+    const permanent = Number(error.responseCode) >= 500;
+    throw new DeliveryError(error.message, { permanent });
+  }
+};
+
+/**
+ * Check whether an IP address is loopback, link-local, private or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether webhooks may not connect to it
+ */
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? BLOCKED_ADDRESSES.check(mapped[1], 'ipv4') : BLOCKED_ADDRESSES.check(address, 'ipv6');
+};
+
+/**
+ * DNS lookup for webhook connections that refuses blocked addresses
+ * Used as the socket lookup, so the checked address is the one connected to.
+ */
+const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!config.notifications.webhookAllowPrivate && addresses.some(isBlockedAddress)) {
+      return callback(new DeliveryError(`Webhook host ${hostname} resolves to a non-public address`, { permanent: true }));
+    }
+    return callback(null, address, family);
+  });
+};
+
+/**
+ * POST a body and resolve with the response status (the response body is discarded)
+ */
+const postRequest = (url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: webhookLookup,
+        signal: AbortSignal.timeout(config.notifications.webhookTimeoutMs),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on('error', reject);
+    request.end(body);
+  });
+
+/**
+ * POST a JSON body to a webhook URL
+ */
+const postJson = async (target, body, headers = {}) => {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    throw new DeliveryError('Webhook URL is invalid', { permanent: true });
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new DeliveryError('Webhook URL must use http or https', { permanent: true });
+  }
+  // Literal IP hosts skip the DNS lookup
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !config.notifications.webhookAllowPrivate && isBlockedAddress(host)) {
+    throw new DeliveryError(`Webhook host ${host} is not a public address`, { permanent: true });
+  }
+
+  let status;
+  try {
+    status = await postRequest(url, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'solar-energy-backend',
+      ...headers,
+    });
+  } catch (error) {
+    if (error instanceof DeliveryError) throw error;
+    throw new DeliveryError(error.name === 'AbortError' || error.name === 'TimeoutError' ? 'Webhook timed out' : error.message);
+  }
+
+  if (status < 200 || status >= 300) {
+    // 408 and 429 are worth retrying, other client errors are not
+    const permanent = status >= 400 && status < 500 && ![408, 429].includes(status);
+    throw new DeliveryError(`Webhook responded ${status}`, { permanent, responseStatus: status });
+  }
+
+  return { responseStatus: status };
+};
+
+/**
+ * Send a signed generic webhook
+ */
+const sendWebhook = async (delivery) => {
+  const secret = delivery.subscription?.secret;
+  if (!secret) {
+    throw new DeliveryError('Webhook subscription no longer exists', { permanent: true });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return postJson(delivery.target, body, {
+    'X-Notification-Event': delivery.event,
+    'X-Notification-Delivery': String(delivery.id),
+    'X-Signature-Timestamp': timestamp,
+    'X-Signature': signWebhookPayload(secret, timestamp, body),
+  });
+};
+
+/**
+ * Send to a Slack-style incoming webhook
+ */
+const sendSlack = async (delivery) => postJson(delivery.target, JSON.stringify(delivery.payload));
+
+const SENDERS = {
+  EMAIL: sendEmail,
+  WEBHOOK: sendWebhook,
+  SLACK: sendSlack,
+};
+
+/**
+ * Send a delivery on its channel
+ * @param {Object} delivery - NotificationDelivery (with subscription secret for webhooks)
+ * @returns {Promise<Object>} { responseStatus }
+ * @throws {DeliveryError} If the send failed
+ */
+const sendNotification = (delivery) => SENDERS[delivery.channel](delivery);
+
+export { DeliveryError, signWebhookPayload, isBlockedAddress, sendNotification, closeTransport };
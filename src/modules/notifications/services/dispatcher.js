@@ -0,0 +1,324 @@
+/**
+ * Notification Dispatcher
+ * Turns alarm events into deliveries and sends them with retries
+ *
+ * Every alarm event on the event bus is matched against enabled subscriptions
+ * (event, plant, severity, device type, plant access of the user). One delivery row
+ * is written per matching subscription; a background job sends pending deliveries
+ * and retries failures with exponential backoff until config.notifications.maxAttempts.
+ */
+
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+import { hasPlantAccess } from '../../../services/userPlantMapService.js';
+import { subscribeEvents } from '../../realtime/services/eventBus.js';
+import { renderAlarmNotification, renderTestNotification } from './templates.js';
+import { sendNotification, closeTransport } from './channels.js';
+
+const ALARM_INCLUDE = {
+  plant: { select: { id: true, name: true, timezone: true } },
+  device: { select: { id: true, deviceId: true, name: true, deviceType: true } },
+  tag: { select: { id: true, name: true, unit: true } },
+};
+
+let unsubscribe = null;
+
+/**
+ * Get the address a subscription delivers to
+ */
+const getDeliveryTarget = (subscription) =>
+  subscription.target || (subscription.channel === 'EMAIL' ? subscription.user.email : null);
+
+/**
+ * Find the subscriptions that want an alarm event
+ * @param {string} event - Alarm action (created, acknowledged, resolved, ...)
+ * @param {Object} alarm - Alarm with device
+ * @returns {Promise<Array>} Subscriptions (with user)
+ */
+const findMatchingSubscriptions = async (event, alarm) => {
+  const subscriptions = await prisma.notificationSubscription.findMany({
+    where: {
+      isEnabled: true,
+      events: { has: event },
+      OR: [{ plantId: null }, { plantId: alarm.plantId }],
+      user: { isActive: true },
+    },
+    include: {
+      user: { select: { id: true, email: true, name: true, role: true } },
+    },
+  });
+
+  const matching = subscriptions.filter(
+    (subscription) =>
+      (subscription.severities.length === 0 || subscription.severities.includes(alarm.severity)) &&
+      (subscription.deviceTypes.length === 0 ||
+        (alarm.device && subscription.deviceTypes.includes(alarm.device.deviceType)))
+  );
+
+  // Users may have lost access to the plant since subscribing
+  const access = new Map();
+  for (const { user } of matching) {
+    if (!access.has(user.id)) {
+      access.set(user.id, await hasPlantAccess(user.id, user.role, alarm.plantId));
+    }
+  }
+
+  return matching.filter((subscription) => access.get(subscription.user.id));
+};
+
+/**
+ * Write deliveries for subscriptions and wake the sender
+ * @param {Array<Object>} subscriptions - Subscriptions (with user)
+ * @param {Object} options - { event, alarmId, render(channel, subscription) }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const createDeliveries = async (subscriptions, { event, alarmId = null, render }) => {
+  const data = subscriptions
+    .map((subscription) => ({ subscription, target: getDeliveryTarget(subscription) }))
+    .filter(({ target }) => target)
+    .map(({ subscription, target }) => ({
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      alarmId,
+      event,
+      channel: subscription.channel,
+      target,
+      payload: render(subscription.channel, subscription),
+    }));
+
+  if (data.length === 0) return 0;
+
+  await prisma.notificationDelivery.createMany({ data });
+  dispatcherJob.runNow();
+
+  return data.length;
+};
+
+/**
+ * Queue notifications for an alarm event
+ * @param {string} event - Alarm action (created, acknowledged, resolved, ...)
+ * @param {number} alarmId - Alarm ID
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const queueAlarmNotifications = async (event, alarmId) => {
+  const alarm = await prisma.alarm.findUnique({ where: { id: alarmId }, include: ALARM_INCLUDE });
+  if (!alarm) return 0;
+
+  const subscriptions = await findMatchingSubscriptions(event, alarm);
+  const queued = await createDeliveries(subscriptions, {
+    event,
+    alarmId,
+    render: (channel) => renderAlarmNotification(channel, { event, alarm }),
+  });
+
+  if (queued > 0) {
+    logger.debug('Alarm notifications queued', { alarmId, event, queued });
+  }
+  return queued;
+};
+
+/**
+ * Queue notifications about an alarm for specific users (e.g. escalation targets)
+ * Uses every enabled subscription of the user for the alarm's plant, regardless of
+ * its event, severity and device type filters; users without one get an email.
+ * @param {Array<number>} userIds - Recipient user IDs
+ * @param {Object} options - { event, alarmId, note }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const notifyUsers = async (userIds, { event, alarmId, note = null }) => {
+  if (userIds.length === 0) return 0;
+
+  const alarm = await prisma.alarm.findUnique({ where: { id: alarmId }, include: ALARM_INCLUDE });
+  if (!alarm) return 0;
+
+  const [users, subscriptions] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: userIds }, isActive: true },
+      select: { id: true, email: true, name: true, role: true },
+    }),
+    prisma.notificationSubscription.findMany({
+      where: {
+        userId: { in: userIds },
+        isEnabled: true,
+        OR: [{ plantId: null }, { plantId: alarm.plantId }],
+      },
+      include: {
+        user: { select: { id: true, email: true, name: true, role: true } },
+      },
+    }),
+  ]);
+
+  const activeIds = new Set(users.map((user) => user.id));
+  const active = subscriptions.filter((subscription) => activeIds.has(subscription.userId));
+  const subscribed = new Set(active.map((subscription) => subscription.userId));
+  const fallback = users
+    .filter((user) => !subscribed.has(user.id))
+    .map((user) => ({ id: null, userId: user.id, channel: 'EMAIL', target: null, user }));
+
+  return createDeliveries([...active, ...fallback], {
+    event,
+    alarmId,
+    render: (channel) => renderAlarmNotification(channel, { event, alarm, note }),
+  });
+};
+
+/**
+ * Queue a test notification for one subscription (filters are ignored)
+ * @param {Object} subscription - Subscription (with user)
+ * @returns {Promise<number>} 1 if queued, 0 if the subscription has no target
+ */
+const queueTestNotification = (subscription) =>
+  createDeliveries([subscription], { event: 'test', render: renderTestNotification });
+
+/**
+ * Claim deliveries that are due
+ * Rows are leased via processingStartedAt (FOR UPDATE SKIP LOCKED), so several
+ * instances can share the table; an abandoned lease is reclaimed after claimTimeoutMs.
+ */
+const claimDeliveries = async (batchSize) => {
+  const leaseCutoff = new Date(Date.now() - config.notifications.claimTimeoutMs);
+
+  const rows = await prisma.$queryRaw`
+    UPDATE notification_deliveries
+    SET "processingStartedAt" = NOW()
+    WHERE id IN (
+      SELECT id FROM notification_deliveries
+      WHERE status = 'PENDING'
+        AND "nextAttemptAt" <= NOW()
+        AND ("processingStartedAt" IS NULL OR "processingStartedAt" < ${leaseCutoff})
+      ORDER BY "nextAttemptAt" ASC, id ASC
+      LIMIT ${batchSize}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `;
+
+  if (rows.length === 0) return [];
+
+  return prisma.notificationDelivery.findMany({
+    where: { id: { in: rows.map((row) => row.id) } },
+    include: { subscription: { select: { secret: true } } },
+  });
+};
+
+/**
+ * Send one delivery and record the outcome
+ * @returns {Promise<boolean>} Whether it was sent
+ */
+const attemptDelivery = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const { responseStatus } = await sendNotification(delivery);
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: 'SENT',
+        attempts,
+        sentAt: new Date(),
+        responseStatus,
+        lastError: null,
+        processingStartedAt: null,
+      },
+    });
+    return true;
+  } catch (error) {
+    const failed = error.permanent || attempts >= config.notifications.maxAttempts;
+    const retryDelay = config.notifications.retryBaseMs * 2 ** (attempts - 1);
+
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: failed ? 'FAILED' : 'PENDING',
+        attempts,
+        nextAttemptAt: failed ? delivery.nextAttemptAt : new Date(Date.now() + retryDelay),
+        responseStatus: error.responseStatus ?? null,
+        lastError: String(error.message).slice(0, 1000),
+        processingStartedAt: null,
+      },
+    });
+
+    logger.warn('Notification delivery failed', {
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      attempts,
+      willRetry: !failed,
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Send one batch of due deliveries
+ * @returns {Promise<Object>} { claimed, sent, failed }
+ */
+const processPendingDeliveries = async () => {
+  const deliveries = await claimDeliveries(config.notifications.batchSize);
+  const results = await Promise.all(deliveries.map(attemptDelivery));
+  const sent = results.filter(Boolean).length;
+
+  return { claimed: deliveries.length, sent, failed: deliveries.length - sent };
+};
+
+const dispatcherJob = createIntervalJob({
+  name: 'notification-dispatcher',
+  intervalMs: config.notifications.intervalMs,
+  run: async () => {
+    const { claimed } = await processPendingDeliveries();
+    return claimed >= config.notifications.batchSize;
+  },
+});
+
+/**
+ * Queue notifications for alarm events published on the event bus
+ */
+const handleEvent = (event) => {
+  if (event.type !== 'alarm') return;
+
+  const { action, alarm } = event.payload;
+  queueAlarmNotifications(action, alarm.id).catch((error) => {
+    logger.error('Failed to queue alarm notifications', { alarmId: alarm.id, action, error: error.message });
+  });
+};
+
+/**
+ * Start listening for alarm events and sending deliveries
+ */
+const startNotificationDispatcher = () => {
+  if (!unsubscribe) {
+    unsubscribe = subscribeEvents(handleEvent);
+  }
+  dispatcherJob.start();
+};
+
+/**
+ * Stop listening and wait for in-flight sends
+ */
+const stopNotificationDispatcher = async () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  await dispatcherJob.stop();
+  closeTransport();
+};
+
+/**
+ * Send due deliveries now (e.g. after a manual retry)
+ */
+const triggerNotificationDispatcher = () => dispatcherJob.runNow();
+
+export {
+  findMatchingSubscriptions,
+  createDeliveries,
+  queueAlarmNotifications,
+  notifyUsers,
+  queueTestNotification,
+  processPendingDeliveries,
+  triggerNotificationDispatcher,
+  startNotificationDispatcher,
+  stopNotificationDispatcher,
+};
@@ -0,0 +1,183 @@
+/**
+ * Notification Templates
+ * Renders alarm notifications for each channel
+ *
+ * Every message names the plant and device and links to the alarm in the frontend
+ * (config.notifications.appUrl). The rendered message is stored on the delivery so
+ * retries send exactly what was logged.
+ */
+
+import config from '../../../config/index.js';
+
+const EVENT_LABELS = {
+  created: 'raised',
+  acknowledged: 'acknowledged',
+  resolved: 'resolved',
+  escalated: 'escalated',
+  shelved: 'shelved',
+  unshelved: 'unshelved',
+  reopened: 'reopened',
+};
+
+// Slack attachment colours per severity
+const SEVERITY_COLORS = {
+  CRITICAL: '#b71c1c',
+  HIGH: '#e65100',
+  MEDIUM: '#f9a825',
+  LOW: '#1565c0',
+  INFO: '#607d8b',
+};
+
+/**
+ * Build the frontend link of an alarm
+ * @param {number} alarmId - Alarm ID
+ * @returns {string} URL
+ */
+const getAlarmLink = (alarmId) => `${config.notifications.appUrl.replace(/\/+$/, '')}/alarms/${alarmId}`;
+
+/**
+ * Format a time in the plant timezone
+ */
+const formatTime = (value, timeZone = 'UTC') => {
+  if (!value) return null;
+  try {
+    return `${new Date(value).toLocaleString('en-GB', { timeZone })} (${timeZone})`;
+  } catch {
+    return new Date(value).toISOString();
+  }
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Collect the display fields of an alarm notification
+ * @param {Object} context - { event, alarm, note } (alarm includes plant, device and tag)
+ * @returns {Object} { title, link, fields: [[label, value]] }
+ */
+const describeAlarm = ({ event, alarm, note = null }) => {
+  const { plant, device, tag } = alarm;
+  const label = EVENT_LABELS[event] || event;
+  const deviceName = device ? `${device.name} (${device.deviceId})` : null;
+
+  const fields = [
+    ['Note', note],
+    ['Plant', plant.name],
+    ['Device', deviceName],
+    ['Tag', tag ? tag.name : null],
+    ['Severity', alarm.severity],
+    ['Status', alarm.status],
+    ['Value', alarm.value !== null && alarm.value !== undefined ? `${alarm.value}${tag?.unit ? ` ${tag.unit}` : ''}` : null],
+    ['Threshold', alarm.threshold ?? null],
+    ['Triggered', formatTime(alarm.triggeredAt, plant.timezone)],
+    ['Acknowledged', formatTime(alarm.acknowledgedAt, plant.timezone)],
+    ['Resolved', formatTime(alarm.resolvedAt, plant.timezone)],
+    ['Shelved until', alarm.isShelved ? formatTime(alarm.shelvedUntil, plant.timezone) : null],
+    ['Shelve reason', alarm.isShelved ? alarm.shelveReason : null],
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  return {
+    title: `[${alarm.severity}] Alarm ${label}: ${alarm.message}`,
+    summary: `${plant.name}${deviceName ? ` / ${deviceName}` : ''}`,
+    link: getAlarmLink(alarm.id),
+    fields,
+  };
+};
+
+/**
+ * Render a message for a channel
+ * @param {string} channel - EMAIL, WEBHOOK or SLACK
+ * @param {Object} message - { title, summary, link, fields }
+ * @param {Object} data - Structured body for generic webhooks
+ * @returns {Object} Payload stored on the delivery
+ */
+const renderMessage = (channel, { title, summary, link, fields, color }, data) => {
+  if (channel === 'EMAIL') {
+    const lines = fields.map(([name, value]) => `${name}: ${value}`);
+    const rows = fields
+      .map(([name, value]) => `<tr><td><strong>${escapeHtml(name)}</strong></td><td>${escapeHtml(value)}</td></tr>`)
+      .join('');
+
+    return {
+      subject: title,
+      text: [title, summary, '', ...lines, '', link ? `View alarm: ${link}` : null].filter((line) => line !== null).join('\n'),
+      html:
+        `<h3>${escapeHtml(title)}</h3><p>${escapeHtml(summary)}</p><table>${rows}</table>` +
+        (link ? `<p><a href="${escapeHtml(link)}">View alarm</a></p>` : ''),
+    };
+  }
+
+  if (channel === 'SLACK') {
+    return {
+      text: `${title}\n${summary}${link ? `\n<${link}|View alarm>` : ''}`,
+      attachments: [
+        {
+          color,
+          fields: fields.map(([name, value]) => ({ title: name, value: String(value), short: true })),
+        },
+      ],
+    };
+  }
+
+  return data;
+};
+
+/**
+ * Render an alarm notification
+ * @param {string} channel - EMAIL, WEBHOOK or SLACK
+ * @param {Object} context - { event, alarm, note } (alarm includes plant, device and tag)
+ * @returns {Object} Payload stored on the delivery
+ */
+const renderAlarmNotification = (channel, context) => {
+  const { event, alarm, note = null } = context;
+  const message = { ...describeAlarm(context), color: SEVERITY_COLORS[alarm.severity] };
+
+  return renderMessage(channel, message, {
+    event,
+    note,
+    link: message.link,
+    alarm: {
+      id: alarm.id,
+      severity: alarm.severity,
+      status: alarm.status,
+      message: alarm.message,
+      description: alarm.description,
+      value: alarm.value,
+      threshold: alarm.threshold,
+      triggeredAt: alarm.triggeredAt,
+      acknowledgedAt: alarm.acknowledgedAt,
+      resolvedAt: alarm.resolvedAt,
+      isShelved: alarm.isShelved,
+      shelvedUntil: alarm.shelvedUntil,
+      shelveReason: alarm.shelveReason,
+    },
+    plant: { id: alarm.plant.id, name: alarm.plant.name },
+    device: alarm.device
+      ? { id: alarm.device.id, deviceId: alarm.device.deviceId, name: alarm.device.name, deviceType: alarm.device.deviceType }
+      : null,
+    tag: alarm.tag ? { id: alarm.tag.id, name: alarm.tag.name, unit: alarm.tag.unit } : null,
+  });
+};
+
+/**
+ * Render the test notification of a subscription
+ * @param {string} channel - EMAIL, WEBHOOK or SLACK
+ * @param {Object} subscription - Subscription (with user)
+ * @returns {Object} Payload stored on the delivery
+ */
+const renderTestNotification = (channel, subscription) => {
+  const title = 'Test notification from Solar Monitoring';
+  const summary = `Subscription "${subscription.name || subscription.id}" of ${subscription.user.name} is set up correctly.`;
+
+  return renderMessage(
+    channel,
+    { title, summary, link: null, fields: [['Channel', channel]], color: SEVERITY_COLORS.INFO },
+    { event: 'test', message: summary, subscriptionId: subscription.id, sentAt: new Date().toISOString() }
+  );
+};
+
+export { getAlarmLink, renderAlarmNotification, renderTestNotification };
@@ -0,0 +1,25 @@
+/**
+ * Realtime Module
+ * Main entry point for pushing live data and alarm changes to clients
+ *
+ * Producers publish to the in-process event bus; the Socket.IO server forwards
+ * events to clients subscribed to plant, device or tag rooms, and SSE streams
+ * (GET /api/stream) deliver them to clients that cannot use Socket.IO.
+ *
+ * @module realtime
+ */
+
+// Event bus
+export {
+  EVENT_TYPES,
+  publishEvent,
+  publishAlarmEvent,
+  subscribeEvents,
+  getEventsSince,
+} from './services/eventBus.js';
+
+// Socket.IO server
+export { attachSocketServer, closeSocketServer } from './services/socketServer.js';
+
+// Server-Sent Events
+export { SEVERITY_RANK, openEventStream, closeEventStreams } from './services/sseStream.js';
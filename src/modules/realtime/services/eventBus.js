@@ -0,0 +1,128 @@
+/**
+ * Event Bus
+ * In-process publish/subscribe for live data and alarm events
+ *
+ * Producers (ingestion, alarm service) publish events here; delivery channels
+ * (Socket.IO) subscribe and forward them to connected clients.
+ */
+
+import { EventEmitter } from 'events';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+
+const EVENT_TYPES = ['data', 'alarm'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per SSE client
+
+// Event IDs are "<epoch>-<sequence>"; the epoch changes on restart so stale IDs are detected
+const epoch = Date.now().toString(36);
+let sequence = 0;
+
+// Recent events kept for Last-Event-ID resume (oldest first)
+const eventLog = [];
+
+/**
+ * Publish an event to all subscribers
+ * Subscriber errors are logged and never propagate to the producer.
+ * @param {string} type - Event type ('data' or 'alarm')
+ * @param {Object} payload - Event payload (must contain plantId)
+ * @returns {Object} Published event { id, type, payload, publishedAt }
+ */
+const publishEvent = (type, payload) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown realtime event type "${type}"`);
+  }
+
+  sequence++;
+  const event = {
+    id: `${epoch}-${sequence}`,
+    sequence,
+    type,
+    payload,
+    publishedAt: new Date().toISOString(),
+  };
+
+  eventLog.push(event);
+  if (eventLog.length > config.stream.eventLogSize) {
+    eventLog.shift();
+  }
+
+  try {
+    emitter.emit('event', event);
+  } catch (error) {
+    logger.error('Realtime event subscriber failed', { type, error: error.message });
+  }
+
+  return event;
+};
+
+/**
+ * Get events published after a given event ID
+ * @param {string} lastEventId - ID of the last event the client received
+ * @returns {Object} { events, complete } - complete is false when the ID is from a
+ *   previous server run or older than the retained log, i.e. events may be missing
+ */
+const getEventsSince = (lastEventId) => {
+  const [idEpoch, idSequence] = String(lastEventId || '').split('-');
+  const lastSequence = Number(idSequence);
+
+  if (idEpoch !== epoch || !Number.isInteger(lastSequence) || lastSequence > sequence) {
+    return { events: [], complete: false };
+  }
+
+  const oldestSequence = eventLog.length > 0 ? eventLog[0].sequence : sequence + 1;
+  const events = eventLog.filter((event) => event.sequence > lastSequence);
+
+  return { events, complete: lastSequence >= oldestSequence - 1 };
+};
+
+/**
+ * Subscribe to all events
+ * @param {Function} listener - Called with { id, type, payload, publishedAt }
+ * @returns {Function} Unsubscribe function
+ */
+const subscribeEvents = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+/**
+ * Build the alarm event payload from an alarm record
+ * @param {string} action - What happened (created, acknowledged, resolved, ...)
+ * @param {Object} alarm - Alarm record
+ * @returns {Object} Alarm event payload
+ */
+const toAlarmEvent = (action, alarm) => ({
+  action,
+  plantId: alarm.plantId,
+  deviceId: alarm.deviceId,
+  tagId: alarm.tagId,
+  alarm: {
+    id: alarm.id,
+    plantId: alarm.plantId,
+    deviceId: alarm.deviceId,
+    tagId: alarm.tagId,
+    severity: alarm.severity,
+    status: alarm.status,
+    message: alarm.message,
+    value: alarm.value,
+    threshold: alarm.threshold,
+    triggeredAt: alarm.triggeredAt,
+    acknowledgedAt: alarm.acknowledgedAt,
+    acknowledgedBy: alarm.acknowledgedBy,
+    resolvedAt: alarm.resolvedAt,
+    isShelved: alarm.isShelved ?? false,
+    shelvedUntil: alarm.shelvedUntil ?? null,
+    parentAlarmId: alarm.parentAlarmId ?? null,
+  },
+});
+
+/**
+ * Publish an alarm state change
+ * @param {string} action - What happened (created, acknowledged, resolved, ...)
+ * @param {Object} alarm - Alarm record after the change
+ */
+const publishAlarmEvent = (action, alarm) => publishEvent('alarm', toAlarmEvent(action, alarm));
+
+export { EVENT_TYPES, publishEvent, publishAlarmEvent, subscribeEvents, getEventsSince };
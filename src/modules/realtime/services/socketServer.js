@@ -0,0 +1,225 @@
+/**
+ * Socket Server
+ * Authenticated Socket.IO namespace that pushes live tag values and alarm changes
+ *
+ * Clients connect to the `/realtime` namespace with a JWT (`auth: { token }` or an
+ * `Authorization: Bearer` header) and join rooms with:
+ *   socket.emit('subscribe', { plantId }, ack)   -> room plant:<id>
+ *   socket.emit('subscribe', { deviceId }, ack)  -> room device:<id>
+ *   socket.emit('subscribe', { tagId }, ack)     -> room tag:<id>
+ *
+ * Server events:
+ *   'data'      - values written for one device message (plant and device rooms)
+ *   'tag:value' - a single tag value (tag rooms)
+ *   'alarm'     - alarm state change (plant, device and tag rooms)
+ */
+
+import { Server } from 'socket.io';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { authenticateToken } from '../../../middlewares/auth.js';
+import { hasPlantAccess } from '../../../services/userPlantMapService.js';
+import { subscribeEvents } from './eventBus.js';
+
+const NAMESPACE = '/realtime';
+
+let io = null;
+let unsubscribeBus = null;
+
+/**
+ * Read the JWT from the socket handshake
+ * @param {Object} handshake - Socket.IO handshake
+ * @returns {string|undefined} Token
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return undefined;
+};
+
+/**
+ * Resolve a subscription request to a room and the plant it belongs to
+ * @param {Object} request - { plantId } | { deviceId } | { tagId }
+ * @returns {Promise<Object>} { room, plantId }
+ */
+const resolveSubscription = async (request = {}) => {
+  const plantId = Number(request.plantId);
+  const deviceId = Number(request.deviceId);
+  const tagId = Number(request.tagId);
+
+  if (Number.isInteger(tagId) && tagId > 0) {
+    const tag = await prisma.tag.findUnique({
+      where: { id: tagId },
+      select: { id: true, device: { select: { plantId: true } } },
+    });
+    if (!tag) throw new Error('Tag not found');
+    return { room: `tag:${tag.id}`, plantId: tag.device.plantId };
+  }
+
+  if (Number.isInteger(deviceId) && deviceId > 0) {
+    const device = await prisma.device.findUnique({
+      where: { id: deviceId },
+      select: { id: true, plantId: true },
+    });
+    if (!device) throw new Error('Device not found');
+    return { room: `device:${device.id}`, plantId: device.plantId };
+  }
+
+  if (Number.isInteger(plantId) && plantId > 0) {
+    const plant = await prisma.plant.findUnique({
+      where: { id: plantId },
+      select: { id: true },
+    });
+    if (!plant) throw new Error('Plant not found');
+    return { room: `plant:${plant.id}`, plantId: plant.id };
+  }
+
+  throw new Error('Provide a plantId, deviceId or tagId');
+};
+
+/**
+ * Wrap a client event handler so it always answers the acknowledgement callback
+ */
+const withAck = (handler) => async (request, ack) => {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  try {
+    respond({ success: true, ...(await handler(request)) });
+  } catch (error) {
+    respond({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Register handlers for a connected client
+ * @param {Object} socket - Socket.IO socket
+ */
+const handleConnection = (socket) => {
+  const { user } = socket.data;
+  logger.debug('Realtime client connected', { socketId: socket.id, userId: user.id });
+
+  socket.on(
+    'subscribe',
+    withAck(async (request) => {
+      const { room, plantId } = await resolveSubscription(request);
+
+      // Room joins follow UserPlantMap, same as the REST endpoints
+      if (!(await hasPlantAccess(user.id, user.role, plantId))) {
+        throw new Error('You do not have access to this plant');
+      }
+
+      await socket.join(room);
+      return { room };
+    })
+  );
+
+  socket.on(
+    'unsubscribe',
+    withAck(async (request) => {
+      const { room } = await resolveSubscription(request);
+      await socket.leave(room);
+      return { room };
+    })
+  );
+
+  socket.on('disconnect', (reason) => {
+    logger.debug('Realtime client disconnected', { socketId: socket.id, userId: user.id, reason });
+  });
+};
+
+/**
+ * Forward a bus event to the rooms it concerns
+ * Emitting to several rooms at once delivers the event only once per socket.
+ * @param {Object} namespace - Socket.IO namespace
+ * @param {Object} event - Bus event { type, payload }
+ */
+const forwardEvent = (namespace, { type, payload }) => {
+  const rooms = [`plant:${payload.plantId}`];
+  if (payload.deviceId) rooms.push(`device:${payload.deviceId}`);
+
+  if (type === 'data') {
+    namespace.to(rooms).emit('data', payload);
+
+    payload.values.forEach((point) => {
+      namespace.to(`tag:${point.tagId}`).emit('tag:value', {
+        plantId: payload.plantId,
+        deviceId: payload.deviceId,
+        timestamp: payload.timestamp,
+        ...point,
+      });
+    });
+    return;
+  }
+
+  if (type === 'alarm') {
+    if (payload.tagId) rooms.push(`tag:${payload.tagId}`);
+    namespace.to(rooms).emit('alarm', payload);
+  }
+};
+
+/**
+ * Attach the Socket.IO server to the HTTP server
+ * @param {Object} httpServer - Node HTTP server returned by app.listen()
+ * @returns {Object|null} Socket.IO server or null if disabled
+ */
+const attachSocketServer = (httpServer) => {
+  if (!config.websocket.enabled) {
+    logger.info('Realtime Socket.IO server disabled (ENABLE_WEBSOCKET is not true)');
+    return null;
+  }
+
+  if (io) return io;
+
+  io = new Server(httpServer, {
+    path: config.websocket.path,
+    cors: config.cors,
+  });
+
+  const namespace = io.of(NAMESPACE);
+
+  namespace.use(async (socket, next) => {
+    try {
+      socket.data.user = await authenticateToken(getHandshakeToken(socket.handshake));
+      next();
+    } catch (error) {
+      next(new Error(error.statusCode ? error.message : 'Authentication failed'));
+    }
+  });
+
+  namespace.on('connection', handleConnection);
+
+  unsubscribeBus = subscribeEvents((event) => forwardEvent(namespace, event));
+
+  logger.info('Realtime Socket.IO server attached', {
+    path: config.websocket.path,
+    namespace: NAMESPACE,
+  });
+
+  return io;
+};
+
+/**
+ * Disconnect all clients and stop forwarding events
+ */
+const closeSocketServer = async () => {
+  if (!io) return;
+
+  if (unsubscribeBus) {
+    unsubscribeBus();
+    unsubscribeBus = null;
+  }
+
+  io.of(NAMESPACE).disconnectSockets(true);
+  // The HTTP server itself is closed by server.js
+  io = null;
+  logger.info('Realtime Socket.IO server closed');
+};
+
+export { attachSocketServer, closeSocketServer };
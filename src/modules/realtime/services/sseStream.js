@@ -0,0 +1,119 @@
+/**
+ * SSE Stream
+ * Server-Sent Events delivery of live data and alarm events for clients without Socket.IO
+ */
+
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { subscribeEvents, getEventsSince } from './eventBus.js';
+
+// Alarm severities from most to least severe
+const SEVERITY_RANK = {
+  CRITICAL: 5,
+  HIGH: 4,
+  MEDIUM: 3,
+  LOW: 2,
+  INFO: 1,
+};
+
+// Open responses, ended on shutdown so the HTTP server can close
+const openStreams = new Set();
+
+/**
+ * Build an event filter
+ * @param {Object} filters - Stream filters
+ * @param {Array<number>|null} filters.plantIds - Allowed plants (null = all)
+ * @param {number} filters.deviceId - Only events of this device (optional)
+ * @param {Array<string>} filters.types - Event types to deliver
+ * @param {string} filters.minSeverity - Minimum alarm severity (optional)
+ * @returns {Function} Predicate taking a bus event
+ */
+const createEventFilter = ({ plantIds, deviceId, types, minSeverity }) => {
+  const allowedPlants = plantIds ? new Set(plantIds) : null;
+  const minRank = minSeverity ? SEVERITY_RANK[minSeverity] : 0;
+
+  return ({ type, payload }) => {
+    if (!types.includes(type)) return false;
+    if (allowedPlants && !allowedPlants.has(payload.plantId)) return false;
+    if (deviceId && payload.deviceId !== deviceId) return false;
+    if (type === 'alarm' && SEVERITY_RANK[payload.alarm.severity] < minRank) return false;
+    return true;
+  };
+};
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response
+ * @param {Object} message - { id, event, data }
+ */
+const writeMessage = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open an SSE stream on the response
+ * Replays events after `lastEventId` from the in-memory event log when possible;
+ * otherwise a `resync` event tells the client to reload current state.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - Filters (see createEventFilter) plus lastEventId
+ */
+const openEventStream = (req, res, { lastEventId, ...filters }) => {
+  const matches = createEventFilter(filters);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Reconnect delay hint for EventSource clients
+  res.write(`retry: ${config.stream.heartbeatIntervalMs}\n\n`);
+
+  if (lastEventId) {
+    const { events, complete } = getEventsSince(lastEventId);
+
+    if (!complete) {
+      writeMessage(res, { event: 'resync', data: { reason: 'Events since the last received ID are no longer available' } });
+    }
+
+    events.filter(matches).forEach((event) => {
+      writeMessage(res, { id: event.id, event: event.type, data: event.payload });
+    });
+  }
+
+  const unsubscribe = subscribeEvents((event) => {
+    if (!matches(event)) return;
+    writeMessage(res, { id: event.id, event: event.type, data: event.payload });
+  });
+
+  // Heartbeats carry no ID so they do not move the client's Last-Event-ID
+  const heartbeat = setInterval(() => {
+    writeMessage(res, { event: 'heartbeat', data: { time: new Date().toISOString() } });
+  }, config.stream.heartbeatIntervalMs);
+
+  logger.debug('SSE client connected', { userId: req.user?.id, filters });
+
+  openStreams.add(res);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    openStreams.delete(res);
+    logger.debug('SSE client disconnected', { userId: req.user?.id });
+  });
+};
+
+/**
+ * End all open streams (clients reconnect with Last-Event-ID)
+ */
+const closeEventStreams = () => {
+  openStreams.forEach((res) => res.end());
+  openStreams.clear();
+};
+
+export { SEVERITY_RANK, createEventFilter, openEventStream, closeEventStreams };
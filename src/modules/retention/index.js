@@ -0,0 +1,45 @@
+/**
+ * Retention Module
+ * Main entry point for data retention policies
+ *
+ * Policies set how many days raw MQTT messages, processed data and each rollup level
+ * are kept, by default or per plant. The enforcer job deletes expired rows in small
+ * batches; rollups outlive the processed data they summarise, so old periods stay
+ * available at lower resolution.
+ *
+ * @module retention
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startRetentionEnforcer, stopRetentionEnforcer } from './services/retentionEnforcer.js';
+
+// Enforcer
+export {
+  RETENTION_TARGETS,
+  getRetentionCutoff,
+  countExpiredRows,
+  getEffectivePolicies,
+  enforceRetentionPolicies,
+} from './services/retentionEnforcer.js';
+
+/**
+ * Start enforcing retention policies
+ */
+const startRetention = () => {
+  if (!config.retention.enabled) {
+    logger.info('Data retention disabled (RETENTION_ENABLED=false)');
+    return;
+  }
+
+  startRetentionEnforcer();
+};
+
+/**
+ * Stop enforcing retention policies
+ */
+const stopRetention = async () => {
+  await stopRetentionEnforcer();
+};
+
+export { startRetention, stopRetention };
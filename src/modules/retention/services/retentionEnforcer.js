@@ -0,0 +1,226 @@
+/**
+ * Retention Enforcer
+ * Deletes data older than the retention policy of each plant and table
+ *
+ * The effective policy of a plant and target is the plant's own policy, else the default
+ * policy (plantId null); a disabled policy keeps the data. Rows are deleted in batches of
+ * RETENTION_BATCH_SIZE, each its own short statement, so ingestion and queries never wait
+ * on a long lock. A run deletes at most RETENTION_MAX_BATCHES batches per plant and
+ * target and continues right away while rows are left. What was removed is recorded
+ * in retention_runs.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import logger from '../../../config/logger.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 1000;
+
+// Table, time column and extra condition of each target
+const RETENTION_TARGETS = {
+  RAW_MQTT: {
+    table: 'raw_mqtt_data',
+    timeColumn: '"receivedAt"',
+    // Messages still waiting for ingestion are never removed
+    condition: 'NOT ("isProcessed" = false AND "processingError" IS NULL)',
+  },
+  PROCESSED_DATA: { table: 'processed_data', timeColumn: '"timestamp"' },
+  ROLLUP_5M: { table: 'data_rollups_5m', timeColumn: 'bucket' },
+  ROLLUP_HOURLY: { table: 'data_rollups_hourly', timeColumn: 'bucket' },
+  ROLLUP_DAILY: { table: 'data_rollups_daily', timeColumn: 'bucket' },
+};
+
+/**
+ * Build the WHERE condition selecting the expired rows of a plant
+ */
+const expiredCondition = (target, plantId, cutoff) => {
+  const { timeColumn, condition } = RETENTION_TARGETS[target];
+  return Prisma.sql`"plantId" = ${plantId}
+    AND ${Prisma.raw(timeColumn)} < ${cutoff}
+    ${condition ? Prisma.sql`AND ${Prisma.raw(condition)}` : Prisma.empty}`;
+};
+
+/**
+ * Get the time before which a policy removes data of a plant
+ * Processed data is only removed once its rollups are up to date: the cutoff never
+ * passes the oldest 5-minute bucket still queued for the plant.
+ * @param {string} target - RetentionTarget
+ * @param {number} plantId - Plant ID
+ * @param {number} retentionDays - Days to keep
+ * @param {Date} at - Reference time
+ * @returns {Promise<Date>} Cutoff
+ */
+const getRetentionCutoff = async (target, plantId, retentionDays, at = new Date()) => {
+  const cutoff = new Date(at.getTime() - retentionDays * DAY_MS);
+  if (target !== 'PROCESSED_DATA') return cutoff;
+
+  const pending = await prisma.dataRollupQueue.findFirst({
+    where: { plantId, bucket: { lt: cutoff } },
+    orderBy: { bucket: 'asc' },
+    select: { bucket: true },
+  });
+  return pending ? pending.bucket : cutoff;
+};
+
+/**
+ * Count the rows a cutoff removes and the oldest of them
+ * @param {string} target - RetentionTarget
+ * @param {number} plantId - Plant ID
+ * @param {Date} cutoff - Rows older than this expire
+ * @returns {Promise<Object>} { rows, oldest }
+ */
+const countExpiredRows = async (target, plantId, cutoff) => {
+  const { table, timeColumn } = RETENTION_TARGETS[target];
+
+  const [result] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS "rows", MIN(${Prisma.raw(timeColumn)}) AS oldest
+    FROM ${Prisma.raw(table)}
+    WHERE ${expiredCondition(target, plantId, cutoff)}
+  `;
+  return result;
+};
+
+/**
+ * Delete one batch of expired rows
+ * @returns {Promise<number>} Rows deleted
+ */
+const deleteExpiredBatch = (target, plantId, cutoff, batchSize) => {
+  const { table } = RETENTION_TARGETS[target];
+
+  return prisma.$executeRaw`
+    DELETE FROM ${Prisma.raw(table)}
+    WHERE id IN (
+      SELECT id FROM ${Prisma.raw(table)}
+      WHERE ${expiredCondition(target, plantId, cutoff)}
+      LIMIT ${batchSize}
+    )
+  `;
+};
+
+/**
+ * Get the enabled policy that applies to each plant and target
+ * @returns {Promise<Array<Object>>} { plantId, target, policy }
+ */
+const getEffectivePolicies = async () => {
+  const [plants, policies] = await Promise.all([
+    prisma.plant.findMany({ select: { id: true } }),
+    prisma.retentionPolicy.findMany(),
+  ]);
+
+  const defaults = new Map(policies.filter((p) => p.plantId === null).map((p) => [p.target, p]));
+  const own = new Map(policies.filter((p) => p.plantId !== null).map((p) => [`${p.plantId}:${p.target}`, p]));
+
+  return plants.flatMap((plant) =>
+    Object.keys(RETENTION_TARGETS)
+      .map((target) => ({
+        plantId: plant.id,
+        target,
+        policy: own.get(`${plant.id}:${target}`) || defaults.get(target),
+      }))
+      .filter(({ policy }) => policy?.isEnabled)
+  );
+};
+
+/**
+ * Enforce one policy on one plant
+ * @returns {Promise<Object>} { deleted, complete }
+ */
+const enforcePolicy = async ({ plantId, target, policy }) => {
+  const { batchSize, maxBatches } = config.retention;
+  const startedAt = new Date();
+  const cutoff = await getRetentionCutoff(target, plantId, policy.retentionDays, startedAt);
+
+  let deleted = 0;
+  let complete = false;
+  let error = null;
+
+  try {
+    for (let batch = 0; batch < maxBatches; batch += 1) {
+      const count = await deleteExpiredBatch(target, plantId, cutoff, batchSize);
+      deleted += count;
+      if (count < batchSize) {
+        complete = true;
+        break;
+      }
+    }
+  } catch (err) {
+    error = err;
+    complete = true; // Retried on the next scheduled run
+    logger.error('Retention policy failed', { plantId, target, policyId: policy.id, error: err.message });
+  }
+
+  if (deleted > 0 || error) {
+    await prisma.retentionRun.create({
+      data: {
+        policyId: policy.id,
+        plantId,
+        target,
+        cutoff,
+        deletedCount: deleted,
+        startedAt,
+        finishedAt: new Date(),
+        error: error ? error.message.slice(0, MAX_ERROR_LENGTH) : null,
+      },
+    });
+  }
+
+  return { deleted, complete };
+};
+
+/**
+ * Enforce every retention policy once
+ * @returns {Promise<Object>} { deleted, complete } - complete is false while expired rows are left
+ */
+const enforceRetentionPolicies = async () => {
+  const effective = await getEffectivePolicies();
+
+  let deleted = 0;
+  let complete = true;
+  for (const entry of effective) {
+    const result = await enforcePolicy(entry);
+    deleted += result.deleted;
+    complete = complete && result.complete;
+  }
+
+  if (deleted > 0) {
+    logger.info('Retention policies enforced', { deleted, complete });
+  }
+
+  return { deleted, complete };
+};
+
+const retentionJob = createIntervalJob({
+  name: 'data-retention',
+  intervalMs: config.retention.intervalMs,
+  run: async () => {
+    const { complete } = await enforceRetentionPolicies();
+    return !complete;
+  },
+});
+
+/**
+ * Start enforcing retention policies
+ */
+const startRetentionEnforcer = () => {
+  retentionJob.start();
+};
+
+/**
+ * Stop enforcing and wait for an in-flight run
+ */
+const stopRetentionEnforcer = async () => {
+  await retentionJob.stop();
+};
+
+export {
+  RETENTION_TARGETS,
+  getRetentionCutoff,
+  countExpiredRows,
+  getEffectivePolicies,
+  enforceRetentionPolicies,
+  startRetentionEnforcer,
+  stopRetentionEnforcer,
+};
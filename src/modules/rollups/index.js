@@ -0,0 +1,52 @@
+/**
+ * Rollups Module
+ * Main entry point for the 5-minute, hourly and daily rollups of historical data
+ *
+ * Ingestion queues the 5-minute buckets it writes to; the refresher job recomputes the
+ * rollups of queued buckets incrementally. Historical data endpoints read the coarsest
+ * rollup that fits the requested interval instead of loading raw points.
+ *
+ * @module rollups
+ */
+
+import config from '../../config/index.js';
+import logger from '../../config/logger.js';
+import { startRollupRefresher, stopRollupRefresher } from './services/rollupRefresher.js';
+
+// Queue
+export { toRollupBucket, queueRollups, queueRollupRange } from './services/rollupQueue.js';
+
+// Refresher
+export { refreshQueuedRollups, triggerRollupRefresh } from './services/rollupRefresher.js';
+
+// Queries
+export {
+  DAY_MS,
+  HOUR_MS,
+  selectRollupSource,
+  parseInterval,
+  formatInterval,
+  queryAggregatedSeries,
+  getIntervalBoundaries,
+} from './services/rollupQuery.js';
+
+/**
+ * Start refreshing rollups
+ */
+const startRollups = () => {
+  if (!config.rollups.enabled) {
+    logger.info('Data rollups disabled (ROLLUPS_ENABLED=false)');
+    return;
+  }
+
+  startRollupRefresher();
+};
+
+/**
+ * Stop refreshing rollups
+ */
+const stopRollups = async () => {
+  await stopRollupRefresher();
+};
+
+export { startRollups, stopRollups };
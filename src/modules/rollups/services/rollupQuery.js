@@ -0,0 +1,241 @@
+/**
+ * Rollup Query
+ * Aggregates historical data per tag and interval in the database
+ *
+ * The coarsest rollup whose bucket size divides the requested interval is read
+ * (daily, hourly, then 5-minute); other intervals aggregate processed_data directly.
+ * Each returned bucket carries min, max, avg, sum, count, first and last, so any
+ * aggregation can be picked from it.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import { BadRequestError } from '../../../utils/errors.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Coarsest first
+const ROLLUP_SOURCES = [
+  { source: 'rollup_daily', table: 'data_rollups_daily', bucketMs: DAY_MS },
+  { source: 'rollup_hourly', table: 'data_rollups_hourly', bucketMs: HOUR_MS },
+  { source: 'rollup_5m', table: 'data_rollups_5m', bucketMs: 5 * MINUTE_MS },
+];
+
+/**
+ * Pick the rollup an interval can be computed from
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {Object|null} { source, table, bucketMs } or null for raw data (also when rollups are disabled)
+ */
+const selectRollupSource = (intervalMs) => {
+  if (!config.rollups.enabled) return null;
+  return ROLLUP_SOURCES.find(({ bucketMs }) => intervalMs % bucketMs === 0) || null;
+};
+
+/**
+ * Parse interval string to milliseconds
+ * @param {string} interval - e.g. 90s, 15m, 1h, 7d
+ * @returns {number} Interval in milliseconds
+ */
+const parseInterval = (interval) => {
+  const match = interval.match(/^(\d+)([smhd])$/);
+  if (!match || Number(match[1]) === 0) {
+    throw new BadRequestError('Invalid interval format. Use format like: 5m, 1h, 1d');
+  }
+
+  const multipliers = {
+    s: 1000,
+    m: MINUTE_MS,
+    h: HOUR_MS,
+    d: DAY_MS,
+  };
+
+  return Number(match[1]) * multipliers[match[2]];
+};
+
+/**
+ * Format an interval in milliseconds as the largest exact unit (e.g. 90000 -> 90s, 7200000 -> 2h)
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {string} Interval string
+ */
+const formatInterval = (intervalMs) => {
+  const units = [
+    ['d', DAY_MS],
+    ['h', HOUR_MS],
+    ['m', MINUTE_MS],
+    ['s', 1000],
+  ];
+  const [unit, ms] = units.find(([, size]) => intervalMs % size === 0) || ['s', 1000];
+  return `${Math.max(1, Math.round(intervalMs / ms))}${unit}`;
+};
+
+/**
+ * Build the WHERE conditions selecting the series of a query
+ * @param {Object} scope - { plantId, deviceIds, tagIds, minQuality } (minQuality: processed_data only)
+ * @returns {Prisma.Sql} SQL condition
+ */
+const buildScope = ({ plantId, deviceIds, tagIds, minQuality }) => {
+  const conditions = [Prisma.sql`"plantId" = ${plantId}`];
+  if (deviceIds) conditions.push(Prisma.sql`"deviceId" IN (${Prisma.join(deviceIds)})`);
+  if (tagIds) conditions.push(Prisma.sql`"tagId" IN (${Prisma.join(tagIds)})`);
+  if (minQuality) conditions.push(Prisma.sql`quality >= ${minQuality}`);
+  return Prisma.join(conditions, ' AND ');
+};
+
+/**
+ * CTE "o" with the start of the rollup bucket containing a time ("at", timestamptz)
+ * and the plant timezone ("tz") the refresher uses for hours and days
+ */
+const originCte = ({ bucketMs }, plantId, start) => {
+  const origin =
+    bucketMs < HOUR_MS
+      ? Prisma.sql`to_timestamp(floor(EXTRACT(EPOCH FROM ${start}::timestamptz) / ${bucketMs / 1000}) * ${bucketMs / 1000})`
+      : Prisma.sql`date_trunc(${bucketMs === DAY_MS ? 'day' : 'hour'}, ${start}::timestamptz AT TIME ZONE zone.tz) AT TIME ZONE zone.tz`;
+
+  return Prisma.sql`
+    zone AS (
+      SELECT COALESCE(
+        (SELECT z.name FROM plants p JOIN pg_timezone_names z ON z.name = p.timezone WHERE p.id = ${plantId}),
+        'UTC'
+      ) AS tz
+    ),
+    o AS (
+      SELECT ${origin} AS at, zone.tz FROM zone
+    )
+  `;
+};
+
+/**
+ * Start of interval bucket number g counted from the origin
+ * Whole-day intervals step in local days (23 or 25 hours on DST changes).
+ */
+const bucketStart = (g, intervalMs) =>
+  intervalMs % DAY_MS === 0
+    ? Prisma.sql`((o.at AT TIME ZONE o.tz) + ${g} * make_interval(days => ${intervalMs / DAY_MS}::int)) AT TIME ZONE o.tz`
+    : Prisma.sql`o.at + ${g} * make_interval(secs => ${intervalMs / 1000}::float8)`;
+
+/**
+ * Aggregate a rollup table into interval buckets
+ * Buckets are counted from the rollup bucket containing the range start; half a rollup
+ * bucket of slack keeps 23- and 25-hour local days in the right interval bucket.
+ */
+const queryRollup = (rollup, scope, start, end, intervalMs) =>
+  prisma.$queryRaw`
+    WITH ${originCte(rollup, scope.plantId, start)},
+    x AS (
+      SELECT
+        r.*,
+        floor((EXTRACT(EPOCH FROM (r.bucket AT TIME ZONE 'UTC') - o.at) + ${rollup.bucketMs / 2000}) / ${intervalMs / 1000})::int AS g
+      FROM ${Prisma.raw(rollup.table)} r
+      CROSS JOIN o
+      WHERE ${buildScope(scope)}
+        AND r.bucket >= o.at AT TIME ZONE 'UTC'
+        AND r.bucket <= ${end}::timestamptz AT TIME ZONE 'UTC'
+    )
+    SELECT
+      x."tagId",
+      ${bucketStart(Prisma.raw('x.g'), intervalMs)} AS "timestamp",
+      MIN(x.min) AS min,
+      MAX(x.max) AS max,
+      SUM(x.sum) / SUM(x.count) AS avg,
+      SUM(x.sum) AS sum,
+      SUM(x.count)::int AS count,
+      (ARRAY_AGG(x.first ORDER BY x.bucket ASC))[1] AS first,
+      (ARRAY_AGG(x.last ORDER BY x.bucket DESC))[1] AS last
+    FROM x
+    CROSS JOIN o
+    GROUP BY x."tagId", x.g, o.at, o.tz
+    ORDER BY x."tagId", x.g
+  `;
+
+/**
+ * Aggregate processed data into interval buckets aligned to the epoch
+ */
+const queryRaw = (scope, start, end, intervalMs) => {
+  const seconds = intervalMs / 1000;
+
+  return prisma.$queryRaw`
+    SELECT
+      "tagId",
+      to_timestamp(floor(EXTRACT(EPOCH FROM "timestamp") / ${seconds}) * ${seconds}) AS "timestamp",
+      MIN(value) AS min,
+      MAX(value) AS max,
+      AVG(value) AS avg,
+      SUM(value) AS sum,
+      COUNT(*)::int AS count,
+      (ARRAY_AGG(value ORDER BY "timestamp" ASC))[1] AS first,
+      (ARRAY_AGG(value ORDER BY "timestamp" DESC))[1] AS last
+    FROM processed_data
+    WHERE ${buildScope(scope)}
+      AND "timestamp" >= ${start}
+      AND "timestamp" <= ${end}
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  `;
+};
+
+/**
+ * Aggregate the series of a plant into interval buckets
+ * Rollups hold samples of any quality, so a minQuality filter aggregates raw data.
+ * @param {Object} scope - { plantId, deviceIds, tagIds, minQuality } (null lists mean all)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {Promise<Object>} { source, buckets: [{ tagId, timestamp, min, max, avg, sum, count, first, last }] }
+ */
+const queryAggregatedSeries = async (scope, start, end, intervalMs) => {
+  const rollup = scope.minQuality ? null : selectRollupSource(intervalMs);
+  const source = rollup ? rollup.source : 'raw';
+
+  if (scope.deviceIds?.length === 0 || scope.tagIds?.length === 0) {
+    return { source, buckets: [] };
+  }
+
+  const buckets = rollup
+    ? await queryRollup(rollup, scope, start, end, intervalMs)
+    : await queryRaw(scope, start, end, intervalMs);
+
+  return { source, buckets };
+};
+
+/**
+ * Get interval bucket starts every `step` buckets from the bucket containing start
+ * until past end, so a long range can be aggregated in chunks that line up with the
+ * buckets of a single query.
+ * @param {number} plantId - Plant ID (timezone of hours and days)
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {number} step - Interval buckets per chunk
+ * @returns {Promise<Array<Date>>} Chunk boundaries (first <= start, last > end)
+ */
+const getIntervalBoundaries = async (plantId, start, end, intervalMs, step) => {
+  const chunks = Math.ceil((end - start) / intervalMs / step) + 1;
+  const rollup = selectRollupSource(intervalMs);
+
+  if (!rollup) {
+    const origin = Math.floor(start.getTime() / intervalMs) * intervalMs;
+    return Array.from({ length: chunks + 1 }, (_, i) => new Date(origin + i * step * intervalMs));
+  }
+
+  const rows = await prisma.$queryRaw`
+    WITH ${originCte(rollup, plantId, start)}
+    SELECT ${bucketStart(Prisma.raw('g'), intervalMs)} AS at
+    FROM o
+    CROSS JOIN generate_series(0, ${chunks * step}::int, ${step}::int) AS g
+    ORDER BY g
+  `;
+  return rows.map((row) => row.at);
+};
+
+export {
+  DAY_MS,
+  HOUR_MS,
+  selectRollupSource,
+  parseInterval,
+  formatInterval,
+  queryAggregatedSeries,
+  getIntervalBoundaries,
+};
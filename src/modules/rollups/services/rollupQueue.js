@@ -0,0 +1,62 @@
+/**
+ * Rollup Queue
+ * Records the 5-minute buckets whose rollups must be recomputed
+ *
+ * Writers of processed data queue the (tag, 5-minute bucket) pairs they touched, in the
+ * same transaction as the data. The rollup refresher drains the queue, so late, updated
+ * or backfilled points are rolled up the same way as live ones.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+
+const BUCKET_MS = 5 * 60 * 1000;
+
+/**
+ * Start of the 5-minute bucket containing a time
+ * @param {Date} timestamp - Point time
+ * @returns {Date} Bucket start
+ */
+const toRollupBucket = (timestamp) => new Date(Math.floor(new Date(timestamp).getTime() / BUCKET_MS) * BUCKET_MS);
+
+/**
+ * Queue the buckets touched by processed data points
+ * Returns the Prisma query unawaited so it can join a $transaction([...]) batch.
+ * @param {Array<Object>} points - { plantId, tagId, timestamp }
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Object>} createMany result
+ */
+const queueRollups = (points, client = prisma) => {
+  const entries = new Map();
+  points.forEach(({ plantId, tagId, timestamp }) => {
+    const bucket = toRollupBucket(timestamp);
+    entries.set(`${tagId}:${bucket.getTime()}`, { plantId, tagId, bucket });
+  });
+
+  return client.dataRollupQueue.createMany({
+    data: [...entries.values()],
+    skipDuplicates: true,
+  });
+};
+
+/**
+ * Queue every bucket with processed data of a plant in a time range (rebuild)
+ * @param {Object} options - { plantId, start, end, tagIds }
+ * @returns {Promise<number>} Buckets queued
+ */
+const queueRollupRange = ({ plantId, start, end, tagIds }) =>
+  prisma.$executeRaw`
+    INSERT INTO data_rollup_queue ("plantId", "tagId", bucket)
+    SELECT DISTINCT
+      "plantId",
+      "tagId",
+      to_timestamp(floor(EXTRACT(EPOCH FROM "timestamp") / ${BUCKET_MS / 1000}) * ${BUCKET_MS / 1000}) AT TIME ZONE 'UTC'
+    FROM processed_data
+    WHERE "plantId" = ${plantId}
+      AND "timestamp" >= ${start}
+      AND "timestamp" < ${end}
+      ${tagIds?.length > 0 ? Prisma.sql`AND "tagId" IN (${Prisma.join(tagIds)})` : Prisma.empty}
+    ON CONFLICT ("tagId", bucket) DO NOTHING
+  `;
+
+export { toRollupBucket, queueRollups, queueRollupRange };
@@ -0,0 +1,220 @@
+/**
+ * Rollup Refresher
+ * Recomputes the 5-minute, hourly and daily rollups of queued buckets
+ *
+ * Each run claims a batch of queued (tag, 5-minute bucket) pairs and, in one transaction:
+ * - rebuilds those 5-minute rollups from processed_data
+ * - rebuilds the hourly rollups containing them from the 5-minute rollups
+ * - rebuilds the daily rollups containing those hours from the hourly rollups
+ * Hours and days are local to the plant timezone (UTC if it is unknown to PostgreSQL).
+ * Buckets left without data are deleted. Work is proportional to the data that
+ * arrived, never to the history kept.
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../../../config/database.js';
+import config from '../../../config/index.js';
+import { createIntervalJob } from '../../../utils/intervalJob.js';
+
+const ROLLUP_COLUMNS = Prisma.raw(
+  '"plantId", "deviceId", "tagId", bucket, min, max, avg, sum, count, first, last, "firstAt", "lastAt", "updatedAt"'
+);
+
+const ROLLUP_UPDATE = Prisma.raw(`
+  min = EXCLUDED.min,
+  max = EXCLUDED.max,
+  avg = EXCLUDED.avg,
+  sum = EXCLUDED.sum,
+  count = EXCLUDED.count,
+  first = EXCLUDED.first,
+  last = EXCLUDED.last,
+  "firstAt" = EXCLUDED."firstAt",
+  "lastAt" = EXCLUDED."lastAt",
+  "updatedAt" = EXCLUDED."updatedAt"
+`);
+
+/**
+ * Upsert coarser rollups from finer ones for the buckets of a temp table
+ * @param {Object} tx - Prisma transaction
+ * @param {string} target - Rollup table to write
+ * @param {string} source - Finer rollup table to read
+ * @param {string} buckets - Temp table of ("tagId", bucket, "bucketEnd")
+ */
+const rebuildFromRollups = async (tx, target, source, buckets) => {
+  await tx.$executeRaw`
+    INSERT INTO ${Prisma.raw(target)} (${ROLLUP_COLUMNS})
+    SELECT
+      r."plantId",
+      r."deviceId",
+      b."tagId",
+      b.bucket,
+      MIN(r.min),
+      MAX(r.max),
+      SUM(r.sum) / SUM(r.count),
+      SUM(r.sum),
+      SUM(r.count)::int,
+      (ARRAY_AGG(r.first ORDER BY r.bucket ASC))[1],
+      (ARRAY_AGG(r.last ORDER BY r.bucket DESC))[1],
+      MIN(r."firstAt"),
+      MAX(r."lastAt"),
+      NOW() AT TIME ZONE 'UTC'
+    FROM ${Prisma.raw(buckets)} b
+    JOIN ${Prisma.raw(source)} r ON r."tagId" = b."tagId" AND r.bucket >= b.bucket AND r.bucket < b."bucketEnd"
+    GROUP BY r."plantId", r."deviceId", b."tagId", b.bucket
+    ON CONFLICT ("tagId", bucket) DO UPDATE SET ${ROLLUP_UPDATE}
+  `;
+
+  await tx.$executeRaw`
+    DELETE FROM ${Prisma.raw(target)} t
+    USING ${Prisma.raw(buckets)} b
+    WHERE t."tagId" = b."tagId"
+      AND t.bucket = b.bucket
+      AND NOT EXISTS (
+        SELECT 1 FROM ${Prisma.raw(source)} r
+        WHERE r."tagId" = b."tagId" AND r.bucket >= b.bucket AND r.bucket < b."bucketEnd"
+      )
+  `;
+};
+
+/**
+ * Refresh the rollups of one batch of queued buckets
+ * @param {number} batchSize - Maximum queued buckets to claim
+ * @returns {Promise<number>} Buckets refreshed
+ */
+const refreshQueuedRollups = (batchSize = config.rollups.batchSize) =>
+  prisma.$transaction(
+    async (tx) => {
+      await tx.$executeRaw`
+        CREATE TEMP TABLE rollup_batch ("plantId" int, "tagId" int, bucket timestamp(3), "bucketEnd" timestamp(3))
+        ON COMMIT DROP
+      `;
+
+      // Claim the oldest queued buckets; concurrent refreshers skip them
+      const claimed = await tx.$executeRaw`
+        WITH claimed AS (
+          DELETE FROM data_rollup_queue
+          WHERE id IN (
+            SELECT id FROM data_rollup_queue
+            ORDER BY id
+            LIMIT ${batchSize}
+            FOR UPDATE SKIP LOCKED
+          )
+          RETURNING "plantId", "tagId", bucket
+        )
+        INSERT INTO rollup_batch
+        SELECT "plantId", "tagId", bucket, bucket + INTERVAL '5 minutes' FROM claimed
+      `;
+      if (claimed === 0) return 0;
+
+      await tx.$executeRaw`
+        CREATE TEMP TABLE rollup_zones ON COMMIT DROP AS
+        SELECT p.id AS "plantId", COALESCE(z.name, 'UTC') AS tz
+        FROM plants p
+        LEFT JOIN pg_timezone_names z ON z.name = p.timezone
+        WHERE p.id IN (SELECT DISTINCT "plantId" FROM rollup_batch)
+      `;
+
+      // 5-minute rollups from processed data
+      await tx.$executeRaw`
+        INSERT INTO data_rollups_5m (${ROLLUP_COLUMNS})
+        SELECT
+          d."plantId",
+          d."deviceId",
+          b."tagId",
+          b.bucket,
+          MIN(d.value),
+          MAX(d.value),
+          AVG(d.value),
+          SUM(d.value),
+          COUNT(*)::int,
+          (ARRAY_AGG(d.value ORDER BY d."timestamp" ASC))[1],
+          (ARRAY_AGG(d.value ORDER BY d."timestamp" DESC))[1],
+          MIN(d."timestamp"),
+          MAX(d."timestamp"),
+          NOW() AT TIME ZONE 'UTC'
+        FROM rollup_batch b
+        JOIN processed_data d ON d."tagId" = b."tagId" AND d."timestamp" >= b.bucket AND d."timestamp" < b."bucketEnd"
+        GROUP BY d."plantId", d."deviceId", b."tagId", b.bucket
+        ON CONFLICT ("tagId", bucket) DO UPDATE SET ${ROLLUP_UPDATE}
+      `;
+
+      await tx.$executeRaw`
+        DELETE FROM data_rollups_5m t
+        USING rollup_batch b
+        WHERE t."tagId" = b."tagId"
+          AND t.bucket = b.bucket
+          AND NOT EXISTS (
+            SELECT 1 FROM processed_data d
+            WHERE d."tagId" = b."tagId" AND d."timestamp" >= b.bucket AND d."timestamp" < b."bucketEnd"
+          )
+      `;
+
+      // Local hours containing the refreshed 5-minute buckets
+      await tx.$executeRaw`
+        CREATE TEMP TABLE rollup_hours ON COMMIT DROP AS
+        SELECT DISTINCT
+          h."tagId",
+          h.tz,
+          h.bucket,
+          h.bucket + INTERVAL '1 hour' AS "bucketEnd"
+        FROM (
+          SELECT
+            b."tagId",
+            z.tz,
+            (date_trunc('hour', (b.bucket AT TIME ZONE 'UTC') AT TIME ZONE z.tz) AT TIME ZONE z.tz) AT TIME ZONE 'UTC' AS bucket
+          FROM rollup_batch b
+          JOIN rollup_zones z ON z."plantId" = b."plantId"
+        ) h
+      `;
+      await rebuildFromRollups(tx, 'data_rollups_hourly', 'data_rollups_5m', 'rollup_hours');
+
+      // Local days containing those hours (23 or 25 hours long on DST changes)
+      await tx.$executeRaw`
+        CREATE TEMP TABLE rollup_days ON COMMIT DROP AS
+        SELECT DISTINCT
+          d."tagId",
+          (d.day AT TIME ZONE d.tz) AT TIME ZONE 'UTC' AS bucket,
+          ((d.day + INTERVAL '1 day') AT TIME ZONE d.tz) AT TIME ZONE 'UTC' AS "bucketEnd"
+        FROM (
+          SELECT h."tagId", h.tz, date_trunc('day', (h.bucket AT TIME ZONE 'UTC') AT TIME ZONE h.tz) AS day
+          FROM rollup_hours h
+        ) d
+      `;
+      await rebuildFromRollups(tx, 'data_rollups_daily', 'data_rollups_hourly', 'rollup_days');
+
+      return claimed;
+    },
+    { timeout: 60000 }
+  );
+
+const rollupJob = createIntervalJob({
+  name: 'rollup-refresher',
+  intervalMs: config.rollups.intervalMs,
+  run: async () => {
+    const refreshed = await refreshQueuedRollups();
+    return refreshed >= config.rollups.batchSize;
+  },
+});
+
+/**
+ * Start refreshing queued rollups
+ */
+const startRollupRefresher = () => {
+  rollupJob.start();
+};
+
+/**
+ * Stop refreshing and wait for an in-flight run
+ */
+const stopRollupRefresher = async () => {
+  await rollupJob.stop();
+};
+
+/**
+ * Refresh queued rollups now instead of waiting for the next run
+ */
+const triggerRollupRefresh = () => {
+  rollupJob.runNow();
+};
+
+export { refreshQueuedRollups, startRollupRefresher, stopRollupRefresher, triggerRollupRefresh };
@@ -0,0 +1,106 @@
+/**
+ * Alarm Rule Routes
+ * API routes for alarm rule management (mounted at /api/alarms/rules)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as alarmRuleController from '../controllers/alarmRuleController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  getAllAlarmRulesSchema,
+  getAlarmRuleByIdSchema,
+  createAlarmRuleSchema,
+  updateAlarmRuleSchema,
+  dryRunAlarmRuleSchema,
+  dryRunDraftAlarmRuleSchema,
+  deleteAlarmRuleSchema,
+} from '../validators/alarmRuleValidators.js';
+
+// All alarm rule routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/alarms/rules
+ * @desc    Get all alarm rules with filters and pagination
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/',
+  validate(getAllAlarmRulesSchema),
+  alarmRuleController.getAllAlarmRules
+);
+
+/**
+ * @route   POST /api/alarms/rules/dry-run
+ * @desc    Replay a draft rule over historical data (nothing is saved)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/dry-run',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(dryRunDraftAlarmRuleSchema),
+  alarmRuleController.dryRunAlarmRule
+);
+
+/**
+ * @route   GET /api/alarms/rules/:id
+ * @desc    Get alarm rule by ID
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:id',
+  validate(getAlarmRuleByIdSchema),
+  alarmRuleController.getAlarmRuleById
+);
+
+/**
+ * @route   POST /api/alarms/rules
+ * @desc    Create an alarm rule (template tag rules: Admin only)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createAlarmRuleSchema),
+  alarmRuleController.createAlarmRule
+);
+
+/**
+ * @route   POST /api/alarms/rules/:id/dry-run
+ * @desc    Replay a saved rule over historical data (no alarms are raised)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/:id/dry-run',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(dryRunAlarmRuleSchema),
+  alarmRuleController.dryRunAlarmRuleById
+);
+
+/**
+ * @route   PUT /api/alarms/rules/:id
+ * @desc    Update an alarm rule
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(updateAlarmRuleSchema),
+  alarmRuleController.updateAlarmRule
+);
+
+/**
+ * @route   DELETE /api/alarms/rules/:id
+ * @desc    Delete an alarm rule (resolves its open alarms)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.delete(
+  '/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(deleteAlarmRuleSchema),
+  alarmRuleController.deleteAlarmRule
+);
+
+export default router;
@@ -0,0 +1,91 @@
+/**
+ * Alarm Suppression Routes
+ * API routes for alarm suppression windows (mounted at /api/alarms/suppression)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as suppressionController from '../controllers/suppressionController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  getWindowsSchema,
+  windowIdSchema,
+  createWindowSchema,
+  updateWindowSchema,
+  getSuppressedAlarmsSchema,
+} from '../validators/suppressionValidators.js';
+
+// All suppression routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/alarms/suppression/windows
+ * @desc    Get suppression windows with whether they are active now
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/windows',
+  validate(getWindowsSchema),
+  suppressionController.getWindows
+);
+
+/**
+ * @route   POST /api/alarms/suppression/windows
+ * @desc    Create a suppression window for a plant or device
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/windows',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createWindowSchema),
+  suppressionController.createWindow
+);
+
+/**
+ * @route   GET /api/alarms/suppression/windows/:id
+ * @desc    Get suppression window by ID
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/windows/:id',
+  validate(windowIdSchema),
+  suppressionController.getWindowById
+);
+
+/**
+ * @route   PUT /api/alarms/suppression/windows/:id
+ * @desc    Update a suppression window
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/windows/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(updateWindowSchema),
+  suppressionController.updateWindow
+);
+
+/**
+ * @route   DELETE /api/alarms/suppression/windows/:id
+ * @desc    Delete a suppression window
+ * @access  Private (Admin, Plant Manager)
+ */
+router.delete(
+  '/windows/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(windowIdSchema),
+  suppressionController.deleteWindow
+);
+
+/**
+ * @route   GET /api/alarms/suppression/suppressed
+ * @desc    Get the log of alarm conditions held back by suppression windows
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/suppressed',
+  validate(getSuppressedAlarmsSchema),
+  suppressionController.getSuppressedAlarms
+);
+
+export default router;
@@ -12,9 +12,16 @@ import {
   createAlarmSchema,
   acknowledgeAlarmSchema,
   resolveAlarmSchema,
+  shelveAlarmSchema,
+  unshelveAlarmSchema,
+  reopenAlarmSchema,
+  getAlarmTimelineSchema,
+  addAlarmCommentSchema,
+  getCommentAttachmentSchema,
   getAlarmByIdSchema,
   getAllAlarmsSchema,
   getAlarmStatisticsSchema,
+  getAlarmKpisSchema,
 } from '../validators/alarmValidators.js';
 
 // All alarm routes require authentication
@@ -42,6 +49,17 @@ router.get(
   alarmController.getAlarmStatistics
 );
 
+/**
+ * @route   GET /api/alarms/kpis
+ * @desc    Get alarm KPIs: MTTA, MTTR, floods, chattering, stale alarms and bad actors
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/kpis',
+  validate(getAlarmKpisSchema),
+  alarmController.getAlarmKpis
+);
+
 /**
  * @route   GET /api/alarms/:id
  * @desc    Get alarm by ID
@@ -79,7 +97,7 @@ router.put(
 
 /**
  * @route   PUT /api/alarms/:id/resolve
- * @desc    Resolve an alarm
+ * @desc    Resolve an alarm (resolveChildren: also its open consequential alarms)
  * @access  Private (Admin, Plant Manager)
  */
 router.put(
@@ -89,4 +107,84 @@ router.put(
   alarmController.resolveAlarm
 );
 
+/**
+ * @route   PUT /api/alarms/:id/shelve
+ * @desc    Shelve an alarm for a duration with a reason (unshelved automatically)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/:id/shelve',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(shelveAlarmSchema),
+  alarmController.shelveAlarm
+);
+
+/**
+ * @route   PUT /api/alarms/:id/unshelve
+ * @desc    Unshelve an alarm before its shelving period ends
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/:id/unshelve',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(unshelveAlarmSchema),
+  alarmController.unshelveAlarm
+);
+
+/**
+ * @route   PUT /api/alarms/:id/reopen
+ * @desc    Reopen a resolved alarm
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/:id/reopen',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(reopenAlarmSchema),
+  alarmController.reopenAlarm
+);
+
+/**
+ * @route   GET /api/alarms/:id/timeline
+ * @desc    Get the lifecycle events of an alarm (types: comma-separated filter)
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:id/timeline',
+  validate(getAlarmTimelineSchema),
+  alarmController.getAlarmTimeline
+);
+
+/**
+ * @route   GET /api/alarms/:id/comments
+ * @desc    Get the comment threads of an alarm
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:id/comments',
+  validate(getAlarmByIdSchema),
+  alarmController.getAlarmComments
+);
+
+/**
+ * @route   POST /api/alarms/:id/comments
+ * @desc    Comment on an alarm or reply to a comment, with optional attachments
+ * @access  Private (All authenticated users)
+ */
+router.post(
+  '/:id/comments',
+  validate(addAlarmCommentSchema),
+  alarmController.addAlarmComment
+);
+
+/**
+ * @route   GET /api/alarms/:id/comments/:commentId/attachments/:attachmentId
+ * @desc    Download a comment attachment
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:id/comments/:commentId/attachments/:attachmentId',
+  validate(getCommentAttachmentSchema),
+  alarmController.getCommentAttachment
+);
+
 export default router;
@@ -0,0 +1,79 @@
+/**
+ * Calculated Tag Routes
+ * API routes for calculated and virtual tags (mounted at /api/calculated-tags)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as calculatedTagController from '../controllers/calculatedTagController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  getCalculatedTagsSchema,
+  calculatedTagIdSchema,
+  createCalculatedTagSchema,
+  updateCalculatedTagSchema,
+} from '../validators/calculatedTagValidators.js';
+
+// All calculated tag routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/calculated-tags
+ * @desc    Get calculated tags of accessible plants
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/',
+  validate(getCalculatedTagsSchema),
+  calculatedTagController.getCalculatedTags
+);
+
+/**
+ * @route   POST /api/calculated-tags
+ * @desc    Create a calculated tag on a device, or on the plant without deviceId
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createCalculatedTagSchema),
+  calculatedTagController.createCalculatedTag
+);
+
+/**
+ * @route   GET /api/calculated-tags/:id
+ * @desc    Get calculated tag by ID
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/:id',
+  validate(calculatedTagIdSchema),
+  calculatedTagController.getCalculatedTagById
+);
+
+/**
+ * @route   PUT /api/calculated-tags/:id
+ * @desc    Update the formula, name or display settings of a calculated tag
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(updateCalculatedTagSchema),
+  calculatedTagController.updateCalculatedTag
+);
+
+/**
+ * @route   DELETE /api/calculated-tags/:id
+ * @desc    Delete a calculated tag and its stored values
+ * @access  Private (Admin, Plant Manager)
+ */
+router.delete(
+  '/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(calculatedTagIdSchema),
+  calculatedTagController.deleteCalculatedTag
+);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import * as dataController from '../controllers/dataController.js';
-import { protect } from '../middlewares/auth.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
 import validate from '../middlewares/validate.js';
 import {
   getPlantRealtimeDataSchema,
@@ -9,6 +9,11 @@ import {
   getDeviceHistoricalDataSchema,
   getTagHistoricalDataSchema,
   getPlantDataStatsSchema,
+  getPlantDataGapsSchema,
+  getPlantBackfillStatusSchema,
+  rebuildPlantRollupsSchema,
+  getPlantEnergySchema,
+  rebuildPlantCounterDeltasSchema,
 } from '../validators/dataValidators.js';
 
 const router = express.Router();
@@ -35,6 +40,38 @@ router.get(
   dataController.getPlantDataStats
 );
 
+router.get(
+  '/plants/:plantId/gaps',
+  validate(getPlantDataGapsSchema),
+  dataController.getPlantDataGaps
+);
+
+router.get(
+  '/plants/:plantId/backfill',
+  validate(getPlantBackfillStatusSchema),
+  dataController.getPlantBackfillStatus
+);
+
+router.post(
+  '/plants/:plantId/rollups/rebuild',
+  restrictTo('ADMIN'),
+  validate(rebuildPlantRollupsSchema),
+  dataController.rebuildPlantRollups
+);
+
+router.get(
+  '/plants/:plantId/energy',
+  validate(getPlantEnergySchema),
+  dataController.getPlantEnergy
+);
+
+router.post(
+  '/plants/:plantId/counters/rebuild',
+  restrictTo('ADMIN'),
+  validate(rebuildPlantCounterDeltasSchema),
+  dataController.rebuildPlantCounterDeltas
+);
+
 // Device data routes
 router.get(
   '/devices/:deviceId/realtime',
@@ -0,0 +1,79 @@
+/**
+ * Data Correction Routes
+ * API routes for manual data corrections (mounted at /api/data/corrections)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as dataCorrectionController from '../controllers/dataCorrectionController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  createDataCorrectionSchema,
+  getDataCorrectionsSchema,
+  dataCorrectionIdSchema,
+  reviewDataCorrectionSchema,
+} from '../validators/dataCorrectionValidators.js';
+
+// All routes require authentication; plant access is checked per correction
+router.use(protect);
+
+/**
+ * @route   GET /api/data/corrections
+ * @desc    Get the corrections of a plant
+ * @access  Private (Plant access required)
+ */
+router.get(
+  '/',
+  validate(getDataCorrectionsSchema),
+  dataCorrectionController.getDataCorrections
+);
+
+/**
+ * @route   POST /api/data/corrections
+ * @desc    Insert, override or invalidate a data point (plant manager changes wait for approval)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createDataCorrectionSchema),
+  dataCorrectionController.createDataCorrection
+);
+
+/**
+ * @route   GET /api/data/corrections/:id
+ * @desc    Get a correction with the original point
+ * @access  Private (Plant access required)
+ */
+router.get(
+  '/:id',
+  validate(dataCorrectionIdSchema),
+  dataCorrectionController.getDataCorrectionById
+);
+
+/**
+ * @route   POST /api/data/corrections/:id/approve
+ * @desc    Approve and apply a pending correction
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/approve',
+  restrictTo('ADMIN'),
+  validate(reviewDataCorrectionSchema),
+  dataCorrectionController.approveDataCorrection
+);
+
+/**
+ * @route   POST /api/data/corrections/:id/reject
+ * @desc    Reject a pending correction
+ * @access  Private (Admin)
+ */
+router.post(
+  '/:id/reject',
+  restrictTo('ADMIN'),
+  validate(reviewDataCorrectionSchema),
+  dataCorrectionController.rejectDataCorrection
+);
+
+export default router;
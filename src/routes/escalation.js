@@ -0,0 +1,153 @@
+/**
+ * Escalation Routes
+ * API routes for escalation policies and on-call rotations
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as escalationController from '../controllers/escalationController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  listByPlantSchema,
+  policyIdSchema,
+  createPolicySchema,
+  updatePolicySchema,
+  rotationIdSchema,
+  getRotationSchema,
+  createRotationSchema,
+  updateRotationSchema,
+  alarmEscalationsSchema,
+} from '../validators/escalationValidators.js';
+
+// All escalation routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/escalation/policies
+ * @desc    Get escalation policies (optionally of one plant)
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/policies',
+  validate(listByPlantSchema),
+  escalationController.getPolicies
+);
+
+/**
+ * @route   POST /api/escalation/policies
+ * @desc    Create an escalation policy for a plant
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/policies',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createPolicySchema),
+  escalationController.createPolicy
+);
+
+/**
+ * @route   GET /api/escalation/policies/:id
+ * @desc    Get escalation policy by ID
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/policies/:id',
+  validate(policyIdSchema),
+  escalationController.getPolicyById
+);
+
+/**
+ * @route   PUT /api/escalation/policies/:id
+ * @desc    Update an escalation policy (steps are replaced)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/policies/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(updatePolicySchema),
+  escalationController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/escalation/policies/:id
+ * @desc    Delete an escalation policy
+ * @access  Private (Admin, Plant Manager)
+ */
+router.delete(
+  '/policies/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(policyIdSchema),
+  escalationController.deletePolicy
+);
+
+/**
+ * @route   GET /api/escalation/rotations
+ * @desc    Get on-call rotations with the member on call
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/rotations',
+  validate(listByPlantSchema),
+  escalationController.getRotations
+);
+
+/**
+ * @route   POST /api/escalation/rotations
+ * @desc    Create an on-call rotation for a plant
+ * @access  Private (Admin, Plant Manager)
+ */
+router.post(
+  '/rotations',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(createRotationSchema),
+  escalationController.createRotation
+);
+
+/**
+ * @route   GET /api/escalation/rotations/:id
+ * @desc    Get on-call rotation by ID with upcoming shifts (?at=&shifts=)
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/rotations/:id',
+  validate(getRotationSchema),
+  escalationController.getRotationById
+);
+
+/**
+ * @route   PUT /api/escalation/rotations/:id
+ * @desc    Update an on-call rotation (members are replaced)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.put(
+  '/rotations/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(updateRotationSchema),
+  escalationController.updateRotation
+);
+
+/**
+ * @route   DELETE /api/escalation/rotations/:id
+ * @desc    Delete an on-call rotation (not while used by a policy)
+ * @access  Private (Admin, Plant Manager)
+ */
+router.delete(
+  '/rotations/:id',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(rotationIdSchema),
+  escalationController.deleteRotation
+);
+
+/**
+ * @route   GET /api/escalation/alarms/:alarmId
+ * @desc    Get the escalations of an alarm and their timeline entries
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/alarms/:alarmId',
+  validate(alarmEscalationsSchema),
+  escalationController.getAlarmEscalations
+);
+
+export default router;
@@ -0,0 +1,75 @@
+/**
+ * Export Routes
+ * API routes for asynchronous data exports (mounted at /api/data/exports)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as exportController from '../controllers/exportController.js';
+import { protect } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  createExportSchema,
+  getExportsSchema,
+  exportIdSchema,
+} from '../validators/exportValidators.js';
+
+// All routes require authentication; plant access is checked per export
+router.use(protect);
+
+/**
+ * @route   GET /api/data/exports
+ * @desc    Get own exports (all exports for admins)
+ * @access  Private
+ */
+router.get(
+  '/',
+  validate(getExportsSchema),
+  exportController.getExports
+);
+
+/**
+ * @route   POST /api/data/exports
+ * @desc    Queue an export of plant data as CSV, JSON Lines or Parquet
+ * @access  Private (Plant access required)
+ */
+router.post(
+  '/',
+  validate(createExportSchema),
+  exportController.createExport
+);
+
+/**
+ * @route   GET /api/data/exports/:id
+ * @desc    Get export status, progress and download link
+ * @access  Private (Requester or Admin)
+ */
+router.get(
+  '/:id',
+  validate(exportIdSchema),
+  exportController.getExportById
+);
+
+/**
+ * @route   GET /api/data/exports/:id/download
+ * @desc    Download the file of a completed export
+ * @access  Private (Requester or Admin)
+ */
+router.get(
+  '/:id/download',
+  validate(exportIdSchema),
+  exportController.downloadExport
+);
+
+/**
+ * @route   DELETE /api/data/exports/:id
+ * @desc    Delete an export and its file
+ * @access  Private (Requester or Admin)
+ */
+router.delete(
+  '/:id',
+  validate(exportIdSchema),
+  exportController.deleteExport
+);
+
+export default router;
@@ -0,0 +1,26 @@
+/**
+ * Ingest Routes
+ * HTTP data ingestion for gateways that cannot publish over MQTT
+ */
+
+import express from 'express';
+import * as ingestController from '../controllers/ingestController.js';
+import { protectIngestion } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import { ingestBatchSchema } from '../validators/ingestValidators.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/ingest/:plantId
+ * @desc    Ingest a batch of { deviceId, timestamp, values } records
+ * @access  Ingestion key (X-Ingestion-Key header or Bearer token)
+ */
+router.post(
+  '/:plantId',
+  protectIngestion,
+  validate(ingestBatchSchema),
+  ingestController.ingestRecords
+);
+
+export default router;
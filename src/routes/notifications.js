@@ -0,0 +1,111 @@
+/**
+ * Notification Routes
+ * API routes for alarm notification subscriptions and the delivery log
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as notificationController from '../controllers/notificationController.js';
+import { protect } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  getSubscriptionsSchema,
+  subscriptionIdSchema,
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  getDeliveriesSchema,
+  deliveryIdSchema,
+} from '../validators/notificationValidators.js';
+
+// All notification routes require authentication
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications/subscriptions
+ * @desc    Get notification subscriptions (own, or any user's for admins)
+ * @access  Private (All authenticated users)
+ */
+router.get(
+  '/subscriptions',
+  validate(getSubscriptionsSchema),
+  notificationController.getSubscriptions
+);
+
+/**
+ * @route   POST /api/notifications/subscriptions
+ * @desc    Subscribe to alarm notifications by email, webhook or Slack
+ * @access  Private (All authenticated users; webhook and Slack: Admin, Plant Manager)
+ */
+router.post(
+  '/subscriptions',
+  validate(createSubscriptionSchema),
+  notificationController.createSubscription
+);
+
+/**
+ * @route   GET /api/notifications/subscriptions/:id
+ * @desc    Get notification subscription by ID
+ * @access  Private (Owner, Admin)
+ */
+router.get(
+  '/subscriptions/:id',
+  validate(subscriptionIdSchema),
+  notificationController.getSubscriptionById
+);
+
+/**
+ * @route   PUT /api/notifications/subscriptions/:id
+ * @desc    Update a notification subscription
+ * @access  Private (Owner, Admin)
+ */
+router.put(
+  '/subscriptions/:id',
+  validate(updateSubscriptionSchema),
+  notificationController.updateSubscription
+);
+
+/**
+ * @route   DELETE /api/notifications/subscriptions/:id
+ * @desc    Delete a notification subscription
+ * @access  Private (Owner, Admin)
+ */
+router.delete(
+  '/subscriptions/:id',
+  validate(subscriptionIdSchema),
+  notificationController.deleteSubscription
+);
+
+/**
+ * @route   POST /api/notifications/subscriptions/:id/test
+ * @desc    Send a test notification on a subscription
+ * @access  Private (Owner, Admin)
+ */
+router.post(
+  '/subscriptions/:id/test',
+  validate(subscriptionIdSchema),
+  notificationController.sendTestNotification
+);
+
+/**
+ * @route   GET /api/notifications/deliveries
+ * @desc    Get the notification delivery log
+ * @access  Private (own deliveries; Admin: all)
+ */
+router.get(
+  '/deliveries',
+  validate(getDeliveriesSchema),
+  notificationController.getDeliveries
+);
+
+/**
+ * @route   POST /api/notifications/deliveries/:id/retry
+ * @desc    Retry a failed delivery
+ * @access  Private (Owner, Admin)
+ */
+router.post(
+  '/deliveries/:id/retry',
+  validate(deliveryIdSchema),
+  notificationController.retryDelivery
+);
+
+export default router;
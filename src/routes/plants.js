@@ -6,6 +6,7 @@
 import express from 'express';
 import * as plantController from '../controllers/plantController.js';
 import * as alarmController from '../controllers/alarmController.js';
+import * as ingestController from '../controllers/ingestController.js';
 import { protect, restrictTo } from '../middlewares/auth.js';
 import validate from '../middlewares/validate.js';
 import {
@@ -17,6 +18,7 @@ import {
   getPlantStatsSchema,
 } from '../validators/plantValidators.js';
 import { getPlantAlarmsSchema } from '../validators/alarmValidators.js';
+import { plantIngestionKeySchema } from '../validators/ingestValidators.js';
 
 const router = express.Router();
 
@@ -80,6 +82,30 @@ router.delete(
  */
 router.get('/:id/stats', validate(getPlantStatsSchema), plantController.getPlantStats);
 
+/**
+ * @route   POST /api/plants/:id/ingestion-key
+ * @desc    Generate or rotate the HTTP ingestion key of a plant
+ * @access  Private (Admin, Plant Manager - own plants only)
+ */
+router.post(
+  '/:id/ingestion-key',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(plantIngestionKeySchema),
+  ingestController.createIngestionKey
+);
+
+/**
+ * @route   DELETE /api/plants/:id/ingestion-key
+ * @desc    Revoke the HTTP ingestion key of a plant
+ * @access  Private (Admin, Plant Manager - own plants only)
+ */
+router.delete(
+  '/:id/ingestion-key',
+  restrictTo('ADMIN', 'PLANT_MANAGER'),
+  validate(plantIngestionKeySchema),
+  ingestController.revokeIngestionKey
+);
+
 /**
  * @route   GET /api/plants/:plantId/alarms
  * @desc    Get alarms for a specific plant
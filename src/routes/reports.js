@@ -13,6 +13,7 @@ import {
   plantPerformanceReportSchema,
   devicePerformanceReportSchema,
   alarmReportSchema,
+  alarmKpiReportSchema,
   energyProductionReportSchema,
 } from '../validators/reportValidators.js';
 
@@ -97,6 +98,7 @@ router.post(
  * @body    {string} startDate - Start date in ISO 8601 format (required)
  * @body    {string} endDate - End date in ISO 8601 format (required)
  * @body    {string} format - Report format: 'json', 'pdf', or 'excel' (default: 'json')
+ * @body    {boolean} includeTimeline - Include the lifecycle events of every alarm (default: false)
  *
  * @returns {object} JSON - Report data with alarm summary, resolution times, and detailed list
  * @returns {Buffer} PDF - Binary PDF file for download
@@ -119,6 +121,35 @@ router.post(
   reportController.generateAlarmReport
 );
 
+/**
+ * @route   POST /api/reports/alarm-kpis
+ * @desc    Generate alarm KPI report: MTTA, MTTR, floods, chattering, stale alarms and bad actors
+ * @access  Private (Based on user role and plant access)
+ * @body    {number} plantId - Plant ID (optional - default: all accessible plants)
+ * @body    {string} startDate - Start date in ISO 8601 format (required)
+ * @body    {string} endDate - End date in ISO 8601 format (required)
+ * @body    {number} top - Entries in the bad actor, chattering and stale lists (optional)
+ * @body    {string} format - Report format: 'json', 'pdf', or 'excel' (default: 'json')
+ *
+ * @returns {object} JSON - KPI data (same as GET /api/alarms/kpis)
+ * @returns {Buffer} PDF - Binary PDF file for download
+ * @returns {Buffer} Excel - Binary Excel file for download
+ *
+ * @example
+ * POST /api/reports/alarm-kpis
+ * {
+ *   "plantId": 1,
+ *   "startDate": "2024-01-01",
+ *   "endDate": "2024-01-31",
+ *   "format": "excel"
+ * }
+ */
+router.post(
+  '/alarm-kpis',
+  validate(alarmKpiReportSchema),
+  reportController.generateAlarmKpiReport
+);
+
 /**
  * @route   POST /api/reports/energy-production
  * @desc    Generate energy production report
@@ -0,0 +1,112 @@
+/**
+ * Retention Routes
+ * API routes for data retention policies (mounted at /api/retention)
+ */
+
+import express from 'express';
+const router = express.Router();
+import * as retentionController from '../controllers/retentionController.js';
+import { protect, restrictTo } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import {
+  getPoliciesSchema,
+  policyIdSchema,
+  createPolicySchema,
+  updatePolicySchema,
+  previewPolicySchema,
+  getRunsSchema,
+} from '../validators/retentionValidators.js';
+
+// Retention removes data of every plant: admins only
+router.use(protect);
+router.use(restrictTo('ADMIN'));
+
+/**
+ * @route   GET /api/retention/policies
+ * @desc    Get retention policies (plantId=default for the default policies)
+ * @access  Private (Admin)
+ */
+router.get(
+  '/policies',
+  validate(getPoliciesSchema),
+  retentionController.getPolicies
+);
+
+/**
+ * @route   POST /api/retention/policies
+ * @desc    Create a retention policy for a plant or the default one for a target
+ * @access  Private (Admin)
+ */
+router.post(
+  '/policies',
+  validate(createPolicySchema),
+  retentionController.createPolicy
+);
+
+/**
+ * @route   POST /api/retention/policies/preview
+ * @desc    Preview per plant what a draft policy would remove
+ * @access  Private (Admin)
+ */
+router.post(
+  '/policies/preview',
+  validate(previewPolicySchema),
+  retentionController.previewPolicy
+);
+
+/**
+ * @route   GET /api/retention/policies/:id
+ * @desc    Get retention policy by ID
+ * @access  Private (Admin)
+ */
+router.get(
+  '/policies/:id',
+  validate(policyIdSchema),
+  retentionController.getPolicyById
+);
+
+/**
+ * @route   PUT /api/retention/policies/:id
+ * @desc    Update the retention days or enable / disable a policy
+ * @access  Private (Admin)
+ */
+router.put(
+  '/policies/:id',
+  validate(updatePolicySchema),
+  retentionController.updatePolicy
+);
+
+/**
+ * @route   DELETE /api/retention/policies/:id
+ * @desc    Delete a retention policy
+ * @access  Private (Admin)
+ */
+router.delete(
+  '/policies/:id',
+  validate(policyIdSchema),
+  retentionController.deletePolicy
+);
+
+/**
+ * @route   POST /api/retention/policies/:id/preview
+ * @desc    Preview per plant what a policy would remove now
+ * @access  Private (Admin)
+ */
+router.post(
+  '/policies/:id/preview',
+  validate(policyIdSchema),
+  retentionController.previewPolicyById
+);
+
+/**
+ * @route   GET /api/retention/runs
+ * @desc    Get the log of what retention runs removed
+ * @access  Private (Admin)
+ */
+router.get(
+  '/runs',
+  validate(getRunsSchema),
+  retentionController.getRetentionRuns
+);
+
+export default router;
@@ -0,0 +1,28 @@
+/**
+ * Stream Routes
+ * Server-Sent Events feed for clients that cannot use Socket.IO
+ */
+
+import express from 'express';
+import * as streamController from '../controllers/streamController.js';
+import { protect, protectStream } from '../middlewares/auth.js';
+import validate from '../middlewares/validate.js';
+import { openStreamSchema } from '../validators/streamValidators.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/stream
+ * @desc    Live data and alarm events (SSE) with Last-Event-ID resume
+ * @access  Private
+ */
+router.get('/', protectStream, validate(openStreamSchema), streamController.openStream);
+
+/**
+ * @route   POST /api/stream/ticket
+ * @desc    Short-lived stream ticket for EventSource clients (cannot send headers)
+ * @access  Private
+ */
+router.post('/ticket', protect, streamController.createStreamTicket);
+
+export default router;
@@ -6,6 +6,8 @@
 import express from 'express';
 import { protect, restrictTo } from '../middlewares/auth.js';
 import * as templateController from '../controllers/templateController.js';
+import validate from '../middlewares/validate.js';
+import { testDecoderSchema } from '../validators/templateValidators.js';
 
 const router = express.Router();
 
@@ -55,6 +57,16 @@ router.delete(
   templateController.deleteTemplateTag
 ); // DELETE /api/templates/tags/:tagId (Admin only)
 
+/**
+ * Payload decoder routes
+ */
+router.post(
+  '/:id/decoder/test',
+  restrictTo('ADMIN'),
+  validate(testDecoderSchema),
+  templateController.testTemplateDecoder
+); // POST /api/templates/:id/decoder/test (Admin only)
+
 /**
  * Hierarchy rules routes
  */
@@ -7,6 +7,14 @@ import app from './app.js';
 import config from './config/index.js';
 import logger from './config/logger.js';
 import { testConnection, disconnect } from './config/database.js';
+import { startIngestion, stopIngestion } from './modules/ingestion/index.js';
+import { startAlarmEngine, stopAlarmEngine } from './modules/alarm-engine/index.js';
+import { startNotifications, stopNotifications } from './modules/notifications/index.js';
+import { startEscalation, stopEscalation } from './modules/escalation/index.js';
+import { startRollups, stopRollups } from './modules/rollups/index.js';
+import { startRetention, stopRetention } from './modules/retention/index.js';
+import { startExports, stopExports } from './modules/exports/index.js';
+import { attachSocketServer, closeSocketServer, closeEventStreams } from './modules/realtime/index.js';
 
 const PORT = config.server.port;
 const HOST = config.server.host;
@@ -54,13 +62,42 @@ async function startServer() {
       }
     });
 
+    // Realtime push (Socket.IO shares the HTTP server)
+    attachSocketServer(server);
+
+    // Start background ingestion, alarm, notification, rollup, retention and export workers (they need the database)
+    if (dbConnected) {
+      startIngestion();
+      startAlarmEngine();
+      startNotifications();
+      startEscalation();
+      startRollups();
+      startRetention();
+      startExports();
+    } else {
+      logger.warn('⚠️  Ingestion, alarm and notification workers not started - database is not connected');
+    }
+
     // Graceful shutdown
     const gracefulShutdown = async (signal) => {
       logger.info(`\n${signal} received. Starting graceful shutdown...`);
 
+      // Disconnect realtime clients so the HTTP server can close
+      await closeSocketServer();
+      closeEventStreams();
+
       server.close(async () => {
         logger.info('HTTP server closed');
 
+        // Stop background workers before closing the database connection
+        await stopIngestion();
+        await stopAlarmEngine();
+        await stopEscalation();
+        await stopRollups();
+        await stopRetention();
+        await stopExports();
+        await stopNotifications();
+
         // Disconnect from database
         await disconnect();
 
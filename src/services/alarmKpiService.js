@@ -0,0 +1,388 @@
+/**
+ * Alarm KPI Service
+ * Alarm management performance indicators for a period (ISA-18.2 / EEMUA 191 style)
+ *
+ * - MTTA / MTTR: time from raising to acknowledgment / resolution
+ * - Floods: 10-minute windows in which a plant raised more alarms per operator than
+ *   config.alarmKpis.floodThreshold; operators are the active plant managers of the plant
+ * - Chattering: a device condition raised chatterCount times within chatterWindowSeconds
+ * - Stale: alarms still open after staleHours
+ * - Bad actors: devices and tags with the most alarms
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/database.js';
+import config from '../config/index.js';
+import { NotFoundError, ForbiddenError, BadRequestError } from '../utils/errors.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+
+const OPEN_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+const FLOOD_WINDOW_MINUTES = 10;
+const MAX_FLOOD_WINDOWS = 100;
+
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(Number(value).toFixed(digits)));
+
+/**
+ * Resolve the plants a KPI request covers
+ * @returns {Promise<Array<Object>>} Plants (id, name)
+ */
+const getScopePlants = async (userId, userRole, plantId) => {
+  if (plantId) {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId }, select: { id: true, name: true } });
+    if (!plant) {
+      throw new NotFoundError('Plant not found');
+    }
+    if (!(await hasPlantAccess(userId, userRole, plantId))) {
+      throw new ForbiddenError('You do not have access to this plant');
+    }
+    return [plant];
+  }
+
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  return prisma.plant.findMany({
+    where: accessiblePlantIds ? { id: { in: accessiblePlantIds } } : {},
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' },
+  });
+};
+
+/**
+ * Resolve the KPI period (default: the last defaultPeriodDays days)
+ */
+const getPeriod = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate
+    ? new Date(startDate)
+    : new Date(end.getTime() - config.alarmKpis.defaultPeriodDays * 24 * 60 * 60 * 1000);
+
+  if (end <= start) {
+    throw new BadRequestError('End date must be after start date');
+  }
+  return { start, end };
+};
+
+/**
+ * Mean, median and 90th percentile of the minutes between triggeredAt and a column
+ * @param {Prisma.Sql} scope - WHERE clause of the alarms in scope
+ * @param {string} column - "acknowledgedAt" or "resolvedAt"
+ */
+const getResponseTime = async (scope, column) => {
+  const duration = Prisma.sql`EXTRACT(EPOCH FROM (${Prisma.raw(`"${column}"`)} - "triggeredAt")) / 60`;
+
+  const [row] = await prisma.$queryRaw`
+    SELECT
+      COUNT(*)::int AS count,
+      AVG(${duration})::float8 AS "avgMinutes",
+      (PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${duration}))::float8 AS "medianMinutes",
+      (PERCENTILE_CONT(0.9) WITHIN GROUP (ORDER BY ${duration}))::float8 AS "p90Minutes"
+    FROM alarms
+    WHERE ${scope} AND ${Prisma.raw(`"${column}"`)} IS NOT NULL
+  `;
+
+  return {
+    count: row.count,
+    avgMinutes: round(row.avgMinutes),
+    medianMinutes: round(row.medianMinutes),
+    p90Minutes: round(row.p90Minutes),
+  };
+};
+
+/**
+ * Count active plant managers (operators) per plant, at least one
+ */
+const getOperatorCounts = async (plantIds) => {
+  const mappings = await prisma.userPlantMap.findMany({
+    where: { plantId: { in: plantIds }, user: { role: 'PLANT_MANAGER', isActive: true } },
+    select: { plantId: true },
+  });
+
+  const counts = new Map(plantIds.map((id) => [id, 0]));
+  mappings.forEach(({ plantId }) => counts.set(plantId, counts.get(plantId) + 1));
+  return new Map([...counts].map(([id, count]) => [id, Math.max(count, 1)]));
+};
+
+/**
+ * Flood analysis over 10-minute windows per plant
+ */
+const getFloods = async (scope, plants, { start, end }) => {
+  const { floodThreshold } = config.alarmKpis;
+  const bucket = Prisma.sql`to_timestamp(floor(EXTRACT(EPOCH FROM "triggeredAt") / ${FLOOD_WINDOW_MINUTES * 60}) * ${FLOOD_WINDOW_MINUTES * 60})`;
+
+  const [operators, perPlant, candidates] = await Promise.all([
+    getOperatorCounts(plants.map((plant) => plant.id)),
+    prisma.$queryRaw`
+      SELECT "plantId", SUM(alarms)::int AS alarms, MAX(alarms)::int AS peak
+      FROM (
+        SELECT "plantId", ${bucket} AS "windowStart", COUNT(*) AS alarms
+        FROM alarms WHERE ${scope}
+        GROUP BY 1, 2
+      ) windows
+      GROUP BY "plantId"
+    `,
+    // Fewer alarms than the threshold can never be a flood (at least one operator)
+    prisma.$queryRaw`
+      SELECT "plantId", ${bucket} AS "windowStart", COUNT(*)::int AS alarms
+      FROM alarms WHERE ${scope}
+      GROUP BY 1, 2
+      HAVING COUNT(*) > ${floodThreshold}
+    `,
+  ]);
+
+  const plantNames = new Map(plants.map((plant) => [plant.id, plant.name]));
+  const windowsInPeriod = Math.max(1, Math.ceil((end - start) / (FLOOD_WINDOW_MINUTES * 60000)));
+
+  const floods = candidates
+    .map((window) => {
+      const plantOperators = operators.get(window.plantId);
+      return {
+        plantId: window.plantId,
+        plant: plantNames.get(window.plantId),
+        windowStart: window.windowStart,
+        alarms: window.alarms,
+        operators: plantOperators,
+        perOperator: round(window.alarms / plantOperators),
+      };
+    })
+    .filter((window) => window.perOperator > floodThreshold)
+    .sort((a, b) => b.perOperator - a.perOperator || a.windowStart - b.windowStart);
+
+  const byPlant = perPlant
+    .map((row) => {
+      const plantOperators = operators.get(row.plantId);
+      const floodWindows = floods.filter((window) => window.plantId === row.plantId).length;
+      return {
+        plantId: row.plantId,
+        plant: plantNames.get(row.plantId),
+        operators: plantOperators,
+        alarms: row.alarms,
+        averagePerOperator: round(row.alarms / plantOperators / windowsInPeriod),
+        peakPerOperator: round(row.peak / plantOperators),
+        floodWindows,
+        percentTimeInFlood: round((floodWindows / windowsInPeriod) * 100),
+      };
+    })
+    .sort((a, b) => b.floodWindows - a.floodWindows || b.alarms - a.alarms);
+
+  return {
+    windowMinutes: FLOOD_WINDOW_MINUTES,
+    thresholdPerOperator: floodThreshold,
+    floodWindows: floods.length,
+    percentTimeInFlood: round((floods.length / (windowsInPeriod * Math.max(plants.length, 1))) * 100),
+    peak: floods[0] || null,
+    byPlant,
+    windows: floods.slice(0, MAX_FLOOD_WINDOWS),
+  };
+};
+
+/**
+ * Device conditions raised chatterCount times or more within chatterWindowSeconds
+ */
+const getChatteringAlarms = async (scope, topN) => {
+  const { chatterCount, chatterWindowSeconds } = config.alarmKpis;
+
+  const rows = await prisma.$queryRaw`
+    SELECT
+      "plantId",
+      "deviceId",
+      "conditionKey",
+      MIN(message) AS message,
+      COUNT(*)::int AS alarms,
+      MAX("inWindow")::int AS "maxInWindow",
+      MAX("triggeredAt") AS "lastTriggeredAt"
+    FROM (
+      SELECT
+        "plantId",
+        "deviceId",
+        COALESCE("sourceKey", message) AS "conditionKey",
+        message,
+        "triggeredAt",
+        COUNT(*) OVER (
+          PARTITION BY "deviceId", COALESCE("sourceKey", message)
+          ORDER BY "triggeredAt"
+          RANGE BETWEEN ${`${chatterWindowSeconds} seconds`}::interval PRECEDING AND CURRENT ROW
+        ) AS "inWindow"
+      FROM alarms WHERE ${scope}
+    ) raised
+    GROUP BY "plantId", "deviceId", "conditionKey"
+    HAVING MAX("inWindow") >= ${chatterCount}
+    ORDER BY MAX("inWindow") DESC, COUNT(*) DESC
+    LIMIT ${topN}
+  `;
+
+  const devices = await prisma.device.findMany({
+    where: { id: { in: rows.map((row) => row.deviceId).filter(Boolean) } },
+    select: { id: true, name: true, plant: { select: { name: true } } },
+  });
+  const byId = new Map(devices.map((device) => [device.id, device]));
+
+  return rows.map((row) => ({
+    plantId: row.plantId,
+    plant: byId.get(row.deviceId)?.plant.name ?? null,
+    deviceId: row.deviceId,
+    device: byId.get(row.deviceId)?.name ?? null,
+    condition: row.conditionKey,
+    message: row.message,
+    alarms: row.alarms,
+    maxInWindow: row.maxInWindow,
+    lastTriggeredAt: row.lastTriggeredAt,
+  }));
+};
+
+/**
+ * Alarms raised in the period that are still open after staleHours
+ */
+const getStaleAlarms = async (where, topN) => {
+  const cutoff = new Date(Date.now() - config.alarmKpis.staleHours * 60 * 60 * 1000);
+  const staleWhere = {
+    ...where,
+    status: { in: OPEN_STATUSES },
+    triggeredAt: { ...where.triggeredAt, lte: new Date(Math.min(cutoff, where.triggeredAt.lte)) },
+  };
+
+  const [count, alarms] = await Promise.all([
+    prisma.alarm.count({ where: staleWhere }),
+    prisma.alarm.findMany({
+      where: staleWhere,
+      include: {
+        plant: { select: { name: true } },
+        device: { select: { name: true } },
+      },
+      orderBy: { triggeredAt: 'asc' },
+      take: topN,
+    }),
+  ]);
+
+  const now = Date.now();
+  return {
+    thresholdHours: config.alarmKpis.staleHours,
+    count,
+    alarms: alarms.map((alarm) => ({
+      id: alarm.id,
+      plant: alarm.plant.name,
+      device: alarm.device ? alarm.device.name : null,
+      severity: alarm.severity,
+      status: alarm.status,
+      message: alarm.message,
+      isShelved: alarm.isShelved,
+      triggeredAt: alarm.triggeredAt,
+      ageHours: round((now - alarm.triggeredAt) / 3600000, 1),
+    })),
+  };
+};
+
+/**
+ * Devices and tags with the most alarms
+ */
+const getBadActors = async (where, total, topN) => {
+  const [deviceCounts, tagCounts] = await Promise.all([
+    prisma.alarm.groupBy({
+      by: ['deviceId'],
+      where: { ...where, deviceId: { not: null } },
+      _count: { _all: true },
+      orderBy: { _count: { deviceId: 'desc' } },
+      take: topN,
+    }),
+    prisma.alarm.groupBy({
+      by: ['tagId'],
+      where: { ...where, tagId: { not: null } },
+      _count: { _all: true },
+      orderBy: { _count: { tagId: 'desc' } },
+      take: topN,
+    }),
+  ]);
+
+  const [devices, tags] = await Promise.all([
+    prisma.device.findMany({
+      where: { id: { in: deviceCounts.map((row) => row.deviceId) } },
+      select: { id: true, deviceId: true, name: true, deviceType: true, plant: { select: { name: true } } },
+    }),
+    prisma.tag.findMany({
+      where: { id: { in: tagCounts.map((row) => row.tagId) } },
+      select: { id: true, name: true, unit: true, device: { select: { id: true, name: true } } },
+    }),
+  ]);
+  const devicesById = new Map(devices.map((device) => [device.id, device]));
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const share = (count) => (total > 0 ? round((count / total) * 100) : 0);
+
+  return {
+    devices: deviceCounts.map((row) => {
+      const device = devicesById.get(row.deviceId);
+      return {
+        deviceId: row.deviceId,
+        code: device?.deviceId ?? null,
+        name: device?.name ?? null,
+        deviceType: device?.deviceType ?? null,
+        plant: device?.plant.name ?? null,
+        alarms: row._count._all,
+        percent: share(row._count._all),
+      };
+    }),
+    tags: tagCounts.map((row) => {
+      const tag = tagsById.get(row.tagId);
+      return {
+        tagId: row.tagId,
+        name: tag?.name ?? null,
+        unit: tag?.unit ?? null,
+        deviceId: tag?.device?.id ?? null,
+        device: tag?.device?.name ?? null,
+        alarms: row._count._all,
+        percent: share(row._count._all),
+      };
+    }),
+  };
+};
+
+/**
+ * Get alarm KPIs for the accessible plants (or one plant) over a period
+ * @param {number} userId - Requesting user
+ * @param {string} userRole - Requesting user role
+ * @param {Object} filters - { plantId, startDate, endDate, top }
+ * @returns {Promise<Object>} KPIs
+ */
+const getAlarmKpis = async (userId, userRole, filters = {}) => {
+  const { start, end } = getPeriod(filters);
+  const topN = filters.top || config.alarmKpis.topN;
+  const plants = await getScopePlants(userId, userRole, filters.plantId);
+  const plantIds = plants.map((plant) => plant.id);
+
+  // Prisma filter and the same scope as SQL for the aggregate queries
+  const where = { plantId: { in: plantIds }, triggeredAt: { gte: start, lte: end } };
+  const scope =
+    plantIds.length > 0
+      ? Prisma.sql`"plantId" IN (${Prisma.join(plantIds)}) AND "triggeredAt" >= ${start} AND "triggeredAt" <= ${end}`
+      : Prisma.sql`FALSE`;
+
+  const [total, acknowledged, resolved, mtta, mttr, floods, chattering, stale] = await Promise.all([
+    prisma.alarm.count({ where }),
+    prisma.alarm.count({ where: { ...where, acknowledgedAt: { not: null } } }),
+    prisma.alarm.count({ where: { ...where, status: 'RESOLVED' } }),
+    getResponseTime(scope, 'acknowledgedAt'),
+    getResponseTime(scope, 'resolvedAt'),
+    getFloods(scope, plants, { start, end }),
+    getChatteringAlarms(scope, topN),
+    getStaleAlarms(where, topN),
+  ]);
+
+  return {
+    period: { startDate: start, endDate: end },
+    plants,
+    totals: {
+      alarms: total,
+      acknowledged,
+      resolved,
+    },
+    mtta,
+    mttr,
+    floods,
+    chattering: {
+      thresholdCount: config.alarmKpis.chatterCount,
+      windowSeconds: config.alarmKpis.chatterWindowSeconds,
+      alarms: chattering,
+    },
+    stale,
+    badActors: await getBadActors(where, total, topN),
+  };
+};
+
+export { getAlarmKpis };
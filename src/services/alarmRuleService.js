@@ -0,0 +1,389 @@
+/**
+ * Alarm Rule Service
+ * Business logic for configurable alarm rules evaluated by the alarm engine
+ */
+
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, ValidationError } from '../utils/errors.js';
+import { compileExpression, evaluateCondition, ExpressionError } from '../utils/expressionEvaluator.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+import { getRuleConditionIssues } from '../validators/alarmRuleValidators.js';
+import {
+  invalidateRuleCache,
+  resolveRuleAlarms,
+  getExpressionTargets,
+  replayAlarmRule,
+} from '../modules/alarm-engine/index.js';
+import { getPlantDevices, bindExpression, createBindingResolver } from '../modules/ingestion/index.js';
+
+const RULE_INCLUDE = {
+  plant: {
+    select: { id: true, name: true },
+  },
+  tag: {
+    select: {
+      id: true,
+      name: true,
+      unit: true,
+      device: { select: { id: true, deviceId: true, name: true, plantId: true } },
+    },
+  },
+  templateTag: {
+    select: {
+      id: true,
+      tagName: true,
+      unit: true,
+      template: { select: { id: true, name: true, shortform: true } },
+    },
+  },
+  device: {
+    select: { id: true, deviceId: true, name: true },
+  },
+  template: {
+    select: { id: true, name: true, shortform: true },
+  },
+  creator: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+/**
+ * Get the plant a rule belongs to (null for template-scoped rules)
+ */
+const getRulePlantId = (rule) => rule.plantId ?? rule.tag?.device.plantId ?? null;
+
+/**
+ * Check if user can see a rule
+ * Template-scoped rules are visible to everyone, others follow plant access.
+ */
+const checkRuleAccess = async (ruleId, userId, userRole) => {
+  const rule = await prisma.alarmRule.findUnique({
+    where: { id: ruleId },
+    include: RULE_INCLUDE,
+  });
+
+  if (!rule) {
+    throw new NotFoundError('Alarm rule not found');
+  }
+
+  const plantId = getRulePlantId(rule);
+  if (plantId !== null && !(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this alarm rule');
+  }
+
+  return rule;
+};
+
+/**
+ * Check if user can change a rule with the given scope
+ * Template-scoped rules apply to every plant, so only admins manage them.
+ */
+const checkRuleScopeAccess = async ({ tagId, templateTagId, plantId, deviceId, templateId }, userId, userRole) => {
+  if (templateTagId) {
+    if (userRole !== 'ADMIN') {
+      throw new ForbiddenError('Only admins can manage template tag alarm rules');
+    }
+    const templateTag = await prisma.deviceTemplateTag.findUnique({ where: { id: templateTagId } });
+    if (!templateTag) {
+      throw new NotFoundError('Template tag not found');
+    }
+    return;
+  }
+
+  let scopePlantId = plantId;
+
+  if (tagId) {
+    const tag = await prisma.tag.findUnique({
+      where: { id: tagId },
+      select: { device: { select: { plantId: true } } },
+    });
+    if (!tag) {
+      throw new NotFoundError('Tag not found');
+    }
+    scopePlantId = tag.device.plantId;
+  } else {
+    const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+    if (!plant) {
+      throw new NotFoundError('Plant not found');
+    }
+  }
+
+  // Expression rule targets
+  if (deviceId) {
+    const device = await prisma.device.findUnique({ where: { id: deviceId }, select: { plantId: true } });
+    if (!device || device.plantId !== plantId) {
+      throw new NotFoundError('Device not found in this plant');
+    }
+  }
+  if (templateId) {
+    const template = await prisma.deviceTemplate.findUnique({ where: { id: templateId } });
+    if (!template) {
+      throw new NotFoundError('Device template not found');
+    }
+  }
+
+  if (!(await hasPlantAccess(userId, userRole, scopePlantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+};
+
+/**
+ * Check the expression of an EXPRESSION rule against the plant's devices
+ * The expression must compile, every reference must resolve on at least one target
+ * device, and it must evaluate to a condition.
+ * @param {Object} rule - { expression, plantId, deviceId, templateId }
+ * @throws {ValidationError} If the expression cannot be used
+ */
+const validateRuleExpression = async (rule) => {
+  const fail = (field, message) => {
+    throw new ValidationError('Validation failed', [{ field, message }]);
+  };
+
+  try {
+    const compiled = compileExpression(rule.expression);
+    const devices = await getPlantDevices(rule.plantId);
+    const targets = getExpressionTargets(rule, devices);
+
+    if (targets.length === 0) {
+      fail(rule.deviceId ? 'deviceId' : 'templateId', 'Rule has no target devices in this plant');
+    }
+
+    const bindings = targets.map((target) => bindExpression(compiled, target, devices));
+    const unresolved = compiled.references.filter(({ path }) =>
+      bindings.every((binding) => binding.get(path).refs.length === 0)
+    );
+    if (unresolved.length > 0) {
+      fail('expression', `No tags found for ${unresolved.map(({ path }) => `"${path}"`).join(', ')}`);
+    }
+
+    // Trial run with placeholder values catches type errors (e.g. a list outside an aggregate)
+    evaluateCondition(compiled, createBindingResolver(bindings[0], () => 1));
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      fail('expression', error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get all alarm rules with filters and pagination
+ */
+const getAllAlarmRules = async (userId, userRole, filters = {}, pagination = {}) => {
+  const { plantId, tagId, templateTagId, type, isEnabled } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const skip = (page - 1) * limit;
+
+  // Build where clause
+  const where = {};
+  const and = [];
+
+  // Role-based filtering (template-scoped rules are not tied to a plant)
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  if (accessiblePlantIds) {
+    and.push({
+      OR: [
+        { plantId: { in: accessiblePlantIds } },
+        { tag: { device: { plantId: { in: accessiblePlantIds } } } },
+        { templateTagId: { not: null } },
+      ],
+    });
+  }
+
+  // Apply filters
+  if (plantId) {
+    and.push({ OR: [{ plantId }, { tag: { device: { plantId } } }] });
+  }
+  if (tagId) where.tagId = tagId;
+  if (templateTagId) where.templateTagId = templateTagId;
+  if (type) where.type = type;
+  if (isEnabled !== undefined) where.isEnabled = isEnabled;
+  if (and.length > 0) where.AND = and;
+
+  const [rules, total] = await Promise.all([
+    prisma.alarmRule.findMany({
+      where,
+      include: RULE_INCLUDE,
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.alarmRule.count({ where }),
+  ]);
+
+  return {
+    rules,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get alarm rule by ID
+ */
+const getAlarmRuleById = async (ruleId, userId, userRole) => checkRuleAccess(ruleId, userId, userRole);
+
+/**
+ * Create a new alarm rule
+ */
+const createAlarmRule = async (ruleData, userId, userRole) => {
+  await checkRuleScopeAccess(ruleData, userId, userRole);
+
+  if (ruleData.type === 'EXPRESSION') {
+    await validateRuleExpression(ruleData);
+  }
+
+  const rule = await prisma.alarmRule.create({
+    data: {
+      ...ruleData,
+      createdBy: userId,
+    },
+    include: RULE_INCLUDE,
+  });
+
+  invalidateRuleCache();
+
+  logger.info('Alarm rule created', { ruleId: rule.id, type: rule.type, userId });
+
+  return rule;
+};
+
+/**
+ * Update an alarm rule
+ * Disabling a rule, or changing its condition, resolves its open alarms and resets
+ * its evaluation state so the new settings start from a clean slate.
+ */
+const updateAlarmRule = async (ruleId, updateData, userId, userRole) => {
+  const existing = await checkRuleAccess(ruleId, userId, userRole);
+  await checkRuleScopeAccess(existing, userId, userRole);
+
+  const merged = { ...existing, ...updateData };
+  const issues = getRuleConditionIssues(merged);
+  if (updateData.type && (updateData.type === 'EXPRESSION') !== (existing.type === 'EXPRESSION')) {
+    issues.push({ field: 'type', message: 'Cannot change between EXPRESSION and tag rule types' });
+  }
+  if (issues.length > 0) {
+    throw new ValidationError('Validation failed', issues);
+  }
+
+  if (merged.type === 'EXPRESSION' && updateData.expression !== undefined) {
+    await validateRuleExpression(merged);
+  }
+
+  const conditionFields = ['type', 'setpoint', 'staleMinutes', 'triggerState', 'expression'];
+  const conditionChanged = conditionFields.some(
+    (field) => updateData[field] !== undefined && updateData[field] !== existing[field]
+  );
+  const disabled = existing.isEnabled && updateData.isEnabled === false;
+
+  const rule = await prisma.alarmRule.update({
+    where: { id: ruleId },
+    data: updateData,
+    include: RULE_INCLUDE,
+  });
+
+  if (disabled || conditionChanged) {
+    const resolved = await resolveRuleAlarms(ruleId, disabled ? 'Rule disabled' : 'Rule condition changed');
+    logger.info('Alarm rule reset', { ruleId, resolvedAlarms: resolved });
+  }
+
+  invalidateRuleCache();
+
+  return rule;
+};
+
+/**
+ * Delete an alarm rule
+ * Open alarms of the rule are resolved; closed alarms keep the rule ID in metadata.
+ */
+const deleteAlarmRule = async (ruleId, userId, userRole) => {
+  const existing = await checkRuleAccess(ruleId, userId, userRole);
+  await checkRuleScopeAccess(existing, userId, userRole);
+
+  await resolveRuleAlarms(ruleId, 'Rule deleted');
+
+  await prisma.alarmRule.delete({
+    where: { id: ruleId },
+  });
+
+  invalidateRuleCache();
+
+  logger.info('Alarm rule deleted', { ruleId, userId });
+
+  return {
+    message: 'Alarm rule deleted successfully',
+  };
+};
+
+/**
+ * Check the dry run narrowing options against the user's plant access
+ * Rules without a plant (template tag rules) need a plantId for non-admins.
+ */
+const checkDryRunAccess = async (rule, { plantId }, userId, userRole) => {
+  const rulePlantId = getRulePlantId(rule);
+
+  if (plantId && rulePlantId !== null && plantId !== rulePlantId) {
+    throw new ValidationError('Validation failed', [{ field: 'plantId', message: 'Rule does not apply to this plant' }]);
+  }
+  if (rulePlantId === null && !plantId && userRole !== 'ADMIN') {
+    throw new ValidationError('Validation failed', [{ field: 'plantId', message: 'Plant ID is required for template tag rules' }]);
+  }
+  if (plantId && !(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+};
+
+/**
+ * Replay a rule, reporting expression errors as validation errors
+ */
+const replayRule = async (rule, options) => {
+  try {
+    return await replayAlarmRule(rule, options);
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      throw new ValidationError('Validation failed', [{ field: 'expression', message: error.message }]);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Dry run a draft (unsaved) alarm rule over historical data
+ * Nothing is written; the result lists the alarms the rule would have raised.
+ */
+const dryRunAlarmRule = async (ruleData, options, userId, userRole) => {
+  await checkRuleScopeAccess(ruleData, userId, userRole);
+
+  if (ruleData.type === 'EXPRESSION') {
+    await validateRuleExpression(ruleData);
+  }
+  await checkDryRunAccess(ruleData, options, userId, userRole);
+
+  return replayRule(ruleData, options);
+};
+
+/**
+ * Dry run a saved alarm rule over historical data
+ */
+const dryRunAlarmRuleById = async (ruleId, options, userId, userRole) => {
+  const rule = await checkRuleAccess(ruleId, userId, userRole);
+  await checkDryRunAccess(rule, options, userId, userRole);
+
+  return replayRule(rule, options);
+};
+
+export {
+  getAllAlarmRules,
+  getAlarmRuleById,
+  createAlarmRule,
+  updateAlarmRule,
+  dryRunAlarmRule,
+  dryRunAlarmRuleById,
+  deleteAlarmRule,
+};
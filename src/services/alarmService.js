@@ -4,12 +4,32 @@
  */
 
 import { PrismaClient } from '@prisma/client';
-import { NotFoundError, ForbiddenError, BadRequestError } from '../utils/errors.js';
-// AUDIT LOG - COMMENTED OUT (Enable when needed)
-// import { logAuditEntry } from './auditService.js';
+import config from '../config/index.js';
+import { NotFoundError, ForbiddenError, BadRequestError, ConflictError, ValidationError } from '../utils/errors.js';
+import { logAuditEntry } from './auditService.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+import { publishAlarmEvent } from '../modules/realtime/index.js';
+import {
+  unshelveAlarm as clearAlarmShelving,
+  isWindowActive,
+  findRootCauseAlarm,
+  recordGroupedAlarm,
+} from '../modules/alarm-engine/index.js';
+import { recordAlarmEvent, getAlarmTimeline as readAlarmTimeline } from './alarmTimelineService.js';
 
 const prisma = new PrismaClient();
 
+const OPEN_STATUSES = ['ACTIVE', 'ACKNOWLEDGED'];
+
+const COMMENT_INCLUDE = {
+  user: {
+    select: { id: true, name: true, email: true },
+  },
+  attachments: {
+    select: { id: true, fileName: true, contentType: true, size: true, createdAt: true },
+  },
+};
+
 /**
  * Check if user has access to an alarm's plant
  */
@@ -23,34 +43,9 @@ const checkAlarmAccess = async (alarmId, userId, userRole) => {
     throw new NotFoundError('Alarm not found');
   }
 
-  // Admin has access to all alarms
-  if (userRole === 'ADMIN') {
-    return alarm;
-  }
-
-  // Check if user has access to the plant
-  if (userRole === 'PLANT_MANAGER') {
-    const hasAccess = await prisma.userPlantAccess.findFirst({
-      where: {
-        userId,
-        plantId: alarm.plantId,
-      },
-    });
-
-    if (!hasAccess && alarm.plant.ownerId !== userId) {
-      throw new ForbiddenError('You do not have access to this alarm');
-    }
-  } else if (userRole === 'VIEWER') {
-    const hasAccess = await prisma.userPlantAccess.findFirst({
-      where: {
-        userId,
-        plantId: alarm.plantId,
-      },
-    });
-
-    if (!hasAccess) {
-      throw new ForbiddenError('You do not have access to this alarm');
-    }
+  // Non-admin users can only access alarms of plants assigned to them
+  if (!(await hasPlantAccess(userId, userRole, alarm.plantId))) {
+    throw new ForbiddenError('You do not have access to this alarm');
   }
 
   return alarm;
@@ -65,6 +60,10 @@ const getAllAlarms = async (userId, userRole, filters = {}, pagination = {}) =>
     deviceId,
     severity,
     status,
+    shelved = 'hide',
+    // A device's own alarm list is flat, other lists show root-cause alarms only
+    grouped = deviceId ? 'false' : 'true',
+    expand,
     startDate,
     endDate,
   } = filters;
@@ -82,34 +81,34 @@ const getAllAlarms = async (userId, userRole, filters = {}, pagination = {}) =>
   const where = {};
 
   // Role-based filtering
-  if (userRole !== 'ADMIN') {
-    // Get accessible plants
-    if (userRole === 'PLANT_MANAGER') {
-      const accessiblePlants = await prisma.plant.findMany({
-        where: {
-          OR: [
-            { ownerId: userId },
-            { userPlantAccess: { some: { userId } } },
-          ],
-        },
-        select: { id: true },
-      });
-      where.plantId = { in: accessiblePlants.map(p => p.id) };
-    } else if (userRole === 'VIEWER') {
-      const accessiblePlants = await prisma.userPlantAccess.findMany({
-        where: { userId },
-        select: { plantId: true },
-      });
-      where.plantId = { in: accessiblePlants.map(a => a.plantId) };
-    }
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  if (accessiblePlantIds) {
+    where.plantId = { in: accessiblePlantIds };
   }
 
-  // Apply filters
-  if (plantId) where.plantId = plantId;
+  // Apply filters (a plant filter must not widen the accessible plants)
+  if (plantId) {
+    if (!(await hasPlantAccess(userId, userRole, plantId))) {
+      throw new ForbiddenError('You do not have access to this plant');
+    }
+    where.plantId = plantId;
+  }
   if (deviceId) where.deviceId = deviceId;
   if (severity) where.severity = severity;
   if (status) where.status = status;
 
+  // Shelved alarms stay out of the list unless asked for
+  if (shelved === 'only') where.isShelved = true;
+  else if (shelved !== 'include') where.isShelved = false;
+
+  // Consequential alarms are listed under their root-cause alarm while it is open
+  if (grouped !== 'false') {
+    where.OR = [
+      { parentAlarmId: null },
+      { parentAlarm: { status: { notIn: OPEN_STATUSES } } },
+    ];
+  }
+
   if (startDate || endDate) {
     where.triggeredAt = {};
     if (startDate) where.triggeredAt.gte = new Date(startDate);
@@ -133,6 +132,25 @@ const getAllAlarms = async (userId, userRole, filters = {}, pagination = {}) =>
         acknowledger: {
           select: { id: true, name: true, email: true },
         },
+        shelver: {
+          select: { id: true, name: true, email: true },
+        },
+        _count: {
+          select: { consequentialAlarms: true },
+        },
+        ...(expand === 'true' && {
+          consequentialAlarms: {
+            include: {
+              device: {
+                select: { id: true, name: true, deviceType: true },
+              },
+              tag: {
+                select: { id: true, name: true, unit: true },
+              },
+            },
+            orderBy: { triggeredAt: 'asc' },
+          },
+        }),
       },
       skip,
       take: parseInt(limit),
@@ -177,6 +195,20 @@ const getAlarmById = async (alarmId, userId, userRole) => {
       acknowledger: {
         select: { id: true, name: true, email: true },
       },
+      shelver: {
+        select: { id: true, name: true, email: true },
+      },
+      parentAlarm: {
+        select: { id: true, deviceId: true, severity: true, status: true, message: true, triggeredAt: true },
+      },
+      consequentialAlarms: {
+        include: {
+          device: {
+            select: { id: true, name: true, deviceType: true },
+          },
+        },
+        orderBy: { triggeredAt: 'asc' },
+      },
     },
   });
 
@@ -224,6 +256,9 @@ const createAlarm = async (alarmData, createdBy) => {
     }
   }
 
+  // Group under the open alarm of an ancestor device (root cause)
+  const parentAlarmId = await findRootCauseAlarm(deviceId);
+
   // Create alarm
   const alarm = await prisma.alarm.create({
     data: {
@@ -236,6 +271,7 @@ const createAlarm = async (alarmData, createdBy) => {
       value,
       threshold,
       metadata,
+      parentAlarmId,
       createdBy,
       status: 'ACTIVE',
     },
@@ -252,26 +288,40 @@ const createAlarm = async (alarmData, createdBy) => {
     },
   });
 
+  // AUDIT LOG - COMMENTED OUT (Enable when needed)
   // Log to audit
-  await logAuditEntry({
-    entityType: 'Alarm',
-    entityId: alarm.id,
-    action: 'CREATE',
+  // await logAuditEntry({
+  //   entityType: 'Alarm',
+  //   entityId: alarm.id,
+  //   action: 'CREATE',
+  //   userId: createdBy,
+  //   changesBefore: null,
+  //   changesAfter: {
+  //     plantId: alarm.plantId,
+  //     deviceId: alarm.deviceId,
+  //     tagId: alarm.tagId,
+  //     severity: alarm.severity,
+  //     status: alarm.status,
+  //     message: alarm.message,
+  //     description: alarm.description,
+  //     value: alarm.value,
+  //     threshold: alarm.threshold,
+  //   },
+  // });
+
+  await recordAlarmEvent(alarm.id, 'RAISED', {
     userId: createdBy,
-    changesBefore: null,
-    changesAfter: {
-      plantId: alarm.plantId,
-      deviceId: alarm.deviceId,
-      tagId: alarm.tagId,
-      severity: alarm.severity,
-      status: alarm.status,
-      message: alarm.message,
-      description: alarm.description,
-      value: alarm.value,
-      threshold: alarm.threshold,
-    },
+    details: { value, threshold },
+    at: alarm.triggeredAt,
   });
 
+  if (alarm.parentAlarmId) {
+    await recordGroupedAlarm(alarm);
+  }
+
+  // Push to realtime subscribers
+  publishAlarmEvent('created', alarm);
+
   return alarm;
 };
 
@@ -297,10 +347,6 @@ const acknowledgeAlarm = async (alarmId, userId, userRole, acknowledgeData = {})
       status: 'ACKNOWLEDGED',
       acknowledgedAt: new Date(),
       acknowledgedBy: userId,
-      metadata: {
-        ...(alarm.metadata || {}),
-        acknowledgmentNote: acknowledgeData.note || null,
-      },
     },
     include: {
       plant: {
@@ -315,32 +361,74 @@ const acknowledgeAlarm = async (alarmId, userId, userRole, acknowledgeData = {})
     },
   });
 
-  // Log to audit
-  await logAuditEntry({
-    entityType: 'Alarm',
-    entityId: alarmId,
-    action: 'ACKNOWLEDGE',
+  await recordAlarmEvent(alarmId, 'ACKNOWLEDGED', {
     userId,
-    changesBefore: {
-      status: alarm.status,
-      acknowledgedAt: alarm.acknowledgedAt,
-      acknowledgedBy: alarm.acknowledgedBy,
-    },
-    changesAfter: {
-      status: 'ACKNOWLEDGED',
-      acknowledgedAt: updatedAlarm.acknowledgedAt,
-      acknowledgedBy: userId,
-    },
-    metadata: {
-      note: acknowledgeData.note,
-    },
+    note: acknowledgeData.note || null,
+    at: updatedAlarm.acknowledgedAt,
   });
 
+  // AUDIT LOG - COMMENTED OUT (Enable when needed)
+  // Log to audit
+  // await logAuditEntry({
+  //   entityType: 'Alarm',
+  //   entityId: alarmId,
+  //   action: 'ACKNOWLEDGE',
+  //   userId,
+  //   changesBefore: {
+  //     status: alarm.status,
+  //     acknowledgedAt: alarm.acknowledgedAt,
+  //     acknowledgedBy: alarm.acknowledgedBy,
+  //   },
+  //   changesAfter: {
+  //     status: 'ACKNOWLEDGED',
+  //     acknowledgedAt: updatedAlarm.acknowledgedAt,
+  //     acknowledgedBy: userId,
+  //   },
+  //   metadata: {
+  //     note: acknowledgeData.note,
+  //   },
+  // });
+
+  // Push to realtime subscribers
+  publishAlarmEvent('acknowledged', updatedAlarm);
+
   return updatedAlarm;
 };
 
+/**
+ * Resolve the open consequential alarms of a root-cause alarm
+ * @returns {Promise<Array<number>>} IDs of the resolved alarms
+ */
+const resolveConsequentialAlarms = async (rootAlarmId, userId) => {
+  const children = await prisma.alarm.findMany({
+    where: { parentAlarmId: rootAlarmId, status: { in: OPEN_STATUSES } },
+  });
+
+  const resolvedAt = new Date();
+  for (const child of children) {
+    const resolved = await prisma.alarm.update({
+      where: { id: child.id },
+      data: {
+        status: 'RESOLVED',
+        resolvedAt,
+      },
+    });
+    await recordAlarmEvent(child.id, 'RESOLVED', {
+      userId,
+      note: `Resolved with root-cause alarm #${rootAlarmId}`,
+      details: { rootAlarmId },
+      at: resolvedAt,
+    });
+    publishAlarmEvent('resolved', resolved);
+  }
+
+  return children.map((child) => child.id);
+};
+
 /**
  * Resolve an alarm
+ * Open consequential alarms are resolved with it when resolveChildren is set;
+ * otherwise their number is returned so the client can offer to.
  */
 const resolveAlarm = async (alarmId, userId, userRole, resolveData = {}) => {
   const alarm = await checkAlarmAccess(alarmId, userId, userRole);
@@ -356,11 +444,91 @@ const resolveAlarm = async (alarmId, userId, userRole, resolveData = {}) => {
     data: {
       status: 'RESOLVED',
       resolvedAt: new Date(),
-      metadata: {
-        ...(alarm.metadata || {}),
-        resolutionNote: resolveData.note || null,
-        resolvedBy: userId,
+    },
+    include: {
+      plant: {
+        select: { id: true, name: true },
       },
+      device: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+
+  await recordAlarmEvent(alarmId, 'RESOLVED', {
+    userId,
+    note: resolveData.note || null,
+    at: updatedAlarm.resolvedAt,
+  });
+
+  // AUDIT LOG - COMMENTED OUT (Enable when needed)
+  // Log to audit
+  // await logAuditEntry({
+  //   entityType: 'Alarm',
+  //   entityId: alarmId,
+  //   action: 'UPDATE',
+  //   userId,
+  //   changesBefore: {
+  //     status: alarm.status,
+  //     resolvedAt: alarm.resolvedAt,
+  //   },
+  //   changesAfter: {
+  //     status: 'RESOLVED',
+  //     resolvedAt: updatedAlarm.resolvedAt,
+  //   },
+  //   metadata: {
+  //     action: 'resolve',
+  //     note: resolveData.note,
+  //   },
+  // });
+
+  // Push to realtime subscribers
+  publishAlarmEvent('resolved', updatedAlarm);
+
+  const resolvedChildren = resolveData.resolveChildren ? await resolveConsequentialAlarms(alarmId, userId) : [];
+  const openChildren = await prisma.alarm.count({
+    where: { parentAlarmId: alarmId, status: { in: OPEN_STATUSES } },
+  });
+
+  return {
+    ...updatedAlarm,
+    consequentialAlarms: {
+      resolved: resolvedChildren,
+      open: openChildren,
+    },
+  };
+};
+
+/**
+ * Shelve an alarm: hide it from the default list for a limited time
+ * Shelving an already shelved alarm replaces its period and reason.
+ */
+const shelveAlarm = async (alarmId, userId, userRole, shelveData) => {
+  const alarm = await checkAlarmAccess(alarmId, userId, userRole);
+  const { durationMinutes, reason } = shelveData;
+
+  if (alarm.status !== 'ACTIVE' && alarm.status !== 'ACKNOWLEDGED') {
+    throw new BadRequestError('Only active or acknowledged alarms can be shelved');
+  }
+
+  if (durationMinutes > config.alarmEngine.maxShelveMinutes) {
+    throw new ValidationError('Validation failed', [
+      { field: 'durationMinutes', message: `Alarms can be shelved for at most ${config.alarmEngine.maxShelveMinutes} minutes` },
+    ]);
+  }
+
+  const shelvedAt = new Date();
+  const shelvedUntil = new Date(shelvedAt.getTime() + durationMinutes * 60000);
+
+  // Update alarm
+  const updatedAlarm = await prisma.alarm.update({
+    where: { id: alarmId },
+    data: {
+      isShelved: true,
+      shelvedAt,
+      shelvedUntil,
+      shelvedBy: userId,
+      shelveReason: reason,
     },
     include: {
       plant: {
@@ -369,32 +537,261 @@ const resolveAlarm = async (alarmId, userId, userRole, resolveData = {}) => {
       device: {
         select: { id: true, name: true },
       },
+      shelver: {
+        select: { id: true, name: true, email: true },
+      },
+    },
+  });
+
+  await recordAlarmEvent(alarmId, 'SHELVED', {
+    userId,
+    note: reason,
+    details: {
+      durationMinutes,
+      shelvedUntil: shelvedUntil.toISOString(),
+      previousUntil: alarm.isShelved ? alarm.shelvedUntil : undefined,
     },
+    at: shelvedAt,
   });
 
   // Log to audit
   await logAuditEntry({
     entityType: 'Alarm',
-    entityId: alarmId,
+    entityId: String(alarmId),
     action: 'UPDATE',
     userId,
     changesBefore: {
-      status: alarm.status,
-      resolvedAt: alarm.resolvedAt,
+      isShelved: alarm.isShelved,
+      shelvedUntil: alarm.shelvedUntil,
     },
     changesAfter: {
-      status: 'RESOLVED',
-      resolvedAt: updatedAlarm.resolvedAt,
+      isShelved: true,
+      shelvedUntil,
     },
     metadata: {
-      action: 'resolve',
-      note: resolveData.note,
+      action: 'shelve',
+      reason,
+    },
+  });
+
+  // Push to realtime subscribers
+  publishAlarmEvent('shelved', updatedAlarm);
+
+  return updatedAlarm;
+};
+
+/**
+ * Unshelve an alarm before its shelving period ends
+ */
+const unshelveAlarm = async (alarmId, userId, userRole, unshelveData = {}) => {
+  const alarm = await checkAlarmAccess(alarmId, userId, userRole);
+
+  if (!alarm.isShelved) {
+    throw new BadRequestError('Alarm is not shelved');
+  }
+
+  const updatedAlarm = await clearAlarmShelving(alarmId, {
+    userId,
+    reason: unshelveData.note || 'Unshelved manually',
+  });
+  if (!updatedAlarm) {
+    throw new BadRequestError('Alarm is not shelved');
+  }
+
+  // Log to audit
+  await logAuditEntry({
+    entityType: 'Alarm',
+    entityId: String(alarmId),
+    action: 'UPDATE',
+    userId,
+    changesBefore: { isShelved: true, shelvedUntil: alarm.shelvedUntil },
+    changesAfter: { isShelved: false },
+    metadata: { action: 'unshelve', note: unshelveData.note },
+  });
+
+  return updatedAlarm;
+};
+
+/**
+ * Reopen a resolved alarm (resolved by mistake or the problem came back)
+ */
+const reopenAlarm = async (alarmId, userId, userRole, reopenData = {}) => {
+  const alarm = await checkAlarmAccess(alarmId, userId, userRole);
+
+  if (alarm.status !== 'RESOLVED') {
+    throw new BadRequestError('Only resolved alarms can be reopened');
+  }
+
+  // The alarm engine keeps one open alarm per device condition
+  if (alarm.sourceKey) {
+    const open = await prisma.alarm.findFirst({
+      where: {
+        deviceId: alarm.deviceId,
+        sourceKey: alarm.sourceKey,
+        status: { in: OPEN_STATUSES },
+        id: { not: alarmId },
+      },
+      select: { id: true },
+    });
+    if (open) {
+      throw new ConflictError(`Alarm #${open.id} is already open for this condition`);
+    }
+  }
+
+  // Update alarm
+  const updatedAlarm = await prisma.alarm.update({
+    where: { id: alarmId },
+    data: {
+      status: 'ACTIVE',
+      resolvedAt: null,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+    },
+    include: {
+      plant: {
+        select: { id: true, name: true },
+      },
+      device: {
+        select: { id: true, name: true },
+      },
     },
   });
 
+  await recordAlarmEvent(alarmId, 'REOPENED', {
+    userId,
+    note: reopenData.note || null,
+    details: { resolvedAt: alarm.resolvedAt },
+  });
+
+  // Log to audit
+  await logAuditEntry({
+    entityType: 'Alarm',
+    entityId: String(alarmId),
+    action: 'UPDATE',
+    userId,
+    changesBefore: { status: alarm.status, resolvedAt: alarm.resolvedAt },
+    changesAfter: { status: 'ACTIVE', resolvedAt: null },
+    metadata: { action: 'reopen', note: reopenData.note },
+  });
+
+  // Push to realtime subscribers
+  publishAlarmEvent('reopened', updatedAlarm);
+
   return updatedAlarm;
 };
 
+/**
+ * Get the timeline (lifecycle events) of an alarm
+ */
+const getAlarmTimeline = async (alarmId, userId, userRole, filters = {}) => {
+  await checkAlarmAccess(alarmId, userId, userRole);
+
+  return readAlarmTimeline(alarmId, { types: filters.types });
+};
+
+/**
+ * Get the comments of an alarm as threads (replies nested under their parent)
+ * Attachments are listed without their content.
+ */
+const getAlarmComments = async (alarmId, userId, userRole) => {
+  await checkAlarmAccess(alarmId, userId, userRole);
+
+  const comments = await prisma.alarmComment.findMany({
+    where: { alarmId },
+    include: COMMENT_INCLUDE,
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+  const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parentId && byId.get(comment.parentId);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  }
+
+  return threads;
+};
+
+/**
+ * Comment on an alarm, optionally as a reply and with attachments (base64)
+ */
+const addAlarmComment = async (alarmId, userId, userRole, commentData) => {
+  await checkAlarmAccess(alarmId, userId, userRole);
+  const { body, parentId, attachments = [] } = commentData;
+
+  if (parentId) {
+    const parent = await prisma.alarmComment.findUnique({ where: { id: parentId }, select: { alarmId: true } });
+    if (!parent || parent.alarmId !== alarmId) {
+      throw new NotFoundError('Parent comment not found on this alarm');
+    }
+  }
+
+  const files = attachments.map(({ fileName, contentType, data }) => {
+    const content = Buffer.from(data, 'base64');
+    return { fileName, contentType, size: content.length, data: content };
+  });
+
+  const issues = files
+    .map((file, index) => ({ file, index }))
+    .filter(({ file }) => file.size === 0 || file.size > config.alarmEngine.maxAttachmentBytes)
+    .map(({ file, index }) => ({
+      field: `attachments.${index}.data`,
+      message: file.size === 0 ? 'Attachment is empty' : `Attachments can be at most ${config.alarmEngine.maxAttachmentBytes} bytes`,
+    }));
+  if (issues.length > 0) {
+    throw new ValidationError('Validation failed', issues);
+  }
+
+  const comment = await prisma.$transaction(async (tx) => {
+    const created = await tx.alarmComment.create({
+      data: {
+        alarmId,
+        userId,
+        parentId: parentId || null,
+        body,
+        attachments: { create: files },
+      },
+      include: COMMENT_INCLUDE,
+    });
+
+    await recordAlarmEvent(
+      alarmId,
+      'COMMENTED',
+      {
+        userId,
+        commentId: created.id,
+        details: { parentId: created.parentId, attachments: files.length },
+        at: created.createdAt,
+      },
+      tx
+    );
+
+    return created;
+  });
+
+  return { ...comment, replies: [] };
+};
+
+/**
+ * Get an attachment of an alarm comment with its content
+ */
+const getCommentAttachment = async (alarmId, commentId, attachmentId, userId, userRole) => {
+  await checkAlarmAccess(alarmId, userId, userRole);
+
+  const attachment = await prisma.alarmCommentAttachment.findFirst({
+    where: { id: attachmentId, commentId, comment: { alarmId } },
+  });
+  if (!attachment) {
+    throw new NotFoundError('Attachment not found');
+  }
+
+  return attachment;
+};
+
 /**
  * Get alarms for a specific plant
  */
@@ -406,22 +803,8 @@ const getPlantAlarms = async (plantId, userId, userRole, filters = {}, paginatio
   }
 
   // Check access for non-admin users
-  if (userRole !== 'ADMIN') {
-    if (userRole === 'PLANT_MANAGER') {
-      const hasAccess = plant.ownerId === userId || await prisma.userPlantAccess.findFirst({
-        where: { userId, plantId },
-      });
-      if (!hasAccess) {
-        throw new ForbiddenError('You do not have access to this plant');
-      }
-    } else if (userRole === 'VIEWER') {
-      const hasAccess = await prisma.userPlantAccess.findFirst({
-        where: { userId, plantId },
-      });
-      if (!hasAccess) {
-        throw new ForbiddenError('You do not have access to this plant');
-      }
-    }
+  if (!(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
   }
 
   // Get alarms for this plant
@@ -443,22 +826,8 @@ const getDeviceAlarms = async (deviceId, userId, userRole, filters = {}, paginat
   }
 
   // Check access for non-admin users
-  if (userRole !== 'ADMIN') {
-    if (userRole === 'PLANT_MANAGER') {
-      const hasAccess = device.plant.ownerId === userId || await prisma.userPlantAccess.findFirst({
-        where: { userId, plantId: device.plantId },
-      });
-      if (!hasAccess) {
-        throw new ForbiddenError('You do not have access to this device');
-      }
-    } else if (userRole === 'VIEWER') {
-      const hasAccess = await prisma.userPlantAccess.findFirst({
-        where: { userId, plantId: device.plantId },
-      });
-      if (!hasAccess) {
-        throw new ForbiddenError('You do not have access to this device');
-      }
-    }
+  if (!(await hasPlantAccess(userId, userRole, device.plantId))) {
+    throw new ForbiddenError('You do not have access to this device');
   }
 
   // Get alarms for this device
@@ -472,28 +841,15 @@ const getAlarmStatistics = async (userId, userRole, plantId = null) => {
   // Build where clause based on user role
   const where = {};
 
-  if (userRole !== 'ADMIN') {
-    if (userRole === 'PLANT_MANAGER') {
-      const accessiblePlants = await prisma.plant.findMany({
-        where: {
-          OR: [
-            { ownerId: userId },
-            { userPlantAccess: { some: { userId } } },
-          ],
-        },
-        select: { id: true },
-      });
-      where.plantId = { in: accessiblePlants.map(p => p.id) };
-    } else if (userRole === 'VIEWER') {
-      const accessiblePlants = await prisma.userPlantAccess.findMany({
-        where: { userId },
-        select: { plantId: true },
-      });
-      where.plantId = { in: accessiblePlants.map(a => a.plantId) };
-    }
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  if (accessiblePlantIds) {
+    where.plantId = { in: accessiblePlantIds };
   }
 
   if (plantId) {
+    if (!(await hasPlantAccess(userId, userRole, plantId))) {
+      throw new ForbiddenError('You do not have access to this plant');
+    }
     where.plantId = plantId;
   }
 
@@ -503,19 +859,40 @@ const getAlarmStatistics = async (userId, userRole, plantId = null) => {
     activeAlarms,
     acknowledgedAlarms,
     resolvedAlarms,
+    shelvedAlarms,
+    consequentialAlarms,
     bySeverity,
+    suppressedTotal,
+    suppressedOpen,
+    suppressedBySeverity,
+    windows,
   ] = await Promise.all([
     prisma.alarm.count({ where }),
     prisma.alarm.count({ where: { ...where, status: 'ACTIVE' } }),
     prisma.alarm.count({ where: { ...where, status: 'ACKNOWLEDGED' } }),
     prisma.alarm.count({ where: { ...where, status: 'RESOLVED' } }),
+    prisma.alarm.count({ where: { ...where, isShelved: true } }),
+    prisma.alarm.count({ where: { ...where, parentAlarmId: { not: null }, status: { in: OPEN_STATUSES } } }),
     prisma.alarm.groupBy({
       by: ['severity'],
       where,
       _count: true,
     }),
+    prisma.suppressedAlarm.count({ where }),
+    prisma.suppressedAlarm.count({ where: { ...where, clearedAt: null, releasedAt: null } }),
+    prisma.suppressedAlarm.groupBy({
+      by: ['severity'],
+      where,
+      _count: true,
+    }),
+    prisma.suppressionWindow.findMany({
+      where: { ...where, isEnabled: true },
+      include: { plant: { select: { timezone: true } } },
+    }),
   ]);
 
+  const now = new Date();
+
   return {
     total: totalAlarms,
     byStatus: {
@@ -527,6 +904,17 @@ const getAlarmStatistics = async (userId, userRole, plantId = null) => {
       acc[item.severity.toLowerCase()] = item._count;
       return acc;
     }, {}),
+    shelved: shelvedAlarms,
+    consequential: consequentialAlarms,
+    suppression: {
+      activeWindows: windows.filter((window) => isWindowActive(window, now, window.plant.timezone)).length,
+      suppressed: suppressedTotal,
+      currentlySuppressed: suppressedOpen,
+      bySeverity: suppressedBySeverity.reduce((acc, item) => {
+        acc[item.severity.toLowerCase()] = item._count;
+        return acc;
+      }, {}),
+    },
   };
 };
 
@@ -536,6 +924,13 @@ export {
   createAlarm,
   acknowledgeAlarm,
   resolveAlarm,
+  shelveAlarm,
+  unshelveAlarm,
+  reopenAlarm,
+  getAlarmTimeline,
+  getAlarmComments,
+  addAlarmComment,
+  getCommentAttachment,
   getPlantAlarms,
   getDeviceAlarms,
   getAlarmStatistics,
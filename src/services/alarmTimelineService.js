@@ -0,0 +1,75 @@
+/**
+ * Alarm Timeline Service
+ * Records the lifecycle of an alarm as AlarmEvent rows
+ *
+ * Every transition (raised, value update, acknowledged, shelved, escalated, commented,
+ * resolved, reopened, ...) is its own row with actor and time, so later changes never
+ * overwrite earlier ones. userId is null for system actions (alarm engine, schedulers).
+ */
+
+import { prisma } from '../config/database.js';
+
+const EVENT_INCLUDE = {
+  user: {
+    select: { id: true, name: true, email: true },
+  },
+  comment: {
+    select: { id: true, parentId: true, body: true },
+  },
+};
+
+/**
+ * Record an alarm event
+ * @param {number} alarmId - Alarm ID
+ * @param {string} type - AlarmEventType
+ * @param {Object} options - { userId, note, details, commentId, at }
+ * @param {Object} client - Prisma client or transaction
+ * @returns {Promise<Object>} Created event
+ */
+const recordAlarmEvent = (alarmId, type, options = {}, client = prisma) => {
+  const { userId = null, note = null, details, commentId = null, at } = options;
+
+  return client.alarmEvent.create({
+    data: {
+      alarmId,
+      type,
+      userId,
+      note,
+      details: details || undefined,
+      commentId,
+      createdAt: at,
+    },
+  });
+};
+
+/**
+ * Get the timeline of an alarm, oldest first
+ * @param {number} alarmId - Alarm ID
+ * @param {Object} options - { types } to limit the event types
+ * @returns {Promise<Array<Object>>} Events with actor and comment
+ */
+const getAlarmTimeline = (alarmId, options = {}) =>
+  prisma.alarmEvent.findMany({
+    where: { alarmId, ...(options.types && { type: { in: options.types } }) },
+    include: EVENT_INCLUDE,
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+/**
+ * Get the timelines of several alarms (reports)
+ * @param {Array<number>} alarmIds - Alarm IDs
+ * @returns {Promise<Map<number, Array<Object>>>} alarmId -> events, oldest first
+ */
+const getAlarmTimelines = async (alarmIds) => {
+  const events = await prisma.alarmEvent.findMany({
+    where: { alarmId: { in: alarmIds } },
+    include: EVENT_INCLUDE,
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+  });
+
+  const timelines = new Map(alarmIds.map((id) => [id, []]));
+  events.forEach((event) => timelines.get(event.alarmId)?.push(event));
+  return timelines;
+};
+
+export { recordAlarmEvent, getAlarmTimeline, getAlarmTimelines };
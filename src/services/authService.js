@@ -27,6 +27,17 @@ const generateRefreshToken = (userId) => {
   });
 };
 
+/**
+ * Generate a stream ticket: a short-lived token that only opens event streams
+ * EventSource clients pass it in the URL, where an access token could end up in logs.
+ */
+const generateStreamTicket = (userId) => ({
+  ticket: jwt.sign({ id: userId, purpose: 'stream' }, config.jwt.secret, {
+    expiresIn: config.stream.ticketTtlSeconds,
+  }),
+  expiresIn: config.stream.ticketTtlSeconds,
+});
+
 /**
  * Login user with email and password
  */
@@ -147,4 +158,5 @@ export {
   getCurrentUser,
   refreshAccessToken,
   logout,
+  generateStreamTicket,
 };
@@ -0,0 +1,249 @@
+/**
+ * Calculated Tag Service
+ * Business logic for calculated and virtual tags (tags computed from a formula)
+ */
+
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, ConflictError, ValidationError } from '../utils/errors.js';
+import { ExpressionError } from '../utils/expressionEvaluator.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+import { checkPlantAccess } from './dataService.js';
+import { getPlantDevices, invalidateTopicCache } from '../modules/ingestion/index.js';
+import { checkCalculatedTag, findDependentTags } from '../modules/calculated-tags/index.js';
+
+// Device ID of the VIRTUAL device holding the plant-level calculated tags of a plant
+const PLANT_DEVICE_ID = 'PLANT';
+
+const TAG_INCLUDE = {
+  device: {
+    select: { id: true, deviceId: true, name: true, deviceType: true, plantId: true },
+  },
+};
+
+/**
+ * Add the level (DEVICE or PLANT) a calculated tag is defined on
+ */
+const withLevel = (tag) => ({
+  ...tag,
+  level: tag.device.deviceType === 'VIRTUAL' ? 'PLANT' : 'DEVICE',
+});
+
+/**
+ * Get the plant device of plant-level calculated tags, creating it on first use
+ */
+const getPlantCalculationDevice = async (plant) => {
+  const device = await prisma.device.upsert({
+    where: { plantId_deviceId: { plantId: plant.id, deviceId: PLANT_DEVICE_ID } },
+    update: {},
+    create: {
+      plantId: plant.id,
+      deviceId: PLANT_DEVICE_ID,
+      name: `${plant.name} (calculated)`,
+      deviceType: 'VIRTUAL',
+    },
+  });
+
+  if (device.deviceType !== 'VIRTUAL') {
+    throw new ConflictError(`Device ID ${PLANT_DEVICE_ID} is taken by a device of this plant`);
+  }
+  return device;
+};
+
+/**
+ * Get a calculated tag the user can access
+ */
+const checkCalculatedTagAccess = async (tagId, userId, userRole) => {
+  const tag = await prisma.tag.findFirst({
+    where: { id: tagId, formula: { not: null } },
+    include: TAG_INCLUDE,
+  });
+
+  if (!tag) {
+    throw new NotFoundError('Calculated tag not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, tag.device.plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+
+  return tag;
+};
+
+/**
+ * Check that a tag name is free on a device
+ */
+const checkTagName = async (deviceId, name, tagId = null) => {
+  const existing = await prisma.tag.findUnique({
+    where: { deviceId_name: { deviceId, name } },
+  });
+  if (existing && existing.id !== tagId) {
+    throw new ConflictError(`Tag with name '${name}' already exists for this device`);
+  }
+};
+
+/**
+ * Check the formula of a calculated tag against the current devices of its plant
+ * @param {Object} tag - { id (0 for a new tag), name, formula, calculationMode, dataType }
+ * @param {Object} device - Device the tag is defined on
+ * @throws {ValidationError} If the formula cannot be used
+ */
+const validateFormula = async (tag, device) => {
+  invalidateTopicCache(device.plantId);
+  const devices = await getPlantDevices(device.plantId);
+
+  try {
+    checkCalculatedTag({ tag, device: devices.find((d) => d.id === device.id) }, devices);
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      throw new ValidationError('Validation failed', [{ field: 'formula', message: error.message }]);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get calculated tags with filters and pagination
+ */
+const getCalculatedTags = async (userId, userRole, filters = {}, pagination = {}) => {
+  const { plantId, deviceId, calculationMode } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const where = { formula: { not: null } };
+  const and = [];
+
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  if (accessiblePlantIds) and.push({ device: { plantId: { in: accessiblePlantIds } } });
+  if (plantId) and.push({ device: { plantId } });
+  if (and.length > 0) where.AND = and;
+  if (deviceId) where.deviceId = deviceId;
+  if (calculationMode) where.calculationMode = calculationMode;
+
+  const [tags, total] = await Promise.all([
+    prisma.tag.findMany({
+      where,
+      include: TAG_INCLUDE,
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      orderBy: [{ deviceId: 'asc' }, { name: 'asc' }],
+    }),
+    prisma.tag.count({ where }),
+  ]);
+
+  return {
+    tags: tags.map(withLevel),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get calculated tag by ID
+ */
+const getCalculatedTagById = async (tagId, userId, userRole) =>
+  withLevel(await checkCalculatedTagAccess(tagId, userId, userRole));
+
+/**
+ * Create a calculated tag on a device, or on the plant when no device is given
+ */
+const createCalculatedTag = async (tagData, userId, userRole) => {
+  const { plantId, deviceId, ...fields } = tagData;
+  const plant = await checkPlantAccess(plantId, userId, userRole);
+
+  let device;
+  if (deviceId) {
+    device = await prisma.device.findFirst({ where: { id: deviceId, plantId } });
+    if (!device) {
+      throw new NotFoundError('Device not found in this plant');
+    }
+  } else {
+    device = await getPlantCalculationDevice(plant);
+  }
+
+  await checkTagName(device.id, fields.name);
+  await validateFormula({ id: 0, ...fields }, device);
+
+  const tag = await prisma.tag.create({
+    data: {
+      deviceId: device.id,
+      ...fields,
+    },
+    include: TAG_INCLUDE,
+  });
+
+  invalidateTopicCache(plantId);
+
+  logger.info('Calculated tag created', { tagId: tag.id, plantId, calculationMode: tag.calculationMode, userId });
+
+  return withLevel(tag);
+};
+
+/**
+ * Update a calculated tag
+ * The calculation mode cannot change: stored INGESTION values would mix with computed ones.
+ */
+const updateCalculatedTag = async (tagId, updateData, userId, userRole) => {
+  const existing = await checkCalculatedTagAccess(tagId, userId, userRole);
+
+  if (updateData.name && updateData.name !== existing.name) {
+    await checkTagName(existing.deviceId, updateData.name, tagId);
+  }
+
+  // A rename can break formulas referencing the tag, so they are checked too
+  const merged = { ...existing, ...updateData };
+  if (updateData.formula !== undefined || updateData.name !== undefined || updateData.dataType !== undefined) {
+    await validateFormula(merged, existing.device);
+
+    if (updateData.name && updateData.name !== existing.name) {
+      const dependents = findDependentTags(tagId, await getPlantDevices(existing.device.plantId));
+      if (dependents.length > 0) {
+        throw new ConflictError(`Tag is referenced by ${dependents.join(', ')}; update their formulas first`);
+      }
+    }
+  }
+
+  const tag = await prisma.tag.update({
+    where: { id: tagId },
+    data: updateData,
+    include: TAG_INCLUDE,
+  });
+
+  invalidateTopicCache(existing.device.plantId);
+
+  logger.info('Calculated tag updated', { tagId, userId });
+
+  return withLevel(tag);
+};
+
+/**
+ * Delete a calculated tag and its stored values
+ */
+const deleteCalculatedTag = async (tagId, userId, userRole) => {
+  const existing = await checkCalculatedTagAccess(tagId, userId, userRole);
+
+  invalidateTopicCache(existing.device.plantId);
+  const dependents = findDependentTags(tagId, await getPlantDevices(existing.device.plantId));
+  if (dependents.length > 0) {
+    throw new ConflictError(`Tag is referenced by ${dependents.join(', ')}; update their formulas first`);
+  }
+
+  await prisma.tag.delete({ where: { id: tagId } });
+  invalidateTopicCache(existing.device.plantId);
+
+  logger.info('Calculated tag deleted', { tagId, userId });
+
+  return {
+    message: 'Calculated tag deleted successfully',
+  };
+};
+
+export {
+  getCalculatedTags,
+  getCalculatedTagById,
+  createCalculatedTag,
+  updateCalculatedTag,
+  deleteCalculatedTag,
+};
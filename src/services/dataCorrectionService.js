@@ -0,0 +1,409 @@
+/**
+ * Data Correction Service
+ * Manual changes to processed data: insert, override or invalidate points
+ *
+ * Every change needs a reason. Changes by admins are applied at once; changes by plant
+ * managers wait for an admin's approval. Applying a change writes processed_data (so
+ * queries, rollups, counters and exports see the corrected value) and keeps the point as
+ * it was before in the correction. Requests, reviews and applied changes are audit logged.
+ */
+
+import { prisma } from '../config/database.js';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, BadRequestError, ConflictError, ValidationError } from '../utils/errors.js';
+import { logAuditEntry } from './auditService.js';
+import { hasPlantAccess } from './userPlantMapService.js';
+import { checkPlantAccess } from './dataService.js';
+import { coerceValue } from '../modules/ingestion/index.js';
+import { queueRollups, triggerRollupRefresh } from '../modules/rollups/index.js';
+import { getPlantCounters, recomputeCounterDeltas } from '../modules/counters/index.js';
+import { calculateIngestedValues } from '../modules/calculated-tags/index.js';
+
+// Flags of corrected processed_data points
+const CORRECTION_FLAGS = {
+  INSERT: ['MANUAL'],
+  OVERRIDE: ['CORRECTED'],
+};
+
+// Audit action per correction action
+const AUDIT_ACTIONS = {
+  INSERT: 'CREATE',
+  OVERRIDE: 'UPDATE',
+  INVALIDATE: 'DELETE',
+};
+
+const CORRECTION_INCLUDE = {
+  tag: {
+    select: { id: true, name: true, unit: true },
+  },
+  device: {
+    select: { id: true, name: true },
+  },
+  requester: {
+    select: { id: true, name: true, email: true },
+  },
+  reviewer: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+const POINT_SELECT = { id: true, value: true, quality: true, flags: true };
+
+/**
+ * Get a correction of a plant the user can access
+ */
+const checkCorrectionAccess = async (correctionId, userId, userRole) => {
+  const correction = await prisma.dataCorrection.findUnique({
+    where: { id: correctionId },
+    include: CORRECTION_INCLUDE,
+  });
+
+  if (!correction) {
+    throw new NotFoundError('Data correction not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, correction.plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+
+  return correction;
+};
+
+/**
+ * Check that the current point allows the correction: INSERT needs no point, OVERRIDE and
+ * INVALIDATE need one
+ */
+const checkPointState = (action, point) => {
+  if (action === 'INSERT' && point) {
+    throw new ConflictError('A data point already exists at this time. Override it instead');
+  }
+  if (action !== 'INSERT' && !point) {
+    throw new NotFoundError('No data point exists at this time');
+  }
+};
+
+/**
+ * Find the stored point a correction applies to
+ */
+const findPoint = ({ deviceId, tagId, timestamp }, client = prisma) =>
+  client.processedData.findUnique({
+    where: { deviceId_tagId_timestamp: { deviceId, tagId, timestamp } },
+    select: POINT_SELECT,
+  });
+
+/**
+ * Recompute what derives from a corrected point: counter deltas and calculated tags
+ * Failures are logged; the correction itself is already stored.
+ */
+const recomputeDerivedData = async (correction, plant) => {
+  const { plantId, deviceId, tagId, timestamp, action, value } = correction;
+
+  try {
+    const [counter] = await getPlantCounters(plantId, [tagId]);
+    if (counter) await recomputeCounterDeltas(counter, timestamp, timestamp);
+  } catch (error) {
+    logger.error('Counter delta update failed after data correction', {
+      correctionId: correction.id,
+      error: error.message,
+    });
+  }
+
+  if (action === 'INVALIDATE') return;
+  try {
+    await calculateIngestedValues({ plant, points: [{ plantId, deviceId, tagId, timestamp, value }] });
+  } catch (error) {
+    logger.error('Tag calculation failed after data correction', {
+      correctionId: correction.id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Mark a correction reviewed if it is still pending (within a transaction)
+ * Two admins reviewing the same correction at once: only the first one changes it.
+ */
+const claimPendingCorrection = async (tx, correctionId, data) => {
+  const { count } = await tx.dataCorrection.updateMany({
+    where: { id: correctionId, status: 'PENDING' },
+    data,
+  });
+  if (count === 0) {
+    throw new ConflictError('Data correction was already reviewed');
+  }
+};
+
+/**
+ * Apply a correction to processed_data, keeping the point as it was before
+ * @param {Object} correction - Pending correction
+ * @param {number} userId - Admin applying it
+ * @param {string} [reviewNote] - Note of the approving admin
+ * @returns {Promise<Object>} Applied correction
+ */
+const applyCorrection = async (correction, userId, reviewNote = null) => {
+  const { plantId, deviceId, tagId, timestamp, action, value } = correction;
+
+  const key = { deviceId_tagId_timestamp: { deviceId, tagId, timestamp } };
+  const now = new Date();
+  const writes = {
+    INSERT: (tx) =>
+      tx.processedData.create({
+        data: { plantId, deviceId, tagId, timestamp, value, quality: 100, flags: CORRECTION_FLAGS.INSERT },
+        select: POINT_SELECT,
+      }),
+    OVERRIDE: (tx) =>
+      tx.processedData.update({
+        where: key,
+        data: { value, quality: 100, flags: CORRECTION_FLAGS.OVERRIDE },
+        select: POINT_SELECT,
+      }),
+    INVALIDATE: (tx) => tx.processedData.delete({ where: key, select: POINT_SELECT }),
+  };
+
+  const { point, written, applied } = await prisma.$transaction(async (tx) => {
+    await claimPendingCorrection(tx, correction.id, {
+      status: 'APPLIED',
+      reviewedBy: userId,
+      reviewedAt: now,
+      reviewNote,
+      appliedAt: now,
+    });
+
+    const point = await findPoint(correction, tx);
+    checkPointState(action, point);
+
+    const written = await writes[action](tx);
+    const applied = await tx.dataCorrection.update({
+      where: { id: correction.id },
+      data: {
+        originalValue: point?.value ?? null,
+        originalQuality: point?.quality ?? null,
+        originalFlags: point?.flags ?? undefined,
+      },
+      include: CORRECTION_INCLUDE,
+    });
+    if (config.rollups.enabled) await queueRollups([{ plantId, tagId, timestamp }], tx);
+
+    return { point, written, applied };
+  });
+
+  if (config.rollups.enabled) triggerRollupRefresh();
+
+  await logAuditEntry({
+    entityType: 'ProcessedData',
+    entityId: String(written.id),
+    action: AUDIT_ACTIONS[action],
+    userId,
+    changesBefore: point && { value: point.value, quality: point.quality, flags: point.flags },
+    changesAfter: action === 'INVALIDATE' ? null : { value: written.value, quality: written.quality, flags: written.flags },
+    metadata: {
+      correctionId: correction.id,
+      correctionAction: action,
+      reason: correction.reason,
+      plantId,
+      deviceId,
+      tagId,
+      timestamp,
+      requestedBy: correction.requestedBy,
+    },
+  });
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  await recomputeDerivedData(applied, plant);
+
+  logger.info('Data correction applied', { correctionId: correction.id, action, tagId, userId });
+
+  return applied;
+};
+
+/**
+ * Request a correction of a point; applied at once for admins, pending approval otherwise
+ */
+const createDataCorrection = async (correctionData, userId, userRole) => {
+  const { tagId, action, reason } = correctionData;
+  const timestamp = new Date(correctionData.timestamp);
+
+  const tag = await prisma.tag.findUnique({
+    where: { id: tagId },
+    include: { device: { select: { id: true, plantId: true } } },
+  });
+  if (!tag) {
+    throw new NotFoundError('Tag not found');
+  }
+  await checkPlantAccess(tag.device.plantId, userId, userRole);
+
+  if (tag.formula && tag.calculationMode === 'QUERY') {
+    throw new BadRequestError('Tags calculated at query time have no stored data to correct');
+  }
+  if (timestamp > new Date()) {
+    throw new BadRequestError('Timestamp cannot be in the future');
+  }
+
+  let value = null;
+  if (action !== 'INVALIDATE') {
+    value = coerceValue(correctionData.value, tag.dataType);
+    if (value === null) {
+      throw new ValidationError('Validation failed', [
+        { field: 'value', message: `Value is not a valid ${tag.dataType.toLowerCase()}` },
+      ]);
+    }
+  }
+
+  const pending = await prisma.dataCorrection.findFirst({
+    where: { tagId, timestamp, status: 'PENDING' },
+    select: { id: true },
+  });
+  if (pending) {
+    throw new ConflictError(`Data correction #${pending.id} for this point is already waiting for approval`);
+  }
+
+  checkPointState(action, await findPoint({ deviceId: tag.device.id, tagId, timestamp }));
+
+  const correction = await prisma.dataCorrection.create({
+    data: {
+      plantId: tag.device.plantId,
+      deviceId: tag.device.id,
+      tagId,
+      timestamp,
+      action,
+      value,
+      reason,
+      requestedBy: userId,
+    },
+    include: CORRECTION_INCLUDE,
+  });
+
+  await logAuditEntry({
+    entityType: 'DataCorrection',
+    entityId: String(correction.id),
+    action: 'CREATE',
+    userId,
+    changesBefore: null,
+    changesAfter: {
+      plantId: correction.plantId,
+      deviceId: correction.deviceId,
+      tagId,
+      timestamp,
+      action,
+      value,
+      reason,
+      status: correction.status,
+    },
+  });
+
+  // Admins apply their own changes; plant managers wait for approval
+  if (userRole === 'ADMIN') {
+    return applyCorrection(correction, userId);
+  }
+
+  logger.info('Data correction requested', { correctionId: correction.id, action, tagId, userId });
+  return correction;
+};
+
+/**
+ * Get a pending correction for review
+ */
+const getPendingCorrection = async (correctionId, userId, userRole) => {
+  const correction = await checkCorrectionAccess(correctionId, userId, userRole);
+  if (correction.status !== 'PENDING') {
+    throw new ConflictError(`Data correction is already ${correction.status.toLowerCase()}`);
+  }
+  return correction;
+};
+
+/**
+ * Approve and apply a pending correction (admin)
+ */
+const approveDataCorrection = async (correctionId, userId, userRole, note = null) => {
+  const correction = await getPendingCorrection(correctionId, userId, userRole);
+  return applyCorrection(correction, userId, note);
+};
+
+/**
+ * Reject a pending correction (admin)
+ */
+const rejectDataCorrection = async (correctionId, userId, userRole, note = null) => {
+  const correction = await getPendingCorrection(correctionId, userId, userRole);
+
+  const rejected = await prisma.$transaction(async (tx) => {
+    await claimPendingCorrection(tx, correctionId, {
+      status: 'REJECTED',
+      reviewedBy: userId,
+      reviewedAt: new Date(),
+      reviewNote: note,
+    });
+    return tx.dataCorrection.findUnique({ where: { id: correctionId }, include: CORRECTION_INCLUDE });
+  });
+
+  await logAuditEntry({
+    entityType: 'DataCorrection',
+    entityId: String(correctionId),
+    action: 'UPDATE',
+    userId,
+    changesBefore: { status: correction.status },
+    changesAfter: { status: rejected.status, reviewNote: note },
+    metadata: { reason: correction.reason, requestedBy: correction.requestedBy },
+  });
+
+  logger.info('Data correction rejected', { correctionId, userId });
+
+  return rejected;
+};
+
+/**
+ * Get the corrections of a plant, newest first
+ */
+const getDataCorrections = async (plantId, userId, userRole, filters = {}, pagination = {}) => {
+  await checkPlantAccess(plantId, userId, userRole);
+
+  const { status, action, tagId, startTime, endTime } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const where = {
+    plantId,
+    ...(status && { status }),
+    ...(action && { action }),
+    ...(tagId && { tagId }),
+    ...((startTime || endTime) && {
+      timestamp: {
+        ...(startTime && { gte: new Date(startTime) }),
+        ...(endTime && { lte: new Date(endTime) }),
+      },
+    }),
+  };
+
+  const [corrections, total] = await Promise.all([
+    prisma.dataCorrection.findMany({
+      where,
+      include: CORRECTION_INCLUDE,
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.dataCorrection.count({ where }),
+  ]);
+
+  return {
+    corrections,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get a correction by ID
+ */
+const getDataCorrectionById = (correctionId, userId, userRole) =>
+  checkCorrectionAccess(correctionId, userId, userRole);
+
+export {
+  createDataCorrection,
+  approveDataCorrection,
+  rejectDataCorrection,
+  getDataCorrections,
+  getDataCorrectionById,
+};
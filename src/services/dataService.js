@@ -4,7 +4,29 @@
  */
 
 import { prisma } from '../config/database.js';
+import config from '../config/index.js';
 import { NotFoundError, ForbiddenError, BadRequestError } from '../utils/errors.js';
+import { hasPlantAccess } from './userPlantMapService.js';
+import {
+  DAY_MS,
+  HOUR_MS,
+  selectRollupSource,
+  formatInterval,
+  parseInterval,
+  queryAggregatedSeries,
+  queueRollupRange,
+  triggerRollupRefresh,
+} from '../modules/rollups/index.js';
+import {
+  getVirtualTags,
+  queryVirtualPoints,
+  queryVirtualBuckets,
+  getVirtualLatestValues,
+} from '../modules/calculated-tags/index.js';
+import { getExpectedIntervals, detectGaps, fillGaps } from '../modules/gaps/index.js';
+import { getBackfillStatus } from '../modules/ingestion/index.js';
+
+const RAW_LIMIT = 10000; // Raw points per response
 
 /**
  * Check if user has access to plant
@@ -18,7 +40,8 @@ const checkPlantAccess = async (plantId, userId, userRole) => {
     throw new NotFoundError('Plant not found');
   }
 
-  if (userRole !== 'ADMIN' && plant.ownerId !== userId) {
+  // Non-admin users can only access plants assigned to them (UserPlantMap)
+  if (!(await hasPlantAccess(userId, userRole, plant.id))) {
     throw new ForbiddenError('You do not have access to this plant');
   }
 
@@ -31,20 +54,13 @@ const checkPlantAccess = async (plantId, userId, userRole) => {
 const checkDeviceAccess = async (deviceId, userId, userRole) => {
   const device = await prisma.device.findUnique({
     where: { id: deviceId },
-    include: {
-      plant: {
-        select: {
-          ownerId: true,
-        },
-      },
-    },
   });
 
   if (!device) {
     throw new NotFoundError('Device not found');
   }
 
-  if (userRole !== 'ADMIN' && device.plant.ownerId !== userId) {
+  if (!(await hasPlantAccess(userId, userRole, device.plantId))) {
     throw new ForbiddenError('You do not have access to this device');
   }
 
@@ -70,13 +86,247 @@ const parseTimeRange = (startTime, endTime) => {
     throw new BadRequestError('Start time must be before end time');
   }
 
-  // Limit query range to 90 days
-  const maxRange = 90 * 24 * 60 * 60 * 1000; // 90 days in milliseconds
-  if (end - start > maxRange) {
-    throw new BadRequestError('Time range cannot exceed 90 days');
+  return { start, end };
+};
+
+/**
+ * Limit the range of queries reading processed_data directly
+ */
+const checkRawRange = (start, end) => {
+  const { rawMaxRangeDays } = config.rollups;
+  if (end - start > rawMaxRangeDays * DAY_MS) {
+    throw new BadRequestError(
+      `Time range cannot exceed ${rawMaxRangeDays} days for raw data or intervals that are not a multiple of 5m`
+    );
   }
+};
 
-  return { start, end };
+/**
+ * Resolve the time range and bucket interval of a historical query
+ * Raw points, intervals that no rollup divides and minQuality filters read processed_data
+ * and are limited to ROLLUP_RAW_MAX_RANGE_DAYS; rollup-backed intervals are limited by
+ * bucket count only. Without an interval, 1h is used unless the range needs coarser
+ * (whole day) buckets. Original (uncorrected) values are available for raw points only.
+ * @param {Object} filters - { startTime, endTime, aggregation, interval, minQuality, originalValues }
+ * @returns {Object} { start, end, intervalMs } (no intervalMs for raw)
+ */
+const resolveQueryWindow = ({ startTime, endTime, aggregation = 'raw', interval, minQuality, originalValues }) => {
+  const { maxBuckets } = config.rollups;
+  const { start, end } = parseTimeRange(startTime, endTime);
+
+  if (originalValues && aggregation !== 'raw') {
+    throw new BadRequestError('Original values are only available for raw data');
+  }
+
+  if (aggregation === 'raw') {
+    checkRawRange(start, end);
+    return { start, end };
+  }
+
+  let intervalMs = interval ? parseInterval(interval) : HOUR_MS;
+  if (!interval && (end - start) / HOUR_MS > maxBuckets) {
+    intervalMs = Math.ceil((end - start) / DAY_MS / maxBuckets) * DAY_MS;
+  }
+
+  if (minQuality || !selectRollupSource(intervalMs)) {
+    checkRawRange(start, end);
+  }
+
+  if (Math.ceil((end - start) / intervalMs) > maxBuckets) {
+    throw new BadRequestError(
+      `Interval ${formatInterval(intervalMs)} gives more than ${maxBuckets} buckets for this time range. Use a larger interval`
+    );
+  }
+
+  return { start, end, intervalMs };
+};
+
+/**
+ * Find the tag IDs selected by tag ID and tag name filters
+ * @param {Object} where - Tag scope (e.g. { deviceId } or { device: { plantId } })
+ * @param {Object} filters - { tagIds, tagNames }
+ * @returns {Promise<Array<number>|null>} Tag IDs, or null when not filtered
+ */
+const resolveTagFilter = async (where, { tagIds, tagNames }) => {
+  if (!tagIds?.length && !tagNames?.length) return null;
+
+  const tags = await prisma.tag.findMany({
+    where: {
+      ...where,
+      ...(tagIds?.length > 0 && { id: { in: tagIds } }),
+      ...(tagNames?.length > 0 && { name: { in: tagNames } }),
+    },
+    select: { id: true },
+  });
+  return tags.map((t) => t.id);
+};
+
+/**
+ * Compute raw points of the virtual (QUERY calculated) tags of a scope
+ * @param {Object} scope - { plantId, deviceIds, tagIds }
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {boolean} withDevice - Attach device name and type (plant queries)
+ * @returns {Promise<Array<Object>>} Rows shaped like processed data rows
+ */
+const getVirtualRawData = async (scope, start, end, withDevice = true) => {
+  const tags = await getVirtualTags(scope);
+  const points = await queryVirtualPoints(scope.plantId, tags, start, end, RAW_LIMIT, scope);
+  const byId = new Map(tags.map((entry) => [entry.tag.id, entry]));
+
+  return points.map((point) => {
+    const { tag, device } = byId.get(point.tagId);
+    return {
+      plantId: scope.plantId,
+      deviceId: point.deviceId,
+      tagId: point.tagId,
+      timestamp: point.timestamp,
+      value: point.value,
+      quality: 100,
+      tag: { name: tag.name, unit: tag.unit, dataType: tag.dataType },
+      ...(withDevice && { device: { name: device.name, deviceType: device.deviceType } }),
+    };
+  });
+};
+
+/**
+ * Replace manually corrected raw rows by the points as they were before their first
+ * applied correction: overridden values are restored, invalidated points come back and
+ * points typed in by hand are left out
+ * @param {Array<Object>} rows - Stored processed data rows in time order
+ * @param {Object} where - processed_data filter of the query
+ * @param {Object} [include] - Relations attached to the rows (tag, device)
+ * @returns {Promise<Array<Object>>} Rows in time order
+ */
+const restoreOriginalValues = async (rows, { quality, ...where }, include) => {
+  const corrections = await prisma.dataCorrection.findMany({
+    where: { ...where, status: 'APPLIED' },
+    orderBy: { appliedAt: 'asc' },
+    ...(include && { include }),
+  });
+  if (corrections.length === 0) return rows;
+
+  const keyOf = (row) => `${row.deviceId}:${row.tagId}:${row.timestamp.getTime()}`;
+  const firstByPoint = new Map();
+  corrections.forEach((correction) => {
+    if (!firstByPoint.has(keyOf(correction))) firstByPoint.set(keyOf(correction), correction);
+  });
+
+  const originals = [...firstByPoint.values()]
+    .filter((correction) => correction.originalValue !== null)
+    .filter((correction) => !quality || correction.originalQuality >= quality.gte)
+    .map((correction) => ({
+      plantId: correction.plantId,
+      deviceId: correction.deviceId,
+      tagId: correction.tagId,
+      timestamp: correction.timestamp,
+      value: correction.originalValue,
+      quality: correction.originalQuality,
+      flags: correction.originalFlags,
+      ...(include?.tag && { tag: correction.tag }),
+      ...(include?.device && { device: correction.device }),
+    }));
+
+  return [...rows.filter((row) => !firstByPoint.has(keyOf(row))), ...originals]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, RAW_LIMIT);
+};
+
+/**
+ * Merge stored and virtual raw rows in time order, keeping the first RAW_LIMIT
+ */
+const mergeRawData = (stored, virtual) =>
+  virtual.length === 0
+    ? stored
+    : [...stored, ...virtual].sort((a, b) => a.timestamp - b.timestamp).slice(0, RAW_LIMIT);
+
+/**
+ * Fill the gaps of raw rows in time order, every expected interval of each tag
+ * @param {Array<Object>} rows - Processed data rows (stored and virtual)
+ * @param {string} fill - Fill mode
+ * @returns {Promise<Object>} { data, filledPoints }
+ */
+const fillRawData = async (rows, fill) => {
+  if (!fill || fill === 'none' || rows.length === 0) return { data: rows, filledPoints: 0 };
+
+  const steps = await getExpectedIntervals([...new Set(rows.map((row) => row.tagId))]);
+  const stepFor = (tagId) => steps.get(tagId);
+  const { data, filledPoints } = fillGaps(
+    rows,
+    { fill, stepFor, thresholdFor: (tagId) => stepFor(tagId) * config.gaps.toleranceFactor },
+    (previous, timestamp, value) => ({
+      plantId: previous.plantId,
+      deviceId: previous.deviceId,
+      tagId: previous.tagId,
+      timestamp,
+      value,
+      quality: null,
+      interpolated: true,
+      tag: previous.tag,
+      ...(previous.device && { device: previous.device }),
+    })
+  );
+
+  return { data: data.sort((a, b) => a.timestamp - b.timestamp), filledPoints };
+};
+
+/**
+ * Fill the missing buckets between the buckets of each aggregated series
+ * @param {Array<Object>} data - Buckets { tagId, timestamp, value, count }
+ * @param {string} fill - Fill mode
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {Object} { data, filledPoints }
+ */
+const fillBuckets = (data, fill, intervalMs) =>
+  fillGaps(
+    data,
+    // Local day and hour buckets are up to an hour longer or shorter on DST changes
+    { fill, stepFor: () => intervalMs, thresholdFor: () => intervalMs + Math.min(intervalMs / 2, HOUR_MS) },
+    (previous, timestamp, value) => ({ ...previous, timestamp, value, count: 0, interpolated: true })
+  );
+
+/**
+ * Aggregate series (stored and virtual tags) and attach tag and device names
+ * @param {Object} scope - { plantId, deviceIds, tagIds }
+ * @param {Object} window - { start, end, intervalMs }
+ * @param {string} aggregation - avg, min, max, sum, count, first or last
+ * @param {string} [fill] - Fill mode for missing buckets
+ * @returns {Promise<Object>} { source, data, filledPoints }
+ */
+const getAggregatedData = async (scope, { start, end, intervalMs }, aggregation, fill = 'none') => {
+  const [{ source, buckets: stored }, virtual] = await Promise.all([
+    queryAggregatedSeries(scope, start, end, intervalMs),
+    getVirtualTags(scope).then((tags) => queryVirtualBuckets(scope.plantId, tags, start, end, intervalMs, scope)),
+  ]);
+  const buckets = [...stored, ...virtual];
+
+  const tags = await prisma.tag.findMany({
+    where: { id: { in: [...new Set(buckets.map((b) => b.tagId))] } },
+    select: {
+      id: true,
+      name: true,
+      unit: true,
+      deviceId: true,
+      device: { select: { name: true } },
+    },
+  });
+  const tagMap = new Map(tags.map((t) => [t.id, t]));
+
+  const data = buckets.map((bucket) => {
+    const tag = tagMap.get(bucket.tagId);
+    return {
+      timestamp: bucket.timestamp,
+      tagId: bucket.tagId,
+      tagName: tag?.name,
+      unit: tag?.unit,
+      deviceId: tag?.deviceId,
+      deviceName: tag?.device.name,
+      value: bucket[aggregation],
+      count: bucket.count,
+    };
+  });
+
+  return { source, ...fillBuckets(data, fill, intervalMs) };
 };
 
 /**
@@ -126,6 +376,23 @@ const getPlantRealtimeData = async (plantId, userId, userRole) => {
     take: 500, // Limit to prevent huge responses
   });
 
+  // Virtual tags are computed from the latest values of their inputs
+  const virtualData = await getVirtualLatestValues(
+    plantId,
+    await getVirtualTags({ plantId, deviceIds: null, tagIds: null })
+  );
+  virtualData.forEach(({ tag, device, value, timestamp }) => {
+    latestData.push({
+      deviceId: device.id,
+      tagId: tag.id,
+      timestamp,
+      value,
+      quality: 100,
+      tag: { name: tag.name, unit: tag.unit, dataType: tag.dataType },
+      device: { name: device.name, deviceType: device.deviceType },
+    });
+  });
+
   // Group by device
   const deviceData = {};
   latestData.forEach((point) => {
@@ -166,105 +433,85 @@ const getPlantRealtimeData = async (plantId, userId, userRole) => {
 const getPlantHistoricalData = async (plantId, userId, userRole, filters = {}) => {
   await checkPlantAccess(plantId, userId, userRole);
 
-  const { startTime, endTime, deviceIds, tagNames, aggregation = 'raw', interval } = filters;
+  const { deviceIds, tagIds, tagNames, minQuality, originalValues, fill = 'none', aggregation = 'raw' } = filters;
 
-  const { start, end } = parseTimeRange(startTime, endTime);
+  const window = resolveQueryWindow(filters);
+  const { start, end } = window;
 
-  const where = {
+  const scope = {
     plantId,
-    timestamp: {
-      gte: start,
-      lte: end,
-    },
+    deviceIds: deviceIds?.length > 0 ? deviceIds : null,
+    tagIds: await resolveTagFilter({ device: { plantId } }, { tagIds, tagNames }),
+    minQuality,
   };
 
-  // Filter by specific devices
-  if (deviceIds && deviceIds.length > 0) {
-    where.deviceId = { in: deviceIds };
-  }
-
-  // Filter by specific tags
-  if (tagNames && tagNames.length > 0) {
-    const tags = await prisma.tag.findMany({
-      where: {
-        name: { in: tagNames },
-        device: {
-          plantId,
-        },
-      },
-      select: { id: true },
-    });
-    where.tagId = { in: tags.map((t) => t.id) };
-  }
-
   if (aggregation === 'raw') {
     // Return raw data points
-    const data = await prisma.processedData.findMany({
-      where,
-      include: {
-        tag: {
-          select: {
-            name: true,
-            unit: true,
-          },
+    const where = {
+      plantId,
+      timestamp: {
+        gte: start,
+        lte: end,
+      },
+      ...(scope.deviceIds && { deviceId: { in: scope.deviceIds } }),
+      ...(scope.tagIds && { tagId: { in: scope.tagIds } }),
+      ...(minQuality && { quality: { gte: minQuality } }),
+    };
+    const include = {
+      tag: {
+        select: {
+          name: true,
+          unit: true,
         },
-        device: {
-          select: {
-            name: true,
-            deviceType: true,
-          },
+      },
+      device: {
+        select: {
+          name: true,
+          deviceType: true,
         },
       },
+    };
+    let stored = await prisma.processedData.findMany({
+      where,
+      include,
       orderBy: {
         timestamp: 'asc',
       },
-      take: 10000, // Limit to prevent huge responses
+      take: RAW_LIMIT, // Limit to prevent huge responses
     });
+    if (originalValues) stored = await restoreOriginalValues(stored, where, include);
+
+    const { data, filledPoints } = await fillRawData(
+      mergeRawData(stored, await getVirtualRawData(scope, start, end)),
+      fill
+    );
 
     return {
       plantId,
       startTime: start,
       endTime: end,
       aggregation: 'raw',
+      source: 'raw',
+      fill,
+      filledPoints,
       dataPoints: data.length,
       data,
     };
   } else {
-    // Aggregated data (avg, min, max, sum per interval)
-    // For simplicity, we'll do basic grouping by time buckets
-    const data = await prisma.processedData.findMany({
-      where,
-      include: {
-        tag: {
-          select: {
-            name: true,
-            unit: true,
-          },
-        },
-        device: {
-          select: {
-            name: true,
-            deviceType: true,
-          },
-        },
-      },
-      orderBy: {
-        timestamp: 'asc',
-      },
-      take: 10000,
-    });
-
-    // Group and aggregate data
-    const aggregated = aggregateData(data, interval || '1h', aggregation);
+    // Aggregated per tag and interval in the database, from rollups where possible
+    const { source, data, filledPoints } = await getAggregatedData(scope, window, aggregation, fill);
 
     return {
       plantId,
       startTime: start,
       endTime: end,
       aggregation,
-      interval: interval || '1h',
-      dataPoints: aggregated.length,
-      data: aggregated,
+      interval: formatInterval(window.intervalMs),
+      source,
+      fill,
+      filledPoints,
+      dataPoints: data.length,
+      data,
     };
   }
 };
@@ -293,6 +540,21 @@ const getDeviceRealtimeData = async (deviceId, userId, userRole) => {
     },
   });
 
+  // Virtual tags are computed from the latest values of their inputs
+  const virtualData = await getVirtualLatestValues(
+    device.plantId,
+    await getVirtualTags({ plantId: device.plantId, deviceIds: [deviceId], tagIds: null })
+  );
+  virtualData.forEach(({ tag, value, timestamp }) => {
+    latestData.push({
+      tagId: tag.id,
+      timestamp,
+      value,
+      quality: 100,
+      tag: { name: tag.name, unit: tag.unit, dataType: tag.dataType },
+    });
+  });
+
   const tags = {};
   let latestTimestamp = null;
 
@@ -327,35 +589,31 @@ const getDeviceRealtimeData = async (deviceId, userId, userRole) => {
  * Get historical data for a device
  */
 const getDeviceHistoricalData = async (deviceId, userId, userRole, filters = {}) => {
-  await checkDeviceAccess(deviceId, userId, userRole);
+  const device = await checkDeviceAccess(deviceId, userId, userRole);
 
-  const { startTime, endTime, tagNames, aggregation = 'raw', interval } = filters;
+  const { tagIds, tagNames, minQuality, originalValues, fill = 'none', aggregation = 'raw' } = filters;
 
-  const { start, end } = parseTimeRange(startTime, endTime);
+  const window = resolveQueryWindow(filters);
+  const { start, end } = window;
 
-  const where = {
-    deviceId,
-    timestamp: {
-      gte: start,
-      lte: end,
-    },
+  const scope = {
+    plantId: device.plantId,
+    deviceIds: [deviceId],
+    tagIds: await resolveTagFilter({ deviceId }, { tagIds, tagNames }),
+    minQuality,
   };
 
-  // Filter by specific tags
-  if (tagNames && tagNames.length > 0) {
-    const tags = await prisma.tag.findMany({
-      where: {
-        deviceId,
-        name: { in: tagNames },
+  if (aggregation === 'raw') {
+    const where = {
+      deviceId,
+      timestamp: {
+        gte: start,
+        lte: end,
       },
-      select: { id: true },
-    });
-    where.tagId = { in: tags.map((t) => t.id) };
-  }
-
-  const data = await prisma.processedData.findMany({
-    where,
-    include: {
+      ...(scope.tagIds && { tagId: { in: scope.tagIds } }),
+      ...(minQuality && { quality: { gte: minQuality } }),
+    };
+    const include = {
       tag: {
         select: {
           name: true,
@@ -363,32 +621,46 @@ const getDeviceHistoricalData = async (deviceId, userId, userRole, filters = {})
           dataType: true,
         },
       },
-    },
-    orderBy: {
-      timestamp: 'asc',
-    },
-    take: 10000,
-  });
+    };
+    let stored = await prisma.processedData.findMany({
+      where,
+      include,
+      orderBy: {
+        timestamp: 'asc',
+      },
+      take: RAW_LIMIT,
+    });
+    if (originalValues) stored = await restoreOriginalValues(stored, where, include);
+
+    const { data, filledPoints } = await fillRawData(
+      mergeRawData(stored, await getVirtualRawData(scope, start, end, false)),
+      fill
+    );
 
-  if (aggregation === 'raw') {
     return {
       deviceId,
       startTime: start,
       endTime: end,
       aggregation: 'raw',
+      source: 'raw',
+      fill,
+      filledPoints,
       dataPoints: data.length,
       data,
     };
   } else {
-    const aggregated = aggregateData(data, interval || '1h', aggregation);
+    const { source, data, filledPoints } = await getAggregatedData(scope, window, aggregation, fill);
     return {
       deviceId,
       startTime: start,
       endTime: end,
       aggregation,
-      interval: interval || '1h',
-      dataPoints: aggregated.length,
-      data: aggregated,
+      interval: formatInterval(window.intervalMs),
+      source,
+      fill,
+      filledPoints,
+      dataPoints: data.length,
+      data,
     };
   }
 };
@@ -402,12 +674,8 @@ const getTagHistoricalData = async (tagId, userId, userRole, filters = {}) => {
     where: { id: tagId },
     include: {
       device: {
-        include: {
-          plant: {
-            select: {
-              ownerId: true,
-            },
-          },
+        select: {
+          plantId: true,
         },
       },
     },
@@ -417,31 +685,39 @@ const getTagHistoricalData = async (tagId, userId, userRole, filters = {}) => {
     throw new NotFoundError('Tag not found');
   }
 
-  if (userRole !== 'ADMIN' && tag.device.plant.ownerId !== userId) {
+  if (!(await hasPlantAccess(userId, userRole, tag.device.plantId))) {
     throw new ForbiddenError('You do not have access to this tag');
   }
 
-  const { startTime, endTime, aggregation = 'raw', interval } = filters;
+  const { minQuality, originalValues, fill = 'none', aggregation = 'raw' } = filters;
 
-  const { start, end } = parseTimeRange(startTime, endTime);
+  const window = resolveQueryWindow(filters);
+  const { start, end } = window;
+  const scope = { plantId: tag.device.plantId, deviceIds: null, tagIds: [tagId], minQuality };
 
-  const where = {
-    tagId,
-    timestamp: {
-      gte: start,
-      lte: end,
-    },
-  };
+  if (aggregation === 'raw') {
+    const where = {
+      tagId,
+      timestamp: {
+        gte: start,
+        lte: end,
+      },
+      ...(minQuality && { quality: { gte: minQuality } }),
+    };
+    let stored = await prisma.processedData.findMany({
+      where,
+      orderBy: {
+        timestamp: 'asc',
+      },
+      take: RAW_LIMIT,
+    });
+    if (originalValues) stored = await restoreOriginalValues(stored, where);
 
-  const data = await prisma.processedData.findMany({
-    where,
-    orderBy: {
-      timestamp: 'asc',
-    },
-    take: 10000,
-  });
+    const { data, filledPoints } = await fillRawData(
+      mergeRawData(stored, await getVirtualRawData(scope, start, end, false)),
+      fill
+    );
 
-  if (aggregation === 'raw') {
     return {
       tagId,
       tagName: tag.name,
@@ -449,15 +725,32 @@ const getTagHistoricalData = async (tagId, userId, userRole, filters = {}) => {
       startTime: start,
       endTime: end,
       aggregation: 'raw',
+      source: 'raw',
+      fill,
+      filledPoints,
       dataPoints: data.length,
       data: data.map((d) => ({
         timestamp: d.timestamp,
         value: d.value,
         quality: d.quality,
+        ...(d.interpolated && { interpolated: true }),
       })),
     };
   } else {
-    const aggregated = aggregateTagData(data, interval || '1h', aggregation);
+    const [{ source, buckets: stored }, virtual] = await Promise.all([
+      queryAggregatedSeries(scope, start, end, window.intervalMs),
+      getVirtualTags(scope).then((tags) => queryVirtualBuckets(scope.plantId, tags, start, end, window.intervalMs, scope)),
+    ]);
+    const { data, filledPoints } = fillBuckets(
+      [...stored, ...virtual].map((bucket) => ({
+        timestamp: bucket.timestamp,
+        value: bucket[aggregation],
+        count: bucket.count,
+      })),
+      fill,
+      window.intervalMs
+    );
+
     return {
       tagId,
       tagName: tag.name,
@@ -465,9 +758,12 @@ const getTagHistoricalData = async (tagId, userId, userRole, filters = {}) => {
       startTime: start,
       endTime: end,
       aggregation,
-      interval: interval || '1h',
-      dataPoints: aggregated.length,
-      data: aggregated,
+      interval: formatInterval(window.intervalMs),
+      source,
+      fill,
+      filledPoints,
+      dataPoints: data.length,
+      data,
     };
   }
 };
@@ -514,122 +810,117 @@ const getPlantDataStats = async (plantId, userId, userRole) => {
 };
 
 /**
- * Helper function to aggregate data
+ * Get the gaps in the data of a plant per tag
+ * Reads processed_data, so the range is limited to ROLLUP_RAW_MAX_RANGE_DAYS; it ends at
+ * the current time at most.
+ * @param {Object} filters - { startTime, endTime, deviceIds, tagIds }
  */
-function aggregateData(data, interval, aggregation) {
-  // Group data by time buckets and tag
-  const intervalMs = parseInterval(interval);
-  const buckets = {};
-
-  data.forEach((point) => {
-    const bucketTime = Math.floor(point.timestamp.getTime() / intervalMs) * intervalMs;
-    const key = `${bucketTime}-${point.tagId}`;
-
-    if (!buckets[key]) {
-      buckets[key] = {
-        timestamp: new Date(bucketTime),
-        tagId: point.tagId,
-        tagName: point.tag.name,
-        unit: point.tag.unit,
-        deviceId: point.deviceId,
-        deviceName: point.device.name,
-        values: [],
-      };
-    }
+const getPlantDataGaps = async (plantId, userId, userRole, filters = {}) => {
+  await checkPlantAccess(plantId, userId, userRole);
 
-    buckets[key].values.push(point.value);
-  });
+  const { start, end: requestedEnd } = parseTimeRange(filters.startTime, filters.endTime);
+  const end = new Date(Math.min(requestedEnd.getTime(), Date.now()));
+  if (start >= end) {
+    throw new BadRequestError('Start time must be in the past');
+  }
+  checkRawRange(start, end);
 
-  // Calculate aggregated values
-  return Object.values(buckets).map((bucket) => {
-    const { values, ...rest } = bucket;
-    const result = { ...rest };
-
-    if (aggregation === 'avg' || aggregation === 'average') {
-      result.value = values.reduce((a, b) => a + b, 0) / values.length;
-    } else if (aggregation === 'min') {
-      result.value = Math.min(...values);
-    } else if (aggregation === 'max') {
-      result.value = Math.max(...values);
-    } else if (aggregation === 'sum') {
-      result.value = values.reduce((a, b) => a + b, 0);
-    } else if (aggregation === 'count') {
-      result.value = values.length;
-    }
+  const scope = {
+    plantId,
+    deviceIds: filters.deviceIds?.length > 0 ? filters.deviceIds : null,
+    tagIds: await resolveTagFilter({ device: { plantId } }, filters),
+  };
+  const { tags, truncated } = await detectGaps(scope, start, end);
+  const rangeMs = end - start;
 
-    result.count = values.length;
-    return result;
+  const results = tags.map(({ tag, gaps, ...stats }) => {
+    const gapMs = gaps.reduce((sum, gap) => sum + gap.durationMs, 0);
+    return {
+      tagId: tag.id,
+      tagName: tag.name,
+      unit: tag.unit,
+      deviceId: tag.deviceId,
+      deviceName: tag.device.name,
+      ...stats,
+      gapCount: gaps.length,
+      gapMs,
+      coverage: Math.round(((rangeMs - gapMs) / rangeMs) * 10000) / 100, // % of the range without gaps
+      gaps,
+    };
   });
-}
+
+  return {
+    plantId,
+    startTime: start,
+    endTime: end,
+    toleranceFactor: config.gaps.toleranceFactor,
+    tagCount: results.length,
+    tagsWithGaps: results.filter((tag) => tag.gapCount > 0).length,
+    gapCount: results.reduce((sum, tag) => sum + tag.gapCount, 0),
+    truncated,
+    tags: results,
+  };
+};
 
 /**
- * Helper function to aggregate tag data
+ * Get the status of the late (backfilled) data of a plant
  */
-function aggregateTagData(data, interval, aggregation) {
-  const intervalMs = parseInterval(interval);
-  const buckets = {};
-
-  data.forEach((point) => {
-    const bucketTime = Math.floor(point.timestamp.getTime() / intervalMs) * intervalMs;
+const getPlantBackfillStatus = async (plantId, userId, userRole) => {
+  await checkPlantAccess(plantId, userId, userRole);
 
-    if (!buckets[bucketTime]) {
-      buckets[bucketTime] = {
-        timestamp: new Date(bucketTime),
-        values: [],
-      };
-    }
+  return {
+    plantId,
+    ...(await getBackfillStatus(plantId)),
+  };
+};
 
-    buckets[bucketTime].values.push(point.value);
-  });
+/**
+ * Queue the rollups of a plant for rebuilding (e.g. after enabling rollups on existing data)
+ * Without a range, the whole history of the plant is rebuilt.
+ */
+const rebuildPlantRollups = async (plantId, userId, userRole, options = {}) => {
+  await checkPlantAccess(plantId, userId, userRole);
 
-  return Object.values(buckets).map((bucket) => {
-    const { values, ...rest } = bucket;
-    const result = { ...rest };
-
-    if (aggregation === 'avg' || aggregation === 'average') {
-      result.value = values.reduce((a, b) => a + b, 0) / values.length;
-    } else if (aggregation === 'min') {
-      result.value = Math.min(...values);
-    } else if (aggregation === 'max') {
-      result.value = Math.max(...values);
-    } else if (aggregation === 'sum') {
-      result.value = values.reduce((a, b) => a + b, 0);
-    } else if (aggregation === 'count') {
-      result.value = values.length;
-    }
+  if (!config.rollups.enabled) {
+    throw new BadRequestError('Data rollups are disabled');
+  }
 
-    result.count = values.length;
-    return result;
+  const { _min, _max } = await prisma.processedData.aggregate({
+    where: { plantId },
+    _min: { timestamp: true },
+    _max: { timestamp: true },
   });
-}
 
-/**
- * Parse interval string to milliseconds
- */
-function parseInterval(interval) {
-  const match = interval.match(/^(\d+)([smhd])$/);
-  if (!match) {
-    throw new BadRequestError('Invalid interval format. Use format like: 5m, 1h, 1d');
+  const start = options.startTime ? new Date(options.startTime) : _min.timestamp;
+  const end = options.endTime ? new Date(options.endTime) : _max.timestamp && new Date(_max.timestamp.getTime() + 1);
+
+  if (start && end && start >= end) {
+    throw new BadRequestError('Start time must be before end time');
   }
 
-  const value = parseInt(match[1]);
-  const unit = match[2];
+  const queuedBuckets = start && end ? await queueRollupRange({ plantId, start, end }) : 0;
+  if (queuedBuckets > 0) {
+    triggerRollupRefresh();
+  }
 
-  const multipliers = {
-    s: 1000,
-    m: 60 * 1000,
-    h: 60 * 60 * 1000,
-    d: 24 * 60 * 60 * 1000,
+  return {
+    plantId,
+    startTime: start,
+    endTime: end,
+    queuedBuckets,
   };
-
-  return value * multipliers[unit];
-}
+};
 
 export {
+  checkPlantAccess,
+  checkDeviceAccess,
   getPlantRealtimeData,
   getPlantHistoricalData,
   getDeviceRealtimeData,
   getDeviceHistoricalData,
   getTagHistoricalData,
   getPlantDataStats,
+  getPlantDataGaps,
+  getPlantBackfillStatus,
+  rebuildPlantRollups,
 };
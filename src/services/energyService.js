@@ -0,0 +1,284 @@
+/**
+ * Energy Service
+ * Energy production from the deltas of cumulative counter tags
+ *
+ * Counters are the tags named in ENERGY_PRODUCTION_TAGS unless a request names others.
+ * Totals leave SUSPICIOUS deltas out (they are reported separately) unless
+ * includeSuspicious is set.
+ */
+
+import { prisma } from '../config/database.js';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { BadRequestError } from '../utils/errors.js';
+import { getAccessiblePlantIds } from './userPlantMapService.js';
+import { checkPlantAccess, checkDeviceAccess } from './dataService.js';
+import { DAY_MS, HOUR_MS, parseInterval, formatInterval } from '../modules/rollups/index.js';
+import {
+  getPlantCounters,
+  rebuildCounterDeltas,
+  queryEnergySeries,
+  queryEnergyTotals,
+  queryCounterEvents,
+} from '../modules/counters/index.js';
+
+const DEFAULT_UNIT = 'kWh';
+const MAX_COUNTER_EVENTS = 50;
+
+const round = (value, digits = 3) => Number(Number(value).toFixed(digits));
+
+/**
+ * Resolve a time range (default: the last 24 hours)
+ */
+const getRange = (startTime, endTime) => {
+  const end = endTime ? new Date(endTime) : new Date();
+  const start = startTime ? new Date(startTime) : new Date(end.getTime() - DAY_MS);
+
+  if (start >= end) {
+    throw new BadRequestError('Start time must be before end time');
+  }
+  return { start, end };
+};
+
+/**
+ * Summarize energy totals rows
+ * @param {Array<Object>} rows - queryEnergyTotals rows
+ * @param {boolean} includeSuspicious - Count SUSPICIOUS deltas in the totals
+ * @returns {Object} { total, unit, byDevice: Map deviceId -> energy, deltas: { <status>: count }, suspiciousEnergy }
+ */
+const summarizeTotals = (rows, includeSuspicious) => {
+  const byDevice = new Map();
+  const deltas = {};
+  let total = 0;
+  let suspiciousEnergy = 0;
+
+  rows.forEach(({ deviceId, status, energy, count }) => {
+    deltas[status] = (deltas[status] || 0) + count;
+    if (status === 'SUSPICIOUS') suspiciousEnergy += energy;
+    if (status === 'SUSPICIOUS' && !includeSuspicious) return;
+
+    total += energy;
+    byDevice.set(deviceId, (byDevice.get(deviceId) || 0) + energy);
+  });
+
+  return {
+    total,
+    unit: rows.find((row) => row.unit)?.unit || DEFAULT_UNIT,
+    byDevice,
+    deltas,
+    suspiciousEnergy,
+  };
+};
+
+/**
+ * Get the energy of a plant per interval (charts)
+ * @param {Object} filters - { startTime, endTime, interval, deviceIds, tagNames, includeSuspicious }
+ */
+const getPlantEnergy = async (plantId, userId, userRole, filters = {}) => {
+  await checkPlantAccess(plantId, userId, userRole);
+
+  const { start, end } = getRange(filters.startTime, filters.endTime);
+  const intervalMs = filters.interval ? parseInterval(filters.interval) : HOUR_MS;
+  const { maxBuckets } = config.rollups;
+  if (Math.ceil((end - start) / intervalMs) > maxBuckets) {
+    throw new BadRequestError(
+      `Interval ${formatInterval(intervalMs)} gives more than ${maxBuckets} buckets for this time range. Use a larger interval`
+    );
+  }
+
+  const includeSuspicious = filters.includeSuspicious === true;
+  const scope = {
+    plantId,
+    deviceIds: filters.deviceIds?.length > 0 ? filters.deviceIds : null,
+    tagNames: filters.tagNames?.length > 0 ? filters.tagNames : config.counters.productionTags,
+  };
+
+  const [series, totals] = await Promise.all([
+    queryEnergySeries(scope, start, end, intervalMs, { includeSuspicious }),
+    queryEnergyTotals(scope, start, end),
+  ]);
+  const summary = summarizeTotals(totals, includeSuspicious);
+
+  const devices = await prisma.device.findMany({
+    where: { id: { in: [...summary.byDevice.keys()] } },
+    select: { id: true, deviceId: true, name: true, deviceType: true },
+  });
+
+  return {
+    plantId,
+    startTime: start,
+    endTime: end,
+    interval: formatInterval(intervalMs),
+    tagNames: scope.tagNames,
+    includeSuspicious,
+    unit: summary.unit,
+    total: round(summary.total),
+    series: series.map(({ timestamp, localTime, energy }) => ({ timestamp, localTime, energy: round(energy) })),
+    byDevice: devices
+      .map((device) => ({ ...device, energy: round(summary.byDevice.get(device.id)) }))
+      .sort((a, b) => b.energy - a.energy),
+    deltas: summary.deltas,
+    suspiciousEnergy: round(summary.suspiciousEnergy),
+  };
+};
+
+/**
+ * Resolve the plants (and devices) an energy report covers
+ * @returns {Promise<Object>} { plants: [{ id, name }], deviceIds }
+ */
+const getReportScope = async (userId, userRole, { plantId, deviceId }) => {
+  if (deviceId) {
+    const device = await checkDeviceAccess(deviceId, userId, userRole);
+    if (plantId && device.plantId !== plantId) {
+      throw new BadRequestError('Device does not belong to this plant');
+    }
+    const plant = await prisma.plant.findUnique({ where: { id: device.plantId }, select: { id: true, name: true } });
+    return { plants: [plant], deviceIds: [deviceId] };
+  }
+
+  if (plantId) {
+    const plant = await checkPlantAccess(plantId, userId, userRole);
+    return { plants: [{ id: plant.id, name: plant.name }], deviceIds: null };
+  }
+
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  const plants = await prisma.plant.findMany({
+    where: accessiblePlantIds ? { id: { in: accessiblePlantIds } } : {},
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' },
+  });
+  return { plants, deviceIds: null };
+};
+
+/**
+ * Get the energy production of one plant, one device or all accessible plants (reports)
+ * Days are local to each plant; plants in different timezones are added up per local date.
+ * @param {Object} filters - { plantId, deviceId, startDate, endDate, includeSuspicious }
+ * @returns {Promise<Object>} Totals, daily energy, per plant and device type, counter events
+ */
+const getEnergyProduction = async (userId, userRole, filters = {}) => {
+  const { start, end } = getRange(filters.startDate, filters.endDate);
+  const includeSuspicious = filters.includeSuspicious === true;
+  const { plants, deviceIds } = await getReportScope(userId, userRole, filters);
+  const tagNames = config.counters.productionTags;
+
+  const results = await Promise.all(
+    plants.map(async (plant) => {
+      const scope = { plantId: plant.id, deviceIds, tagNames };
+      const [series, totals, events] = await Promise.all([
+        queryEnergySeries(scope, start, end, DAY_MS, { includeSuspicious }),
+        queryEnergyTotals(scope, start, end),
+        queryCounterEvents(scope, start, end, MAX_COUNTER_EVENTS),
+      ]);
+      return { plant, series, summary: summarizeTotals(totals, includeSuspicious), events };
+    })
+  );
+
+  const daily = new Map();
+  const byDevice = new Map();
+  const deltas = {};
+  let total = 0;
+  let suspiciousEnergy = 0;
+
+  results.forEach(({ series, summary }) => {
+    series.forEach(({ localTime, energy }) => {
+      const date = localTime.slice(0, 10);
+      daily.set(date, (daily.get(date) || 0) + energy);
+    });
+    summary.byDevice.forEach((energy, id) => byDevice.set(id, energy));
+    Object.entries(summary.deltas).forEach(([status, count]) => {
+      deltas[status] = (deltas[status] || 0) + count;
+    });
+    total += summary.total;
+    suspiciousEnergy += summary.suspiciousEnergy;
+  });
+
+  const devices = await prisma.device.findMany({
+    where: { id: { in: [...byDevice.keys()] } },
+    select: { id: true, deviceType: true },
+  });
+  const byDeviceType = {};
+  devices.forEach(({ id, deviceType }) => {
+    byDeviceType[deviceType] = (byDeviceType[deviceType] || 0) + byDevice.get(id);
+  });
+
+  const days = [...daily.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, energy]) => ({ date, energy: round(energy) }));
+  const peakDay = days.reduce((peak, day) => (!peak || day.energy > peak.energy ? day : peak), null);
+
+  return {
+    period: { startDate: start, endDate: end },
+    plants,
+    tagNames,
+    includeSuspicious,
+    unit: results.find(({ summary }) => summary.total > 0)?.summary.unit || DEFAULT_UNIT,
+    total: round(total),
+    days: days.length,
+    avgDaily: days.length > 0 ? round(total / days.length) : 0,
+    peakDay,
+    daily: days,
+    byPlant: results.map(({ plant, summary }) => ({ plantId: plant.id, name: plant.name, energy: round(summary.total) })),
+    byDeviceType: Object.entries(byDeviceType).map(([deviceType, energy]) => ({ deviceType, energy: round(energy) })),
+    counterEvents: {
+      deltas,
+      suspiciousEnergy: round(suspiciousEnergy),
+      latest: results
+        .flatMap(({ events }) => events)
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, MAX_COUNTER_EVENTS)
+        .map((event) => ({
+          timestamp: event.timestamp,
+          status: event.status,
+          device: event.tag.device.deviceId || event.tag.device.name,
+          tag: event.tag.name,
+          previousValue: event.previousValue,
+          value: event.value,
+          delta: round(event.delta),
+          unit: event.tag.unit,
+        })),
+    },
+  };
+};
+
+/**
+ * Recompute the counter deltas of a plant in the background (e.g. after marking a template
+ * tag as cumulative or changing its counter settings)
+ * Without a range, the whole history of the plant is recomputed.
+ */
+const rebuildPlantCounterDeltas = async (plantId, userId, userRole, options = {}) => {
+  await checkPlantAccess(plantId, userId, userRole);
+
+  const counters = await getPlantCounters(plantId);
+  if (counters.length === 0) {
+    throw new BadRequestError('This plant has no cumulative counter tags');
+  }
+
+  const { _min, _max } = await prisma.processedData.aggregate({
+    where: { tagId: { in: counters.map((counter) => counter.tagId) } },
+    _min: { timestamp: true },
+    _max: { timestamp: true },
+  });
+
+  const start = options.startTime ? new Date(options.startTime) : _min.timestamp;
+  const end = options.endTime ? new Date(options.endTime) : _max.timestamp;
+
+  if (start && end && start > end) {
+    throw new BadRequestError('Start time must be before end time');
+  }
+
+  if (start && end) {
+    rebuildCounterDeltas({ plantId, start, end })
+      .then((result) => logger.info('Counter deltas rebuilt', { plantId, ...result, userId }))
+      .catch((error) => logger.error('Counter delta rebuild failed', { plantId, error: error.message }));
+  }
+
+  return {
+    plantId,
+    startTime: start,
+    endTime: end,
+    counters: counters.length,
+  };
+};
+
+export { getPlantEnergy, getEnergyProduction, rebuildPlantCounterDeltas };
@@ -0,0 +1,422 @@
+/**
+ * Escalation Service
+ * Business logic for plant escalation policies and on-call rotations
+ */
+
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, ConflictError, ValidationError } from '../utils/errors.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+import { getAlarmTimeline } from './alarmTimelineService.js';
+import { getOnCallMember, getOnCallShifts } from '../modules/escalation/index.js';
+
+const USER_SELECT = { id: true, name: true, email: true, role: true };
+
+const POLICY_INCLUDE = {
+  plant: {
+    select: { id: true, name: true },
+  },
+  steps: {
+    orderBy: { position: 'asc' },
+    include: {
+      user: { select: USER_SELECT },
+      rotation: { select: { id: true, name: true } },
+    },
+  },
+  creator: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+const ROTATION_INCLUDE = {
+  plant: {
+    select: { id: true, name: true },
+  },
+  members: {
+    orderBy: { position: 'asc' },
+    include: { user: { select: USER_SELECT } },
+  },
+};
+
+/**
+ * Check that the plant exists and the user may manage it
+ */
+const checkPlantAccess = async (plantId, userId, userRole) => {
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw new NotFoundError('Plant not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+  return plant;
+};
+
+/**
+ * Check that users exist, are active and can see the plant
+ * @param {Array<number>} userIds - User IDs
+ * @param {number} plantId - Plant ID
+ * @param {string} field - Field reported in validation errors
+ */
+const checkPlantUsers = async (userIds, plantId, field) => {
+  const ids = [...new Set(userIds)];
+  const users = await prisma.user.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, role: true, isActive: true },
+  });
+  const byId = new Map(users.map((user) => [user.id, user]));
+
+  const issues = [];
+  for (const id of ids) {
+    const user = byId.get(id);
+    if (!user || !user.isActive) {
+      issues.push({ field, message: `User ${id} not found or inactive` });
+    } else if (!(await hasPlantAccess(user.id, user.role, plantId))) {
+      issues.push({ field, message: `User ${id} has no access to this plant` });
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new ValidationError('Validation failed', issues);
+  }
+};
+
+/**
+ * Check the targets of policy steps against the plant
+ */
+const checkStepTargets = async (steps, plantId) => {
+  const userIds = steps.filter((step) => step.targetType === 'USER').map((step) => step.userId);
+  if (userIds.length > 0) {
+    await checkPlantUsers(userIds, plantId, 'steps.userId');
+  }
+
+  const rotationIds = [...new Set(steps.filter((step) => step.targetType === 'ON_CALL').map((step) => step.rotationId))];
+  if (rotationIds.length > 0) {
+    const rotations = await prisma.onCallRotation.findMany({
+      where: { id: { in: rotationIds }, plantId },
+      select: { id: true },
+    });
+    if (rotations.length !== rotationIds.length) {
+      throw new ValidationError('Validation failed', [
+        { field: 'steps.rotationId', message: 'On-call rotation not found in this plant' },
+      ]);
+    }
+  }
+};
+
+/**
+ * Map validated steps to rows (position = order in the request)
+ */
+const toStepRows = (steps) =>
+  steps.map((step, position) => ({
+    position,
+    delayMinutes: step.delayMinutes,
+    targetType: step.targetType,
+    userId: step.userId ?? null,
+    role: step.role ?? null,
+    rotationId: step.rotationId ?? null,
+  }));
+
+/**
+ * Build the plant filter for list endpoints
+ */
+const buildPlantWhere = async (plantId, userId, userRole) => {
+  if (plantId) {
+    await checkPlantAccess(plantId, userId, userRole);
+    return { plantId };
+  }
+
+  const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+  return accessiblePlantIds ? { plantId: { in: accessiblePlantIds } } : {};
+};
+
+// ============================================
+// ESCALATION POLICIES
+// ============================================
+
+/**
+ * Check if user can see a policy
+ */
+const checkPolicyAccess = async (policyId, userId, userRole) => {
+  const policy = await prisma.escalationPolicy.findUnique({
+    where: { id: policyId },
+    include: POLICY_INCLUDE,
+  });
+
+  if (!policy) {
+    throw new NotFoundError('Escalation policy not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, policy.plantId))) {
+    throw new ForbiddenError('You do not have access to this escalation policy');
+  }
+
+  return policy;
+};
+
+/**
+ * Get escalation policies of accessible plants
+ */
+const getPolicies = async (userId, userRole, filters = {}) => {
+  const where = await buildPlantWhere(filters.plantId, userId, userRole);
+
+  return prisma.escalationPolicy.findMany({
+    where,
+    include: POLICY_INCLUDE,
+    orderBy: [{ plantId: 'asc' }, { name: 'asc' }],
+  });
+};
+
+/**
+ * Get escalation policy by ID
+ */
+const getPolicyById = async (policyId, userId, userRole) => checkPolicyAccess(policyId, userId, userRole);
+
+/**
+ * Create an escalation policy
+ */
+const createPolicy = async (policyData, userId, userRole) => {
+  const { steps, ...data } = policyData;
+
+  await checkPlantAccess(data.plantId, userId, userRole);
+  await checkStepTargets(steps, data.plantId);
+
+  const policy = await prisma.escalationPolicy.create({
+    data: {
+      ...data,
+      createdBy: userId,
+      steps: { create: toStepRows(steps) },
+    },
+    include: POLICY_INCLUDE,
+  });
+
+  logger.info('Escalation policy created', { policyId: policy.id, plantId: policy.plantId, userId });
+
+  return policy;
+};
+
+/**
+ * Update an escalation policy
+ * Running escalations continue with the new steps from their current position.
+ */
+const updatePolicy = async (policyId, updateData, userId, userRole) => {
+  const existing = await checkPolicyAccess(policyId, userId, userRole);
+  const { steps, ...data } = updateData;
+
+  if (steps) {
+    await checkStepTargets(steps, existing.plantId);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    if (steps) {
+      await tx.escalationStep.deleteMany({ where: { policyId } });
+      await tx.escalationStep.createMany({
+        data: toStepRows(steps).map((step) => ({ ...step, policyId })),
+      });
+    }
+
+    return tx.escalationPolicy.update({
+      where: { id: policyId },
+      data,
+      include: POLICY_INCLUDE,
+    });
+  });
+};
+
+/**
+ * Delete an escalation policy (running escalations end with it)
+ */
+const deletePolicy = async (policyId, userId, userRole) => {
+  await checkPolicyAccess(policyId, userId, userRole);
+
+  await prisma.escalationPolicy.delete({
+    where: { id: policyId },
+  });
+
+  logger.info('Escalation policy deleted', { policyId, userId });
+
+  return {
+    message: 'Escalation policy deleted successfully',
+  };
+};
+
+// ============================================
+// ON-CALL ROTATIONS
+// ============================================
+
+/**
+ * Check if user can see a rotation
+ */
+const checkRotationAccess = async (rotationId, userId, userRole) => {
+  const rotation = await prisma.onCallRotation.findUnique({
+    where: { id: rotationId },
+    include: ROTATION_INCLUDE,
+  });
+
+  if (!rotation) {
+    throw new NotFoundError('On-call rotation not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, rotation.plantId))) {
+    throw new ForbiddenError('You do not have access to this on-call rotation');
+  }
+
+  return rotation;
+};
+
+/**
+ * Add who is on call to a rotation
+ */
+const withOnCall = (rotation, at = new Date()) => ({
+  ...rotation,
+  onCall: getOnCallMember(rotation, at)?.user || null,
+});
+
+/**
+ * Get on-call rotations of accessible plants
+ */
+const getRotations = async (userId, userRole, filters = {}) => {
+  const where = await buildPlantWhere(filters.plantId, userId, userRole);
+
+  const rotations = await prisma.onCallRotation.findMany({
+    where,
+    include: ROTATION_INCLUDE,
+    orderBy: [{ plantId: 'asc' }, { name: 'asc' }],
+  });
+
+  return rotations.map((rotation) => withOnCall(rotation));
+};
+
+/**
+ * Get an on-call rotation with the member on call and the upcoming shifts
+ */
+const getRotationById = async (rotationId, userId, userRole, options = {}) => {
+  const { at = new Date(), shifts = 5 } = options;
+  const rotation = await checkRotationAccess(rotationId, userId, userRole);
+
+  return {
+    ...withOnCall(rotation, at),
+    shifts: getOnCallShifts(rotation, at, shifts).map(({ startsAt, endsAt, member }) => ({
+      startsAt,
+      endsAt,
+      user: member.user,
+    })),
+  };
+};
+
+/**
+ * Create an on-call rotation
+ */
+const createRotation = async (rotationData, userId, userRole) => {
+  const { memberIds, ...data } = rotationData;
+
+  await checkPlantAccess(data.plantId, userId, userRole);
+  await checkPlantUsers(memberIds, data.plantId, 'memberIds');
+
+  const rotation = await prisma.onCallRotation.create({
+    data: {
+      ...data,
+      members: { create: memberIds.map((memberId, position) => ({ userId: memberId, position })) },
+    },
+    include: ROTATION_INCLUDE,
+  });
+
+  logger.info('On-call rotation created', { rotationId: rotation.id, plantId: rotation.plantId, userId });
+
+  return withOnCall(rotation);
+};
+
+/**
+ * Update an on-call rotation (memberIds replaces the members in order)
+ */
+const updateRotation = async (rotationId, updateData, userId, userRole) => {
+  const existing = await checkRotationAccess(rotationId, userId, userRole);
+  const { memberIds, ...data } = updateData;
+
+  if (memberIds) {
+    await checkPlantUsers(memberIds, existing.plantId, 'memberIds');
+  }
+
+  const rotation = await prisma.$transaction(async (tx) => {
+    if (memberIds) {
+      await tx.onCallMember.deleteMany({ where: { rotationId } });
+      await tx.onCallMember.createMany({
+        data: memberIds.map((memberId, position) => ({ rotationId, userId: memberId, position })),
+      });
+    }
+
+    return tx.onCallRotation.update({
+      where: { id: rotationId },
+      data,
+      include: ROTATION_INCLUDE,
+    });
+  });
+
+  return withOnCall(rotation);
+};
+
+/**
+ * Delete an on-call rotation
+ * Rotations used by an escalation step cannot be deleted.
+ */
+const deleteRotation = async (rotationId, userId, userRole) => {
+  await checkRotationAccess(rotationId, userId, userRole);
+
+  const usedBy = await prisma.escalationStep.findFirst({
+    where: { rotationId },
+    include: { policy: { select: { name: true } } },
+  });
+  if (usedBy) {
+    throw new ConflictError(`On-call rotation is used by escalation policy "${usedBy.policy.name}"`);
+  }
+
+  await prisma.onCallRotation.delete({
+    where: { id: rotationId },
+  });
+
+  logger.info('On-call rotation deleted', { rotationId, userId });
+
+  return {
+    message: 'On-call rotation deleted successfully',
+  };
+};
+
+// ============================================
+// ALARM ESCALATIONS
+// ============================================
+
+/**
+ * Get the escalations of an alarm and their timeline entries
+ */
+const getAlarmEscalations = async (alarmId, userId, userRole) => {
+  const alarm = await prisma.alarm.findUnique({ where: { id: alarmId } });
+  if (!alarm) {
+    throw new NotFoundError('Alarm not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, alarm.plantId))) {
+    throw new ForbiddenError('You do not have access to this alarm');
+  }
+
+  const escalations = await prisma.alarmEscalation.findMany({
+    where: { alarmId },
+    include: { policy: { select: { id: true, name: true } } },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return {
+    escalations,
+    timeline: await getAlarmTimeline(alarmId, { types: ['ESCALATED', 'ESCALATION_STOPPED'] }),
+  };
+};
+
+export {
+  getPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  getRotations,
+  getRotationById,
+  createRotation,
+  updateRotation,
+  deleteRotation,
+  getAlarmEscalations,
+};
@@ -0,0 +1,224 @@
+/**
+ * Export Service
+ * Business logic for asynchronous time-series exports
+ */
+
+import fs from 'fs/promises';
+import { prisma } from '../config/database.js';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, ConflictError, ValidationError } from '../utils/errors.js';
+import { hasPlantAccess } from './userPlantMapService.js';
+import { checkPlantAccess } from './dataService.js';
+import {
+  FILE_EXTENSIONS,
+  CONTENT_TYPES,
+  getExportFilePath,
+  removeExportFile,
+  triggerExportWorker,
+} from '../modules/exports/index.js';
+
+const EXPORT_INCLUDE = {
+  plant: {
+    select: { id: true, name: true },
+  },
+  requester: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+/**
+ * Add the download link of a completed export
+ */
+const withDownloadUrl = (dataExport) => ({
+  ...dataExport,
+  downloadUrl: dataExport.status === 'COMPLETED' ? `/api/data/exports/${dataExport.id}/download` : null,
+});
+
+/**
+ * Get an export the user may see: their own (any for admins), of a plant they can still access
+ */
+const checkExportAccess = async (exportId, userId, userRole) => {
+  const dataExport = await prisma.dataExport.findUnique({
+    where: { id: exportId },
+    include: EXPORT_INCLUDE,
+  });
+
+  if (!dataExport) {
+    throw new NotFoundError('Export not found');
+  }
+  if (userRole !== 'ADMIN' && dataExport.requestedBy !== userId) {
+    throw new ForbiddenError('You do not have access to this export');
+  }
+  if (!(await hasPlantAccess(userId, userRole, dataExport.plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+
+  return dataExport;
+};
+
+/**
+ * Check that selected devices and tags belong to the plant and the tag count is allowed
+ */
+const checkExportSelection = async ({ plantId, deviceIds, tagIds }) => {
+  const errors = [];
+
+  if (deviceIds.length > 0) {
+    const found = await prisma.device.count({ where: { id: { in: deviceIds }, plantId } });
+    if (found !== new Set(deviceIds).size) {
+      errors.push({ field: 'deviceIds', message: 'Device not found in this plant' });
+    }
+  }
+
+  if (tagIds.length > 0) {
+    const found = await prisma.tag.count({ where: { id: { in: tagIds }, device: { plantId } } });
+    if (found !== new Set(tagIds).size) {
+      errors.push({ field: 'tagIds', message: 'Tag not found in this plant' });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  const tagCount = await prisma.tag.count({
+    where: {
+      device: { plantId },
+      ...(deviceIds.length > 0 && { deviceId: { in: deviceIds } }),
+      ...(tagIds.length > 0 && { id: { in: tagIds } }),
+    },
+  });
+  if (tagCount === 0) {
+    throw new ValidationError('Validation failed', [{ field: 'tagIds', message: 'No tags match the export selection' }]);
+  }
+  if (tagCount > config.exports.maxTags) {
+    throw new ValidationError('Validation failed', [
+      { field: 'tagIds', message: `Export selects ${tagCount} tags; at most ${config.exports.maxTags} are allowed` },
+    ]);
+  }
+};
+
+/**
+ * Request an export; the worker writes the file in the background
+ */
+const createExport = async (exportData, userId, userRole) => {
+  const { plantId, deviceIds, tagIds, startTime, endTime, aggregation, interval, format } = exportData;
+
+  await checkPlantAccess(plantId, userId, userRole);
+  await checkExportSelection(exportData);
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const day = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+  const dataExport = await prisma.dataExport.create({
+    data: {
+      plantId,
+      requestedBy: userId,
+      format,
+      deviceIds,
+      tagIds,
+      startTime: start,
+      endTime: end,
+      aggregation,
+      interval: aggregation === 'raw' ? null : interval || '1h',
+      fileName: `plant-${plantId}_${day(start)}-${day(end)}.${FILE_EXTENSIONS[format]}`,
+    },
+    include: EXPORT_INCLUDE,
+  });
+
+  logger.info('Data export requested', { exportId: dataExport.id, plantId, format, userId });
+  triggerExportWorker();
+
+  return withDownloadUrl(dataExport);
+};
+
+/**
+ * Get exports: the user's own, or all for admins
+ */
+const getExports = async (userId, userRole, filters = {}, pagination = {}) => {
+  const { plantId, status } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const where = {};
+  if (userRole !== 'ADMIN') where.requestedBy = userId;
+  if (plantId) where.plantId = plantId;
+  if (status) where.status = status;
+
+  const [exports, total] = await Promise.all([
+    prisma.dataExport.findMany({
+      where,
+      include: EXPORT_INCLUDE,
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.dataExport.count({ where }),
+  ]);
+
+  return {
+    exports: exports.map(withDownloadUrl),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Get export by ID (status and progress)
+ */
+const getExportById = async (exportId, userId, userRole) =>
+  withDownloadUrl(await checkExportAccess(exportId, userId, userRole));
+
+/**
+ * Get the file of a completed export
+ * @returns {Promise<Object>} { filePath, fileName, contentType, fileSize }
+ */
+const getExportDownload = async (exportId, userId, userRole) => {
+  const dataExport = await checkExportAccess(exportId, userId, userRole);
+
+  if (dataExport.status !== 'COMPLETED') {
+    throw new ConflictError(`Export is ${dataExport.status.toLowerCase()}, not ready for download`);
+  }
+
+  const filePath = getExportFilePath(dataExport);
+  try {
+    await fs.access(filePath);
+  } catch {
+    throw new NotFoundError('Export file no longer exists');
+  }
+
+  return {
+    filePath,
+    fileName: dataExport.fileName,
+    contentType: CONTENT_TYPES[dataExport.format],
+    fileSize: dataExport.fileSize,
+  };
+};
+
+/**
+ * Delete an export and its file (a running export stops at its next chunk)
+ */
+const deleteExport = async (exportId, userId, userRole) => {
+  const dataExport = await checkExportAccess(exportId, userId, userRole);
+
+  await prisma.dataExport.delete({ where: { id: exportId } });
+  await removeExportFile(dataExport);
+
+  logger.info('Data export deleted', { exportId, userId });
+
+  return {
+    message: 'Export deleted successfully',
+  };
+};
+
+export {
+  createExport,
+  getExports,
+  getExportById,
+  getExportDownload,
+  deleteExport,
+};
@@ -286,6 +286,31 @@ const getDescendants = async (deviceId) => {
   return descendants;
 };
 
+/**
+ * Get all ancestors of a device, nearest first (parent, grandparent, ...)
+ */
+const getAncestors = async (deviceId) => {
+  const ancestors = [];
+  const visited = new Set([deviceId]);
+
+  let current = await prisma.device.findUnique({
+    where: { id: deviceId },
+    select: { parentDeviceId: true },
+  });
+
+  // Stop at the root, or at a cycle left by inconsistent data
+  while (current?.parentDeviceId && !visited.has(current.parentDeviceId)) {
+    visited.add(current.parentDeviceId);
+    current = await prisma.device.findUnique({
+      where: { id: current.parentDeviceId },
+      select: { id: true, name: true, deviceType: true, parentDeviceId: true },
+    });
+    if (current) ancestors.push(current);
+  }
+
+  return ancestors;
+};
+
 /**
  * Get device path from root to device (breadcrumb)
  */
@@ -463,4 +488,5 @@ export {
   getDeviceSiblings,
   checkCircularReference,
   getDescendants,
+  getAncestors,
 };
@@ -0,0 +1,221 @@
+/**
+ * Ingest Service
+ * Business logic for HTTP data ingestion by gateways and per-plant ingestion keys
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import { ingestRecordSchema } from '../validators/ingestValidators.js';
+import {
+  getDeviceByCode,
+  storeRawMessage,
+  triggerRawDataProcessor,
+} from '../modules/ingestion/index.js';
+import { getPlantById } from './plantService.js';
+
+const INGESTION_KEY_PREFIX = 'sek_';
+
+/**
+ * Hash an ingestion key for storage and lookup
+ */
+const hashIngestionKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Generate (or rotate) the ingestion key of a plant
+ * The plain key is returned only once; only its hash is stored.
+ */
+const createIngestionKey = async (plantId, userId, userRole) => {
+  // Check if plant exists and user has access
+  await getPlantById(plantId, userId, userRole);
+
+  const key = `${INGESTION_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const keyPrefix = key.slice(0, INGESTION_KEY_PREFIX.length + 6);
+
+  const plant = await prisma.plant.update({
+    where: { id: plantId },
+    data: {
+      ingestionKeyHash: hashIngestionKey(key),
+      ingestionKeyPrefix: keyPrefix,
+      ingestionKeyCreatedAt: new Date(),
+    },
+    select: {
+      id: true,
+      plantId: true,
+      ingestionKeyPrefix: true,
+      ingestionKeyCreatedAt: true,
+    },
+  });
+
+  logger.info('Plant ingestion key generated', { plantId, userId });
+
+  return { ...plant, ingestionKey: key };
+};
+
+/**
+ * Revoke the ingestion key of a plant
+ */
+const revokeIngestionKey = async (plantId, userId, userRole) => {
+  // Check if plant exists and user has access
+  await getPlantById(plantId, userId, userRole);
+
+  await prisma.plant.update({
+    where: { id: plantId },
+    data: {
+      ingestionKeyHash: null,
+      ingestionKeyPrefix: null,
+      ingestionKeyCreatedAt: null,
+    },
+  });
+
+  logger.info('Plant ingestion key revoked', { plantId, userId });
+
+  return { message: 'Ingestion key revoked successfully' };
+};
+
+/**
+ * Find the plant an ingestion key belongs to
+ * @param {string} plantIdentifier - Plant database ID or user-defined plant ID from the URL
+ * @param {string} key - Ingestion key presented by the gateway
+ */
+const authenticateIngestionKey = async (plantIdentifier, key) => {
+  if (!key) {
+    throw new UnauthorizedError('Ingestion key is required');
+  }
+
+  const plant = await prisma.plant.findUnique({
+    where: { ingestionKeyHash: hashIngestionKey(key) },
+    select: {
+      id: true,
+      plantId: true,
+      name: true,
+      mqttBaseTopic: true,
+      status: true,
+    },
+  });
+
+  // Same error for unknown keys and keys of another plant
+  const matchesPlant =
+    plant && (String(plant.id) === String(plantIdentifier) || plant.plantId === plantIdentifier);
+
+  if (!matchesPlant) {
+    throw new UnauthorizedError('Invalid ingestion key for this plant');
+  }
+
+  return plant;
+};
+
+/**
+ * Build the topic a record is stored under (same topic the device would publish to)
+ */
+const getRecordTopic = (plant, device) => {
+  if (device.mqttTopic) return device.mqttTopic;
+  return `${plant.mqttBaseTopic || plant.plantId || plant.id}/${device.deviceId}`;
+};
+
+/**
+ * Ingest a batch of gateway records
+ * Each record is validated and stored on its own so one bad row does not reject the batch.
+ * Records are written through the RawMqttData dedup path; a record that was already
+ * received is reported as a duplicate and must not be retried.
+ * @returns {Object} Summary counts and per-record results
+ */
+const ingestRecords = async (plant, records) => {
+  const results = [];
+
+  for (let index = 0; index < records.length; index++) {
+    const parsed = ingestRecordSchema.safeParse(records[index]);
+
+    if (!parsed.success) {
+      results.push({
+        index,
+        deviceId: records[index]?.deviceId ?? null,
+        status: 'rejected',
+        errors: parsed.error.errors.map((err) => ({
+          field: err.path.join('.'),
+          message: err.message,
+        })),
+      });
+      continue;
+    }
+
+    const record = parsed.data;
+    const device = await getDeviceByCode(plant.id, record.deviceId);
+
+    if (!device) {
+      results.push({
+        index,
+        deviceId: record.deviceId,
+        status: 'rejected',
+        errors: [{ field: 'deviceId', message: `Device "${record.deviceId}" not found in this plant` }],
+      });
+      continue;
+    }
+
+    const unknownTags = Object.keys(record.values).filter((name) => !device.tagsByName.has(name));
+    if (unknownTags.length === Object.keys(record.values).length) {
+      results.push({
+        index,
+        deviceId: record.deviceId,
+        status: 'rejected',
+        errors: [{ field: 'values', message: `No known tags in record: ${unknownTags.join(', ')}` }],
+      });
+      continue;
+    }
+
+    try {
+      const { duplicate } = await storeRawMessage({
+        plantId: plant.id,
+        topic: getRecordTopic(plant, device),
+        payload: {
+          deviceId: record.deviceId,
+          timestamp: record.timestamp,
+          values: record.values,
+        },
+        source: 'http',
+      });
+
+      results.push({
+        index,
+        deviceId: record.deviceId,
+        status: duplicate ? 'duplicate' : 'accepted',
+        ...(unknownTags.length > 0 && { ignoredTags: unknownTags }),
+      });
+    } catch (error) {
+      logger.error('Failed to store ingested record', {
+        plantId: plant.id,
+        deviceId: record.deviceId,
+        error: error.message,
+      });
+      results.push({
+        index,
+        deviceId: record.deviceId,
+        status: 'rejected',
+        retryable: true,
+        errors: [{ field: null, message: 'Record could not be stored, please retry' }],
+      });
+    }
+  }
+
+  const summary = {
+    total: records.length,
+    accepted: results.filter((r) => r.status === 'accepted').length,
+    duplicates: results.filter((r) => r.status === 'duplicate').length,
+    rejected: results.filter((r) => r.status === 'rejected').length,
+  };
+
+  if (summary.accepted > 0) {
+    triggerRawDataProcessor();
+  }
+
+  return { ...summary, results };
+};
+
+export {
+  hashIngestionKey,
+  createIngestionKey,
+  revokeIngestionKey,
+  authenticateIngestionKey,
+  ingestRecords,
+};
@@ -0,0 +1,320 @@
+/**
+ * Notification Service
+ * Business logic for alarm notification subscriptions and the delivery log
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../config/database.js';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, BadRequestError, ValidationError } from '../utils/errors.js';
+import { hasPlantAccess } from './userPlantMapService.js';
+import { getTargetIssue } from '../validators/notificationValidators.js';
+import { queueTestNotification, triggerNotificationDispatcher } from '../modules/notifications/index.js';
+
+// The webhook secret is only returned when it is issued
+const SUBSCRIPTION_SELECT = {
+  id: true,
+  userId: true,
+  name: true,
+  channel: true,
+  target: true,
+  plantId: true,
+  severities: true,
+  deviceTypes: true,
+  events: true,
+  isEnabled: true,
+  createdAt: true,
+  updatedAt: true,
+  plant: {
+    select: { id: true, name: true },
+  },
+  user: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+// Roles that may create webhook and Slack subscriptions
+const WEBHOOK_ROLES = ['ADMIN', 'PLANT_MANAGER'];
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Resolve whose subscriptions or deliveries are listed
+ * Users see their own; admins may pass another user ID.
+ */
+const resolveOwnerId = (requestedUserId, userId, userRole) => {
+  if (requestedUserId && requestedUserId !== userId) {
+    if (userRole !== 'ADMIN') {
+      throw new ForbiddenError('You can only view your own notifications');
+    }
+    return requestedUserId;
+  }
+  return userId;
+};
+
+/**
+ * Check if user can manage a subscription (owner or admin)
+ */
+const checkSubscriptionAccess = async (subscriptionId, userId, userRole) => {
+  const subscription = await prisma.notificationSubscription.findUnique({
+    where: { id: subscriptionId },
+    include: { user: { select: { id: true, name: true, email: true } } },
+  });
+
+  if (!subscription) {
+    throw new NotFoundError('Notification subscription not found');
+  }
+  if (subscription.userId !== userId && userRole !== 'ADMIN') {
+    throw new ForbiddenError('You do not have access to this subscription');
+  }
+
+  return subscription;
+};
+
+/**
+ * Check that a user may use a channel: webhooks make the server call URLs, so only
+ * admins and plant managers may target them
+ */
+const checkChannelAllowed = (channel, userRole) => {
+  if (channel !== 'EMAIL' && !WEBHOOK_ROLES.includes(userRole)) {
+    throw new ForbiddenError('Only admins and plant managers can use webhook and Slack notifications');
+  }
+};
+
+/**
+ * Check the plant filter of a subscription
+ */
+const checkPlantFilter = async (plantId, userId, userRole) => {
+  if (!plantId) return;
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw new NotFoundError('Plant not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+};
+
+/**
+ * Get the notification subscriptions of a user
+ */
+const getSubscriptions = async (userId, userRole, filters = {}) => {
+  const ownerId = resolveOwnerId(filters.userId, userId, userRole);
+
+  const where = { userId: ownerId };
+  if (filters.plantId) where.plantId = filters.plantId;
+  if (filters.channel) where.channel = filters.channel;
+
+  return prisma.notificationSubscription.findMany({
+    where,
+    select: SUBSCRIPTION_SELECT,
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Get a subscription by ID
+ */
+const getSubscriptionById = async (subscriptionId, userId, userRole) => {
+  await checkSubscriptionAccess(subscriptionId, userId, userRole);
+
+  return prisma.notificationSubscription.findUnique({
+    where: { id: subscriptionId },
+    select: SUBSCRIPTION_SELECT,
+  });
+};
+
+/**
+ * Create a subscription for the current user
+ * WEBHOOK subscriptions get a signing secret, returned once in the response.
+ */
+const createSubscription = async (subscriptionData, userId, userRole) => {
+  checkChannelAllowed(subscriptionData.channel, userRole);
+  await checkPlantFilter(subscriptionData.plantId, userId, userRole);
+
+  const secret = subscriptionData.channel === 'WEBHOOK' ? generateSecret() : null;
+
+  const subscription = await prisma.notificationSubscription.create({
+    data: {
+      ...subscriptionData,
+      secret,
+      userId,
+    },
+    select: SUBSCRIPTION_SELECT,
+  });
+
+  logger.info('Notification subscription created', {
+    subscriptionId: subscription.id,
+    channel: subscription.channel,
+    userId,
+  });
+
+  return secret ? { ...subscription, secret } : subscription;
+};
+
+/**
+ * Update a subscription
+ */
+const updateSubscription = async (subscriptionId, updateData, userId, userRole) => {
+  const existing = await checkSubscriptionAccess(subscriptionId, userId, userRole);
+  const { rotateSecret, ...data } = updateData;
+
+  if (data.target !== undefined) {
+    checkChannelAllowed(existing.channel, userRole);
+    const issue = getTargetIssue(existing.channel, data.target);
+    if (issue) {
+      throw new ValidationError('Validation failed', [{ field: 'target', message: issue }]);
+    }
+  }
+  if (data.plantId) {
+    // The filter must be a plant the subscriber (not the editing admin) can access
+    const owner = await prisma.user.findUnique({ where: { id: existing.userId }, select: { role: true } });
+    await checkPlantFilter(data.plantId, existing.userId, owner.role);
+  }
+  if (rotateSecret) {
+    if (existing.channel !== 'WEBHOOK') {
+      throw new BadRequestError('Only webhook subscriptions have a signing secret');
+    }
+    data.secret = generateSecret();
+  }
+
+  const subscription = await prisma.notificationSubscription.update({
+    where: { id: subscriptionId },
+    data,
+    select: SUBSCRIPTION_SELECT,
+  });
+
+  return data.secret ? { ...subscription, secret: data.secret } : subscription;
+};
+
+/**
+ * Delete a subscription (its delivery log is kept)
+ */
+const deleteSubscription = async (subscriptionId, userId, userRole) => {
+  await checkSubscriptionAccess(subscriptionId, userId, userRole);
+
+  await prisma.notificationSubscription.delete({
+    where: { id: subscriptionId },
+  });
+
+  logger.info('Notification subscription deleted', { subscriptionId, userId });
+
+  return {
+    message: 'Notification subscription deleted successfully',
+  };
+};
+
+/**
+ * Send a test notification on a subscription
+ */
+const sendTestNotification = async (subscriptionId, userId, userRole) => {
+  if (!config.notifications.enabled) {
+    throw new BadRequestError('Notifications are disabled on this server');
+  }
+
+  const subscription = await checkSubscriptionAccess(subscriptionId, userId, userRole);
+  checkChannelAllowed(subscription.channel, userRole);
+  const queued = await queueTestNotification(subscription);
+  if (queued === 0) {
+    throw new BadRequestError('Subscription has no target to deliver to');
+  }
+
+  return {
+    message: 'Test notification queued',
+  };
+};
+
+/**
+ * Get the delivery log with filters and pagination
+ */
+const getDeliveries = async (userId, userRole, filters = {}, pagination = {}) => {
+  const { subscriptionId, alarmId, channel, status } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const skip = (page - 1) * limit;
+
+  // Admins see every delivery unless they filter by user
+  const where = {};
+  if (userRole !== 'ADMIN' || filters.userId) {
+    where.userId = resolveOwnerId(filters.userId, userId, userRole);
+  }
+  if (subscriptionId) where.subscriptionId = subscriptionId;
+  if (alarmId) where.alarmId = alarmId;
+  if (channel) where.channel = channel;
+  if (status) where.status = status;
+
+  const [deliveries, total] = await Promise.all([
+    prisma.notificationDelivery.findMany({
+      where,
+      select: {
+        id: true,
+        subscriptionId: true,
+        userId: true,
+        alarmId: true,
+        event: true,
+        channel: true,
+        target: true,
+        status: true,
+        attempts: true,
+        nextAttemptAt: true,
+        lastError: true,
+        responseStatus: true,
+        sentAt: true,
+        createdAt: true,
+      },
+      skip,
+      take: parseInt(limit),
+      orderBy: { createdAt: 'desc' },
+    }),
+    prisma.notificationDelivery.count({ where }),
+  ]);
+
+  return {
+    deliveries,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Retry a failed delivery
+ */
+const retryDelivery = async (deliveryId, userId, userRole) => {
+  const delivery = await prisma.notificationDelivery.findUnique({ where: { id: deliveryId } });
+
+  if (!delivery) {
+    throw new NotFoundError('Notification delivery not found');
+  }
+  if (delivery.userId !== userId && userRole !== 'ADMIN') {
+    throw new ForbiddenError('You do not have access to this delivery');
+  }
+  if (delivery.status !== 'FAILED') {
+    throw new BadRequestError('Only failed deliveries can be retried');
+  }
+
+  const updated = await prisma.notificationDelivery.update({
+    where: { id: deliveryId },
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+  });
+
+  triggerNotificationDispatcher();
+
+  return updated;
+};
+
+export {
+  getSubscriptions,
+  getSubscriptionById,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  sendTestNotification,
+  getDeliveries,
+  retryDelivery,
+};
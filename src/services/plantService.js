@@ -818,6 +818,26 @@ const getPlantStats = async (plantId, userId, userRole) => {
   };
 };
 
+/**
+ * Get MQTT base topics of all ACTIVE plants
+ * Used by the MQTT ingestion mode to decide which topics to subscribe to
+ */
+const getActivePlantTopics = async () => {
+  const plants = await prisma.plant.findMany({
+    where: {
+      status: 'ACTIVE',
+      mqttBaseTopic: { not: null },
+    },
+    select: {
+      id: true,
+      plantId: true,
+      mqttBaseTopic: true,
+    },
+  });
+
+  return plants.filter((plant) => plant.mqttBaseTopic.trim() !== '');
+};
+
 export {
   createPlant,
   getAllPlants,
@@ -825,4 +845,5 @@ export {
   updatePlant,
   deletePlant,
   getPlantStats,
+  getActivePlantTopics,
 };
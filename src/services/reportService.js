@@ -7,8 +7,14 @@
 import { prisma } from '../config/database.js';
 import PDFDocument from 'pdfkit';
 import ExcelJS from 'exceljs';
-import { NotFoundError, BadRequestError } from '../utils/errors.js';
+import { ForbiddenError } from '../utils/errors.js';
+import config from '../config/index.js';
 import logger from '../config/logger.js';
+import { getAlarmTimelines } from './alarmTimelineService.js';
+import { getAlarmKpis } from './alarmKpiService.js';
+import { getEnergyProduction } from './energyService.js';
+import { checkPlantAccess, checkDeviceAccess } from './dataService.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
 
 /**
  * Helper: Format date for reports
@@ -78,10 +84,12 @@ const calculateStats = (values) => {
  */
 const getPlantPerformanceData = async ({ plantId, startDate, endDate, userId, userRole }) => {
   // Validate plant exists and user has access
+  await checkPlantAccess(plantId, userId, userRole);
+
   const plant = await prisma.plant.findUnique({
     where: { id: plantId },
     include: {
-      owner: {
+      createdBy: {
         select: { id: true, name: true, email: true },
       },
       devices: {
@@ -95,50 +103,9 @@ const getPlantPerformanceData = async ({ plantId, startDate, endDate, userId, us
     },
   });
 
-  if (!plant) {
-    throw new NotFoundError('Plant not found');
-  }
-
-  // Check access for non-admin users
-  if (userRole !== 'ADMIN' && plant.ownerId !== userId) {
-    const hasAccess = await prisma.userPlantAccess.findFirst({
-      where: { userId, plantId },
-    });
-    if (!hasAccess) {
-      throw new BadRequestError('You do not have access to this plant');
-    }
-  }
-
-  // Date range for queries
-  const dateFilter = {
-    timestamp: {
-      gte: new Date(startDate),
-      lte: new Date(endDate),
-    },
-  };
-
-  // Get energy generation data
-  const energyData = await prisma.processedData.findMany({
-    where: {
-      plantId,
-      ...dateFilter,
-      tag: {
-        name: {
-          in: ['Energy', 'Power', 'TotalEnergy', 'ActivePower'],
-        },
-      },
-    },
-    include: {
-      tag: {
-        select: { name: true, unit: true },
-      },
-    },
-    orderBy: { timestamp: 'asc' },
-  });
-
-  // Calculate energy statistics
-  const energyValues = energyData.map(d => parseFloat(d.value));
-  const energyStats = calculateStats(energyValues);
+  // Energy generation per day from the production counter deltas
+  const energy = await getEnergyProduction(userId, userRole, { plantId, startDate, endDate });
+  const energyStats = calculateStats(energy.daily.map(d => d.energy));
 
   // Get device uptime statistics
   const deviceStats = plant.devices.reduce((acc, device) => {
@@ -179,23 +146,6 @@ const getPlantPerformanceData = async ({ plantId, startDate, endDate, userId, us
       (alarmStats.byStatus[item.status] || 0) + item._count;
   });
 
-  // Get daily energy generation for chart
-  const dailyEnergy = await prisma.$queryRaw`
-    SELECT
-      DATE(timestamp) as date,
-      SUM(CAST(value AS DECIMAL)) as total_energy
-    FROM "solar2"."ProcessedData"
-    WHERE "plantId" = ${plantId}
-      AND timestamp >= ${new Date(startDate)}
-      AND timestamp <= ${new Date(endDate)}
-      AND "tagId" IN (
-        SELECT id FROM "solar2"."Tags"
-        WHERE name IN ('Energy', 'TotalEnergy')
-      )
-    GROUP BY DATE(timestamp)
-    ORDER BY date ASC
-  `;
-
   return {
     plant: {
       id: plant.id,
@@ -204,7 +154,7 @@ const getPlantPerformanceData = async ({ plantId, startDate, endDate, userId, us
       capacity: plant.capacity,
       status: plant.status,
       installationDate: plant.installationDate,
-      owner: plant.owner,
+      owner: plant.createdBy,
     },
     reportPeriod: {
       startDate: formatDate(startDate),
@@ -212,10 +162,10 @@ const getPlantPerformanceData = async ({ plantId, startDate, endDate, userId, us
     },
     energyGeneration: {
       ...energyStats,
-      unit: 'kWh',
-      dailyData: dailyEnergy.map(d => ({
-        date: formatDate(d.date),
-        energy: parseFloat(d.total_energy || 0).toFixed(2),
+      unit: energy.unit,
+      dailyData: energy.daily.map(d => ({
+        date: d.date,
+        energy: d.energy.toFixed(2),
       })),
     },
     deviceUptime: {
@@ -268,10 +218,10 @@ const generatePlantPerformancePDF = async (params) => {
     doc.moveDown(0.5);
     doc.fontSize(11);
     doc.text(`Total Energy: ${data.energyGeneration.sum} ${data.energyGeneration.unit}`);
-    doc.text(`Average: ${data.energyGeneration.avg} ${data.energyGeneration.unit}`);
-    doc.text(`Peak: ${data.energyGeneration.max} ${data.energyGeneration.unit}`);
-    doc.text(`Minimum: ${data.energyGeneration.min} ${data.energyGeneration.unit}`);
-    doc.text(`Data Points: ${data.energyGeneration.count}`);
+    doc.text(`Average per Day: ${data.energyGeneration.avg} ${data.energyGeneration.unit}`);
+    doc.text(`Peak Day: ${data.energyGeneration.max} ${data.energyGeneration.unit}`);
+    doc.text(`Lowest Day: ${data.energyGeneration.min} ${data.energyGeneration.unit}`);
+    doc.text(`Days with Data: ${data.energyGeneration.count}`);
     doc.moveDown();
 
     // Device Uptime
@@ -361,13 +311,13 @@ const generatePlantPerformanceExcel = async (params) => {
   summarySheet.getCell(`A${row}`).value = 'Total Energy';
   summarySheet.getCell(`B${row}`).value = `${data.energyGeneration.sum} ${data.energyGeneration.unit}`;
   row++;
-  summarySheet.getCell(`A${row}`).value = 'Average';
+  summarySheet.getCell(`A${row}`).value = 'Average per Day';
   summarySheet.getCell(`B${row}`).value = `${data.energyGeneration.avg} ${data.energyGeneration.unit}`;
   row++;
-  summarySheet.getCell(`A${row}`).value = 'Peak';
+  summarySheet.getCell(`A${row}`).value = 'Peak Day';
   summarySheet.getCell(`B${row}`).value = `${data.energyGeneration.max} ${data.energyGeneration.unit}`;
   row++;
-  summarySheet.getCell(`A${row}`).value = 'Minimum';
+  summarySheet.getCell(`A${row}`).value = 'Lowest Day';
   summarySheet.getCell(`B${row}`).value = `${data.energyGeneration.min} ${data.energyGeneration.unit}`;
   row += 2;
 
@@ -407,40 +357,28 @@ const generatePlantPerformanceExcel = async (params) => {
 
 /**
  * Generate Device Performance Report Data
+ * Samples below minQuality (default DATA_QUALITY_BAD_BELOW) are left out.
  */
-const getDevicePerformanceData = async ({ deviceId, startDate, endDate, userId, userRole }) => {
+const getDevicePerformanceData = async ({
+  deviceId,
+  startDate,
+  endDate,
+  minQuality = config.dataQuality.badBelow,
+  userId,
+  userRole,
+}) => {
   // Validate device exists and user has access
+  await checkDeviceAccess(deviceId, userId, userRole);
+
   const device = await prisma.device.findUnique({
     where: { id: deviceId },
     include: {
       plant: {
-        include: {
-          owner: { select: { id: true, name: true } },
-        },
-      },
-      deviceType: true,
-      deviceTags: {
-        include: {
-          tag: true,
-        },
+        select: { id: true, name: true },
       },
     },
   });
 
-  if (!device) {
-    throw new NotFoundError('Device not found');
-  }
-
-  // Check access
-  if (userRole !== 'ADMIN' && device.plant.ownerId !== userId) {
-    const hasAccess = await prisma.userPlantAccess.findFirst({
-      where: { userId, plantId: device.plantId },
-    });
-    if (!hasAccess) {
-      throw new BadRequestError('You do not have access to this device');
-    }
-  }
-
   // Get device performance data
   const performanceData = await prisma.processedData.findMany({
     where: {
@@ -449,6 +387,7 @@ const getDevicePerformanceData = async ({ deviceId, startDate, endDate, userId,
         gte: new Date(startDate),
         lte: new Date(endDate),
       },
+      quality: { gte: minQuality },
     },
     include: {
       tag: {
@@ -696,10 +635,31 @@ const generateDevicePerformanceExcel = async (params) => {
 // ALARM REPORT
 // ============================================
 
+/**
+ * Helper: Flatten an alarm event for reports (comments show their text)
+ */
+const formatAlarmEvent = (event) => ({
+  time: formatDateTime(event.createdAt),
+  event: event.type,
+  user: event.user ? event.user.name : 'System',
+  note: event.comment ? event.comment.body : event.note,
+});
+
 /**
  * Generate Alarm Report Data
+ * includeTimeline adds the lifecycle events of every alarm.
  */
-const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDate, endDate, userId, userRole }) => {
+const getAlarmReportData = async ({
+  plantId,
+  deviceId,
+  severity,
+  status,
+  startDate,
+  endDate,
+  includeTimeline = false,
+  userId,
+  userRole,
+}) => {
   // Build where clause
   const where = {
     triggeredAt: {
@@ -708,27 +668,22 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
     },
   };
 
-  if (plantId) where.plantId = plantId;
+  // Limit to the requested plant, or to the plants the user can access
+  if (plantId) {
+    if (!(await hasPlantAccess(userId, userRole, plantId))) {
+      throw new ForbiddenError('You do not have access to this plant');
+    }
+    where.plantId = plantId;
+  } else {
+    const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+    if (accessiblePlantIds) {
+      where.plantId = { in: accessiblePlantIds };
+    }
+  }
   if (deviceId) where.deviceId = deviceId;
   if (severity) where.severity = severity;
   if (status) where.status = status;
 
-  // Check access for non-admin users
-  if (userRole !== 'ADMIN') {
-    const accessiblePlants = await prisma.plant.findMany({
-      where: {
-        OR: [
-          { ownerId: userId },
-          { userPlantAccess: { some: { userId } } },
-        ],
-      },
-      select: { id: true },
-    });
-
-    const plantIds = accessiblePlants.map(p => p.id);
-    where.plantId = { in: plantIds };
-  }
-
   // Get alarms
   const alarms = await prisma.alarm.findMany({
     where,
@@ -748,10 +703,39 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
       acknowledger: {
         select: { name: true },
       },
+      shelver: {
+        select: { name: true },
+      },
     },
     orderBy: { triggeredAt: 'desc' },
   });
 
+  // Conditions held back by suppression windows in the same period and scope
+  const suppressedWhere = {
+    suppressedAt: where.triggeredAt,
+  };
+  if (where.plantId) suppressedWhere.plantId = where.plantId;
+  if (deviceId) suppressedWhere.deviceId = deviceId;
+  if (severity) suppressedWhere.severity = severity;
+
+  const suppressedAlarms = await prisma.suppressedAlarm.findMany({
+    where: suppressedWhere,
+    include: {
+      window: {
+        select: { id: true, name: true, reason: true },
+      },
+      plant: {
+        select: { name: true },
+      },
+      device: {
+        select: { name: true },
+      },
+    },
+    orderBy: { suppressedAt: 'desc' },
+  });
+
+  const timelines = includeTimeline ? await getAlarmTimelines(alarms.map(a => a.id)) : null;
+
   // Calculate resolution time statistics
   const resolvedAlarms = alarms.filter(a => a.resolvedAt);
   const resolutionTimes = resolvedAlarms.map(a =>
@@ -790,6 +774,20 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
     return acc;
   }, {});
 
+  // Suppressed conditions by window
+  const byWindow = {};
+  suppressedAlarms.forEach(item => {
+    const key = item.window ? item.window.id : 'deleted';
+    if (!byWindow[key]) {
+      byWindow[key] = {
+        window: item.window ? item.window.name : 'Deleted window',
+        reason: item.window ? item.window.reason : null,
+        count: 0,
+      };
+    }
+    byWindow[key].count++;
+  });
+
   return {
     filters: {
       plantId,
@@ -798,6 +796,7 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
       status,
       startDate: formatDate(startDate),
       endDate: formatDate(endDate),
+      includeTimeline,
     },
     summary: {
       total: alarms.length,
@@ -805,6 +804,15 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
       byStatus,
       resolved: resolvedAlarms.length,
       pending: alarms.filter(a => a.status === 'ACTIVE').length,
+      shelved: alarms.filter(a => a.shelvedAt).length,
+      currentlyShelved: alarms.filter(a => a.isShelved).length,
+    },
+    suppression: {
+      total: suppressedAlarms.length,
+      cleared: suppressedAlarms.filter(a => a.clearedAt).length,
+      raisedAfterWindow: suppressedAlarms.filter(a => a.releasedAt).length,
+      stillSuppressed: suppressedAlarms.filter(a => !a.clearedAt && !a.releasedAt).length,
+      byWindow: Object.values(byWindow).sort((a, b) => b.count - a.count),
     },
     resolutionTime: {
       avgMinutes: resolutionStats.avg,
@@ -825,6 +833,24 @@ const getAlarmReportData = async ({ plantId, deviceId, severity, status, startDa
       acknowledgedAt: a.acknowledgedAt ? formatDateTime(a.acknowledgedAt) : null,
       resolvedAt: a.resolvedAt ? formatDateTime(a.resolvedAt) : null,
       acknowledger: a.acknowledger ? a.acknowledger.name : null,
+      shelvedAt: a.shelvedAt ? formatDateTime(a.shelvedAt) : null,
+      shelvedUntil: a.shelvedUntil ? formatDateTime(a.shelvedUntil) : null,
+      shelvedBy: a.shelver ? a.shelver.name : null,
+      shelveReason: a.shelveReason,
+      ...(timelines && { timeline: timelines.get(a.id).map(formatAlarmEvent) }),
+    })),
+    suppressedAlarms: suppressedAlarms.map(a => ({
+      id: a.id,
+      plant: a.plant.name,
+      device: a.device.name,
+      severity: a.severity,
+      message: a.message,
+      window: a.window ? a.window.name : 'Deleted window',
+      reason: a.window ? a.window.reason : null,
+      suppressedAt: formatDateTime(a.suppressedAt),
+      clearedAt: a.clearedAt ? formatDateTime(a.clearedAt) : null,
+      releasedAt: a.releasedAt ? formatDateTime(a.releasedAt) : null,
+      alarmId: a.alarmId,
     })),
     generatedAt: new Date().toISOString(),
   };
@@ -857,6 +883,8 @@ const generateAlarmReportPDF = async (params) => {
     doc.text(`Total Alarms: ${data.summary.total}`);
     doc.text(`Resolved: ${data.summary.resolved}`);
     doc.text(`Pending: ${data.summary.pending}`);
+    doc.text(`Shelved: ${data.summary.shelved} (currently ${data.summary.currentlyShelved})`);
+    doc.text(`Suppressed Conditions: ${data.suppression.total}`);
     doc.moveDown();
 
     // By Severity
@@ -891,6 +919,24 @@ const generateAlarmReportPDF = async (params) => {
     });
     doc.moveDown(2);
 
+    // Shelving & Suppression
+    doc.fontSize(16).text('Shelving & Suppression', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(11);
+    doc.text(`Suppressed: ${data.suppression.total}`);
+    doc.text(`Cleared During Window: ${data.suppression.cleared}`);
+    doc.text(`Raised After Window: ${data.suppression.raisedAfterWindow}`);
+    doc.text(`Still Suppressed: ${data.suppression.stillSuppressed}`);
+    data.suppression.byWindow.forEach((item) => {
+      doc.text(`  ${item.window}: ${item.count}${item.reason ? ` (${item.reason})` : ''}`, { indent: 20 });
+    });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    data.alarms.filter(alarm => alarm.shelvedAt).slice(0, 20).forEach((alarm) => {
+      doc.text(`Shelved #${alarm.id} by ${alarm.shelvedBy || 'N/A'} until ${alarm.shelvedUntil}: ${alarm.shelveReason}`);
+    });
+    doc.moveDown(2);
+
     // Recent Alarms
     doc.fontSize(16).text('Alarm Details (Recent 20)', { underline: true });
     doc.moveDown(0.5);
@@ -903,6 +949,12 @@ const generateAlarmReportPDF = async (params) => {
       if (alarm.resolvedAt) {
         doc.text(`   Resolved: ${alarm.resolvedAt}`, { indent: 20 });
       }
+      if (alarm.shelvedAt) {
+        doc.text(`   Shelved: ${alarm.shelvedAt} - ${alarm.shelvedUntil} (${alarm.shelveReason})`, { indent: 20 });
+      }
+      (alarm.timeline || []).forEach((entry) => {
+        doc.text(`   ${entry.time}  ${entry.event} (${entry.user})${entry.note ? `: ${entry.note}` : ''}`, { indent: 30 });
+      });
       doc.moveDown(0.3);
     });
 
@@ -935,6 +987,18 @@ const generateAlarmReportExcel = async (params) => {
   row++;
   summarySheet.getCell(`A${row}`).value = 'Pending:';
   summarySheet.getCell(`B${row}`).value = data.summary.pending;
+  row++;
+  summarySheet.getCell(`A${row}`).value = 'Shelved:';
+  summarySheet.getCell(`B${row}`).value = data.summary.shelved;
+  row++;
+  summarySheet.getCell(`A${row}`).value = 'Currently Shelved:';
+  summarySheet.getCell(`B${row}`).value = data.summary.currentlyShelved;
+  row++;
+  summarySheet.getCell(`A${row}`).value = 'Suppressed Conditions:';
+  summarySheet.getCell(`B${row}`).value = data.suppression.total;
+  row++;
+  summarySheet.getCell(`A${row}`).value = 'Raised After Window:';
+  summarySheet.getCell(`B${row}`).value = data.suppression.raisedAfterWindow;
   row += 2;
 
   summarySheet.getCell(`A${row}`).value = 'By Severity';
@@ -970,6 +1034,10 @@ const generateAlarmReportExcel = async (params) => {
     { header: 'Message', key: 'message', width: 40 },
     { header: 'Triggered At', key: 'triggeredAt', width: 20 },
     { header: 'Resolved At', key: 'resolvedAt', width: 20 },
+    { header: 'Shelved At', key: 'shelvedAt', width: 20 },
+    { header: 'Shelved Until', key: 'shelvedUntil', width: 20 },
+    { header: 'Shelved By', key: 'shelvedBy', width: 20 },
+    { header: 'Shelve Reason', key: 'shelveReason', width: 40 },
   ];
 
   alarmsSheet.getRow(1).font = { bold: true };
@@ -977,6 +1045,26 @@ const generateAlarmReportExcel = async (params) => {
     alarmsSheet.addRow(alarm);
   });
 
+  // Suppressed Conditions Sheet
+  const suppressedSheet = workbook.addWorksheet('Suppressed');
+  suppressedSheet.columns = [
+    { header: 'Plant', key: 'plant', width: 20 },
+    { header: 'Device', key: 'device', width: 20 },
+    { header: 'Severity', key: 'severity', width: 12 },
+    { header: 'Message', key: 'message', width: 40 },
+    { header: 'Window', key: 'window', width: 25 },
+    { header: 'Reason', key: 'reason', width: 30 },
+    { header: 'Suppressed At', key: 'suppressedAt', width: 20 },
+    { header: 'Cleared At', key: 'clearedAt', width: 20 },
+    { header: 'Raised At', key: 'releasedAt', width: 20 },
+    { header: 'Alarm ID', key: 'alarmId', width: 10 },
+  ];
+
+  suppressedSheet.getRow(1).font = { bold: true };
+  data.suppressedAlarms.forEach(item => {
+    suppressedSheet.addRow(item);
+  });
+
   // Top Alarm Types Sheet
   const typesSheet = workbook.addWorksheet('Top Types');
   typesSheet.columns = [
@@ -990,6 +1078,25 @@ const generateAlarmReportExcel = async (params) => {
     typesSheet.addRow(type);
   });
 
+  // Timeline Sheet
+  if (data.filters.includeTimeline) {
+    const timelineSheet = workbook.addWorksheet('Timeline');
+    timelineSheet.columns = [
+      { header: 'Alarm ID', key: 'alarmId', width: 10 },
+      { header: 'Time', key: 'time', width: 20 },
+      { header: 'Event', key: 'event', width: 20 },
+      { header: 'User', key: 'user', width: 20 },
+      { header: 'Note', key: 'note', width: 50 },
+    ];
+
+    timelineSheet.getRow(1).font = { bold: true };
+    data.alarms.forEach(alarm => {
+      alarm.timeline.forEach(entry => {
+        timelineSheet.addRow({ alarmId: alarm.id, ...entry });
+      });
+    });
+  }
+
   summarySheet.getColumn('A').width = 30;
   summarySheet.getColumn('B').width = 20;
 
@@ -997,163 +1104,284 @@ const generateAlarmReportExcel = async (params) => {
 };
 
 // ============================================
-// ENERGY PRODUCTION REPORT
+// ALARM KPI REPORT
 // ============================================
 
 /**
- * Generate Energy Production Report Data
+ * Generate Alarm KPI Report Data
  */
-const getEnergyProductionData = async ({ plantId, deviceId, startDate, endDate, userId, userRole }) => {
-  // Build where clause
-  const where = {
-    timestamp: {
-      gte: new Date(startDate),
-      lte: new Date(endDate),
+const getAlarmKpiReportData = async ({ plantId, startDate, endDate, top, userId, userRole }) => {
+  const kpis = await getAlarmKpis(userId, userRole, { plantId, startDate, endDate, top });
+
+  return {
+    filters: {
+      plantId,
+      plants: kpis.plants.map(p => p.name),
+      startDate: formatDate(kpis.period.startDate),
+      endDate: formatDate(kpis.period.endDate),
     },
-    tag: {
-      name: {
-        in: ['Energy', 'TotalEnergy', 'ActivePower', 'Power'],
-      },
+    ...kpis,
+    floods: {
+      ...kpis.floods,
+      peak: kpis.floods.peak && { ...kpis.floods.peak, windowStart: formatDateTime(kpis.floods.peak.windowStart) },
+      windows: kpis.floods.windows.map(w => ({ ...w, windowStart: formatDateTime(w.windowStart) })),
+    },
+    chattering: {
+      ...kpis.chattering,
+      alarms: kpis.chattering.alarms.map(a => ({ ...a, lastTriggeredAt: formatDateTime(a.lastTriggeredAt) })),
     },
+    stale: {
+      ...kpis.stale,
+      alarms: kpis.stale.alarms.map(a => ({ ...a, triggeredAt: formatDateTime(a.triggeredAt) })),
+    },
+    generatedAt: new Date().toISOString(),
   };
+};
 
-  if (plantId) where.plantId = plantId;
-  if (deviceId) where.deviceId = deviceId;
+/**
+ * Helper: Format minutes for KPI reports
+ */
+const formatMinutes = (minutes) => (minutes === null ? 'N/A' : `${minutes.toFixed(1)} min`);
 
-  // Check access for non-admin users
-  if (userRole !== 'ADMIN') {
-    if (plantId) {
-      const plant = await prisma.plant.findUnique({
-        where: { id: plantId },
-        select: { ownerId: true },
-      });
+/**
+ * Generate Alarm KPI Report as PDF
+ */
+const generateAlarmKpiReportPDF = async (params) => {
+  const data = await getAlarmKpiReportData(params);
 
-      if (!plant) {
-        throw new NotFoundError('Plant not found');
-      }
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50 });
+    const chunks = [];
 
-      if (plant.ownerId !== userId) {
-        const hasAccess = await prisma.userPlantAccess.findFirst({
-          where: { userId, plantId },
-        });
-        if (!hasAccess) {
-          throw new BadRequestError('You do not have access to this plant');
-        }
-      }
-    } else {
-      // Get all accessible plants
-      const accessiblePlants = await prisma.plant.findMany({
-        where: {
-          OR: [
-            { ownerId: userId },
-            { userPlantAccess: { some: { userId } } },
-          ],
-        },
-        select: { id: true },
-      });
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
 
-      where.plantId = { in: accessiblePlants.map(p => p.id) };
-    }
-  }
+    // Header
+    doc.fontSize(20).text('Alarm KPI Report', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(12).text(`Period: ${data.filters.startDate} - ${data.filters.endDate}`, { align: 'center' });
+    doc.fontSize(10).text(`Plants: ${data.filters.plants.join(', ') || 'None'}`, { align: 'center' });
+    doc.moveDown(2);
 
-  // Get energy production data
-  const productionData = await prisma.processedData.findMany({
-    where,
-    include: {
-      plant: {
-        select: { id: true, name: true },
-      },
-      device: {
-        select: { id: true, name: true, deviceType: true },
-      },
-      tag: {
-        select: { name: true, unit: true },
-      },
-    },
-    orderBy: { timestamp: 'asc' },
-  });
+    // Response Times
+    doc.fontSize(16).text('Response Times', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(11);
+    doc.text(`Total Alarms: ${data.totals.alarms}`);
+    doc.text(`MTTA: ${formatMinutes(data.mtta.avgMinutes)} (median ${formatMinutes(data.mtta.medianMinutes)}, p90 ${formatMinutes(data.mtta.p90Minutes)}, ${data.mtta.count} acknowledged)`);
+    doc.text(`MTTR: ${formatMinutes(data.mttr.avgMinutes)} (median ${formatMinutes(data.mttr.medianMinutes)}, p90 ${formatMinutes(data.mttr.p90Minutes)}, ${data.mttr.count} resolved)`);
+    doc.moveDown(2);
 
-  // Daily aggregation
-  const dailyData = await prisma.$queryRaw`
-    SELECT
-      DATE(timestamp) as date,
-      SUM(CAST(value AS DECIMAL)) as total_energy,
-      AVG(CAST(value AS DECIMAL)) as avg_power,
-      MAX(CAST(value AS DECIMAL)) as peak_power
-    FROM "solar2"."ProcessedData"
-    WHERE timestamp >= ${new Date(startDate)}
-      AND timestamp <= ${new Date(endDate)}
-      ${plantId ? prisma.$queryRawUnsafe(`AND "plantId" = '${plantId}'`) : prisma.$queryRawUnsafe('')}
-      ${deviceId ? prisma.$queryRawUnsafe(`AND "deviceId" = '${deviceId}'`) : prisma.$queryRawUnsafe('')}
-      AND "tagId" IN (
-        SELECT id FROM "solar2"."Tags"
-        WHERE name IN ('Energy', 'TotalEnergy', 'ActivePower', 'Power')
-      )
-    GROUP BY DATE(timestamp)
-    ORDER BY date ASC
-  `;
-
-  // Calculate statistics
-  const energyValues = productionData.map(d => parseFloat(d.value));
-  const energyStats = calculateStats(energyValues);
-
-  // Group by plant
-  const byPlant = {};
-  productionData.forEach(data => {
-    const plantId = data.plant.id;
-    if (!byPlant[plantId]) {
-      byPlant[plantId] = {
-        plantName: data.plant.name,
-        values: [],
-      };
+    // Floods
+    doc.fontSize(16).text('Alarm Floods', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(11);
+    doc.text(`Flood: more than ${data.floods.thresholdPerOperator} alarms per operator in ${data.floods.windowMinutes} minutes`);
+    doc.text(`Flood Windows: ${data.floods.floodWindows} (${data.floods.percentTimeInFlood}% of the time)`);
+    if (data.floods.peak) {
+      doc.text(`Peak: ${data.floods.peak.perOperator} per operator at ${data.floods.peak.plant}, ${data.floods.peak.windowStart}`);
     }
-    byPlant[plantId].values.push(parseFloat(data.value));
-  });
+    doc.fontSize(10);
+    data.floods.byPlant.forEach((plant) => {
+      doc.text(
+        `  ${plant.plant}: ${plant.averagePerOperator} avg / ${plant.peakPerOperator} peak per operator, ${plant.floodWindows} flood windows (${plant.operators} operators)`,
+        { indent: 20 }
+      );
+    });
+    doc.moveDown(2);
 
-  const plantStats = {};
-  Object.entries(byPlant).forEach(([plantId, data]) => {
-    plantStats[plantId] = {
-      name: data.plantName,
-      ...calculateStats(data.values),
-    };
+    // Bad Actors
+    doc.fontSize(16).text('Bad Actors', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    doc.text('Devices:', { underline: true });
+    data.badActors.devices.forEach((device, idx) => {
+      doc.text(`${idx + 1}. ${device.name} (${device.plant}) - ${device.alarms} alarms, ${device.percent}%`);
+    });
+    doc.moveDown(0.5);
+    doc.text('Tags:', { underline: true });
+    data.badActors.tags.forEach((tag, idx) => {
+      doc.text(`${idx + 1}. ${tag.device ? `${tag.device} / ` : ''}${tag.name} - ${tag.alarms} alarms, ${tag.percent}%`);
+    });
+    doc.moveDown(2);
+
+    // Chattering
+    doc.fontSize(16).text('Chattering Alarms', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    doc.text(`${data.chattering.thresholdCount} or more alarms within ${data.chattering.windowSeconds} seconds`);
+    data.chattering.alarms.forEach((alarm, idx) => {
+      doc.text(`${idx + 1}. ${alarm.device || 'N/A'}: ${alarm.message} - ${alarm.maxInWindow} in window, ${alarm.alarms} total`);
+    });
+    doc.moveDown(2);
+
+    // Stale
+    doc.fontSize(16).text('Stale Alarms', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    doc.text(`${data.stale.count} alarms open longer than ${data.stale.thresholdHours} hours`);
+    data.stale.alarms.forEach((alarm, idx) => {
+      doc.text(`${idx + 1}. #${alarm.id} [${alarm.severity}] ${alarm.plant} - ${alarm.device || 'N/A'}: ${alarm.message} (${alarm.ageHours} h)`);
+    });
+
+    doc.end();
   });
+};
 
-  // Group by device type
-  const byDeviceType = {};
-  productionData.forEach(data => {
-    if (data.device) {
-      const type = data.device.deviceType;
-      if (!byDeviceType[type]) {
-        byDeviceType[type] = [];
-      }
-      byDeviceType[type].push(parseFloat(data.value));
-    }
+/**
+ * Generate Alarm KPI Report as Excel
+ */
+const generateAlarmKpiReportExcel = async (params) => {
+  const data = await getAlarmKpiReportData(params);
+
+  const workbook = new ExcelJS.Workbook();
+
+  // Summary Sheet
+  const summarySheet = workbook.addWorksheet('Summary');
+
+  summarySheet.mergeCells('A1:C1');
+  summarySheet.getCell('A1').value = 'Alarm KPI Report';
+  summarySheet.getCell('A1').font = { size: 16, bold: true };
+  summarySheet.getCell('A1').alignment = { horizontal: 'center' };
+
+  const summaryRows = [
+    ['Period', `${data.filters.startDate} - ${data.filters.endDate}`],
+    ['Plants', data.filters.plants.join(', ')],
+    ['Total Alarms', data.totals.alarms],
+    ['Acknowledged', data.totals.acknowledged],
+    ['Resolved', data.totals.resolved],
+    ['MTTA Average (min)', data.mtta.avgMinutes],
+    ['MTTA Median (min)', data.mtta.medianMinutes],
+    ['MTTA p90 (min)', data.mtta.p90Minutes],
+    ['MTTR Average (min)', data.mttr.avgMinutes],
+    ['MTTR Median (min)', data.mttr.medianMinutes],
+    ['MTTR p90 (min)', data.mttr.p90Minutes],
+    ['Flood Threshold (per operator / 10 min)', data.floods.thresholdPerOperator],
+    ['Flood Windows', data.floods.floodWindows],
+    ['Time in Flood (%)', data.floods.percentTimeInFlood],
+    ['Chattering Alarms', data.chattering.alarms.length],
+    ['Stale Alarms', data.stale.count],
+  ];
+  summaryRows.forEach(([label, value], idx) => {
+    summarySheet.getCell(`A${idx + 3}`).value = label;
+    summarySheet.getCell(`B${idx + 3}`).value = value;
   });
 
-  const deviceTypeStats = {};
-  Object.entries(byDeviceType).forEach(([type, values]) => {
-    deviceTypeStats[type] = calculateStats(values);
+  summarySheet.getColumn('A').width = 40;
+  summarySheet.getColumn('B').width = 30;
+
+  // Floods Sheet
+  const floodsSheet = workbook.addWorksheet('Floods');
+  floodsSheet.columns = [
+    { header: 'Plant', key: 'plant', width: 25 },
+    { header: 'Operators', key: 'operators', width: 12 },
+    { header: 'Alarms', key: 'alarms', width: 10 },
+    { header: 'Avg per Operator', key: 'averagePerOperator', width: 18 },
+    { header: 'Peak per Operator', key: 'peakPerOperator', width: 18 },
+    { header: 'Flood Windows', key: 'floodWindows', width: 15 },
+    { header: 'Time in Flood (%)', key: 'percentTimeInFlood', width: 18 },
+  ];
+  floodsSheet.getRow(1).font = { bold: true };
+  data.floods.byPlant.forEach(plant => floodsSheet.addRow(plant));
+
+  floodsSheet.addRow([]);
+  const windowHeader = floodsSheet.addRow(['Plant', 'Window Start', 'Alarms', 'Operators', 'Per Operator']);
+  windowHeader.font = { bold: true };
+  data.floods.windows.forEach(w => {
+    floodsSheet.addRow([w.plant, w.windowStart, w.alarms, w.operators, w.perOperator]);
   });
 
+  // Bad Actors Sheets
+  const devicesSheet = workbook.addWorksheet('Bad Actor Devices');
+  devicesSheet.columns = [
+    { header: 'Device', key: 'name', width: 25 },
+    { header: 'Code', key: 'code', width: 15 },
+    { header: 'Type', key: 'deviceType', width: 15 },
+    { header: 'Plant', key: 'plant', width: 20 },
+    { header: 'Alarms', key: 'alarms', width: 10 },
+    { header: 'Share (%)', key: 'percent', width: 10 },
+  ];
+  devicesSheet.getRow(1).font = { bold: true };
+  data.badActors.devices.forEach(device => devicesSheet.addRow(device));
+
+  const tagsSheet = workbook.addWorksheet('Bad Actor Tags');
+  tagsSheet.columns = [
+    { header: 'Tag', key: 'name', width: 25 },
+    { header: 'Device', key: 'device', width: 25 },
+    { header: 'Unit', key: 'unit', width: 10 },
+    { header: 'Alarms', key: 'alarms', width: 10 },
+    { header: 'Share (%)', key: 'percent', width: 10 },
+  ];
+  tagsSheet.getRow(1).font = { bold: true };
+  data.badActors.tags.forEach(tag => tagsSheet.addRow(tag));
+
+  // Chattering Sheet
+  const chatteringSheet = workbook.addWorksheet('Chattering');
+  chatteringSheet.columns = [
+    { header: 'Device', key: 'device', width: 25 },
+    { header: 'Condition', key: 'condition', width: 25 },
+    { header: 'Message', key: 'message', width: 40 },
+    { header: 'Max in Window', key: 'maxInWindow', width: 15 },
+    { header: 'Alarms', key: 'alarms', width: 10 },
+    { header: 'Last Triggered', key: 'lastTriggeredAt', width: 20 },
+  ];
+  chatteringSheet.getRow(1).font = { bold: true };
+  data.chattering.alarms.forEach(alarm => chatteringSheet.addRow(alarm));
+
+  // Stale Sheet
+  const staleSheet = workbook.addWorksheet('Stale');
+  staleSheet.columns = [
+    { header: 'Alarm ID', key: 'id', width: 10 },
+    { header: 'Plant', key: 'plant', width: 20 },
+    { header: 'Device', key: 'device', width: 20 },
+    { header: 'Severity', key: 'severity', width: 12 },
+    { header: 'Status', key: 'status', width: 15 },
+    { header: 'Message', key: 'message', width: 40 },
+    { header: 'Triggered At', key: 'triggeredAt', width: 20 },
+    { header: 'Age (h)', key: 'ageHours', width: 10 },
+  ];
+  staleSheet.getRow(1).font = { bold: true };
+  data.stale.alarms.forEach(alarm => staleSheet.addRow(alarm));
+
+  return await workbook.xlsx.writeBuffer();
+};
+
+// ============================================
+// ENERGY PRODUCTION REPORT
+// ============================================
+
+/**
+ * Generate Energy Production Report Data
+ * Energy is the sum of the interval deltas of the production counters, not of raw readings.
+ */
+const getEnergyProductionData = async ({ plantId, deviceId, startDate, endDate, includeSuspicious, userId, userRole }) => {
+  const energy = await getEnergyProduction(userId, userRole, { plantId, deviceId, startDate, endDate, includeSuspicious });
+
   return {
     filters: {
       plantId,
       deviceId,
-      startDate: formatDate(startDate),
-      endDate: formatDate(endDate),
+      plants: energy.plants.map(p => p.name),
+      startDate: formatDate(energy.period.startDate),
+      endDate: formatDate(energy.period.endDate),
+      counters: energy.tagNames,
+      includeSuspicious: energy.includeSuspicious,
     },
     overall: {
-      ...energyStats,
-      unit: 'kWh',
+      total: energy.total,
+      unit: energy.unit,
+      days: energy.days,
+      avgDaily: energy.avgDaily,
+      peakDay: energy.peakDay,
+    },
+    daily: energy.daily,
+    byPlant: energy.byPlant,
+    byDeviceType: energy.byDeviceType,
+    counterEvents: {
+      ...energy.counterEvents,
+      latest: energy.counterEvents.latest.map(e => ({ ...e, timestamp: formatDateTime(e.timestamp) })),
     },
-    daily: dailyData.map(d => ({
-      date: formatDate(d.date),
-      totalEnergy: parseFloat(d.total_energy || 0).toFixed(2),
-      avgPower: parseFloat(d.avg_power || 0).toFixed(2),
-      peakPower: parseFloat(d.peak_power || 0).toFixed(2),
-    })),
-    byPlant: plantStats,
-    byDeviceType: deviceTypeStats,
     generatedAt: new Date().toISOString(),
   };
 };
@@ -1163,6 +1391,7 @@ const getEnergyProductionData = async ({ plantId, deviceId, startDate, endDate,
  */
 const generateEnergyProductionPDF = async (params) => {
   const data = await getEnergyProductionData(params);
+  const { unit } = data.overall;
 
   return new Promise((resolve, reject) => {
     const doc = new PDFDocument({ margin: 50 });
@@ -1176,49 +1405,55 @@ const generateEnergyProductionPDF = async (params) => {
     doc.fontSize(20).text('Energy Production Report', { align: 'center' });
     doc.moveDown();
     doc.fontSize(12).text(`Period: ${data.filters.startDate} - ${data.filters.endDate}`, { align: 'center' });
+    doc.fontSize(10).text(`Counters: ${data.filters.counters.join(', ')}`, { align: 'center' });
     doc.moveDown(2);
 
     // Overall Statistics
     doc.fontSize(16).text('Overall Statistics', { underline: true });
     doc.moveDown(0.5);
     doc.fontSize(11);
-    doc.text(`Total Energy: ${data.overall.sum} ${data.overall.unit}`);
-    doc.text(`Average: ${data.overall.avg} ${data.overall.unit}`);
-    doc.text(`Peak: ${data.overall.max} ${data.overall.unit}`);
-    doc.text(`Minimum: ${data.overall.min} ${data.overall.unit}`);
-    doc.text(`Data Points: ${data.overall.count}`);
+    doc.text(`Total Energy: ${data.overall.total} ${unit}`);
+    doc.text(`Average per Day: ${data.overall.avgDaily} ${unit} (${data.overall.days} days with data)`);
+    if (data.overall.peakDay) {
+      doc.text(`Peak Day: ${data.overall.peakDay.date} - ${data.overall.peakDay.energy} ${unit}`);
+    }
     doc.moveDown(2);
 
     // By Plant
-    if (Object.keys(data.byPlant).length > 0) {
-      doc.fontSize(16).text('Performance by Plant', { underline: true });
+    if (data.byPlant.length > 0) {
+      doc.fontSize(16).text('Production by Plant', { underline: true });
       doc.moveDown(0.5);
       doc.fontSize(11);
-
-      Object.entries(data.byPlant).forEach(([plantId, stats]) => {
-        doc.text(`${stats.name}:`, { underline: true });
-        doc.text(`  Total: ${stats.sum} ${data.overall.unit}`, { indent: 20 });
-        doc.text(`  Average: ${stats.avg} ${data.overall.unit}`, { indent: 20 });
-        doc.text(`  Peak: ${stats.max} ${data.overall.unit}`, { indent: 20 });
-        doc.moveDown(0.3);
+      data.byPlant.forEach((plant) => {
+        doc.text(`${plant.name}: ${plant.energy} ${unit}`);
       });
       doc.moveDown();
     }
 
     // By Device Type
-    if (Object.keys(data.byDeviceType).length > 0) {
-      doc.fontSize(16).text('Performance by Device Type', { underline: true });
+    if (data.byDeviceType.length > 0) {
+      doc.fontSize(16).text('Production by Device Type', { underline: true });
       doc.moveDown(0.5);
       doc.fontSize(11);
-
-      Object.entries(data.byDeviceType).forEach(([type, stats]) => {
-        doc.text(`${type}:`, { underline: true });
-        doc.text(`  Total: ${stats.sum} ${data.overall.unit}`, { indent: 20 });
-        doc.text(`  Average: ${stats.avg} ${data.overall.unit}`, { indent: 20 });
-        doc.moveDown(0.3);
+      data.byDeviceType.forEach((type) => {
+        doc.text(`${type.deviceType}: ${type.energy} ${unit}`);
       });
+      doc.moveDown();
     }
 
+    // Counter Events
+    const { deltas, suspiciousEnergy, latest } = data.counterEvents;
+    doc.fontSize(16).text('Counter Events', { underline: true });
+    doc.moveDown(0.5);
+    doc.fontSize(10);
+    doc.text(
+      `Resets: ${deltas.RESET || 0}, Rollovers: ${deltas.ROLLOVER || 0}, Replacements: ${deltas.REPLACEMENT || 0}, ` +
+        `Suspicious jumps: ${deltas.SUSPICIOUS || 0} (${suspiciousEnergy} ${unit}, ${data.filters.includeSuspicious ? 'included' : 'excluded'})`
+    );
+    latest.forEach((event) => {
+      doc.text(`${event.timestamp} [${event.status}] ${event.device} / ${event.tag}: ${event.previousValue} -> ${event.value} (counted ${event.delta})`);
+    });
+
     doc.end();
   });
 };
@@ -1228,6 +1463,8 @@ const generateEnergyProductionPDF = async (params) => {
  */
 const generateEnergyProductionExcel = async (params) => {
   const data = await getEnergyProductionData(params);
+  const { unit } = data.overall;
+  const { deltas } = data.counterEvents;
 
   const workbook = new ExcelJS.Workbook();
 
@@ -1239,50 +1476,46 @@ const generateEnergyProductionExcel = async (params) => {
   summarySheet.getCell('A1').font = { size: 16, bold: true };
   summarySheet.getCell('A1').alignment = { horizontal: 'center' };
 
-  let row = 3;
-  summarySheet.getCell(`A${row}`).value = 'Overall Statistics';
-  summarySheet.getCell(`A${row}`).font = { bold: true, size: 12 };
-  row++;
-
-  summarySheet.getCell(`A${row}`).value = 'Total Energy:';
-  summarySheet.getCell(`B${row}`).value = `${data.overall.sum} ${data.overall.unit}`;
-  row++;
-  summarySheet.getCell(`A${row}`).value = 'Average:';
-  summarySheet.getCell(`B${row}`).value = `${data.overall.avg} ${data.overall.unit}`;
-  row++;
-  summarySheet.getCell(`A${row}`).value = 'Peak:';
-  summarySheet.getCell(`B${row}`).value = `${data.overall.max} ${data.overall.unit}`;
-  row += 2;
+  const summaryRows = [
+    ['Period', `${data.filters.startDate} - ${data.filters.endDate}`],
+    ['Plants', data.filters.plants.join(', ')],
+    ['Counters', data.filters.counters.join(', ')],
+    [`Total Energy (${unit})`, data.overall.total],
+    [`Average per Day (${unit})`, data.overall.avgDaily],
+    ['Days with Data', data.overall.days],
+    ['Peak Day', data.overall.peakDay ? `${data.overall.peakDay.date} (${data.overall.peakDay.energy} ${unit})` : 'N/A'],
+    ['Counter Resets', deltas.RESET || 0],
+    ['Counter Rollovers', deltas.ROLLOVER || 0],
+    ['Counter Replacements', deltas.REPLACEMENT || 0],
+    ['Suspicious Jumps', deltas.SUSPICIOUS || 0],
+    [`Suspicious Energy (${unit}, ${data.filters.includeSuspicious ? 'included' : 'excluded'})`, data.counterEvents.suspiciousEnergy],
+  ];
+  summaryRows.forEach(([label, value], idx) => {
+    summarySheet.getCell(`A${idx + 3}`).value = label;
+    summarySheet.getCell(`B${idx + 3}`).value = value;
+  });
 
-  // By Plant
-  if (Object.keys(data.byPlant).length > 0) {
+  let row = summaryRows.length + 4;
+  if (data.byPlant.length > 0) {
     summarySheet.getCell(`A${row}`).value = 'By Plant';
     summarySheet.getCell(`A${row}`).font = { bold: true, size: 12 };
     row++;
 
-    summarySheet.getCell(`A${row}`).value = 'Plant';
-    summarySheet.getCell(`B${row}`).value = 'Total';
-    summarySheet.getCell(`C${row}`).value = 'Average';
-    summarySheet.getCell(`D${row}`).value = 'Peak';
-    summarySheet.getRow(row).font = { bold: true };
-    row++;
-
-    Object.entries(data.byPlant).forEach(([plantId, stats]) => {
-      summarySheet.getCell(`A${row}`).value = stats.name;
-      summarySheet.getCell(`B${row}`).value = stats.sum;
-      summarySheet.getCell(`C${row}`).value = stats.avg;
-      summarySheet.getCell(`D${row}`).value = stats.max;
+    data.byPlant.forEach((plant) => {
+      summarySheet.getCell(`A${row}`).value = plant.name;
+      summarySheet.getCell(`B${row}`).value = plant.energy;
       row++;
     });
   }
 
+  summarySheet.getColumn('A').width = 40;
+  summarySheet.getColumn('B').width = 30;
+
   // Daily Data Sheet
   const dailySheet = workbook.addWorksheet('Daily Production');
   dailySheet.columns = [
     { header: 'Date', key: 'date', width: 15 },
-    { header: 'Total Energy (kWh)', key: 'totalEnergy', width: 20 },
-    { header: 'Avg Power (kW)', key: 'avgPower', width: 18 },
-    { header: 'Peak Power (kW)', key: 'peakPower', width: 18 },
+    { header: `Energy (${unit})`, key: 'energy', width: 20 },
   ];
 
   dailySheet.getRow(1).font = { bold: true };
@@ -1290,8 +1523,22 @@ const generateEnergyProductionExcel = async (params) => {
     dailySheet.addRow(item);
   });
 
-  summarySheet.getColumn('A').width = 25;
-  summarySheet.getColumn('B').width = 20;
+  // Counter Events Sheet
+  const eventsSheet = workbook.addWorksheet('Counter Events');
+  eventsSheet.columns = [
+    { header: 'Time', key: 'timestamp', width: 22 },
+    { header: 'Status', key: 'status', width: 14 },
+    { header: 'Device', key: 'device', width: 20 },
+    { header: 'Tag', key: 'tag', width: 18 },
+    { header: 'Previous Reading', key: 'previousValue', width: 18 },
+    { header: 'Reading', key: 'value', width: 18 },
+    { header: 'Counted', key: 'delta', width: 14 },
+  ];
+
+  eventsSheet.getRow(1).font = { bold: true };
+  data.counterEvents.latest.forEach(item => {
+    eventsSheet.addRow(item);
+  });
 
   return await workbook.xlsx.writeBuffer();
 };
@@ -1316,6 +1563,11 @@ export {
   generateAlarmReportPDF,
   generateAlarmReportExcel,
 
+  // Alarm KPI Report
+  getAlarmKpiReportData,
+  generateAlarmKpiReportPDF,
+  generateAlarmKpiReportExcel,
+
   // Energy Production
   getEnergyProductionData,
   generateEnergyProductionPDF,
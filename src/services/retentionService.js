@@ -0,0 +1,234 @@
+/**
+ * Retention Service
+ * Business logic for data retention policies, their impact preview and the run log
+ */
+
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { getRetentionCutoff, countExpiredRows } from '../modules/retention/index.js';
+
+const POLICY_INCLUDE = {
+  plant: {
+    select: { id: true, name: true },
+  },
+  creator: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+/**
+ * Check that a plant exists (null: default policy)
+ */
+const checkPlantExists = async (plantId) => {
+  if (plantId === null) return;
+
+  const plant = await prisma.plant.findUnique({ where: { id: plantId }, select: { id: true } });
+  if (!plant) {
+    throw new NotFoundError('Plant not found');
+  }
+};
+
+/**
+ * Get a retention policy or throw
+ */
+const findPolicy = async (policyId) => {
+  const policy = await prisma.retentionPolicy.findUnique({
+    where: { id: policyId },
+    include: POLICY_INCLUDE,
+  });
+
+  if (!policy) {
+    throw new NotFoundError('Retention policy not found');
+  }
+
+  return policy;
+};
+
+/**
+ * Get retention policies
+ */
+const getPolicies = async (filters = {}) => {
+  const { plantId, target } = filters;
+  const where = {};
+
+  if (plantId === 'default') where.plantId = null;
+  else if (plantId) where.plantId = plantId;
+  if (target) where.target = target;
+
+  return prisma.retentionPolicy.findMany({
+    where,
+    include: POLICY_INCLUDE,
+    orderBy: [{ plantId: { sort: 'asc', nulls: 'first' } }, { target: 'asc' }],
+  });
+};
+
+/**
+ * Get retention policy by ID
+ */
+const getPolicyById = (policyId) => findPolicy(policyId);
+
+/**
+ * Create a retention policy (one per plant and target, one default per target)
+ */
+const createPolicy = async (policyData, userId) => {
+  await checkPlantExists(policyData.plantId);
+
+  const existing = await prisma.retentionPolicy.findFirst({
+    where: { plantId: policyData.plantId, target: policyData.target },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new ConflictError(
+      `Retention policy #${existing.id} already covers ${policyData.target} ${policyData.plantId ? 'for this plant' : 'by default'}`
+    );
+  }
+
+  const policy = await prisma.retentionPolicy.create({
+    data: {
+      ...policyData,
+      createdBy: userId,
+    },
+    include: POLICY_INCLUDE,
+  });
+
+  logger.info('Retention policy created', { policyId: policy.id, plantId: policy.plantId, target: policy.target, userId });
+
+  return policy;
+};
+
+/**
+ * Update a retention policy
+ */
+const updatePolicy = async (policyId, updateData, userId) => {
+  await findPolicy(policyId);
+
+  const policy = await prisma.retentionPolicy.update({
+    where: { id: policyId },
+    data: updateData,
+    include: POLICY_INCLUDE,
+  });
+
+  logger.info('Retention policy updated', { policyId, userId, ...updateData });
+
+  return policy;
+};
+
+/**
+ * Delete a retention policy
+ * Its runs stay in the log.
+ */
+const deletePolicy = async (policyId, userId) => {
+  await findPolicy(policyId);
+
+  await prisma.retentionPolicy.delete({
+    where: { id: policyId },
+  });
+
+  logger.info('Retention policy deleted', { policyId, userId });
+
+  return {
+    message: 'Retention policy deleted successfully',
+  };
+};
+
+/**
+ * Count what a policy would remove right now, per plant
+ * A default policy covers the plants without their own policy for the target.
+ * @param {Object} policy - { id, plantId, target, retentionDays }
+ * @returns {Promise<Object>} { policyId, plantId, target, retentionDays, totalRows, plants }
+ */
+const previewImpact = async (policy) => {
+  const { plantId, target, retentionDays } = policy;
+
+  const plants = await prisma.plant.findMany({
+    where: plantId ? { id: plantId } : { retentionPolicies: { none: { target } } },
+    select: { id: true, name: true },
+    orderBy: { name: 'asc' },
+  });
+
+  const at = new Date();
+  const impact = [];
+  for (const plant of plants) {
+    const cutoff = await getRetentionCutoff(target, plant.id, retentionDays, at);
+    const { rows, oldest } = await countExpiredRows(target, plant.id, cutoff);
+    impact.push({ plantId: plant.id, plantName: plant.name, cutoff, rows, oldest });
+  }
+
+  return {
+    policyId: policy.id ?? null,
+    plantId,
+    target,
+    retentionDays,
+    generatedAt: at,
+    totalRows: impact.reduce((sum, entry) => sum + entry.rows, 0),
+    plants: impact,
+  };
+};
+
+/**
+ * Preview the impact of a draft policy before creating it
+ */
+const previewPolicy = async (policyData) => {
+  await checkPlantExists(policyData.plantId);
+  return previewImpact(policyData);
+};
+
+/**
+ * Preview the impact of an existing policy (also when disabled)
+ */
+const previewPolicyById = async (policyId) => previewImpact(await findPolicy(policyId));
+
+/**
+ * Get the log of what retention runs removed
+ */
+const getRetentionRuns = async (filters = {}, pagination = {}) => {
+  const { plantId, policyId, target, startDate, endDate } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const where = {};
+  if (plantId) where.plantId = plantId;
+  if (policyId) where.policyId = policyId;
+  if (target) where.target = target;
+
+  if (startDate || endDate) {
+    where.startedAt = {};
+    if (startDate) where.startedAt.gte = new Date(startDate);
+    if (endDate) where.startedAt.lte = new Date(endDate);
+  }
+
+  const [runs, total] = await Promise.all([
+    prisma.retentionRun.findMany({
+      where,
+      include: {
+        plant: { select: { id: true, name: true } },
+        policy: { select: { id: true, plantId: true, retentionDays: true } },
+      },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      orderBy: { startedAt: 'desc' },
+    }),
+    prisma.retentionRun.count({ where }),
+  ]);
+
+  return {
+    runs,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+export {
+  getPolicies,
+  getPolicyById,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  previewPolicy,
+  previewPolicyById,
+  getRetentionRuns,
+};
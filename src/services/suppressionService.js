@@ -0,0 +1,256 @@
+/**
+ * Suppression Service
+ * Business logic for alarm suppression windows and the suppressed alarm log
+ */
+
+import { prisma } from '../config/database.js';
+import logger from '../config/logger.js';
+import { NotFoundError, ForbiddenError, ValidationError } from '../utils/errors.js';
+import { hasPlantAccess, getAccessiblePlantIds } from './userPlantMapService.js';
+import { getWindowScheduleIssues } from '../validators/suppressionValidators.js';
+import { invalidateSuppressionCache, isWindowActive } from '../modules/alarm-engine/index.js';
+
+const WINDOW_INCLUDE = {
+  plant: {
+    select: { id: true, name: true, timezone: true },
+  },
+  device: {
+    select: { id: true, deviceId: true, name: true },
+  },
+  creator: {
+    select: { id: true, name: true, email: true },
+  },
+};
+
+/**
+ * Check that the plant exists and the user may manage it
+ */
+const checkPlantAccess = async (plantId, userId, userRole) => {
+  const plant = await prisma.plant.findUnique({ where: { id: plantId } });
+  if (!plant) {
+    throw new NotFoundError('Plant not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, plantId))) {
+    throw new ForbiddenError('You do not have access to this plant');
+  }
+  return plant;
+};
+
+/**
+ * Check the device and rules a window selects against its plant
+ */
+const checkWindowTargets = async ({ deviceId, ruleIds }, plantId) => {
+  if (deviceId) {
+    const device = await prisma.device.findUnique({ where: { id: deviceId }, select: { plantId: true } });
+    if (!device || device.plantId !== plantId) {
+      throw new NotFoundError('Device not found in this plant');
+    }
+  }
+
+  if (ruleIds?.length > 0) {
+    const ids = [...new Set(ruleIds)];
+    const found = await prisma.alarmRule.count({ where: { id: { in: ids } } });
+    if (found !== ids.length) {
+      throw new ValidationError('Validation failed', [{ field: 'ruleIds', message: 'Alarm rule not found' }]);
+    }
+  }
+};
+
+/**
+ * Add whether a window is suppressing right now
+ */
+const withActiveState = (window, at = new Date()) => ({
+  ...window,
+  isActive: isWindowActive(window, at, window.plant.timezone),
+});
+
+/**
+ * Check if user can see a suppression window
+ */
+const checkWindowAccess = async (windowId, userId, userRole) => {
+  const window = await prisma.suppressionWindow.findUnique({
+    where: { id: windowId },
+    include: WINDOW_INCLUDE,
+  });
+
+  if (!window) {
+    throw new NotFoundError('Suppression window not found');
+  }
+  if (!(await hasPlantAccess(userId, userRole, window.plantId))) {
+    throw new ForbiddenError('You do not have access to this suppression window');
+  }
+
+  return window;
+};
+
+/**
+ * Get suppression windows of accessible plants
+ */
+const getWindows = async (userId, userRole, filters = {}) => {
+  const { plantId, deviceId, active } = filters;
+  const where = {};
+
+  if (plantId) {
+    await checkPlantAccess(plantId, userId, userRole);
+    where.plantId = plantId;
+  } else {
+    const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+    if (accessiblePlantIds) {
+      where.plantId = { in: accessiblePlantIds };
+    }
+  }
+
+  // Device filter includes the plant-wide windows that cover the device
+  if (deviceId) where.OR = [{ deviceId }, { deviceId: null }];
+
+  const windows = await prisma.suppressionWindow.findMany({
+    where,
+    include: WINDOW_INCLUDE,
+    orderBy: [{ plantId: 'asc' }, { name: 'asc' }],
+  });
+
+  const now = new Date();
+  const result = windows.map((window) => withActiveState(window, now));
+
+  if (active === 'true') return result.filter((window) => window.isActive);
+  if (active === 'false') return result.filter((window) => !window.isActive);
+  return result;
+};
+
+/**
+ * Get suppression window by ID
+ */
+const getWindowById = async (windowId, userId, userRole) =>
+  withActiveState(await checkWindowAccess(windowId, userId, userRole));
+
+/**
+ * Create a suppression window
+ */
+const createWindow = async (windowData, userId, userRole) => {
+  await checkPlantAccess(windowData.plantId, userId, userRole);
+  await checkWindowTargets(windowData, windowData.plantId);
+
+  const window = await prisma.suppressionWindow.create({
+    data: {
+      ...windowData,
+      createdBy: userId,
+    },
+    include: WINDOW_INCLUDE,
+  });
+
+  invalidateSuppressionCache();
+  logger.info('Suppression window created', { windowId: window.id, plantId: window.plantId, userId });
+
+  return withActiveState(window);
+};
+
+/**
+ * Update a suppression window
+ * Conditions held back by a window that no longer covers them are raised by the
+ * alarm engine scheduler.
+ */
+const updateWindow = async (windowId, updateData, userId, userRole) => {
+  const existing = await checkWindowAccess(windowId, userId, userRole);
+
+  const issues = getWindowScheduleIssues({ ...existing, ...updateData });
+  if (issues.length > 0) {
+    throw new ValidationError('Validation failed', issues);
+  }
+  await checkWindowTargets(updateData, existing.plantId);
+
+  const window = await prisma.suppressionWindow.update({
+    where: { id: windowId },
+    data: updateData,
+    include: WINDOW_INCLUDE,
+  });
+
+  invalidateSuppressionCache();
+
+  return withActiveState(window);
+};
+
+/**
+ * Delete a suppression window
+ * Its suppressed alarms stay in the log; those still active are raised by the scheduler.
+ */
+const deleteWindow = async (windowId, userId, userRole) => {
+  await checkWindowAccess(windowId, userId, userRole);
+
+  await prisma.suppressionWindow.delete({
+    where: { id: windowId },
+  });
+
+  invalidateSuppressionCache();
+  logger.info('Suppression window deleted', { windowId, userId });
+
+  return {
+    message: 'Suppression window deleted successfully',
+  };
+};
+
+/**
+ * Get the log of alarms held back by suppression windows
+ */
+const getSuppressedAlarms = async (userId, userRole, filters = {}, pagination = {}) => {
+  const { plantId, deviceId, windowId, severity, open, startDate, endDate } = filters;
+  const { page = 1, limit = 20 } = pagination;
+
+  const where = {};
+
+  if (plantId) {
+    await checkPlantAccess(plantId, userId, userRole);
+    where.plantId = plantId;
+  } else {
+    const accessiblePlantIds = await getAccessiblePlantIds(userId, userRole);
+    if (accessiblePlantIds) {
+      where.plantId = { in: accessiblePlantIds };
+    }
+  }
+
+  if (deviceId) where.deviceId = deviceId;
+  if (windowId) where.windowId = windowId;
+  if (severity) where.severity = severity;
+  if (open === 'true') Object.assign(where, { clearedAt: null, releasedAt: null });
+  if (open === 'false') where.OR = [{ clearedAt: { not: null } }, { releasedAt: { not: null } }];
+
+  if (startDate || endDate) {
+    where.suppressedAt = {};
+    if (startDate) where.suppressedAt.gte = new Date(startDate);
+    if (endDate) where.suppressedAt.lte = new Date(endDate);
+  }
+
+  const [suppressed, total] = await Promise.all([
+    prisma.suppressedAlarm.findMany({
+      where,
+      include: {
+        window: { select: { id: true, name: true, reason: true, type: true } },
+        plant: { select: { id: true, name: true } },
+        device: { select: { id: true, deviceId: true, name: true } },
+        alarm: { select: { id: true, status: true, triggeredAt: true } },
+      },
+      skip: (page - 1) * limit,
+      take: parseInt(limit),
+      orderBy: { suppressedAt: 'desc' },
+    }),
+    prisma.suppressedAlarm.count({ where }),
+  ]);
+
+  return {
+    suppressed,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+export {
+  getWindows,
+  getWindowById,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  getSuppressedAlarms,
+};
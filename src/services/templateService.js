@@ -7,6 +7,13 @@ import { prisma } from '../config/database.js';
 import { NotFoundError, BadRequestError, ForbiddenError } from '../utils/errors.js';
 // AUDIT LOG - COMMENTED OUT (Enable when needed)
 // import { logAuditEntry } from './auditService.js';
+import {
+  validateDecoder,
+  decodePayload,
+  parseTimestamp,
+  coerceValue,
+  invalidateTopicCache,
+} from '../modules/ingestion/index.js';
 
 /**
  * Validate shortform format
@@ -20,6 +27,16 @@ const validateShortform = (shortform) => {
   }
 };
 
+/**
+ * Validate a payload decoder definition
+ */
+const validateTemplateDecoder = (decoder) => {
+  const errors = validateDecoder(decoder);
+  if (errors.length > 0) {
+    throw new BadRequestError(`Invalid decoder: ${errors.join('; ')}`);
+  }
+};
+
 /**
  * Get all device templates
  */
@@ -175,6 +192,9 @@ const createTemplate = async (templateData, userId, userRole) => {
   // Validate shortform
   validateShortform(templateFields.shortform);
 
+  // Validate payload decoder
+  validateTemplateDecoder(templateFields.decoder);
+
   // Check if shortform already exists
   const existingTemplate = await prisma.deviceTemplate.findUnique({
     where: { shortform: templateFields.shortform.toUpperCase() },
@@ -266,6 +286,11 @@ const updateTemplate = async (templateId, updateData, userId, userRole) => {
     }
   }
 
+  // Validate payload decoder
+  if (templateFields.decoder !== undefined) {
+    validateTemplateDecoder(templateFields.decoder);
+  }
+
   // Update template
   const template = await prisma.deviceTemplate.update({
     where: { id: templateId },
@@ -282,6 +307,11 @@ const updateTemplate = async (templateId, updateData, userId, userRole) => {
     },
   });
 
+  // Devices pick up a changed decoder on the next ingestion cache refresh
+  if (templateFields.decoder !== undefined) {
+    invalidateTopicCache();
+  }
+
   // Log audit entry
   await logAuditEntry({
     entityType: 'DeviceTemplate',
@@ -586,6 +616,55 @@ const deleteHierarchyRule = async (ruleId, userId, userRole) => {
   };
 };
 
+/**
+ * Preview how a sample payload is decoded for a template
+ * Uses the saved template decoder unless a decoder is supplied to try out a new configuration.
+ */
+const testTemplateDecoder = async (templateId, { payload, decoder }) => {
+  const template = await getTemplateById(templateId);
+  const activeDecoder = decoder !== undefined ? decoder : template.decoder;
+
+  validateTemplateDecoder(activeDecoder);
+
+  let decoded;
+  try {
+    decoded = decodePayload(activeDecoder, payload);
+  } catch (error) {
+    throw new BadRequestError(`Payload could not be decoded: ${error.message}`);
+  }
+
+  const tagsByName = new Map(template.tags.map((tag) => [tag.tagName, tag]));
+
+  const values = Object.entries(decoded.values).map(([tagName, raw]) => {
+    const tag = tagsByName.get(tagName);
+    if (!tag) {
+      return { tagName, raw, value: null, status: 'unmapped' };
+    }
+
+    const value = coerceValue(raw, tag.dataType);
+    return {
+      tagName,
+      displayName: tag.displayName,
+      unit: tag.unit,
+      dataType: tag.dataType,
+      raw,
+      value,
+      status: value === null ? 'invalid' : 'mapped',
+    };
+  });
+
+  const decodedTags = new Set(Object.keys(decoded.values));
+
+  return {
+    decoder: activeDecoder || { type: 'flat', config: {} },
+    timestamp: parseTimestamp(decoded.timestamp),
+    values,
+    missingTags: template.tags
+      .filter((tag) => tag.isRequired && !decodedTags.has(tag.tagName))
+      .map((tag) => tag.tagName),
+  };
+};
+
 export {
   getAllTemplates,
   getTemplateById,
@@ -599,4 +678,5 @@ export {
   getHierarchyRules,
   createHierarchyRule,
   deleteHierarchyRule,
+  testTemplateDecoder,
 };
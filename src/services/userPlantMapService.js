@@ -181,10 +181,49 @@ const bulkAssign = async (assignments) => {
   };
 };
 
+/**
+ * Check whether a user may access a plant (admins see all plants)
+ */
+const hasPlantAccess = async (userId, userRole, plantId) => {
+  if (userRole === 'ADMIN') {
+    return true;
+  }
+
+  const mapping = await prisma.userPlantMap.findUnique({
+    where: {
+      userId_plantId: {
+        userId,
+        plantId,
+      },
+    },
+  });
+
+  return Boolean(mapping);
+};
+
+/**
+ * Get IDs of plants a user may access
+ * Returns null for admins, meaning no restriction.
+ */
+const getAccessiblePlantIds = async (userId, userRole) => {
+  if (userRole === 'ADMIN') {
+    return null;
+  }
+
+  const mappings = await prisma.userPlantMap.findMany({
+    where: { userId },
+    select: { plantId: true },
+  });
+
+  return mappings.map((m) => m.plantId);
+};
+
 export {
   assignPlantsToUser,
   removePlantsFromUser,
   getUsersForPlant,
   getPlantsForUser,
   bulkAssign,
+  hasPlantAccess,
+  getAccessiblePlantIds,
 };
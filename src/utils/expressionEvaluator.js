@@ -0,0 +1,406 @@
+/**
+ * Expression Evaluator
+ * Sandboxed parser and evaluator for tag expressions (alarm rules, calculated tags)
+ *
+ * Expressions are parsed into a syntax tree and walked directly; nothing is ever
+ * handed to eval/Function, and only the functions listed in FUNCTIONS can be called.
+ *
+ * Syntax:
+ *   numbers, true/false, parentheses
+ *   arithmetic  + - * / %        comparison  > < >= <= == !=
+ *   logical     && || !
+ *   references  power_ac_output, WS_1.irradiance, children.INV.power_ac_output
+ *   functions   abs, sqrt, round, floor, ceil, min, max, sum, avg, count, if
+ *
+ * References are resolved by the caller to a number, a boolean, an array of
+ * numbers (e.g. all children) or null when no value is available. Null propagates
+ * (an expression over a missing value is null) except where && / || can decide
+ * from the other operand; aggregate functions skip nulls.
+ */
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 256; // Parser recursion depth (each parenthesis level uses about 7)
+const MAX_STEPS = 100000;
+
+class ExpressionError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'ExpressionError';
+    this.position = position;
+  }
+}
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+const OPERATORS = ['&&', '||', '>=', '<=', '==', '!=', '>', '<', '+', '-', '*', '/', '%', '!', '(', ')', ',', '.'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} Tokens { type: 'number'|'ident'|'op', value, position }
+ */
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(index));
+    if (number && !(char === '.' && tokens.length > 0 && tokens[tokens.length - 1].type === 'ident')) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], position: index });
+      index += ident[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => source.startsWith(op, index));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character "${char}"`, index);
+  }
+
+  return tokens;
+};
+
+// ============================================
+// PARSER (recursive descent)
+// ============================================
+
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '>', '<', '>=', '<='],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+/**
+ * Parse tokens into a syntax tree
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @returns {Object} Root node
+ */
+const parseTokens = (tokens) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const position = () => (peek() ? peek().position : null);
+
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new ExpressionError(`Expected "${value}"`, position());
+    }
+    index += 1;
+  };
+
+  const checkDepth = (depth) => {
+    if (depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply');
+  };
+
+  const parseBinary = (level, depth) => {
+    checkDepth(depth);
+    if (level === BINARY_LEVELS.length) return parseUnary(depth + 1);
+
+    let left = parseBinary(level + 1, depth + 1);
+    while (peek()?.type === 'op' && BINARY_LEVELS[level].includes(peek().value)) {
+      const operator = tokens[index++].value;
+      const right = parseBinary(level + 1, depth + 1);
+
+      // Comparisons do not chain (a < b < c is almost always a mistake)
+      if (level === 2 && peek()?.type === 'op' && BINARY_LEVELS[2].includes(peek().value)) {
+        throw new ExpressionError('Comparisons cannot be chained, combine them with &&', position());
+      }
+      left = { type: 'binary', operator, left, right };
+    }
+    return left;
+  };
+
+  const parseUnary = (depth) => {
+    checkDepth(depth);
+    if (isOp('-') || isOp('!')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, operand: parseUnary(depth + 1) };
+    }
+    return parsePrimary(depth + 1);
+  };
+
+  const parsePrimary = (depth) => {
+    const token = peek();
+    if (!token) throw new ExpressionError('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      index += 1;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (isOp('(')) {
+      index += 1;
+      const node = parseBinary(0, depth + 1);
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'ident') {
+      index += 1;
+
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+
+      if (isOp('(')) {
+        index += 1;
+        const name = token.value.toLowerCase();
+        if (!Object.hasOwn(FUNCTIONS, name)) {
+          throw new ExpressionError(`Unknown function "${token.value}"`, token.position);
+        }
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseBinary(0, depth + 1));
+          while (isOp(',')) {
+            index += 1;
+            args.push(parseBinary(0, depth + 1));
+          }
+        }
+        expect(')');
+        return { type: 'call', name, args, position: token.position };
+      }
+
+      const path = [token.value];
+      while (isOp('.')) {
+        index += 1;
+        const segment = peek();
+        if (segment?.type !== 'ident') {
+          throw new ExpressionError('Expected a name after "."', position());
+        }
+        path.push(segment.value);
+        index += 1;
+      }
+      return { type: 'reference', path: path.join('.'), segments: path };
+    }
+
+    throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  const root = parseBinary(0, 0);
+  if (index < tokens.length) {
+    throw new ExpressionError(`Unexpected "${peek().value}"`, position());
+  }
+  return root;
+};
+
+// ============================================
+// EVALUATION
+// ============================================
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+/**
+ * Convert a scalar operand to a number (booleans count as 1/0)
+ */
+const toNumber = (value, context) => {
+  if (Array.isArray(value)) {
+    throw new ExpressionError(`${context} needs a single value, use sum/avg/min/max/count for lists`);
+  }
+  if (isMissing(value)) return null;
+  return typeof value === 'boolean' ? Number(value) : value;
+};
+
+/**
+ * Flatten aggregate arguments, skipping missing values
+ */
+const collect = (args) =>
+  args.flat(Infinity).filter((value) => !isMissing(value)).map((value) => toNumber(value, 'Aggregate'));
+
+const scalar = (fn) => (args, name) => {
+  if (args.length !== 1) throw new ExpressionError(`${name}() takes one argument`);
+  const value = toNumber(args[0], `${name}()`);
+  return value === null ? null : fn(value);
+};
+
+// Own properties only: names like "constructor" must not reach Object.prototype
+const FUNCTIONS = {
+  abs: scalar(Math.abs),
+  sqrt: scalar((value) => (value < 0 ? null : Math.sqrt(value))),
+  floor: scalar(Math.floor),
+  ceil: scalar(Math.ceil),
+  round: (args) => {
+    const value = toNumber(args[0], 'round()');
+    const digits = args.length > 1 ? toNumber(args[1], 'round()') : 0;
+    if (value === null || digits === null) return null;
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  },
+  min: (args) => {
+    const values = collect(args);
+    return values.length > 0 ? Math.min(...values) : null;
+  },
+  max: (args) => {
+    const values = collect(args);
+    return values.length > 0 ? Math.max(...values) : null;
+  },
+  sum: (args) => {
+    const values = collect(args);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+  },
+  avg: (args) => {
+    const values = collect(args);
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null;
+  },
+  count: (args) => collect(args).length,
+  // if() is evaluated lazily in evaluateNode
+  if: null,
+};
+
+const ARITHMETIC = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? null : a / b),
+  '%': (a, b) => (b === 0 ? null : a % b),
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+
+/**
+ * Interpret a value as a condition (null stays unknown)
+ */
+const toBoolean = (value) => {
+  const number = toNumber(value, 'Condition');
+  return number === null ? null : number !== 0;
+};
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} node - Syntax tree node
+ * @param {Function} resolve - (path, segments) => number | boolean | Array | null
+ * @param {Object} budget - { steps } shared step counter
+ * @returns {*} Result value
+ */
+const evaluateNode = (node, resolve, budget) => {
+  budget.steps += 1;
+  if (budget.steps > MAX_STEPS) throw new ExpressionError('Expression evaluation is too expensive');
+
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'reference': {
+      const value = resolve(node.path, node.segments);
+      return value === undefined ? null : value;
+    }
+
+    case 'unary': {
+      if (node.operator === '!') {
+        const value = toBoolean(evaluateNode(node.operand, resolve, budget));
+        return value === null ? null : !value;
+      }
+      const value = toNumber(evaluateNode(node.operand, resolve, budget), 'Negation');
+      return value === null ? null : -value;
+    }
+
+    case 'binary': {
+      if (node.operator === '&&' || node.operator === '||') {
+        const left = toBoolean(evaluateNode(node.left, resolve, budget));
+        if (node.operator === '&&' && left === false) return false;
+        if (node.operator === '||' && left === true) return true;
+        const right = toBoolean(evaluateNode(node.right, resolve, budget));
+        if (node.operator === '&&') return right === false ? false : left === null || right === null ? null : true;
+        return right === true ? true : left === null || right === null ? null : false;
+      }
+
+      const left = toNumber(evaluateNode(node.left, resolve, budget), `Operator "${node.operator}"`);
+      const right = toNumber(evaluateNode(node.right, resolve, budget), `Operator "${node.operator}"`);
+      if (left === null || right === null) return null;
+
+      const result = ARITHMETIC[node.operator](left, right);
+      return typeof result === 'number' && !Number.isFinite(result) ? null : result;
+    }
+
+    case 'call': {
+      if (node.name === 'if') {
+        if (node.args.length !== 3) throw new ExpressionError('if() takes three arguments');
+        const condition = toBoolean(evaluateNode(node.args[0], resolve, budget));
+        if (condition === null) return null;
+        return evaluateNode(node.args[condition ? 1 : 2], resolve, budget);
+      }
+      const args = node.args.map((arg) => evaluateNode(arg, resolve, budget));
+      return FUNCTIONS[node.name](args, node.name);
+    }
+
+    default:
+      throw new ExpressionError(`Unsupported node "${node.type}"`);
+  }
+};
+
+/**
+ * Collect references of a syntax tree
+ */
+const collectReferences = (node, references) => {
+  if (node.type === 'reference') {
+    references.set(node.path, node.segments);
+  } else if (node.type === 'unary') {
+    collectReferences(node.operand, references);
+  } else if (node.type === 'binary') {
+    collectReferences(node.left, references);
+    collectReferences(node.right, references);
+  } else if (node.type === 'call') {
+    node.args.forEach((arg) => collectReferences(arg, references));
+  }
+  return references;
+};
+
+/**
+ * Compile an expression
+ * @param {string} source - Expression text
+ * @returns {Object} { source, references: [{ path, segments }], evaluate(resolve) }
+ * @throws {ExpressionError} If the expression is invalid
+ */
+const compileExpression = (source) => {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const ast = parseTokens(tokenize(source));
+  const references = [...collectReferences(ast, new Map())].map(([path, segments]) => ({ path, segments }));
+
+  return {
+    source,
+    references,
+    evaluate: (resolve) => evaluateNode(ast, resolve, { steps: 0 }),
+  };
+};
+
+/**
+ * Evaluate an expression as a condition
+ * @param {Object} compiled - Result of compileExpression()
+ * @param {Function} resolve - Reference resolver
+ * @returns {boolean|null} Condition, or null if it cannot be decided (missing values)
+ */
+const evaluateCondition = (compiled, resolve) => toBoolean(compiled.evaluate(resolve));
+
+export { ExpressionError, compileExpression, evaluateCondition };
@@ -0,0 +1,95 @@
+/**
+ * Interval Job
+ * Minimal scheduler for background workers that poll on a fixed interval
+ */
+
+import logger from '../config/logger.js';
+
+/**
+ * Create a background job that runs on a fixed interval
+ * Runs never overlap: the next run is scheduled only after the current one settles.
+ * If the run function returns true, the next run starts immediately (used to drain backlogs).
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name used in log messages
+ * @param {number} options.intervalMs - Delay between runs in milliseconds
+ * @param {Function} options.run - Async function executed on each tick
+ * @returns {Object} Job controller with start, stop, runNow and isRunning
+ */
+const createIntervalJob = ({ name, intervalMs, run }) => {
+  let timer = null;
+  let running = false;
+  let stopped = true;
+  let currentRun = null;
+
+  const schedule = (delay) => {
+    if (stopped) return;
+    timer = setTimeout(tick, delay);
+  };
+
+  const tick = async () => {
+    timer = null;
+    running = true;
+    let runAgain = false;
+
+    try {
+      currentRun = run();
+      runAgain = (await currentRun) === true;
+    } catch (error) {
+      // Errors raised while stopping (e.g. aborted requests) are expected
+      if (!stopped) {
+        logger.error(`Background job "${name}" failed`, {
+          error: error.message,
+          stack: error.stack,
+        });
+      }
+    } finally {
+      running = false;
+      currentRun = null;
+    }
+
+    schedule(runAgain ? 0 : intervalMs);
+  };
+
+  /**
+   * Start the job (first run happens immediately)
+   */
+  const start = () => {
+    if (!stopped) return;
+    stopped = false;
+    logger.info(`Background job "${name}" started`, { intervalMs });
+    schedule(0);
+  };
+
+  /**
+   * Stop the job and wait for an in-flight run to finish
+   */
+  const stop = async () => {
+    stopped = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (currentRun) {
+      await currentRun.catch(() => {});
+    }
+    logger.info(`Background job "${name}" stopped`);
+  };
+
+  /**
+   * Trigger a run outside the schedule (no-op if a run is in progress)
+   */
+  const runNow = () => {
+    if (stopped || running) return;
+    if (timer) clearTimeout(timer);
+    schedule(0);
+  };
+
+  return {
+    start,
+    stop,
+    runNow,
+    isRunning: () => !stopped,
+  };
+};
+
+export { createIntervalJob };
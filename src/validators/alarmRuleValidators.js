@@ -0,0 +1,243 @@
+/**
+ * Alarm Rule Validators
+ * Zod validation schemas for alarm rule endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+const ruleTypes = ['HIGH', 'LOW', 'HIGH_HIGH', 'LOW_LOW', 'RATE_OF_CHANGE', 'STALE', 'BOOLEAN', 'EXPRESSION'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+/**
+ * Fields shared by create and update
+ */
+const ruleFields = {
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+  description: z.string().max(1000, 'Description too long').optional().nullable(),
+  severity: z.enum(severities, { errorMap: () => ({ message: 'Invalid severity level' }) }),
+  setpoint: z.number().optional().nullable(),
+  staleMinutes: z.number().int().positive('Stale minutes must be positive').optional().nullable(),
+  triggerState: z.boolean().optional().nullable(),
+  expression: z.string().min(1, 'Expression is required').max(2000, 'Expression too long').optional().nullable(),
+  onDelaySeconds: z.number().int().min(0, 'On-delay cannot be negative'),
+  offDelaySeconds: z.number().int().min(0, 'Off-delay cannot be negative'),
+  deadband: z.number().min(0, 'Deadband cannot be negative'),
+  hysteresis: z.number().min(0, 'Hysteresis cannot be negative'),
+  isEnabled: z.boolean(),
+};
+
+/**
+ * Check the fields a rule type needs
+ * Shared with the service, which re-checks updates merged with the stored rule.
+ * @param {Object} rule - Rule fields (type, setpoint, staleMinutes, triggerState)
+ * @returns {Array<Object>} Issues { field, message }
+ */
+const getRuleConditionIssues = (rule) => {
+  const issues = [];
+  const missing = (value) => value === null || value === undefined;
+
+  if (['HIGH', 'LOW', 'HIGH_HIGH', 'LOW_LOW', 'RATE_OF_CHANGE'].includes(rule.type) && missing(rule.setpoint)) {
+    issues.push({ field: 'setpoint', message: `Setpoint is required for ${rule.type} rules` });
+  }
+  if (rule.type === 'RATE_OF_CHANGE' && !missing(rule.setpoint) && rule.setpoint <= 0) {
+    issues.push({ field: 'setpoint', message: 'Rate of change setpoint must be positive (units per minute)' });
+  }
+  if (rule.type === 'STALE' && missing(rule.staleMinutes)) {
+    issues.push({ field: 'staleMinutes', message: 'Stale minutes are required for STALE rules' });
+  }
+  if (rule.type === 'BOOLEAN' && missing(rule.triggerState)) {
+    issues.push({ field: 'triggerState', message: 'Trigger state is required for BOOLEAN rules' });
+  }
+  if (rule.type === 'EXPRESSION' && missing(rule.expression)) {
+    issues.push({ field: 'expression', message: 'Expression is required for EXPRESSION rules' });
+  }
+  if (rule.type !== 'EXPRESSION' && !missing(rule.expression)) {
+    issues.push({ field: 'expression', message: 'Expression is only used by EXPRESSION rules' });
+  }
+
+  return issues;
+};
+
+/**
+ * Get all alarm rules validation schema (query parameters)
+ */
+const getAllAlarmRulesSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    tagId: idParam('tag').optional(),
+    templateTagId: idParam('template tag').optional(),
+    type: z.enum(ruleTypes).optional(),
+    isEnabled: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+/**
+ * Get alarm rule by ID validation schema
+ */
+const getAlarmRuleByIdSchema = {
+  params: z.object({
+    id: idParam('alarm rule'),
+  }),
+};
+
+/**
+ * Check the scope of a new rule
+ * Tag rules: exactly one of tagId, templateTagId or plantId + tagName.
+ * EXPRESSION rules: plantId and exactly one target, deviceId or templateId.
+ * @param {Object} rule - Rule body
+ * @returns {Array<Object>} Issues { field, message }
+ */
+const getRuleScopeIssues = (rule) => {
+  const issues = [];
+  const present = (value) => value !== null && value !== undefined;
+
+  if (rule.type === 'EXPRESSION') {
+    if (!present(rule.plantId)) {
+      issues.push({ field: 'plantId', message: 'Plant ID is required for EXPRESSION rules' });
+    }
+    if ([rule.deviceId, rule.templateId].filter(present).length !== 1) {
+      issues.push({ field: 'deviceId', message: 'Provide exactly one target: deviceId or templateId' });
+    }
+    ['tagId', 'templateTagId', 'tagName'].forEach((field) => {
+      if (present(rule[field])) {
+        issues.push({ field, message: `${field} is not used by EXPRESSION rules, reference tags in the expression` });
+      }
+    });
+    return issues;
+  }
+
+  if ([rule.tagId, rule.templateTagId, rule.plantId].filter(present).length !== 1) {
+    issues.push({ field: 'tagId', message: 'Provide exactly one scope: tagId, templateTagId or plantId' });
+  }
+  if (present(rule.plantId) && !rule.tagName) {
+    issues.push({ field: 'tagName', message: 'Tag name is required for plant-scoped rules' });
+  }
+  if (!present(rule.plantId) && rule.tagName) {
+    issues.push({ field: 'tagName', message: 'Tag name is only used by plant-scoped rules' });
+  }
+  ['deviceId', 'templateId'].forEach((field) => {
+    if (present(rule[field])) {
+      issues.push({ field, message: `${field} is only used by EXPRESSION rules` });
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Alarm rule body for create and draft dry runs
+ */
+const alarmRuleBodySchema = z
+  .object({
+    ...ruleFields,
+    type: z.enum(ruleTypes, { errorMap: () => ({ message: 'Invalid rule type' }) }),
+    severity: ruleFields.severity.default('MEDIUM'),
+    tagId: idField('tag').optional().nullable(),
+    templateTagId: idField('template tag').optional().nullable(),
+    plantId: idField('plant').optional().nullable(),
+    tagName: z.string().min(1, 'Tag name is required').max(100, 'Tag name too long').optional().nullable(),
+    deviceId: idField('device').optional().nullable(),
+    templateId: idField('template').optional().nullable(),
+    onDelaySeconds: ruleFields.onDelaySeconds.default(0),
+    offDelaySeconds: ruleFields.offDelaySeconds.default(0),
+    deadband: ruleFields.deadband.default(0),
+    hysteresis: ruleFields.hysteresis.default(0),
+    isEnabled: ruleFields.isEnabled.default(true),
+  })
+  .superRefine((rule, ctx) => {
+    [...getRuleScopeIssues(rule), ...getRuleConditionIssues(rule)].forEach(({ field, message }) => {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message });
+    });
+  });
+
+/**
+ * Create alarm rule validation schema
+ */
+const createAlarmRuleSchema = {
+  body: alarmRuleBodySchema,
+};
+
+/**
+ * Update alarm rule validation schema (scope cannot change)
+ */
+const updateAlarmRuleSchema = {
+  params: z.object({
+    id: idParam('alarm rule'),
+  }),
+  body: z
+    .object({
+      ...ruleFields,
+      type: z.enum(ruleTypes, { errorMap: () => ({ message: 'Invalid rule type' }) }),
+    })
+    .partial()
+    .strict('Rule scope (tagId, templateTagId, plantId, tagName, deviceId, templateId) cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * Dry run date range and optional narrowing to one plant or device
+ */
+const dryRunOptions = {
+  startDate: z.string().datetime({ offset: true, message: 'Start date must be an ISO 8601 date-time' }).transform((value) => new Date(value)),
+  endDate: z.string().datetime({ offset: true, message: 'End date must be an ISO 8601 date-time' }).transform((value) => new Date(value)),
+  plantId: idField('plant').optional(),
+  deviceId: idField('device').optional(),
+};
+
+const checkDryRunRange = (body, ctx) => {
+  if (body.startDate >= body.endDate) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endDate'], message: 'End date must be after start date' });
+  }
+  if (body.endDate > new Date()) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endDate'], message: 'End date cannot be in the future' });
+  }
+};
+
+/**
+ * Dry run of a saved alarm rule validation schema
+ */
+const dryRunAlarmRuleSchema = {
+  params: z.object({
+    id: idParam('alarm rule'),
+  }),
+  body: z.object(dryRunOptions).superRefine(checkDryRunRange),
+};
+
+/**
+ * Dry run of a draft (unsaved) alarm rule validation schema
+ */
+const dryRunDraftAlarmRuleSchema = {
+  body: z
+    .object({
+      rule: alarmRuleBodySchema,
+      ...dryRunOptions,
+    })
+    .superRefine(checkDryRunRange),
+};
+
+/**
+ * Delete alarm rule validation schema
+ */
+const deleteAlarmRuleSchema = {
+  params: z.object({
+    id: idParam('alarm rule'),
+  }),
+};
+
+export {
+  ruleTypes,
+  getRuleConditionIssues,
+  getAllAlarmRulesSchema,
+  getAlarmRuleByIdSchema,
+  createAlarmRuleSchema,
+  updateAlarmRuleSchema,
+  dryRunAlarmRuleSchema,
+  dryRunDraftAlarmRuleSchema,
+  deleteAlarmRuleSchema,
+};
@@ -8,15 +8,31 @@ import { z } from 'zod';
 // Enum values
 const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
 const statuses = ['ACTIVE', 'ACKNOWLEDGED', 'RESOLVED', 'IGNORED'];
+const shelvedFilters = ['hide', 'include', 'only'];
+const eventTypes = [
+  'RAISED',
+  'VALUE_UPDATE',
+  'ACKNOWLEDGED',
+  'SHELVED',
+  'UNSHELVED',
+  'ESCALATED',
+  'ESCALATION_STOPPED',
+  'GROUPED',
+  'COMMENTED',
+  'RESOLVED',
+  'REOPENED',
+];
+
+const alarmIdParam = z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number);
 
 /**
  * Create alarm validation schema
  */
 const createAlarmSchema = {
   body: z.object({
-    plantId: z.string().uuid('Invalid plant ID'),
-    deviceId: z.string().uuid('Invalid device ID').optional().nullable(),
-    tagId: z.string().uuid('Invalid tag ID').optional().nullable(),
+    plantId: z.number().int().positive('Invalid plant ID'),
+    deviceId: z.number().int().positive('Invalid device ID').optional().nullable(),
+    tagId: z.number().int().positive('Invalid tag ID').optional().nullable(),
     severity: z.enum(severities, { errorMap: () => ({ message: 'Invalid severity level' }) }),
     message: z.string().min(1, 'Message is required').max(500, 'Message too long'),
     description: z.string().max(2000, 'Description too long').optional().nullable(),
@@ -31,7 +47,7 @@ const createAlarmSchema = {
  */
 const acknowledgeAlarmSchema = {
   params: z.object({
-    id: z.string().uuid('Invalid alarm ID'),
+    id: z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number),
   }),
   body: z.object({
     note: z.string().max(1000, 'Note too long').optional().nullable(),
@@ -43,19 +59,113 @@ const acknowledgeAlarmSchema = {
  */
 const resolveAlarmSchema = {
   params: z.object({
-    id: z.string().uuid('Invalid alarm ID'),
+    id: z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number),
+  }),
+  body: z.object({
+    note: z.string().max(1000, 'Note too long').optional().nullable(),
+    resolveChildren: z.boolean().optional(), // Also resolve open consequential alarms
+  }),
+};
+
+/**
+ * Shelve alarm validation schema (the maximum duration is configurable)
+ */
+const shelveAlarmSchema = {
+  params: z.object({
+    id: z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number),
+  }),
+  body: z.object({
+    durationMinutes: z.number().int().positive('Duration must be at least one minute'),
+    reason: z.string().trim().min(3, 'Reason is required').max(1000, 'Reason too long'),
+  }),
+};
+
+/**
+ * Unshelve alarm validation schema
+ */
+const unshelveAlarmSchema = {
+  params: z.object({
+    id: z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number),
+  }),
+  body: z.object({
+    note: z.string().max(1000, 'Note too long').optional().nullable(),
+  }),
+};
+
+/**
+ * Reopen alarm validation schema
+ */
+const reopenAlarmSchema = {
+  params: z.object({
+    id: alarmIdParam,
   }),
   body: z.object({
     note: z.string().max(1000, 'Note too long').optional().nullable(),
   }),
 };
 
+/**
+ * Alarm timeline validation schema (types: comma-separated event types)
+ */
+const getAlarmTimelineSchema = {
+  params: z.object({
+    id: alarmIdParam,
+  }),
+  query: z.object({
+    types: z
+      .string()
+      .transform((value) => value.split(',').map((type) => type.trim().toUpperCase()))
+      .pipe(z.array(z.enum(eventTypes, { errorMap: () => ({ message: 'Invalid event type' }) })))
+      .optional(),
+  }),
+};
+
+/**
+ * Add alarm comment validation schema (attachment data is base64; size is checked by the service)
+ */
+const addAlarmCommentSchema = {
+  params: z.object({
+    id: alarmIdParam,
+  }),
+  body: z.object({
+    body: z.string().trim().min(1, 'Comment is required').max(5000, 'Comment too long'),
+    parentId: z.number().int().positive('Invalid comment ID').optional().nullable(),
+    attachments: z
+      .array(
+        z.object({
+          fileName: z.string().trim().min(1, 'File name is required').max(255, 'File name too long'),
+          contentType: z
+            .string()
+            .regex(/^[\w.+-]+\/[\w.+-]+$/, 'Invalid content type')
+            .default('application/octet-stream'),
+          data: z
+            .string()
+            .min(1, 'Attachment data is required')
+            .regex(/^[A-Za-z0-9+/]+={0,2}$/, 'Attachment data must be base64'),
+        })
+      )
+      .max(5, 'At most 5 attachments')
+      .optional(),
+  }),
+};
+
+/**
+ * Comment attachment download validation schema
+ */
+const getCommentAttachmentSchema = {
+  params: z.object({
+    id: alarmIdParam,
+    commentId: z.string().regex(/^\d+$/, 'Invalid comment ID').transform(Number),
+    attachmentId: z.string().regex(/^\d+$/, 'Invalid attachment ID').transform(Number),
+  }),
+};
+
 /**
  * Get alarm by ID validation schema
  */
 const getAlarmByIdSchema = {
   params: z.object({
-    id: z.string().uuid('Invalid alarm ID'),
+    id: z.string().regex(/^\d+$/, 'Invalid alarm ID').transform(Number),
   }),
 };
 
@@ -64,10 +174,13 @@ const getAlarmByIdSchema = {
  */
 const getAllAlarmsSchema = {
   query: z.object({
-    plantId: z.string().uuid('Invalid plant ID').optional(),
-    deviceId: z.string().uuid('Invalid device ID').optional(),
+    plantId: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number).optional(),
+    deviceId: z.string().regex(/^\d+$/, 'Invalid device ID').transform(Number).optional(),
     severity: z.enum(severities).optional(),
     status: z.enum(statuses).optional(),
+    shelved: z.enum(shelvedFilters).optional(),
+    grouped: z.enum(['true', 'false']).optional(),
+    expand: z.enum(['true', 'false']).optional(),
     startDate: z.string().datetime().optional(),
     endDate: z.string().datetime().optional(),
     page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
@@ -82,11 +195,14 @@ const getAllAlarmsSchema = {
  */
 const getPlantAlarmsSchema = {
   params: z.object({
-    plantId: z.string().uuid('Invalid plant ID'),
+    plantId: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number),
   }),
   query: z.object({
     severity: z.enum(severities).optional(),
     status: z.enum(statuses).optional(),
+    shelved: z.enum(shelvedFilters).optional(),
+    grouped: z.enum(['true', 'false']).optional(),
+    expand: z.enum(['true', 'false']).optional(),
     startDate: z.string().datetime().optional(),
     endDate: z.string().datetime().optional(),
     page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
@@ -101,11 +217,14 @@ const getPlantAlarmsSchema = {
  */
 const getDeviceAlarmsSchema = {
   params: z.object({
-    deviceId: z.string().uuid('Invalid device ID'),
+    deviceId: z.string().regex(/^\d+$/, 'Invalid device ID').transform(Number),
   }),
   query: z.object({
     severity: z.enum(severities).optional(),
     status: z.enum(statuses).optional(),
+    shelved: z.enum(shelvedFilters).optional(),
+    grouped: z.enum(['true', 'false']).optional(),
+    expand: z.enum(['true', 'false']).optional(),
     startDate: z.string().datetime().optional(),
     endDate: z.string().datetime().optional(),
     page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
@@ -120,17 +239,46 @@ const getDeviceAlarmsSchema = {
  */
 const getAlarmStatisticsSchema = {
   query: z.object({
-    plantId: z.string().uuid('Invalid plant ID').optional(),
+    plantId: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number).optional(),
   }),
 };
 
+/**
+ * Get alarm KPIs validation schema (query parameters; default period is configurable)
+ */
+const getAlarmKpisSchema = {
+  query: z
+    .object({
+      plantId: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number).optional(),
+      startDate: z.string().datetime().optional(),
+      endDate: z.string().datetime().optional(),
+      top: z
+        .string()
+        .regex(/^\d+$/, 'Top must be a number')
+        .transform(Number)
+        .pipe(z.number().int().min(1, 'Top must be at least 1').max(100, 'Top must be at most 100'))
+        .optional(),
+    })
+    .refine((query) => !query.startDate || !query.endDate || new Date(query.endDate) > new Date(query.startDate), {
+      message: 'End date must be after start date',
+      path: ['endDate'],
+    }),
+};
+
 export {
   createAlarmSchema,
   acknowledgeAlarmSchema,
   resolveAlarmSchema,
+  shelveAlarmSchema,
+  unshelveAlarmSchema,
+  reopenAlarmSchema,
+  getAlarmTimelineSchema,
+  addAlarmCommentSchema,
+  getCommentAttachmentSchema,
   getAlarmByIdSchema,
   getAllAlarmsSchema,
   getPlantAlarmsSchema,
   getDeviceAlarmsSchema,
   getAlarmStatisticsSchema,
+  getAlarmKpisSchema,
 };
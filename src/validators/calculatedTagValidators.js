@@ -0,0 +1,94 @@
+/**
+ * Calculated Tag Validators
+ * Zod validation schemas for calculated and virtual tag endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const calculationModes = ['INGESTION', 'QUERY'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+// Names are referenced in formulas, so they must be identifiers
+const name = z
+  .string()
+  .min(2, 'Tag name must be at least 2 characters')
+  .max(100, 'Tag name must not exceed 100 characters')
+  .regex(/^[A-Za-z_][A-Za-z0-9_]*$/, 'Tag name must start with a letter and contain only letters, numbers and underscores');
+
+const formula = z.string().min(1, 'Formula is required').max(2000, 'Formula too long');
+
+const fields = {
+  description: z.string().max(500, 'Description must not exceed 500 characters').nullable(),
+  unit: z.string().max(20, 'Unit must not exceed 20 characters').nullable(),
+  dataType: z.enum(['FLOAT', 'INTEGER', 'BOOLEAN']),
+  minValue: z.number().nullable(),
+  maxValue: z.number().nullable(),
+};
+
+/**
+ * List calculated tags validation schema (query parameters)
+ */
+const getCalculatedTagsSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    deviceId: idParam('device').optional(),
+    calculationMode: z.enum(calculationModes).optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+/**
+ * Calculated tag by ID validation schema
+ */
+const calculatedTagIdSchema = {
+  params: z.object({
+    id: idParam('tag'),
+  }),
+};
+
+/**
+ * Create calculated tag validation schema
+ */
+const createCalculatedTagSchema = {
+  body: z.object({
+    plantId: idField('plant'),
+    deviceId: idField('device').nullable().optional().default(null), // Null: plant-level tag
+    name,
+    formula,
+    calculationMode: z.enum(calculationModes).optional().default('QUERY'),
+    description: fields.description.optional(),
+    unit: fields.unit.optional(),
+    dataType: fields.dataType.optional().default('FLOAT'),
+    minValue: fields.minValue.optional(),
+    maxValue: fields.maxValue.optional(),
+  }),
+};
+
+/**
+ * Update calculated tag validation schema
+ */
+const updateCalculatedTagSchema = {
+  params: z.object({
+    id: idParam('tag'),
+  }),
+  body: z
+    .object({
+      name,
+      formula,
+      ...fields,
+    })
+    .partial()
+    .strict('Plant, device and calculation mode cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+export {
+  getCalculatedTagsSchema,
+  calculatedTagIdSchema,
+  createCalculatedTagSchema,
+  updateCalculatedTagSchema,
+};
@@ -0,0 +1,74 @@
+/**
+ * Data Correction Validators
+ * Zod validation schemas for manual data correction endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const correctionActions = ['INSERT', 'OVERRIDE', 'INVALIDATE'];
+const correctionStatuses = ['PENDING', 'APPLIED', 'REJECTED'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+/**
+ * Request a correction validation schema
+ * INSERT and OVERRIDE need the new value; INVALIDATE takes none
+ */
+const createDataCorrectionSchema = {
+  body: z
+    .object({
+      tagId: idField('tag'),
+      timestamp: z.string().datetime(),
+      action: z.enum(correctionActions),
+      value: z.union([z.number(), z.boolean()]).optional(),
+      reason: z.string().trim().min(1, 'Reason is required').max(1000),
+    })
+    .refine((body) => (body.action === 'INVALIDATE') === (body.value === undefined), {
+      message: 'Value is required for INSERT and OVERRIDE and not allowed for INVALIDATE',
+      path: ['value'],
+    }),
+};
+
+/**
+ * List corrections validation schema (query parameters)
+ */
+const getDataCorrectionsSchema = {
+  query: z.object({
+    plantId: idParam('plant'),
+    status: z.enum(correctionStatuses).optional(),
+    action: z.enum(correctionActions).optional(),
+    tagId: idParam('tag').optional(),
+    startTime: z.string().datetime().optional(),
+    endTime: z.string().datetime().optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+/**
+ * Correction by ID validation schema
+ */
+const dataCorrectionIdSchema = {
+  params: z.object({
+    id: idParam('data correction'),
+  }),
+};
+
+/**
+ * Approve or reject a correction validation schema
+ */
+const reviewDataCorrectionSchema = {
+  params: dataCorrectionIdSchema.params,
+  body: z.object({
+    note: z.string().trim().max(1000).optional(),
+  }),
+};
+
+export {
+  createDataCorrectionSchema,
+  getDataCorrectionsSchema,
+  dataCorrectionIdSchema,
+  reviewDataCorrectionSchema,
+};
@@ -1,11 +1,47 @@
 import { z } from 'zod';
 
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+
+/**
+ * Comma-separated or repeated integer IDs (e.g. ?tagIds=1,2 or ?tagIds=1&tagIds=2)
+ */
+const idListSchema = z
+  .union([z.string(), z.array(z.string())])
+  .transform((val) => (Array.isArray(val) ? val : val.split(',')).map((id) => id.trim()).filter(Boolean))
+  .pipe(z.array(z.string().regex(/^\d+$/, 'Invalid ID').transform(Number)))
+  .optional();
+
+/**
+ * Lowest sample quality returned (0-100); lower-quality samples are left out
+ */
+const minQualitySchema = z
+  .string()
+  .regex(/^\d+$/, 'minQuality must be an integer between 0 and 100')
+  .transform(Number)
+  .refine((val) => val <= 100, 'minQuality must be an integer between 0 and 100')
+  .optional();
+
+/**
+ * Return raw points as they were before manual corrections (default: corrected values)
+ */
+const originalValuesSchema = z.enum(['true', 'false']).transform((val) => val === 'true').optional();
+
+/**
+ * How gaps longer than the expected sample interval (raw) or missing buckets are filled
+ */
+const fillSchema = z.enum(['none', 'null', 'previous', 'linear', 'zero']).optional().default('none');
+
+const aggregationSchema = z
+  .enum(['raw', 'avg', 'min', 'max', 'sum', 'count', 'first', 'last'])
+  .optional()
+  .default('raw');
+
 /**
  * Validator for getting realtime data for a plant
  */
 const getPlantRealtimeDataSchema = {
   params: z.object({
-    plantId: z.string().uuid('Invalid plant ID'),
+    plantId: idParam('plant'),
   }),
 };
 
@@ -14,31 +50,21 @@ const getPlantRealtimeDataSchema = {
  */
 const getPlantHistoricalDataSchema = {
   params: z.object({
-    plantId: z.string().uuid('Invalid plant ID'),
+    plantId: idParam('plant'),
   }),
   query: z.object({
     startTime: z.string().datetime().optional(),
     endTime: z.string().datetime().optional(),
-    tagIds: z
-      .union([
-        z.string().uuid(),
-        z.array(z.string().uuid()),
-      ])
-      .optional()
-      .transform((val) => {
-        if (typeof val === 'string') {
-          return val.split(',').map((id) => id.trim());
-        }
-        return val;
-      }),
-    aggregation: z
-      .enum(['raw', 'avg', 'min', 'max', 'sum', 'count'])
-      .optional()
-      .default('raw'),
+    deviceIds: idListSchema,
+    tagIds: idListSchema,
+    aggregation: aggregationSchema,
     interval: z
       .string()
-      .regex(/^\d+[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
+      .regex(/^[1-9]\d*[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
       .optional(),
+    minQuality: minQualitySchema,
+    originalValues: originalValuesSchema,
+    fill: fillSchema,
   }),
 };
 
@@ -47,7 +73,7 @@ const getPlantHistoricalDataSchema = {
  */
 const getDeviceRealtimeDataSchema = {
   params: z.object({
-    deviceId: z.string().uuid('Invalid device ID'),
+    deviceId: idParam('device'),
   }),
 };
 
@@ -56,31 +82,20 @@ const getDeviceRealtimeDataSchema = {
  */
 const getDeviceHistoricalDataSchema = {
   params: z.object({
-    deviceId: z.string().uuid('Invalid device ID'),
+    deviceId: idParam('device'),
   }),
   query: z.object({
     startTime: z.string().datetime().optional(),
     endTime: z.string().datetime().optional(),
-    tagIds: z
-      .union([
-        z.string().uuid(),
-        z.array(z.string().uuid()),
-      ])
-      .optional()
-      .transform((val) => {
-        if (typeof val === 'string') {
-          return val.split(',').map((id) => id.trim());
-        }
-        return val;
-      }),
-    aggregation: z
-      .enum(['raw', 'avg', 'min', 'max', 'sum', 'count'])
-      .optional()
-      .default('raw'),
+    tagIds: idListSchema,
+    aggregation: aggregationSchema,
     interval: z
       .string()
-      .regex(/^\d+[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
+      .regex(/^[1-9]\d*[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
       .optional(),
+    minQuality: minQualitySchema,
+    originalValues: originalValuesSchema,
+    fill: fillSchema,
   }),
 };
 
@@ -89,19 +104,19 @@ const getDeviceHistoricalDataSchema = {
  */
 const getTagHistoricalDataSchema = {
   params: z.object({
-    tagId: z.string().uuid('Invalid tag ID'),
+    tagId: idParam('tag'),
   }),
   query: z.object({
     startTime: z.string().datetime().optional(),
     endTime: z.string().datetime().optional(),
-    aggregation: z
-      .enum(['raw', 'avg', 'min', 'max', 'sum', 'count'])
-      .optional()
-      .default('raw'),
+    aggregation: aggregationSchema,
     interval: z
       .string()
-      .regex(/^\d+[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
+      .regex(/^[1-9]\d*[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
       .optional(),
+    minQuality: minQualitySchema,
+    originalValues: originalValuesSchema,
+    fill: fillSchema,
   }),
 };
 
@@ -110,10 +125,75 @@ const getTagHistoricalDataSchema = {
  */
 const getPlantDataStatsSchema = {
   params: z.object({
-    plantId: z.string().uuid('Invalid plant ID'),
+    plantId: idParam('plant'),
   }),
 };
 
+/**
+ * Validator for getting the gaps in the data of a plant
+ */
+const getPlantDataGapsSchema = {
+  params: z.object({
+    plantId: idParam('plant'),
+  }),
+  query: z.object({
+    startTime: z.string().datetime().optional(),
+    endTime: z.string().datetime().optional(),
+    deviceIds: idListSchema,
+    tagIds: idListSchema,
+  }),
+};
+
+/**
+ * Validator for getting the backfill status of a plant
+ */
+const getPlantBackfillStatusSchema = {
+  params: z.object({
+    plantId: idParam('plant'),
+  }),
+};
+
+/**
+ * Validator for getting the energy of a plant from its counter deltas
+ */
+const getPlantEnergySchema = {
+  params: z.object({
+    plantId: idParam('plant'),
+  }),
+  query: z.object({
+    startTime: z.string().datetime().optional(),
+    endTime: z.string().datetime().optional(),
+    interval: z
+      .string()
+      .regex(/^[1-9]\d*[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
+      .optional(),
+    deviceIds: idListSchema,
+    tagNames: z
+      .string()
+      .transform((val) => val.split(',').map((name) => name.trim()).filter(Boolean))
+      .optional(),
+    includeSuspicious: z.enum(['true', 'false']).transform((val) => val === 'true').optional(),
+  }),
+};
+
+/**
+ * Validator for rebuilding the rollups of a plant
+ */
+const rebuildPlantRollupsSchema = {
+  params: z.object({
+    plantId: idParam('plant'),
+  }),
+  body: z.object({
+    startTime: z.string().datetime().optional(),
+    endTime: z.string().datetime().optional(),
+  }),
+};
+
+/**
+ * Validator for rebuilding the counter deltas of a plant
+ */
+const rebuildPlantCounterDeltasSchema = rebuildPlantRollupsSchema;
+
 export {
   getPlantRealtimeDataSchema,
   getPlantHistoricalDataSchema,
@@ -121,4 +201,9 @@ export {
   getDeviceHistoricalDataSchema,
   getTagHistoricalDataSchema,
   getPlantDataStatsSchema,
+  getPlantDataGapsSchema,
+  getPlantBackfillStatusSchema,
+  rebuildPlantRollupsSchema,
+  getPlantEnergySchema,
+  rebuildPlantCounterDeltasSchema,
 };
@@ -0,0 +1,177 @@
+/**
+ * Escalation Validators
+ * Zod validation schemas for escalation policy and on-call rotation endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+const roles = ['ADMIN', 'PLANT_MANAGER', 'VIEWER'];
+const targetTypes = ['USER', 'ROLE', 'ON_CALL'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+/**
+ * One escalation step (position is its index in the steps array)
+ */
+const stepSchema = z
+  .object({
+    delayMinutes: z.number().int().min(0, 'Delay cannot be negative').max(10080, 'Delay cannot exceed one week').default(0),
+    targetType: z.enum(targetTypes, { errorMap: () => ({ message: 'Invalid target type' }) }),
+    userId: idField('user').optional().nullable(),
+    role: z.enum(roles, { errorMap: () => ({ message: 'Invalid role' }) }).optional().nullable(),
+    rotationId: idField('rotation').optional().nullable(),
+  })
+  .superRefine((step, ctx) => {
+    const required = { USER: 'userId', ROLE: 'role', ON_CALL: 'rotationId' };
+    Object.entries(required).forEach(([type, field]) => {
+      const present = step[field] !== null && step[field] !== undefined;
+      if (type === step.targetType && !present) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${field} is required for ${type} steps` });
+      }
+      if (type !== step.targetType && present) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message: `${field} is only used by ${type} steps` });
+      }
+    });
+  });
+
+const policyFields = {
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+  description: z.string().max(1000, 'Description too long').optional().nullable(),
+  severities: z.array(z.enum(severities, { errorMap: () => ({ message: 'Invalid severity level' }) })),
+  isEnabled: z.boolean(),
+  steps: z.array(stepSchema).min(1, 'At least one step is required').max(10, 'At most 10 steps'),
+};
+
+const rotationFields = {
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+  description: z.string().max(1000, 'Description too long').optional().nullable(),
+  startsAt: z
+    .string()
+    .datetime({ offset: true, message: 'Start must be an ISO 8601 date-time' })
+    .transform((value) => new Date(value)),
+  shiftHours: z.number().int().min(1, 'Shift must be at least one hour').max(8760, 'Shift cannot exceed one year'),
+  memberIds: z
+    .array(idField('user'))
+    .min(1, 'At least one member is required')
+    .max(100, 'At most 100 members')
+    .refine((ids) => new Set(ids).size === ids.length, 'Members must be unique'),
+};
+
+/**
+ * List by plant validation schema (query parameters)
+ */
+const listByPlantSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+  }),
+};
+
+/**
+ * Policy by ID validation schema
+ */
+const policyIdSchema = {
+  params: z.object({
+    id: idParam('escalation policy'),
+  }),
+};
+
+/**
+ * Create escalation policy validation schema
+ */
+const createPolicySchema = {
+  body: z.object({
+    plantId: idField('plant'),
+    ...policyFields,
+    severities: policyFields.severities.default([]),
+    isEnabled: policyFields.isEnabled.default(true),
+  }),
+};
+
+/**
+ * Update escalation policy validation schema (steps are replaced as a whole)
+ */
+const updatePolicySchema = {
+  params: z.object({
+    id: idParam('escalation policy'),
+  }),
+  body: z
+    .object(policyFields)
+    .partial()
+    .strict('Plant cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * Rotation by ID validation schema
+ */
+const rotationIdSchema = {
+  params: z.object({
+    id: idParam('rotation'),
+  }),
+};
+
+/**
+ * Get rotation (with upcoming shifts) validation schema
+ */
+const getRotationSchema = {
+  params: z.object({
+    id: idParam('rotation'),
+  }),
+  query: z.object({
+    at: z
+      .string()
+      .datetime({ offset: true, message: 'Time must be an ISO 8601 date-time' })
+      .transform((value) => new Date(value))
+      .optional(),
+    shifts: z.string().regex(/^\d+$/, 'Shifts must be a number').transform(Number).refine((n) => n >= 1 && n <= 50, 'Shifts must be between 1 and 50').optional(),
+  }),
+};
+
+/**
+ * Create on-call rotation validation schema
+ */
+const createRotationSchema = {
+  body: z.object({
+    plantId: idField('plant'),
+    ...rotationFields,
+    shiftHours: rotationFields.shiftHours.default(168),
+  }),
+};
+
+/**
+ * Update on-call rotation validation schema (members are replaced as a whole)
+ */
+const updateRotationSchema = {
+  params: z.object({
+    id: idParam('rotation'),
+  }),
+  body: z
+    .object(rotationFields)
+    .partial()
+    .strict('Plant cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * Alarm escalations validation schema
+ */
+const alarmEscalationsSchema = {
+  params: z.object({
+    alarmId: idParam('alarm'),
+  }),
+};
+
+export {
+  listByPlantSchema,
+  policyIdSchema,
+  createPolicySchema,
+  updatePolicySchema,
+  rotationIdSchema,
+  getRotationSchema,
+  createRotationSchema,
+  updateRotationSchema,
+  alarmEscalationsSchema,
+};
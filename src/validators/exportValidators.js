@@ -0,0 +1,67 @@
+/**
+ * Export Validators
+ * Zod validation schemas for data export endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const exportFormats = ['CSV', 'JSONL', 'PARQUET'];
+const exportStatuses = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+/**
+ * Create export validation schema
+ * No range limit: exports are written in chunks in the background
+ */
+const createExportSchema = {
+  body: z
+    .object({
+      plantId: idField('plant'),
+      deviceIds: z.array(idField('device')).optional().default([]), // Empty: all devices
+      tagIds: z.array(idField('tag')).optional().default([]), // Empty: all tags
+      startTime: z.string().datetime(),
+      endTime: z.string().datetime(),
+      aggregation: z
+        .enum(['raw', 'avg', 'min', 'max', 'sum', 'count', 'first', 'last'])
+        .optional()
+        .default('raw'),
+      interval: z
+        .string()
+        .regex(/^[1-9]\d*[smhd]$/, 'Invalid interval format. Use format like: 5m, 1h, 1d')
+        .optional(),
+      format: z
+        .string()
+        .transform((value) => value.toUpperCase())
+        .pipe(z.enum(exportFormats, { errorMap: () => ({ message: 'Format must be CSV, JSONL or PARQUET' }) })),
+    })
+    .refine((body) => new Date(body.endTime) > new Date(body.startTime), {
+      message: 'End time must be after start time',
+      path: ['endTime'],
+    }),
+};
+
+/**
+ * List exports validation schema (query parameters)
+ */
+const getExportsSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    status: z.enum(exportStatuses).optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+/**
+ * Export by ID validation schema
+ */
+const exportIdSchema = {
+  params: z.object({
+    id: idParam('export'),
+  }),
+};
+
+export { createExportSchema, getExportsSchema, exportIdSchema };
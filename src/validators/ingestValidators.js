@@ -0,0 +1,69 @@
+/**
+ * Ingest Validators
+ * Zod schemas for HTTP data ingestion endpoints
+ */
+
+import { z } from 'zod';
+import config from '../config/index.js';
+
+/**
+ * Single gateway record: { deviceId, timestamp, values: { tag: value } }
+ * Validated per record by the ingest service so each row gets its own result.
+ */
+const ingestRecordSchema = z.object({
+  deviceId: z
+    .string({ required_error: 'Device ID is required' })
+    .min(1, 'Device ID is required'),
+  timestamp: z.union([
+    z.string().datetime({ offset: true, message: 'Timestamp must be an ISO 8601 date-time' }),
+    z.number().int().positive('Timestamp must be epoch seconds or milliseconds'),
+  ]),
+  values: z
+    .record(z.union([z.number(), z.boolean(), z.string(), z.null()]))
+    .refine((values) => Object.keys(values).length > 0, 'At least one tag value is required'),
+});
+
+/**
+ * Plant identifier from the URL: database ID or user-defined plant ID
+ */
+const plantIdentifierSchema = z.string().regex(/^[A-Za-z0-9_-]{1,20}$/, 'Invalid plant ID');
+
+/**
+ * Validator for a gateway batch
+ * Accepts `{ records: [...] }` or a bare array; records are checked individually later.
+ */
+const ingestBatchSchema = {
+  params: z.object({
+    plantId: plantIdentifierSchema,
+  }),
+  body: z
+    .union([
+      z.array(z.any()),
+      z.object({ records: z.array(z.any()) }),
+    ], { errorMap: () => ({ message: 'Body must be an array of records or { records: [...] }' }) })
+    .transform((body) => (Array.isArray(body) ? body : body.records))
+    .pipe(
+      z
+        .array(z.any())
+        .min(1, 'At least one record is required')
+        .max(
+          config.ingestion.http.maxRecords,
+          `A batch may contain at most ${config.ingestion.http.maxRecords} records`
+        )
+    ),
+};
+
+/**
+ * Validator for generating or revoking a plant ingestion key
+ */
+const plantIngestionKeySchema = {
+  params: z.object({
+    id: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number),
+  }),
+};
+
+export {
+  ingestRecordSchema,
+  ingestBatchSchema,
+  plantIngestionKeySchema,
+};
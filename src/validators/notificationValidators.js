@@ -0,0 +1,147 @@
+/**
+ * Notification Validators
+ * Zod validation schemas for notification subscription and delivery endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const channels = ['EMAIL', 'WEBHOOK', 'SLACK'];
+const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+const deviceTypes = ['INVERTER', 'TRANSFORMER', 'COMBINER_BOX', 'WEATHER_STATION', 'METER', 'STRING', 'MODULE', 'OTHER'];
+const alarmEvents = ['created', 'acknowledged', 'resolved', 'shelved', 'unshelved', 'reopened'];
+const deliveryStatuses = ['PENDING', 'SENT', 'FAILED'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+
+const webhookUrl = z
+  .string()
+  .url('Target must be a URL')
+  .max(2000, 'URL too long')
+  .refine((value) => /^https?:\/\//i.test(value), 'Webhook URL must use http or https');
+
+/**
+ * Fields shared by create and update
+ */
+const subscriptionFields = {
+  name: z.string().max(100, 'Name too long').optional().nullable(),
+  target: z.string().max(2000, 'Target too long').optional().nullable(),
+  plantId: z.number().int().positive('Invalid plant ID').optional().nullable(),
+  severities: z.array(z.enum(severities, { errorMap: () => ({ message: 'Invalid severity level' }) })).default([]),
+  deviceTypes: z.array(z.enum(deviceTypes, { errorMap: () => ({ message: 'Invalid device type' }) })).default([]),
+  events: z
+    .array(z.enum(alarmEvents, { errorMap: () => ({ message: 'Invalid alarm event' }) }))
+    .min(1, 'At least one event is required')
+    .default(['created']),
+  isEnabled: z.boolean().default(true),
+};
+
+/**
+ * Check the target of a channel
+ * @param {string} channel - EMAIL, WEBHOOK or SLACK
+ * @param {string|null} target - Email address or URL
+ * @returns {string|null} Issue message
+ */
+const getTargetIssue = (channel, target) => {
+  if (channel === 'EMAIL') {
+    return target && !z.string().email().safeParse(target).success ? 'Target must be an email address' : null;
+  }
+  if (!target) {
+    return `Target URL is required for ${channel} subscriptions`;
+  }
+  return webhookUrl.safeParse(target).success ? null : 'Target must be an http(s) URL';
+};
+
+/**
+ * Get subscriptions validation schema (query parameters)
+ */
+const getSubscriptionsSchema = {
+  query: z.object({
+    userId: idParam('user').optional(), // Admin only
+    plantId: idParam('plant').optional(),
+    channel: z.enum(channels).optional(),
+  }),
+};
+
+/**
+ * Subscription by ID validation schema
+ */
+const subscriptionIdSchema = {
+  params: z.object({
+    id: idParam('subscription'),
+  }),
+};
+
+/**
+ * Create subscription validation schema
+ */
+const createSubscriptionSchema = {
+  body: z
+    .object({
+      channel: z.enum(channels, { errorMap: () => ({ message: 'Invalid channel' }) }),
+      ...subscriptionFields,
+    })
+    .superRefine((body, ctx) => {
+      const issue = getTargetIssue(body.channel, body.target);
+      if (issue) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['target'], message: issue });
+      }
+    }),
+};
+
+/**
+ * Update subscription validation schema (channel cannot change)
+ */
+const updateSubscriptionSchema = {
+  params: z.object({
+    id: idParam('subscription'),
+  }),
+  body: z
+    .object({
+      name: subscriptionFields.name,
+      target: subscriptionFields.target,
+      plantId: subscriptionFields.plantId,
+      severities: subscriptionFields.severities.removeDefault(),
+      deviceTypes: subscriptionFields.deviceTypes.removeDefault(),
+      events: subscriptionFields.events.removeDefault(),
+      isEnabled: subscriptionFields.isEnabled.removeDefault(),
+      rotateSecret: z.literal(true).optional(), // WEBHOOK: issue a new signing secret
+    })
+    .partial()
+    .strict('Channel cannot be changed, create a new subscription')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * Get deliveries validation schema (query parameters)
+ */
+const getDeliveriesSchema = {
+  query: z.object({
+    userId: idParam('user').optional(), // Admin only
+    subscriptionId: idParam('subscription').optional(),
+    alarmId: idParam('alarm').optional(),
+    channel: z.enum(channels).optional(),
+    status: z.enum(deliveryStatuses).optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+/**
+ * Delivery by ID validation schema
+ */
+const deliveryIdSchema = {
+  params: z.object({
+    id: idParam('delivery'),
+  }),
+};
+
+export {
+  getTargetIssue,
+  getSubscriptionsSchema,
+  subscriptionIdSchema,
+  createSubscriptionSchema,
+  updateSubscriptionSchema,
+  getDeliveriesSchema,
+  deliveryIdSchema,
+};
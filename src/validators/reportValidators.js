@@ -34,10 +34,11 @@ const dateStringSchema = z
 export const plantPerformanceReportSchema = {
   body: z.object({
     plantId: z
-      .string({
+      .number({
         required_error: 'Plant ID is required',
       })
-      .uuid('Invalid plant ID format'),
+      .int()
+      .positive('Invalid plant ID'),
     startDate: dateStringSchema,
     endDate: dateStringSchema,
     format: reportFormatSchema.default('json'),
@@ -57,12 +58,14 @@ export const plantPerformanceReportSchema = {
 export const devicePerformanceReportSchema = {
   body: z.object({
     deviceId: z
-      .string({
+      .number({
         required_error: 'Device ID is required',
       })
-      .uuid('Invalid device ID format'),
+      .int()
+      .positive('Invalid device ID'),
     startDate: dateStringSchema,
     endDate: dateStringSchema,
+    minQuality: z.number().int().min(0).max(100).optional(), // Default: DATA_QUALITY_BAD_BELOW
     format: reportFormatSchema.default('json'),
   }).refine(
     (data) => new Date(data.endDate) >= new Date(data.startDate),
@@ -79,13 +82,14 @@ export const devicePerformanceReportSchema = {
  */
 export const alarmReportSchema = {
   body: z.object({
-    plantId: z.string().uuid('Invalid plant ID format').optional(),
-    deviceId: z.string().uuid('Invalid device ID format').optional(),
+    plantId: z.number().int().positive('Invalid plant ID').optional(),
+    deviceId: z.number().int().positive('Invalid device ID').optional(),
     severity: alarmSeveritySchema.optional(),
     status: alarmStatusSchema.optional(),
     startDate: dateStringSchema,
     endDate: dateStringSchema,
     format: reportFormatSchema.default('json'),
+    includeTimeline: z.boolean().default(false), // Lifecycle events of every alarm
   }).refine(
     (data) => new Date(data.endDate) >= new Date(data.startDate),
     {
@@ -95,21 +99,42 @@ export const alarmReportSchema = {
   ),
 };
 
+/**
+ * Alarm KPI Report validation schema
+ * POST /api/reports/alarm-kpis
+ */
+export const alarmKpiReportSchema = {
+  body: z.object({
+    plantId: z.number().int().positive('Invalid plant ID').optional(),
+    startDate: dateStringSchema,
+    endDate: dateStringSchema,
+    top: z.number().int().min(1).max(100).optional(), // Entries per bad actor / chattering / stale list
+    format: reportFormatSchema.default('json'),
+  }).refine(
+    (data) => new Date(data.endDate) > new Date(data.startDate),
+    {
+      message: 'End date must be after start date',
+      path: ['endDate'],
+    }
+  ),
+};
+
 /**
  * Energy Production Report validation schema
  * POST /api/reports/energy-production
  */
 export const energyProductionReportSchema = {
   body: z.object({
-    plantId: z.string().uuid('Invalid plant ID format').optional(),
-    deviceId: z.string().uuid('Invalid device ID format').optional(),
+    plantId: z.number().int().positive('Invalid plant ID').optional(),
+    deviceId: z.number().int().positive('Invalid device ID').optional(),
     startDate: dateStringSchema,
     endDate: dateStringSchema,
+    includeSuspicious: z.boolean().optional(), // Count suspicious counter jumps as energy
     format: reportFormatSchema.default('json'),
   }).refine(
-    (data) => new Date(data.endDate) >= new Date(data.startDate),
+    (data) => new Date(data.endDate) > new Date(data.startDate),
     {
-      message: 'End date must be after or equal to start date',
+      message: 'End date must be after start date',
       path: ['endDate'],
     }
   ),
@@ -0,0 +1,104 @@
+/**
+ * Retention Validators
+ * Zod validation schemas for data retention policy endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const retentionTargets = ['RAW_MQTT', 'PROCESSED_DATA', 'ROLLUP_5M', 'ROLLUP_HOURLY', 'ROLLUP_DAILY'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+const target = z.enum(retentionTargets, { errorMap: () => ({ message: 'Invalid retention target' }) });
+
+const retentionDays = z
+  .number()
+  .int('Retention days must be a whole number')
+  .min(1, 'Retention must be at least 1 day')
+  .max(36500, 'Retention cannot exceed 100 years');
+
+/**
+ * List retention policies validation schema (query parameters)
+ * plantId=default lists the default policies only
+ */
+const getPoliciesSchema = {
+  query: z.object({
+    plantId: z.union([z.literal('default'), idParam('plant')]).optional(),
+    target: target.optional(),
+  }),
+};
+
+/**
+ * Retention policy by ID validation schema
+ */
+const policyIdSchema = {
+  params: z.object({
+    id: idParam('retention policy'),
+  }),
+};
+
+/**
+ * Create retention policy validation schema
+ */
+const createPolicySchema = {
+  body: z.object({
+    plantId: idField('plant').nullable().optional().default(null), // Null: default for all plants
+    target,
+    retentionDays,
+    isEnabled: z.boolean().optional().default(true),
+  }),
+};
+
+/**
+ * Update retention policy validation schema
+ */
+const updatePolicySchema = {
+  params: z.object({
+    id: idParam('retention policy'),
+  }),
+  body: z
+    .object({
+      retentionDays,
+      isEnabled: z.boolean(),
+    })
+    .partial()
+    .strict('Plant and target cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * Preview a draft retention policy validation schema
+ */
+const previewPolicySchema = {
+  body: z.object({
+    plantId: idField('plant').nullable().optional().default(null),
+    target,
+    retentionDays,
+  }),
+};
+
+/**
+ * List retention runs validation schema (query parameters)
+ */
+const getRunsSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    policyId: idParam('retention policy').optional(),
+    target: target.optional(),
+    startDate: z.string().datetime().optional(),
+    endDate: z.string().datetime().optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+export {
+  getPoliciesSchema,
+  policyIdSchema,
+  createPolicySchema,
+  updatePolicySchema,
+  previewPolicySchema,
+  getRunsSchema,
+};
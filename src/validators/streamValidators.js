@@ -0,0 +1,28 @@
+/**
+ * Stream Validators
+ * Zod schemas for the Server-Sent Events endpoint
+ */
+
+import { z } from 'zod';
+
+const EVENT_TYPES = ['data', 'alarm'];
+
+/**
+ * Validator for opening an event stream
+ */
+const openStreamSchema = {
+  query: z.object({
+    plantId: z.string().regex(/^\d+$/, 'Invalid plant ID').transform(Number).optional(),
+    deviceId: z.string().regex(/^\d+$/, 'Invalid device ID').transform(Number).optional(),
+    types: z
+      .string()
+      .optional()
+      .transform((val) => (val ? val.split(',').map((type) => type.trim()) : EVENT_TYPES))
+      .pipe(z.array(z.enum(EVENT_TYPES, { errorMap: () => ({ message: 'Event types must be data and/or alarm' }) }))),
+    minSeverity: z.enum(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO']).optional(),
+    lastEventId: z.string().optional(),
+    ticket: z.string().optional(),
+  }),
+};
+
+export { openStreamSchema };
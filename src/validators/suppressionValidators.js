@@ -0,0 +1,162 @@
+/**
+ * Suppression Validators
+ * Zod validation schemas for alarm suppression window endpoints
+ */
+
+import { z } from 'zod';
+
+// Enum values
+const severities = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'INFO'];
+const windowTypes = ['ONCE', 'RECURRING'];
+const alarmSources = ['limit', 'rule'];
+
+const idParam = (label) => z.string().regex(/^\d+$/, `Invalid ${label} ID`).transform(Number);
+const idField = (label) => z.number().int().positive(`Invalid ${label} ID`);
+
+const dateTime = (label) =>
+  z
+    .string()
+    .datetime({ offset: true, message: `${label} must be an ISO 8601 date-time` })
+    .transform((value) => new Date(value));
+
+const timeOfDay = (label) => z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, `${label} must be HH:MM`);
+
+/**
+ * Check the schedule fields of a window against its type
+ * Used for complete windows (create) and merged updates.
+ * @param {Object} window - Window fields (type, startsAt, endsAt, startTime, endTime, daysOfWeek)
+ * @returns {Array<Object>} Issues { field, message }
+ */
+const getWindowScheduleIssues = (window) => {
+  const issues = [];
+  const present = (value) => value !== null && value !== undefined;
+
+  if (window.type === 'ONCE') {
+    ['startsAt', 'endsAt'].forEach((field) => {
+      if (!present(window[field])) {
+        issues.push({ field, message: `${field} is required for ONCE windows` });
+      }
+    });
+    ['startTime', 'endTime'].forEach((field) => {
+      if (present(window[field])) {
+        issues.push({ field, message: `${field} is only used by RECURRING windows` });
+      }
+    });
+    if (window.daysOfWeek?.length > 0) {
+      issues.push({ field: 'daysOfWeek', message: 'daysOfWeek is only used by RECURRING windows' });
+    }
+  }
+
+  if (window.type === 'RECURRING') {
+    ['startTime', 'endTime'].forEach((field) => {
+      if (!present(window[field])) {
+        issues.push({ field, message: `${field} is required for RECURRING windows` });
+      }
+    });
+  }
+
+  if (present(window.startsAt) && present(window.endsAt) && window.endsAt <= window.startsAt) {
+    issues.push({ field: 'endsAt', message: 'End must be after start' });
+  }
+
+  return issues;
+};
+
+const windowFields = {
+  name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+  reason: z.string().trim().min(3, 'Reason is required').max(1000, 'Reason too long'),
+  type: z.enum(windowTypes, { errorMap: () => ({ message: 'Invalid window type' }) }),
+  deviceId: idField('device').optional().nullable(),
+  startsAt: dateTime('Start').optional().nullable(),
+  endsAt: dateTime('End').optional().nullable(),
+  startTime: timeOfDay('Start time').optional().nullable(),
+  endTime: timeOfDay('End time').optional().nullable(),
+  daysOfWeek: z
+    .array(z.number().int().min(0, 'Days are 0 (Sunday) to 6 (Saturday)').max(6, 'Days are 0 (Sunday) to 6 (Saturday)'))
+    .refine((days) => new Set(days).size === days.length, 'Days must be unique'),
+  severities: z.array(z.enum(severities, { errorMap: () => ({ message: 'Invalid severity level' }) })),
+  sources: z.array(z.enum(alarmSources, { errorMap: () => ({ message: 'Invalid alarm source' }) })),
+  ruleIds: z.array(idField('alarm rule')).max(100, 'At most 100 rules'),
+  isEnabled: z.boolean(),
+};
+
+/**
+ * List suppression windows validation schema (query parameters)
+ */
+const getWindowsSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    deviceId: idParam('device').optional(),
+    active: z.enum(['true', 'false']).optional(),
+  }),
+};
+
+/**
+ * Suppression window by ID validation schema
+ */
+const windowIdSchema = {
+  params: z.object({
+    id: idParam('suppression window'),
+  }),
+};
+
+/**
+ * Create suppression window validation schema
+ */
+const createWindowSchema = {
+  body: z
+    .object({
+      plantId: idField('plant'),
+      ...windowFields,
+      daysOfWeek: windowFields.daysOfWeek.default([]),
+      severities: windowFields.severities.default([]),
+      sources: windowFields.sources.default([]),
+      ruleIds: windowFields.ruleIds.default([]),
+      isEnabled: windowFields.isEnabled.default(true),
+    })
+    .superRefine((window, ctx) => {
+      getWindowScheduleIssues(window).forEach(({ field, message }) => {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [field], message });
+      });
+    }),
+};
+
+/**
+ * Update suppression window validation schema
+ */
+const updateWindowSchema = {
+  params: z.object({
+    id: idParam('suppression window'),
+  }),
+  body: z
+    .object(windowFields)
+    .partial()
+    .strict('Plant cannot be changed')
+    .refine((body) => Object.keys(body).length > 0, 'At least one field is required'),
+};
+
+/**
+ * List suppressed alarms validation schema (query parameters)
+ */
+const getSuppressedAlarmsSchema = {
+  query: z.object({
+    plantId: idParam('plant').optional(),
+    deviceId: idParam('device').optional(),
+    windowId: idParam('suppression window').optional(),
+    severity: z.enum(severities).optional(),
+    open: z.enum(['true', 'false']).optional(),
+    startDate: z.string().datetime().optional(),
+    endDate: z.string().datetime().optional(),
+    page: z.string().regex(/^\d+$/, 'Page must be a number').optional(),
+    limit: z.string().regex(/^\d+$/, 'Limit must be a number').optional(),
+  }),
+};
+
+export {
+  getWindowScheduleIssues,
+  getWindowsSchema,
+  windowIdSchema,
+  createWindowSchema,
+  updateWindowSchema,
+  getSuppressedAlarmsSchema,
+};
@@ -0,0 +1,29 @@
+/**
+ * Template Validators
+ * Zod schemas for device template endpoints
+ */
+
+import { z } from 'zod';
+
+/**
+ * Payload decoder definition (decoder-specific config is checked by the decoder itself)
+ */
+const decoderSchema = z.object({
+  type: z.string({ required_error: 'Decoder type is required' }).min(1, 'Decoder type is required'),
+  config: z.record(z.any()).optional(),
+});
+
+/**
+ * Validator for previewing a template decoder with a sample payload
+ */
+const testDecoderSchema = {
+  params: z.object({
+    id: z.string().regex(/^\d+$/, 'Invalid template ID').transform(Number),
+  }),
+  body: z.object({
+    payload: z.record(z.any(), { required_error: 'Sample payload is required' }),
+    decoder: decoderSchema.nullable().optional(),
+  }),
+};
+
+export { decoderSchema, testDecoderSchema };
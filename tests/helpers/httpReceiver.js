@@ -0,0 +1,43 @@
+/**
+ * HTTP Receiver
+ * Local HTTP server that records webhook requests and answers with a chosen status
+ */
+
+import http from 'http';
+
+/**
+ * Start an HTTP receiver on a free local port
+ * @returns {Promise<Object>} { url, requests: [{ method, path, headers, body }], respondWith(status), close() }
+ */
+const startHttpReceiver = () =>
+  new Promise((resolve) => {
+    const requests = [];
+    let status = 200;
+
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString() });
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        respondWith: (code) => {
+          status = code;
+        },
+        close: () =>
+          new Promise((done) => {
+            server.closeAllConnections();
+            server.close(done);
+          }),
+      });
+    });
+  });
+
+export { startHttpReceiver };
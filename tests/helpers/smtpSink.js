@@ -0,0 +1,105 @@
+/**
+ * SMTP Sink
+ * Minimal local SMTP server that keeps received messages in memory (no TLS, no auth)
+ *
+ * Recipients whose address starts with "unknown" are refused with 550 to test
+ * permanent delivery failures.
+ */
+
+import net from 'net';
+
+/**
+ * Start an SMTP sink on a free local port
+ * @returns {Promise<Object>} { port, messages: [{ from, to, data }], close() }
+ */
+const startSmtpSink = () =>
+  new Promise((resolve) => {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+      sockets.add(socket);
+      socket.on('close', () => sockets.delete(socket));
+      socket.setEncoding('utf8');
+
+      let buffer = '';
+      let envelope = { from: null, to: [] };
+      let data = null;
+
+      const reply = (line) => socket.write(`${line}\r\n`);
+
+      const handleLine = (line) => {
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 Message accepted');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          return;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const argument = line.slice(line.indexOf(':') + 1).trim().replace(/^<|>.*$/g, '');
+        switch (command) {
+          case 'EHLO':
+          case 'HELO':
+            reply('250 localhost');
+            break;
+          case 'MAIL':
+            envelope.from = argument;
+            reply('250 OK');
+            break;
+          case 'RCPT':
+            if (argument.startsWith('unknown')) {
+              reply('550 No such user');
+            } else {
+              envelope.to.push(argument);
+              reply('250 OK');
+            }
+            break;
+          case 'DATA':
+            data = [];
+            reply('354 End data with <CR><LF>.<CR><LF>');
+            break;
+          case 'RSET':
+            envelope = { from: null, to: [] };
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('250 OK');
+        }
+      };
+
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          handleLine(buffer.slice(0, index));
+          buffer = buffer.slice(index + 2);
+        }
+      });
+
+      reply('220 localhost SMTP sink');
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () =>
+          new Promise((done) => {
+            sockets.forEach((socket) => socket.destroy());
+            server.close(done);
+          }),
+      });
+    });
+  });
+
+export { startSmtpSink };
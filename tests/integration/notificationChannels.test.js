@@ -0,0 +1,146 @@
+/**
+ * Notification channel tests against a local SMTP sink and a local HTTP receiver
+ */
+
+import crypto from 'crypto';
+import config from '../../src/config/index.js';
+import { DeliveryError, sendNotification, closeTransport } from '../../src/modules/notifications/services/channels.js';
+import { startSmtpSink } from '../helpers/smtpSink.js';
+import { startHttpReceiver } from '../helpers/httpReceiver.js';
+
+const payload = {
+  event: 'alarm.raised',
+  alarm: { id: 42, severity: 'HIGH', message: 'INV-01 power_ac low' },
+};
+
+let smtp;
+let receiver;
+
+beforeAll(async () => {
+  smtp = await startSmtpSink();
+  receiver = await startHttpReceiver();
+  Object.assign(config.notifications.smtp, { host: '127.0.0.1', port: smtp.port, secure: false, user: undefined });
+});
+
+afterAll(async () => {
+  closeTransport();
+  await Promise.all([smtp.close(), receiver.close()]);
+});
+
+describe('EMAIL channel', () => {
+  it('sends the rendered message over SMTP', async () => {
+    const result = await sendNotification({
+      channel: 'EMAIL',
+      target: 'operator@example.com',
+      payload: { subject: '[HIGH] INV-01 power_ac low', text: 'Alarm #42 raised', html: '<p>Alarm #42 raised</p>' },
+    });
+
+    expect(result.responseStatus).toBeNull();
+    const message = smtp.messages.at(-1);
+    expect(message.from).toBe('alarms@localhost');
+    expect(message.to).toEqual(['operator@example.com']);
+    expect(message.data).toContain('Subject: [HIGH] INV-01 power_ac low');
+    expect(message.data).toContain('Alarm #42 raised');
+  });
+
+  it('fails permanently when the server refuses the recipient', async () => {
+    const sending = sendNotification({
+      channel: 'EMAIL',
+      target: 'unknown@example.com',
+      payload: { subject: 'Test', text: 'Test' },
+    });
+
+    await expect(sending).rejects.toBeInstanceOf(DeliveryError);
+    await expect(sending).rejects.toMatchObject({ permanent: true });
+  });
+});
+
+describe('WEBHOOK channel', () => {
+  const delivery = (overrides = {}) => ({
+    id: 7,
+    channel: 'WEBHOOK',
+    event: 'alarm.raised',
+    target: `${receiver.url}/hooks/alarms`,
+    payload,
+    subscription: { secret: 'webhook-secret' },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    config.notifications.webhookAllowPrivate = true;
+    receiver.respondWith(200);
+  });
+
+  afterAll(() => {
+    config.notifications.webhookAllowPrivate = false;
+  });
+
+  it('posts a signed JSON body', async () => {
+    const result = await sendNotification(delivery());
+
+    expect(result).toEqual({ responseStatus: 200 });
+    const request = receiver.requests.at(-1);
+    expect(request).toMatchObject({ method: 'POST', path: '/hooks/alarms' });
+    expect(JSON.parse(request.body)).toEqual(payload);
+    expect(request.headers['x-notification-event']).toBe('alarm.raised');
+    expect(request.headers['x-notification-delivery']).toBe('7');
+
+    const timestamp = request.headers['x-signature-timestamp'];
+    const expected = crypto.createHmac('sha256', 'webhook-secret').update(`${timestamp}.${request.body}`).digest('hex');
+    expect(request.headers['x-signature']).toBe(`sha256=${expected}`);
+  });
+
+  it('retries server errors and rate limits, but not other client errors', async () => {
+    receiver.respondWith(503);
+    await expect(sendNotification(delivery())).rejects.toMatchObject({ permanent: false, responseStatus: 503 });
+
+    receiver.respondWith(429);
+    await expect(sendNotification(delivery())).rejects.toMatchObject({ permanent: false, responseStatus: 429 });
+
+    receiver.respondWith(404);
+    await expect(sendNotification(delivery())).rejects.toMatchObject({
+      message: 'Webhook responded 404',
+      permanent: true,
+      responseStatus: 404,
+    });
+  });
+
+  it('refuses loopback and private hosts unless they are allowed', async () => {
+    config.notifications.webhookAllowPrivate = false;
+    const before = receiver.requests.length;
+
+    await expect(sendNotification(delivery())).rejects.toMatchObject({ permanent: true });
+    await expect(
+      sendNotification(delivery({ target: receiver.url.replace('127.0.0.1', 'localhost') }))
+    ).rejects.toThrow('resolves to a non-public address');
+    await expect(sendNotification(delivery({ target: 'http://169.254.169.254/latest/meta-data' }))).rejects.toThrow(
+      'is not a public address'
+    );
+    expect(receiver.requests).toHaveLength(before);
+  });
+
+  it('rejects URLs that are not http(s)', async () => {
+    await expect(sendNotification(delivery({ target: 'ftp://example.com/hook' }))).rejects.toThrow(
+      'Webhook URL must use http or https'
+    );
+  });
+
+  it('fails permanently without a subscription secret', async () => {
+    await expect(sendNotification(delivery({ subscription: null }))).rejects.toMatchObject({ permanent: true });
+  });
+});
+
+describe('SLACK channel', () => {
+  it('posts the payload unsigned', async () => {
+    config.notifications.webhookAllowPrivate = true;
+    receiver.respondWith(200);
+
+    await sendNotification({ channel: 'SLACK', target: `${receiver.url}/slack`, payload: { text: 'Alarm #42 raised' } });
+
+    const request = receiver.requests.at(-1);
+    expect(request.path).toBe('/slack');
+    expect(JSON.parse(request.body)).toEqual({ text: 'Alarm #42 raised' });
+    expect(request.headers).not.toHaveProperty('x-signature');
+    config.notifications.webhookAllowPrivate = false;
+  });
+});
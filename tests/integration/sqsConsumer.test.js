@@ -0,0 +1,152 @@
+/**
+ * SQS consumer tests against ElasticMQ (local SQS, no AWS account needed)
+ *
+ * Start ElasticMQ and point AWS_SQS_ENDPOINT at it, e.g.
+ *   docker run --rm -p 9324:9324 softwaremill/elasticmq-native
+ *   AWS_SQS_ENDPOINT=http://localhost:9324 npm test
+ * Skipped when AWS_SQS_ENDPOINT is not set. Each test uses its own queue.
+ */
+
+import { jest } from '@jest/globals';
+import {
+  SQSClient,
+  CreateQueueCommand,
+  DeleteQueueCommand,
+  SendMessageCommand,
+  GetQueueAttributesCommand,
+} from '@aws-sdk/client-sqs';
+
+const endpoint = process.env.AWS_SQS_ENDPOINT;
+
+let db;
+
+const prisma = {
+  plant: {
+    findMany: async () => [
+      { id: 1, plantId: 'PLANT-1', name: 'Plant 1', mqttBaseTopic: 'solar/plant-1', status: 'ACTIVE', timezone: 'UTC' },
+    ],
+  },
+  rawMqttData: {
+    create: async ({ data }) => {
+      if (db.raw.some((row) => row.messageId === data.messageId || row.messageHash === data.messageHash)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const row = { id: db.raw.length + 1, ...data };
+      db.raw.push(row);
+      return row;
+    },
+  },
+  deadLetterMessage: {
+    create: async ({ data }) => {
+      const row = { id: db.deadLetters.length + 1, ...data };
+      db.deadLetters.push(row);
+      return row;
+    },
+  },
+};
+
+const triggerRawDataProcessor = jest.fn();
+
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma }));
+jest.unstable_mockModule('../../src/modules/ingestion/services/rawDataProcessor.js', () => ({ triggerRawDataProcessor }));
+
+const { default: config } = await import('../../src/config/index.js');
+const { pollOnce } = await import('../../src/modules/ingestion/services/sqsConsumer.js');
+
+const describeSqs = endpoint ? describe : describe.skip;
+
+describeSqs('SQS consumer (ElasticMQ)', () => {
+  const sqs = new SQSClient({
+    region: 'us-east-1',
+    endpoint,
+    credentials: { accessKeyId: 'local', secretAccessKey: 'local' },
+  });
+  let queueUrl;
+
+  const send = (body) => sqs.send(new SendMessageCommand({ QueueUrl: queueUrl, MessageBody: body }));
+
+  const queuedMessages = async () => {
+    const { Attributes } = await sqs.send(
+      new GetQueueAttributesCommand({
+        QueueUrl: queueUrl,
+        AttributeNames: ['ApproximateNumberOfMessages', 'ApproximateNumberOfMessagesNotVisible'],
+      })
+    );
+    return Number(Attributes.ApproximateNumberOfMessages) + Number(Attributes.ApproximateNumberOfMessagesNotVisible);
+  };
+
+  beforeEach(async () => {
+    db = { raw: [], deadLetters: [] };
+    triggerRawDataProcessor.mockClear();
+
+    const name = `ingestion-test-${Date.now()}-${Math.floor(Math.random() * 1e6)}`;
+    ({ QueueUrl: queueUrl } = await sqs.send(new CreateQueueCommand({ QueueName: name })));
+    // Failed messages come back at once, and are dead-lettered on their second receive
+    Object.assign(config.aws.sqs, { queueUrl, waitTimeSeconds: 1, visibilityTimeout: 0, maxReceiveCount: 2 });
+  });
+
+  afterEach(async () => {
+    await sqs.send(new DeleteQueueCommand({ QueueUrl: queueUrl }));
+  });
+
+  afterAll(() => {
+    sqs.destroy();
+  });
+
+  it('stores a message in RawMqttData and deletes it from the queue', async () => {
+    const body = JSON.stringify({ topic: 'solar/plant-1/INV-01', aws_timestamp: 1717243200000, power_ac: 4200 });
+    const { MessageId } = await send(body);
+
+    expect(await pollOnce(sqs)).toBe(1);
+
+    expect(db.raw).toHaveLength(1);
+    expect(db.raw[0]).toMatchObject({
+      plantId: 1,
+      topic: 'solar/plant-1/INV-01',
+      source: 'sqs',
+      messageId: MessageId,
+      payload: JSON.parse(body),
+    });
+    expect(db.raw[0].receivedAt).toBeInstanceOf(Date);
+    expect(triggerRawDataProcessor).toHaveBeenCalledTimes(1);
+    expect(await queuedMessages()).toBe(0);
+  });
+
+  it('deletes a re-sent copy of a stored message as a duplicate', async () => {
+    const body = JSON.stringify({ topic: 'solar/plant-1/INV-01', aws_timestamp: 1717243200000, power_ac: 4200 });
+    await send(body);
+    await pollOnce(sqs);
+    triggerRawDataProcessor.mockClear();
+
+    await send(body);
+    await pollOnce(sqs);
+
+    expect(db.raw).toHaveLength(1);
+    expect(triggerRawDataProcessor).not.toHaveBeenCalled();
+    expect(await queuedMessages()).toBe(0);
+  });
+
+  it('leaves failing messages for redelivery, then dead-letters them', async () => {
+    await send(JSON.stringify({ topic: 'solar/other-plant/INV-01', power_ac: 1 }));
+
+    await pollOnce(sqs);
+    expect(db.deadLetters).toHaveLength(0);
+    expect(await queuedMessages()).toBe(1);
+
+    await pollOnce(sqs);
+    expect(db.deadLetters).toHaveLength(1);
+    expect(db.deadLetters[0]).toMatchObject({ source: 'sqs', attempts: 2, error: 'No plant matches topic "solar/other-plant/INV-01"' });
+    expect(await queuedMessages()).toBe(0);
+    expect(db.raw).toHaveLength(0);
+  });
+
+  it('dead-letters bodies that are not JSON objects', async () => {
+    await send('not json');
+    await pollOnce(sqs);
+    await pollOnce(sqs);
+
+    expect(db.deadLetters[0].error).toMatch(/^Message body is not valid JSON/);
+    expect(db.deadLetters[0].body).toBe('not json');
+    expect(await queuedMessages()).toBe(0);
+  });
+});
@@ -0,0 +1,7 @@
+/**
+ * Jest Setup
+ * Test environment defaults, applied before each test file loads the app config
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
@@ -0,0 +1,67 @@
+/**
+ * Counter delta classification tests (resets, rollovers, replacements)
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma: {} }));
+
+const { classifyCounterStep } = await import('../../src/modules/counters/services/counterDeltas.js');
+
+const T0 = new Date('2024-06-01T12:00:00Z');
+
+/**
+ * Reading of a counter some minutes after T0
+ */
+const reading = (minutes, value) => ({ timestamp: new Date(T0.getTime() + minutes * 60000), value });
+
+const counter = { counterRollover: null, counterMaxRate: null };
+
+describe('classifyCounterStep', () => {
+  it('counts increases as NORMAL', () => {
+    expect(classifyCounterStep(reading(0, 1000), reading(5, 1012.5), counter)).toEqual({
+      delta: 12.5,
+      status: 'NORMAL',
+    });
+  });
+
+  it('ignores drops within the read-out tolerance', () => {
+    // 0.1% of 100000 is 100
+    expect(classifyCounterStep(reading(0, 100000), reading(5, 99950), counter)).toEqual({ delta: 0, status: 'NORMAL' });
+  });
+
+  it('flags increases above the maximum rate as SUSPICIOUS', () => {
+    // 60 kWh/h over 5 minutes allows 5 kWh
+    const limited = { ...counter, counterMaxRate: 60 };
+
+    expect(classifyCounterStep(reading(0, 1000), reading(5, 1004), limited).status).toBe('NORMAL');
+    expect(classifyCounterStep(reading(0, 1000), reading(5, 1500), limited)).toEqual({
+      delta: 500,
+      status: 'SUSPICIOUS',
+    });
+  });
+
+  it('detects a register wrapping around at the rollover value', () => {
+    const wrapping = { ...counter, counterRollover: 65536 };
+
+    expect(classifyCounterStep(reading(0, 65530), reading(5, 10), wrapping)).toEqual({ delta: 16, status: 'ROLLOVER' });
+  });
+
+  it('does not treat a drop from the lower half of the register as a rollover', () => {
+    const wrapping = { ...counter, counterRollover: 65536 };
+
+    expect(classifyCounterStep(reading(0, 30000), reading(5, 10), wrapping)).toEqual({ delta: 10, status: 'RESET' });
+  });
+
+  it('detects a counter restarting from zero as RESET', () => {
+    expect(classifyCounterStep(reading(0, 52000), reading(5, 3), counter)).toEqual({ delta: 3, status: 'RESET' });
+  });
+
+  it('counts no energy when the counter drops to an unrelated reading', () => {
+    // A replaced inverter reporting its own lifetime total
+    expect(classifyCounterStep(reading(0, 52000), reading(5, 31000), counter)).toEqual({
+      delta: 0,
+      status: 'REPLACEMENT',
+    });
+  });
+});
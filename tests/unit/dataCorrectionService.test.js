@@ -0,0 +1,222 @@
+/**
+ * Data correction approval flow tests
+ * Runs the service against an in-memory stand-in for the tables it touches.
+ */
+
+import { jest } from '@jest/globals';
+
+const TIMESTAMP = new Date('2024-06-01T12:00:00Z');
+
+let db;
+
+const resetDb = () => {
+  db = {
+    corrections: [],
+    points: [{ id: 500, plantId: 1, deviceId: 3, tagId: 7, timestamp: TIMESTAMP, value: 4000, quality: 30, flags: ['SPIKE'] }],
+  };
+};
+
+const samePoint = (point, { deviceId, tagId, timestamp }) =>
+  point.deviceId === deviceId && point.tagId === tagId && point.timestamp.getTime() === timestamp.getTime();
+
+const pick = (row, select) => row && Object.fromEntries(Object.keys(select).map((key) => [key, row[key]]));
+
+const prisma = {
+  tag: {
+    findUnique: async () => ({
+      id: 7,
+      name: 'power_ac',
+      dataType: 'FLOAT',
+      formula: null,
+      calculationMode: 'INGESTION',
+      device: { id: 3, plantId: 1 },
+    }),
+  },
+  plant: {
+    findUnique: async () => ({ id: 1, name: 'Plant 1' }),
+  },
+  processedData: {
+    findUnique: async ({ where, select }) =>
+      pick(db.points.find((point) => samePoint(point, where.deviceId_tagId_timestamp)), select),
+    create: async ({ data, select }) => {
+      const point = { id: 600 + db.points.length, ...data };
+      db.points.push(point);
+      return pick(point, select);
+    },
+    update: async ({ where, data, select }) => {
+      const point = db.points.find((row) => samePoint(row, where.deviceId_tagId_timestamp));
+      Object.assign(point, data);
+      return pick(point, select);
+    },
+    delete: async ({ where, select }) => {
+      const point = db.points.find((row) => samePoint(row, where.deviceId_tagId_timestamp));
+      db.points = db.points.filter((row) => row !== point);
+      return pick(point, select);
+    },
+  },
+  dataCorrection: {
+    findUnique: async ({ where }) => {
+      const correction = db.corrections.find((row) => row.id === where.id);
+      return correction && { ...correction };
+    },
+    findFirst: async ({ where }) =>
+      db.corrections.find(
+        (row) => row.tagId === where.tagId && row.timestamp.getTime() === where.timestamp.getTime() && row.status === where.status
+      ) || null,
+    create: async ({ data }) => {
+      const correction = { id: db.corrections.length + 1, status: 'PENDING', ...data };
+      db.corrections.push(correction);
+      return { ...correction };
+    },
+    update: async ({ where, data }) => {
+      const correction = db.corrections.find((row) => row.id === where.id);
+      Object.assign(correction, data);
+      return { ...correction };
+    },
+    updateMany: async ({ where, data }) => {
+      const matching = db.corrections.filter((row) => row.id === where.id && row.status === where.status);
+      matching.forEach((row) => Object.assign(row, data));
+      return { count: matching.length };
+    },
+  },
+  // Interactive transactions roll back when the callback throws
+  $transaction: async (callback) => {
+    const snapshot = structuredClone(db);
+    try {
+      return await callback(prisma);
+    } catch (error) {
+      db = snapshot;
+      throw error;
+    }
+  },
+};
+
+const logAuditEntry = jest.fn();
+
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma }));
+jest.unstable_mockModule('../../src/services/auditService.js', () => ({ logAuditEntry }));
+jest.unstable_mockModule('../../src/services/userPlantMapService.js', () => ({ hasPlantAccess: async () => true }));
+jest.unstable_mockModule('../../src/services/dataService.js', () => ({ checkPlantAccess: async () => ({ id: 1 }) }));
+jest.unstable_mockModule('../../src/modules/ingestion/index.js', () => ({
+  coerceValue: (raw) => (Number.isFinite(Number(raw)) ? Number(raw) : null),
+}));
+jest.unstable_mockModule('../../src/modules/rollups/index.js', () => ({
+  queueRollups: async () => ({ count: 1 }),
+  triggerRollupRefresh: () => {},
+}));
+jest.unstable_mockModule('../../src/modules/counters/index.js', () => ({
+  getPlantCounters: async () => [],
+  recomputeCounterDeltas: async () => 0,
+}));
+jest.unstable_mockModule('../../src/modules/calculated-tags/index.js', () => ({
+  calculateIngestedValues: async () => [],
+}));
+
+const { ConflictError, NotFoundError } = await import('../../src/utils/errors.js');
+const { createDataCorrection, approveDataCorrection, rejectDataCorrection } = await import(
+  '../../src/services/dataCorrectionService.js'
+);
+
+const MANAGER = { id: 20, role: 'PLANT_MANAGER' };
+const ADMIN = { id: 10, role: 'ADMIN' };
+
+const requestOverride = (value = 4100, user = MANAGER) =>
+  createDataCorrection(
+    { tagId: 7, timestamp: TIMESTAMP.toISOString(), action: 'OVERRIDE', value, reason: 'Meter read-out error' },
+    user.id,
+    user.role
+  );
+
+describe('data correction approval flow', () => {
+  beforeEach(() => {
+    resetDb();
+    logAuditEntry.mockClear();
+  });
+
+  it('keeps a plant manager request pending without touching the data', async () => {
+    const correction = await requestOverride();
+
+    expect(correction).toMatchObject({ status: 'PENDING', action: 'OVERRIDE', value: 4100, requestedBy: MANAGER.id });
+    expect(db.points[0]).toMatchObject({ value: 4000, quality: 30 });
+    expect(logAuditEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ entityType: 'DataCorrection', entityId: String(correction.id), action: 'CREATE' })
+    );
+  });
+
+  it('applies an approved correction and keeps the original point', async () => {
+    const { id } = await requestOverride();
+
+    const applied = await approveDataCorrection(id, ADMIN.id, ADMIN.role, 'Checked against the meter');
+
+    expect(applied).toMatchObject({
+      status: 'APPLIED',
+      reviewedBy: ADMIN.id,
+      reviewNote: 'Checked against the meter',
+      originalValue: 4000,
+      originalQuality: 30,
+      originalFlags: ['SPIKE'],
+    });
+    expect(db.points[0]).toMatchObject({ value: 4100, quality: 100, flags: ['CORRECTED'] });
+    expect(logAuditEntry).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entityType: 'ProcessedData',
+        entityId: '500',
+        action: 'UPDATE',
+        changesBefore: { value: 4000, quality: 30, flags: ['SPIKE'] },
+      })
+    );
+  });
+
+  it('lets only one of two simultaneous reviews change the correction', async () => {
+    const { id } = await requestOverride();
+
+    const results = await Promise.allSettled([
+      approveDataCorrection(id, ADMIN.id, ADMIN.role),
+      approveDataCorrection(id, 11, 'ADMIN'),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find((result) => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+    expect(db.corrections[0]).toMatchObject({ status: 'APPLIED', originalValue: 4000 });
+    expect(logAuditEntry.mock.calls.filter(([entry]) => entry.entityType === 'ProcessedData')).toHaveLength(1);
+  });
+
+  it('refuses to review a correction twice', async () => {
+    const { id } = await requestOverride();
+    await rejectDataCorrection(id, ADMIN.id, ADMIN.role, 'Value is right');
+
+    expect(db.corrections[0]).toMatchObject({ status: 'REJECTED', reviewNote: 'Value is right' });
+    expect(logAuditEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ entityType: 'DataCorrection', entityId: String(id), action: 'UPDATE' })
+    );
+    await expect(approveDataCorrection(id, ADMIN.id, ADMIN.role)).rejects.toThrow('Data correction is already rejected');
+    expect(db.points[0].value).toBe(4000);
+  });
+
+  it('leaves the correction pending when its point is gone at approval', async () => {
+    const { id } = await requestOverride();
+    db.points = [];
+
+    await expect(approveDataCorrection(id, ADMIN.id, ADMIN.role)).rejects.toThrow(NotFoundError);
+    expect(db.corrections[0].status).toBe('PENDING');
+  });
+
+  it('applies admin corrections at once and blocks a second pending request', async () => {
+    const applied = await requestOverride(3900, ADMIN);
+    expect(applied.status).toBe('APPLIED');
+    expect(db.points[0].value).toBe(3900);
+
+    await requestOverride(3950);
+    await expect(requestOverride(3960)).rejects.toThrow(ConflictError);
+  });
+
+  it('refuses to insert over an existing point', async () => {
+    await expect(
+      createDataCorrection(
+        { tagId: 7, timestamp: TIMESTAMP.toISOString(), action: 'INSERT', value: 1, reason: 'Missing reading' },
+        ADMIN.id,
+        ADMIN.role
+      )
+    ).rejects.toThrow('A data point already exists at this time');
+  });
+});
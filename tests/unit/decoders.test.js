@@ -0,0 +1,155 @@
+/**
+ * Payload decoder tests (flat, JSONPath, register map)
+ */
+
+import { decodePayload, validateDecoder, registerDecoder, getDecoderTypes } from '../../src/modules/ingestion/decoders/index.js';
+import { queryJsonPath } from '../../src/modules/ingestion/decoders/jsonPath.js';
+
+describe('flat decoder', () => {
+  it('decodes { values } payloads and keeps the device timestamp', () => {
+    const decoded = decodePayload(null, {
+      deviceId: 'INV-01',
+      timestamp: '2024-06-01T12:00:00Z',
+      values: { power_ac: 4200, status: 'OK' },
+    });
+
+    expect(decoded).toEqual({ values: { power_ac: 4200, status: 'OK' }, timestamp: '2024-06-01T12:00:00Z' });
+  });
+
+  it('decodes flat payloads without the reserved metadata keys', () => {
+    const decoded = decodePayload({ type: 'flat' }, {
+      ts: 1717243200000,
+      topic: 'plants/P1/devices/INV-01',
+      aws_timestamp: 1717243201000,
+      power_ac: 4200,
+      temp: 41.5,
+    });
+
+    expect(decoded.values).toEqual({ power_ac: 4200, temp: 41.5 });
+    expect(decoded.timestamp).toBe(1717243200000);
+  });
+
+  it('renames keys with keyMap and drops excluded keys', () => {
+    const decoded = decodePayload(
+      { type: 'flat', config: { keyMap: { P: 'power_ac' }, exclude: ['rssi'] } },
+      { P: 10, rssi: -70, temp: 30 }
+    );
+
+    expect(decoded.values).toEqual({ power_ac: 10, temp: 30 });
+  });
+
+  it('validates its configuration', () => {
+    expect(validateDecoder({ type: 'flat', config: { keyMap: { P: 'power_ac' } } })).toEqual([]);
+    expect(validateDecoder({ type: 'flat', config: { keyMap: { P: '' }, exclude: 'rssi' } })).toEqual([
+      'keyMap must be an object of payload key to tag name',
+      'exclude must be an array of payload keys',
+    ]);
+  });
+});
+
+describe('JSONPath decoder', () => {
+  const decoder = {
+    type: 'jsonpath',
+    config: {
+      timestampPath: '$.meta.ts',
+      mappings: [
+        { tag: 'ambient_temp', path: "$.sensors[?(@.type == 'temp')].value" },
+        { tag: 'irradiance', path: '$.readings.ghi', scale: 0.1 },
+        { tag: 'wind', path: '$.readings.wind' },
+      ],
+    },
+  };
+
+  it('maps nested values, filters and scaling to tags', () => {
+    const decoded = decodePayload(decoder, {
+      meta: { ts: '2024-06-01T12:00:00Z' },
+      sensors: [
+        { type: 'humidity', value: 55 },
+        { type: 'temp', value: 24.5 },
+      ],
+      readings: { ghi: 8125 },
+    });
+
+    expect(decoded.timestamp).toBe('2024-06-01T12:00:00Z');
+    expect(decoded.values.ambient_temp).toBe(24.5);
+    expect(decoded.values.irradiance).toBeCloseTo(812.5);
+    // Paths without a match are left out
+    expect(decoded.values).not.toHaveProperty('wind');
+  });
+
+  it('returns every match of wildcard paths', () => {
+    expect(queryJsonPath({ strings: [{ i: 1 }, { i: 2 }] }, '$.strings[*].i')).toEqual([1, 2]);
+  });
+
+  it('rejects invalid mappings', () => {
+    expect(validateDecoder({ type: 'jsonpath', config: { mappings: [] } })).toEqual([
+      'mappings must be a non-empty array of { tag, path }',
+    ]);
+    expect(validateDecoder({ type: 'jsonpath', config: { mappings: [{ tag: 'x', path: '$.a', scale: 'big' }] } })).toEqual([
+      'mappings[0].scale must be a number',
+    ]);
+  });
+});
+
+describe('register map decoder', () => {
+  const decoder = {
+    type: 'registers',
+    config: {
+      baseAddress: 40000,
+      registers: [
+        { tag: 'power_ac', address: 40003, type: 'int16', scaleFactorAddress: 40004 },
+        { tag: 'energy_total', address: 40005, type: 'acc32', scale: 0.001 },
+        { tag: 'temp', address: 40007, type: 'int16' },
+        { tag: 'missing', address: 40050 },
+      ],
+    },
+  };
+
+  it('decodes typed registers with SunSpec scale factors', () => {
+    // 40003: 2300, 40004: sf -1 (0xffff), 40005-40006: 0x0001 0x86a0 = 100000, 40007: -5
+    const decoded = decodePayload(decoder, {
+      timestamp: 1717243200,
+      registers: [0, 0, 0, 2300, 0xffff, 1, 0x86a0, 0xfffb],
+    });
+
+    expect(decoded.values).toEqual({ power_ac: 230, energy_total: 100, temp: -5 });
+    expect(decoded.timestamp).toBe(1717243200);
+  });
+
+  it('decodes "not implemented" values as null', () => {
+    const decoded = decodePayload(decoder, { registers: { 40003: 0x8000, 40004: 0, 40005: 0, 40006: 0, 40007: 0x8000 } });
+
+    expect(decoded.values).toEqual({ power_ac: null, energy_total: null, temp: null });
+  });
+
+  it('honours little-endian word order', () => {
+    const decoded = decodePayload(
+      { type: 'registers', config: { wordOrder: 'little', registers: [{ tag: 'count', address: 0, type: 'uint32' }] } },
+      { registers: [0x0002, 0x0001] }
+    );
+
+    expect(decoded.values.count).toBe(0x00010002);
+  });
+
+  it('fails on payloads without a register block', () => {
+    expect(() => decodePayload(decoder, { data: [] })).toThrow('Payload has no register block at "registers"');
+  });
+});
+
+describe('decoder registry', () => {
+  it('rejects unknown decoder types', () => {
+    expect(() => decodePayload({ type: 'csv' }, {})).toThrow('Unknown decoder type "csv"');
+    expect(validateDecoder({ type: 'csv' })[0]).toMatch(/^Unknown decoder type "csv"/);
+  });
+
+  it('registers custom decoders', () => {
+    registerDecoder('upper', {
+      validateConfig: () => [],
+      decode: (payload) => ({ values: { status: String(payload.status).toUpperCase() }, timestamp: null }),
+    });
+
+    expect(getDecoderTypes()).toContain('upper');
+    expect(decodePayload({ type: 'upper' }, { status: 'ok' }).values).toEqual({ status: 'OK' });
+    expect(() => registerDecoder('broken', {})).toThrow('must implement validateConfig() and decode()');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Expression evaluator tests (alarm rule and calculated tag expressions)
+ */
+
+import { ExpressionError, compileExpression, evaluateCondition } from '../../src/utils/expressionEvaluator.js';
+
+/**
+ * Build a resolver from a map of reference paths to values
+ */
+const resolverOf = (values) => (path) => values[path];
+
+describe('compileExpression', () => {
+  it('evaluates arithmetic with operator precedence', () => {
+    expect(compileExpression('1 + 2 * 3 - 4 / 2').evaluate(resolverOf({}))).toBe(5);
+    expect(compileExpression('(1 + 2) * 3 % 5').evaluate(resolverOf({}))).toBe(4);
+    expect(compileExpression('-2 * -3').evaluate(resolverOf({}))).toBe(6);
+  });
+
+  it('lists the tag references, including dotted device paths', () => {
+    const compiled = compileExpression('power_ac_output / max(WS_1.irradiance, 1) > 0.8');
+
+    expect(compiled.references.map((ref) => ref.path)).toEqual(['power_ac_output', 'WS_1.irradiance']);
+  });
+
+  it('resolves references and aggregates lists', () => {
+    const resolve = resolverOf({ 'children.INV.power_ac': [1000, 2000, null, 3000], grid_limit: 5000 });
+
+    expect(compileExpression('sum(children.INV.power_ac)').evaluate(resolve)).toBe(6000);
+    expect(compileExpression('avg(children.INV.power_ac)').evaluate(resolve)).toBe(2000);
+    expect(compileExpression('count(children.INV.power_ac)').evaluate(resolve)).toBe(3);
+    expect(compileExpression('sum(children.INV.power_ac) > grid_limit').evaluate(resolve)).toBe(true);
+  });
+
+  it('propagates missing values as null', () => {
+    const resolve = resolverOf({ a: 10, b: null });
+
+    expect(compileExpression('a + b').evaluate(resolve)).toBeNull();
+    expect(compileExpression('a / 0').evaluate(resolve)).toBeNull();
+    expect(compileExpression('sqrt(-1)').evaluate(resolve)).toBeNull();
+    expect(compileExpression('missing * 2').evaluate(resolve)).toBeNull();
+  });
+
+  it('evaluates if() lazily and rounds to digits', () => {
+    const resolve = resolverOf({ mode: 1, value: 2.3456 });
+
+    expect(compileExpression('if(mode == 1, round(value, 2), unknown)').evaluate(resolve)).toBe(2.35);
+    expect(compileExpression('if(unknown > 0, 1, 2)').evaluate(resolve)).toBeNull();
+  });
+
+  it('rejects invalid and unsafe expressions', () => {
+    expect(() => compileExpression('')).toThrow(ExpressionError);
+    expect(() => compileExpression('1 +')).toThrow(ExpressionError);
+    expect(() => compileExpression('constructor(1)')).toThrow(ExpressionError);
+    expect(() => compileExpression('x'.repeat(2001))).toThrow('Expression is longer than 2000 characters');
+    expect(() => compileExpression('abs(values)').evaluate(resolverOf({ values: [1, 2] }))).toThrow(
+      'abs() needs a single value'
+    );
+  });
+});
+
+describe('evaluateCondition', () => {
+  it('treats non-zero numbers as true', () => {
+    expect(evaluateCondition(compileExpression('a - 1'), resolverOf({ a: 3 }))).toBe(true);
+    expect(evaluateCondition(compileExpression('a - 1'), resolverOf({ a: 1 }))).toBe(false);
+  });
+
+  it('decides && and || from one known side (three-valued logic)', () => {
+    const resolve = resolverOf({ known: 1, unknown: null });
+
+    expect(evaluateCondition(compileExpression('unknown > 0 && known == 0'), resolve)).toBe(false);
+    expect(evaluateCondition(compileExpression('unknown > 0 || known == 1'), resolve)).toBe(true);
+    expect(evaluateCondition(compileExpression('unknown > 0 && known == 1'), resolve)).toBeNull();
+    expect(evaluateCondition(compileExpression('!(unknown > 0)'), resolve)).toBeNull();
+  });
+});
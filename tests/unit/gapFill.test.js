@@ -0,0 +1,92 @@
+/**
+ * Gap fill tests (fill modes, thresholds, estimated points)
+ */
+
+import { fillGaps } from '../../src/modules/gaps/services/gapFill.js';
+
+const T0 = new Date('2024-06-01T12:00:00Z').getTime();
+const MINUTE = 60000;
+
+/**
+ * Stored point of a tag some minutes after T0
+ */
+const point = (tagId, minutes, value) => ({
+  id: tagId * 1000 + minutes,
+  tagId,
+  deviceId: 3,
+  timestamp: new Date(T0 + minutes * MINUTE),
+  value,
+  quality: 80,
+  flags: ['SPIKE'],
+});
+
+const options = (fill) => ({ fill, stepFor: () => MINUTE, thresholdFor: () => 2 * MINUTE });
+
+describe('fillGaps', () => {
+  const points = [point(1, 0, 10), point(1, 4, 50)];
+
+  it('adds no points without a fill mode', () => {
+    expect(fillGaps(points, options('none'))).toEqual({ data: points, filledPoints: 0 });
+  });
+
+  it('interpolates linearly every step inside a gap', () => {
+    const { data, filledPoints } = fillGaps(points, options('linear'));
+
+    expect(filledPoints).toBe(3);
+    expect(data.map((p) => p.value)).toEqual([10, 20, 30, 40, 50]);
+    expect(data.map((p) => (p.timestamp.getTime() - T0) / MINUTE)).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('fills with the previous value, zero or null', () => {
+    expect(fillGaps(points, options('previous')).data.map((p) => p.value)).toEqual([10, 10, 10, 10, 50]);
+    expect(fillGaps(points, options('zero')).data.map((p) => p.value)).toEqual([10, 0, 0, 0, 50]);
+    expect(fillGaps(points, options('null')).data.map((p) => p.value)).toEqual([10, null, null, null, 50]);
+  });
+
+  it('builds estimated points without the id, quality and flags of the previous point', () => {
+    const [, estimated] = fillGaps(points, options('previous')).data;
+
+    expect(estimated).toEqual({
+      tagId: 1,
+      deviceId: 3,
+      timestamp: new Date(T0 + MINUTE),
+      value: 10,
+      quality: null,
+      interpolated: true,
+    });
+  });
+
+  it('leaves pauses up to the threshold and the edges of each series alone', () => {
+    const data = [point(1, 0, 1), point(1, 2, 2), point(2, 10, 5), point(2, 11, 6)];
+
+    expect(fillGaps(data, options('linear'))).toEqual({ data, filledPoints: 0 });
+  });
+
+  it('keeps the input order of several series', () => {
+    const data = [point(1, 0, 0), point(1, 3, 3), point(2, 0, 10), point(2, 3, 40)];
+    const filled = fillGaps(data, options('linear')).data;
+
+    expect(filled.map((p) => [p.tagId, p.value])).toEqual([
+      [1, 0],
+      [1, 1],
+      [1, 2],
+      [1, 3],
+      [2, 10],
+      [2, 20],
+      [2, 30],
+      [2, 40],
+    ]);
+  });
+
+  it('refuses to add more than the maximum number of points', () => {
+    const data = [point(1, 0, 0), point(1, 20000, 1)];
+
+    expect(() => fillGaps(data, options('linear'))).toThrow('Filling gaps would add more than 10000 points');
+  });
+
+  it('uses a custom point builder', () => {
+    const { data } = fillGaps(points, options('zero'), (previous, timestamp, value) => ({ timestamp, value, count: 0 }));
+
+    expect(data[1]).toEqual({ timestamp: new Date(T0 + MINUTE), value: 0, count: 0 });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Data quality check tests (range, frozen, spike, timestamp and order flags)
+ */
+
+import { jest } from '@jest/globals';
+
+const prisma = { $queryRaw: jest.fn() };
+
+jest.unstable_mockModule('@prisma/client', () => ({ Prisma: { join: (values) => values } }));
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma }));
+
+const { qualityFromFlags, assessPointQuality } = await import('../../src/modules/ingestion/services/qualityChecks.js');
+
+const NOW = new Date('2024-06-01T12:00:00Z');
+
+const TAGS = [
+  { id: 1, name: 'power_ac', dataType: 'FLOAT', minValue: 0, maxValue: 10000, isCumulative: false },
+  { id: 2, name: 'energy_total', dataType: 'FLOAT', minValue: null, maxValue: null, isCumulative: true },
+  { id: 3, name: 'status', dataType: 'INTEGER', minValue: 0, maxValue: 5, isCumulative: false },
+];
+
+const device = { id: 9, tags: TAGS };
+
+/**
+ * Answer the two history queries: recent readings (newest first) and tags with later readings
+ */
+const mockHistory = (recent = [], later = []) => {
+  prisma.$queryRaw.mockResolvedValueOnce(recent).mockResolvedValueOnce(later.map((tagId) => ({ tagId })));
+};
+
+/**
+ * Recent readings of one tag
+ */
+const readings = (tagId, values, quality = 100) => values.map((value) => ({ tagId, value, quality }));
+
+const pointsAt = (timestamp, values) =>
+  Object.entries(values).map(([tagId, value]) => ({ deviceId: 9, tagId: Number(tagId), timestamp, value }));
+
+describe('qualityFromFlags', () => {
+  it('keeps the lowest cap of the flags raised', () => {
+    expect(qualityFromFlags([])).toBe(100);
+    expect(qualityFromFlags(['OUT_OF_ORDER', 'SPIKE'])).toBe(30);
+  });
+});
+
+describe('assessPointQuality', () => {
+  beforeEach(() => {
+    prisma.$queryRaw.mockReset();
+  });
+
+  it('scores clean points 100 without flags', async () => {
+    mockHistory(readings(1, [4100, 4000, 4200]));
+
+    const [point] = await assessPointQuality({ device, points: pointsAt(NOW, { 1: 4150 }), now: NOW });
+
+    expect(point).toMatchObject({ tagId: 1, value: 4150, quality: 100, flags: null });
+  });
+
+  it('flags values outside the tag range', async () => {
+    mockHistory();
+
+    const points = await assessPointQuality({ device, points: pointsAt(NOW, { 1: -5, 3: 9 }), now: NOW });
+
+    expect(points.map((p) => [p.quality, p.flags])).toEqual([
+      [0, ['OUT_OF_RANGE']],
+      [0, ['OUT_OF_RANGE']],
+    ]);
+  });
+
+  it('flags a value repeated DATA_QUALITY_FROZEN_COUNT times, but not repeated zeros', async () => {
+    mockHistory(readings(1, Array(9).fill(1234)));
+    const [frozen] = await assessPointQuality({ device, points: pointsAt(NOW, { 1: 1234 }), now: NOW });
+
+    mockHistory(readings(1, Array(9).fill(0)));
+    const [idle] = await assessPointQuality({ device, points: pointsAt(NOW, { 1: 0 }), now: NOW });
+
+    expect(frozen).toMatchObject({ quality: 40, flags: ['FROZEN'] });
+    expect(idle).toMatchObject({ quality: 100, flags: null });
+  });
+
+  it('flags spikes against recent good readings only', async () => {
+    const recent = [...readings(1, [1000, 1010, 990, 1005, 995, 1000, 1010, 990, 1005, 995]), ...readings(1, [9000], 0)];
+
+    mockHistory(recent);
+    const [spike] = await assessPointQuality({ device, points: pointsAt(NOW, { 1: 5000 }), now: NOW });
+
+    mockHistory(readings(1, [1000, 1010, 990]));
+    const [fewSamples] = await assessPointQuality({ device, points: pointsAt(NOW, { 1: 5000 }), now: NOW });
+
+    expect(spike).toMatchObject({ quality: 30, flags: ['SPIKE'] });
+    expect(fewSamples.flags).toBeNull();
+  });
+
+  it('skips frozen and spike checks for cumulative counters', async () => {
+    mockHistory(readings(2, Array(12).fill(52000)));
+
+    const [point] = await assessPointQuality({ device, points: pointsAt(NOW, { 2: 52000 }), now: NOW });
+
+    expect(point.flags).toBeNull();
+  });
+
+  it('flags future, old and out-of-order timestamps', async () => {
+    mockHistory();
+    const [future] = await assessPointQuality({
+      device,
+      points: pointsAt(new Date(NOW.getTime() + 10 * 60000), { 1: 100 }),
+      now: NOW,
+    });
+
+    mockHistory([], [1]);
+    const [late] = await assessPointQuality({
+      device,
+      points: pointsAt(new Date('2024-05-01T12:00:00Z'), { 1: 100 }),
+      now: NOW,
+    });
+
+    expect(future).toMatchObject({ quality: 20, flags: ['FUTURE_TIMESTAMP'] });
+    expect(late).toMatchObject({ quality: 70, flags: ['PAST_TIMESTAMP', 'OUT_OF_ORDER'] });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Raw data processor tests for messages re-sent after a manual correction
+ */
+
+import { jest } from '@jest/globals';
+
+const TIMESTAMP = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+const TAGS = [
+  { id: 1, name: 'power_ac', dataType: 'FLOAT', formula: null },
+  { id: 2, name: 'energy_total', dataType: 'FLOAT', formula: null },
+];
+
+const plant = { id: 1, plantId: 'PLANT-1', mqttBaseTopic: 'solar/plant-1' };
+const device = { id: 3, deviceId: 'INV-01', decoder: null, tags: TAGS, tagsByName: new Map(TAGS.map((tag) => [tag.name, tag])) };
+
+const row = {
+  id: 100,
+  plantId: 1,
+  topic: 'solar/plant-1/INV-01',
+  payload: { timestamp: TIMESTAMP.toISOString(), power_ac: 4200, energy_total: 1500 },
+  source: 'sqs',
+  receivedAt: TIMESTAMP,
+};
+
+let correctedTagIds;
+
+const prisma = {
+  $queryRaw: jest.fn(),
+  $transaction: jest.fn(async (operations) => Promise.all(operations)),
+  rawMqttData: { update: jest.fn(async () => ({})) },
+  dataCorrection: {
+    findMany: async ({ where }) =>
+      correctedTagIds.filter((tagId) => where.tagId.in.includes(tagId)).map((tagId) => ({ tagId })),
+  },
+  processedData: { upsert: jest.fn(async ({ create }) => create) },
+  device: { updateMany: jest.fn(async () => ({ count: 1 })) },
+};
+
+const publishEvent = jest.fn();
+const updateCounterDeltas = jest.fn(async () => 0);
+const calculateIngestedValues = jest.fn(async () => []);
+const evaluateIngestedValues = jest.fn(async () => ({ opened: [] }));
+
+jest.unstable_mockModule('@prisma/client', () => ({ Prisma: { DbNull: 'DbNull' } }));
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma }));
+jest.unstable_mockModule('../../src/modules/ingestion/services/topicResolver.js', () => ({
+  getPlant: async () => plant,
+  resolveDevice: async () => device,
+  topicMatches: () => true,
+}));
+jest.unstable_mockModule('../../src/modules/ingestion/services/qualityChecks.js', () => ({
+  assessPointQuality: async ({ points }) => points,
+}));
+jest.unstable_mockModule('../../src/modules/ingestion/services/backfillTracker.js', () => ({
+  isBackfill: () => false,
+  checkBackfillAge: () => {},
+  recordBackfill: async () => 0,
+}));
+jest.unstable_mockModule('../../src/modules/realtime/services/eventBus.js', () => ({ publishEvent }));
+jest.unstable_mockModule('../../src/modules/alarm-engine/index.js', () => ({ evaluateIngestedValues }));
+jest.unstable_mockModule('../../src/modules/rollups/index.js', () => ({ queueRollups: async () => ({ count: 1 }) }));
+jest.unstable_mockModule('../../src/modules/calculated-tags/index.js', () => ({ calculateIngestedValues }));
+jest.unstable_mockModule('../../src/modules/counters/index.js', () => ({ updateCounterDeltas }));
+
+const { processPendingMessages } = await import('../../src/modules/ingestion/services/rawDataProcessor.js');
+
+describe('processing a message re-sent after a manual correction', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.$queryRaw.mockResolvedValueOnce([row]);
+  });
+
+  it('marks the message processed without storing anything when every value was corrected', async () => {
+    correctedTagIds = [1, 2];
+
+    const summary = await processPendingMessages(10);
+
+    expect(summary).toMatchObject({ claimed: 1, processed: 1, failed: 0, points: 0 });
+    expect(prisma.rawMqttData.update).toHaveBeenCalledWith({
+      where: { id: row.id },
+      data: expect.objectContaining({ isProcessed: true, processingError: null }),
+    });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+    expect(publishEvent).not.toHaveBeenCalled();
+    expect(updateCounterDeltas).not.toHaveBeenCalled();
+    expect(calculateIngestedValues).not.toHaveBeenCalled();
+    expect(evaluateIngestedValues).not.toHaveBeenCalled();
+  });
+
+  it('stores only the values that were not corrected', async () => {
+    correctedTagIds = [1];
+
+    const summary = await processPendingMessages(10);
+
+    expect(summary).toMatchObject({ processed: 1, failed: 0, points: 1 });
+    expect(prisma.processedData.upsert).toHaveBeenCalledTimes(1);
+    expect(prisma.processedData.upsert.mock.calls[0][0].create).toMatchObject({ tagId: 2, value: 1500 });
+    expect(publishEvent).toHaveBeenCalledWith('data', expect.objectContaining({ deviceId: 3, timestamp: TIMESTAMP }));
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Alarm rule evaluator tests (deadband, hysteresis, rate of change, delays)
+ */
+
+import {
+  ruleMatchesTag,
+  evaluateRuleCondition,
+  resolveRuleDelay,
+  describeRuleAlarm,
+} from '../../src/modules/alarm-engine/services/ruleEvaluator.js';
+
+const T0 = new Date('2024-06-01T12:00:00Z');
+const at = (minutes) => new Date(T0.getTime() + minutes * 60000);
+
+/**
+ * Build an alarm rule with defaults
+ */
+const ruleOf = (overrides = {}) => ({
+  id: 1,
+  name: 'Inverter overtemperature',
+  type: 'HIGH',
+  setpoint: 70,
+  hysteresis: 0,
+  deadband: 0,
+  onDelaySeconds: 0,
+  offDelaySeconds: 0,
+  tagId: null,
+  templateTagId: null,
+  plantId: null,
+  tagName: null,
+  ...overrides,
+});
+
+/**
+ * Feed values through the evaluator like the rule engine does
+ * @returns {Array<boolean>} Condition after each value
+ */
+const run = (rule, values) => {
+  let state = null;
+  return values.map((value, index) => {
+    const result = evaluateRuleCondition(rule, state, { value, timestamp: at(index) });
+    state = { ...result, lastValue: value, lastTimestamp: at(index) };
+    return result.conditionActive;
+  });
+};
+
+describe('evaluateRuleCondition', () => {
+  it('raises HIGH and LOW rules past the setpoint', () => {
+    expect(run(ruleOf(), [65, 71, 69])).toEqual([false, true, false]);
+    expect(run(ruleOf({ type: 'LOW_LOW', setpoint: 10 }), [12, 9, 11])).toEqual([false, true, false]);
+  });
+
+  it('clears an active condition only once the value is back past the hysteresis', () => {
+    expect(run(ruleOf({ hysteresis: 5 }), [71, 68, 66, 64])).toEqual([true, true, true, false]);
+  });
+
+  it('keeps the condition for changes within the deadband', () => {
+    // 70.5 is within 1 of 69.8, so the condition is not re-evaluated
+    expect(run(ruleOf({ deadband: 1 }), [69.8, 70.5, 71.2])).toEqual([false, false, true]);
+  });
+
+  it('measures the rate of change per minute', () => {
+    const rule = ruleOf({ type: 'RATE_OF_CHANGE', setpoint: 100 });
+    let state = null;
+    const first = evaluateRuleCondition(rule, state, { value: 1000, timestamp: at(0) });
+    state = { ...first, lastValue: 1000, lastTimestamp: at(0) };
+
+    const second = evaluateRuleCondition(rule, state, { value: 1500, timestamp: at(2) });
+
+    expect(first.conditionActive).toBe(false);
+    expect(second).toEqual({ conditionActive: true, measured: 250, lastEvaluatedValue: 250 });
+  });
+
+  it('matches BOOLEAN rules against the trigger state', () => {
+    expect(run(ruleOf({ type: 'BOOLEAN', triggerState: true }), [0, 1, 0])).toEqual([false, true, false]);
+  });
+
+  it('ignores values older than the last one', () => {
+    const state = { conditionActive: true, lastEvaluatedValue: 80, lastValue: 80, lastTimestamp: at(5) };
+
+    expect(evaluateRuleCondition(ruleOf(), state, { value: 20, timestamp: at(4) })).toBeNull();
+  });
+});
+
+describe('resolveRuleDelay', () => {
+  const rule = ruleOf({ onDelaySeconds: 60, offDelaySeconds: 300 });
+
+  it('waits for the on delay before the alarm opens', () => {
+    expect(resolveRuleDelay(rule, { conditionActive: true, conditionSince: at(0) }, at(0.5))).toEqual({
+      due: false,
+      dueAt: at(1),
+    });
+    expect(resolveRuleDelay(rule, { conditionActive: true, conditionSince: at(0) }, at(1)).due).toBe(true);
+  });
+
+  it('waits for the off delay before the alarm resolves', () => {
+    expect(resolveRuleDelay(rule, { conditionActive: false, conditionSince: at(0) }, at(4)).due).toBe(false);
+    expect(resolveRuleDelay(ruleOf(), { conditionActive: false, conditionSince: at(0) }, at(0)).due).toBe(true);
+  });
+});
+
+describe('ruleMatchesTag', () => {
+  const tag = { id: 7, name: 'temp_internal', templateTagId: 3 };
+
+  it('matches by tag, template tag or plant-wide tag name', () => {
+    expect(ruleMatchesTag(ruleOf({ tagId: 7 }), tag)).toBe(true);
+    expect(ruleMatchesTag(ruleOf({ templateTagId: 3 }), tag)).toBe(true);
+    expect(ruleMatchesTag(ruleOf({ plantId: 1, tagName: 'temp_internal' }), tag)).toBe(true);
+    expect(ruleMatchesTag(ruleOf({ tagName: 'temp_internal' }), tag)).toBe(false);
+  });
+});
+
+describe('describeRuleAlarm', () => {
+  it('describes limit and rate rules with units', () => {
+    const tag = { name: 'temp_internal', unit: '°C' };
+
+    expect(describeRuleAlarm(ruleOf(), { label: 'INV-01', tag, measured: 72.1234 })).toBe(
+      'Inverter overtemperature: INV-01 temp_internal high (72.123 °C > 70 °C)'
+    );
+    expect(
+      describeRuleAlarm(ruleOf({ name: 'Ramp', type: 'RATE_OF_CHANGE', setpoint: 5 }), {
+        label: 'INV-01',
+        tag,
+        measured: 6,
+      })
+    ).toBe('Ramp: INV-01 temp_internal rate of change 6 °C/min > 5 °C/min');
+  });
+});
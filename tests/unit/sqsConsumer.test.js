@@ -0,0 +1,133 @@
+/**
+ * SQS consumer tests with a stand-in SQS client
+ * Checks when messages are deleted from the queue; see tests/integration for ElasticMQ.
+ */
+
+import { jest } from '@jest/globals';
+import { ReceiveMessageCommand, DeleteMessageBatchCommand } from '@aws-sdk/client-sqs';
+
+let events;
+let failWrites;
+
+const prisma = {
+  plant: {
+    findMany: async () => [
+      { id: 1, plantId: 'PLANT-1', name: 'Plant 1', mqttBaseTopic: 'solar/plant-1', status: 'ACTIVE', timezone: 'UTC' },
+    ],
+  },
+  rawMqttData: {
+    create: async ({ data }) => {
+      if (failWrites.has(data.messageId)) {
+        throw new Error('Connection terminated unexpectedly');
+      }
+      if (events.some((event) => event.type === 'write' && event.messageId === data.messageId)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      events.push({ type: 'write', messageId: data.messageId });
+      return { id: events.length, ...data };
+    },
+  },
+  deadLetterMessage: {
+    create: async ({ data }) => {
+      events.push({ type: 'deadLetter', messageId: data.messageId, attempts: data.attempts, error: data.error });
+      return { id: events.length, ...data };
+    },
+  },
+};
+
+const triggerRawDataProcessor = jest.fn();
+
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma }));
+jest.unstable_mockModule('../../src/modules/ingestion/services/rawDataProcessor.js', () => ({ triggerRawDataProcessor }));
+
+const { default: config } = await import('../../src/config/index.js');
+const { pollOnce } = await import('../../src/modules/ingestion/services/sqsConsumer.js');
+
+const message = (id, { attempts = 1, topic = 'solar/plant-1/INV-01' } = {}) => ({
+  MessageId: id,
+  ReceiptHandle: `receipt-${id}`,
+  Body: JSON.stringify({ topic, aws_timestamp: 1717243200000, power_ac: 4200 }),
+  Attributes: { ApproximateReceiveCount: String(attempts), SentTimestamp: '1717243200500' },
+});
+
+/**
+ * SQS client answering one receive with the given messages and recording deletes
+ */
+const sqsClient = (messages) => ({
+  send: jest.fn(async (command) => {
+    if (command instanceof ReceiveMessageCommand) {
+      return { Messages: messages };
+    }
+    if (command instanceof DeleteMessageBatchCommand) {
+      events.push({ type: 'delete', receipts: command.input.Entries.map((entry) => entry.ReceiptHandle) });
+      return { Successful: command.input.Entries.map((entry) => ({ Id: entry.Id })), Failed: [] };
+    }
+    throw new Error(`Unexpected command ${command.constructor.name}`);
+  }),
+});
+
+const deletes = () => events.filter((event) => event.type === 'delete');
+
+describe('pollOnce', () => {
+  beforeEach(() => {
+    events = [];
+    failWrites = new Set();
+    triggerRawDataProcessor.mockClear();
+    Object.assign(config.aws.sqs, { queueUrl: 'http://localhost:9324/000000000000/ingestion', maxReceiveCount: 3 });
+  });
+
+  it('deletes a message only after its raw row is written', async () => {
+    const sqs = sqsClient([message('m1')]);
+
+    expect(await pollOnce(sqs)).toBe(1);
+
+    expect(events).toEqual([
+      { type: 'write', messageId: 'm1' },
+      { type: 'delete', receipts: ['receipt-m1'] },
+    ]);
+    expect(triggerRawDataProcessor).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves a message in the queue when its raw row cannot be written', async () => {
+    failWrites.add('m2');
+    const sqs = sqsClient([message('m1'), message('m2', { attempts: 2 })]);
+
+    await pollOnce(sqs);
+
+    expect(deletes()).toEqual([{ type: 'delete', receipts: ['receipt-m1'] }]);
+    expect(events.some((event) => event.type === 'deadLetter')).toBe(false);
+  });
+
+  it('sends no delete when no message was written', async () => {
+    failWrites.add('m1');
+    const sqs = sqsClient([message('m1')]);
+
+    await pollOnce(sqs);
+
+    expect(sqs.send).toHaveBeenCalledTimes(1);
+    expect(deletes()).toHaveLength(0);
+    expect(triggerRawDataProcessor).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters a failing message on its maxReceiveCount-th receive, then deletes it', async () => {
+    failWrites.add('m1');
+    const sqs = sqsClient([message('m1', { attempts: 3 })]);
+
+    await pollOnce(sqs);
+
+    expect(events).toEqual([
+      { type: 'deadLetter', messageId: 'm1', attempts: 3, error: 'Connection terminated unexpectedly' },
+      { type: 'delete', receipts: ['receipt-m1'] },
+    ]);
+  });
+
+  it('deletes a duplicate without waking the processor', async () => {
+    await pollOnce(sqsClient([message('m1')]));
+    triggerRawDataProcessor.mockClear();
+
+    await pollOnce(sqsClient([message('m1')]));
+
+    expect(deletes()).toHaveLength(2);
+    expect(triggerRawDataProcessor).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Suppression window tests (once, recurring, past midnight, plant timezone)
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../src/config/database.js', () => ({ prisma: {} }));
+
+const { isWindowActive, getLocalTime, findSuppressingWindow } = await import(
+  '../../src/modules/alarm-engine/services/suppression.js'
+);
+
+/**
+ * Build a suppression window with defaults
+ */
+const windowOf = (overrides = {}) => ({
+  id: 1,
+  deviceId: null,
+  type: 'RECURRING',
+  startsAt: null,
+  endsAt: null,
+  startTime: '22:00',
+  endTime: '06:00',
+  daysOfWeek: [],
+  severities: [],
+  sources: [],
+  ruleIds: [],
+  isEnabled: true,
+  ...overrides,
+});
+
+describe('isWindowActive', () => {
+  it('covers a one-off window from startsAt up to endsAt', () => {
+    const window = windowOf({
+      type: 'ONCE',
+      startsAt: new Date('2024-06-03T08:00:00Z'),
+      endsAt: new Date('2024-06-03T12:00:00Z'),
+    });
+
+    expect(isWindowActive(window, new Date('2024-06-03T07:59:59Z'))).toBe(false);
+    expect(isWindowActive(window, new Date('2024-06-03T08:00:00Z'))).toBe(true);
+    expect(isWindowActive(window, new Date('2024-06-03T12:00:00Z'))).toBe(false);
+  });
+
+  it('covers a daily window within the day', () => {
+    const window = windowOf({ startTime: '09:00', endTime: '17:00' });
+
+    expect(isWindowActive(window, new Date('2024-06-03T08:59:00Z'))).toBe(false);
+    expect(isWindowActive(window, new Date('2024-06-03T09:00:00Z'))).toBe(true);
+    expect(isWindowActive(window, new Date('2024-06-03T17:00:00Z'))).toBe(false);
+  });
+
+  it('runs past midnight, with the early hours belonging to the start day', () => {
+    // Monday night only (2024-06-03 is a Monday)
+    const window = windowOf({ daysOfWeek: [1] });
+
+    expect(isWindowActive(window, new Date('2024-06-03T23:00:00Z'))).toBe(true);
+    expect(isWindowActive(window, new Date('2024-06-04T05:59:00Z'))).toBe(true);
+    expect(isWindowActive(window, new Date('2024-06-04T06:00:00Z'))).toBe(false);
+    // Monday early morning belongs to Sunday night
+    expect(isWindowActive(window, new Date('2024-06-03T03:00:00Z'))).toBe(false);
+  });
+
+  it('uses the plant timezone', () => {
+    const window = windowOf({ startTime: '09:00', endTime: '17:00' });
+
+    // 07:30 UTC is 09:30 in Berlin (summer time)
+    expect(isWindowActive(window, new Date('2024-06-03T07:30:00Z'), 'Europe/Berlin')).toBe(true);
+    expect(isWindowActive(window, new Date('2024-06-03T07:30:00Z'), 'UTC')).toBe(false);
+    expect(getLocalTime(new Date('2024-06-03T22:30:00Z'), 'Asia/Tokyo')).toEqual({ day: 2, minutes: 7 * 60 + 30 });
+  });
+
+  it('never covers disabled windows or times outside the recurrence bounds', () => {
+    expect(isWindowActive(windowOf({ isEnabled: false }), new Date('2024-06-03T23:00:00Z'))).toBe(false);
+    expect(
+      isWindowActive(windowOf({ endsAt: new Date('2024-06-01T00:00:00Z') }), new Date('2024-06-03T23:00:00Z'))
+    ).toBe(false);
+  });
+});
+
+describe('findSuppressingWindow', () => {
+  const condition = {
+    timestamp: new Date('2024-06-03T23:00:00Z'),
+    alarm: { severity: 'LOW', metadata: { source: 'rule', ruleId: 4 } },
+  };
+
+  it('returns the first window that selects the condition', () => {
+    const windows = [
+      windowOf({ id: 1, deviceId: 99 }),
+      windowOf({ id: 2, severities: ['CRITICAL'] }),
+      windowOf({ id: 3, sources: ['rule'], ruleIds: [4], plant: { timezone: 'UTC' } }),
+    ];
+
+    expect(findSuppressingWindow(windows, { deviceId: 5, condition })?.id).toBe(3);
+  });
+
+  it('returns null when no window is active', () => {
+    const windows = [windowOf({ startTime: '08:00', endTime: '09:00' })];
+
+    expect(findSuppressingWindow(windows, { deviceId: 5, condition })).toBeNull();
+  });
+});